@@ -7,11 +7,15 @@ import TermuxBridge from './termux-bridge.js';
 import MobileAdapter from './mobile-adapter.js';
 import RealTimeCompiler from '../modules/real-time-compiler.js';
 import CodeOptimizer from '../modules/code-optimizer.js';
+import QuickFixEngine from '../modules/quick-fix-engine.js';
 import MLCodeAnalyzer from '../modules/ml-code-analyzer.js';
 import SmartSuggestions from '../modules/smart-suggestions.js';
 import AIOrchestrator from '../ai-orchestrator.js';
 import USBDetector from './js/usb-detector.js';
 import USBStatusMonitor from './js/usb-status-monitor.js';
+import SerialMonitor from './serial-monitor.js';
+import SerialPlotter from './serial-plotter.js';
+import BoardRegistry from '../modules/board-registry.js';
 import IntegrityVerifier from '../security/integrity-verifier.js';
 import RuntimeGuard from '../security/runtime-guard.js';
 import SecureUpdater from '../security/secure-updater.js';
@@ -310,8 +314,11 @@ if (document.readyState === 'loading') {
 class VitaCoderApp {
     constructor() {
         // ... existing initializations
-        this.usbDetector = new USBDetector();
+        this.boardRegistry = new BoardRegistry();
+        this.usbDetector = new USBDetector(this.boardRegistry);
         this.usbMonitor = new USBStatusMonitor(this.usbDetector);
+        this.serialMonitor = new SerialMonitor(this.usbDetector, { uiManager: this.uiManager });
+        this.serialPlotter = new SerialPlotter(this.usbDetector);
         
         this.init();
     }
@@ -323,9 +330,16 @@ class VitaCoderApp {
     
     async initializeUSBDetection() {
         try {
+            // Board definitions drive detection, uploads and capabilities
+            await this.boardRegistry.load();
+
             // Set up USB event listeners
             this.setupUSBEvents();
             
+            // Serial monitor panel
+            this.serialMonitor.mount(document.getElementById('serialMonitorContainer'));
+            this.serialPlotter.mount(document.getElementById('serialPlotterContainer'));
+            
             // Start status monitoring
             this.usbMonitor.startMonitoring();
             
@@ -395,20 +409,25 @@ class VitaCoderApp {
         }
     }
     
-    async uploadToArduino(code) {
+    // firmware: Intel HEX text or an image from IntelHex.parse()
+    async uploadToArduino(firmware) {
         if (!this.usbDetector.isConnected) {
             this.uiManager.showNotification('Please connect an Arduino first', 'warning');
             return;
         }
         
-        this.uiManager.showUploadProgress('Uploading to Arduino...');
+        this.uiManager.showLoading('Uploading to Arduino...');
         
         try {
-            await this.usbDetector.uploadCode(code);
+            await this.usbDetector.uploadCode(firmware, {
+                onProgress: (progress) => this.uiManager.updateUploadProgress(progress)
+            });
             this.uiManager.showUploadSuccess();
             
         } catch (error) {
             this.uiManager.showUploadError(error);
+        } finally {
+            this.uiManager.hideLoading();
         }
     }
     
@@ -425,6 +444,14 @@ class VitaCoderApp {
         // Update UI
         this.uiManager.showArduinoConnected(model, port);
         
+        // Stream board output into the serial monitor
+        this.serialMonitor.start().catch(error => {
+            console.warn('⚠️ Serial monitor could not start:', error);
+        });
+        this.serialPlotter.start().catch(error => {
+            console.warn('⚠️ Serial plotter could not start:', error);
+        });
+        
         // Update AI context
         this.aiOrchestrator.context.update('connected_device', {
             model: model,
@@ -438,46 +465,15 @@ class VitaCoderApp {
         
         // Update UI
         this.uiManager.showArduinoDisconnected();
+        this.serialMonitor.stop();
+        this.serialPlotter.stop();
         
         // Update AI context
         this.aiOrchestrator.context.update('connected_device', null);
     }
     
     getDeviceCapabilities(model) {
-        const capabilities = {
-            'uno': {
-                digitalPins: 14,
-                analogPins: 6,
-                pwmPins: 6,
-                memory: '2KB',
-                flash: '32KB'
-            },
-            'nano': {
-                digitalPins: 14,
-                analogPins: 8,
-                pwmPins: 6,
-                memory: '2KB',
-                flash: '32KB'
-            },
-            'mega': {
-                digitalPins: 54,
-                analogPins: 16,
-                pwmPins: 15,
-                memory: '8KB',
-                flash: '256KB'
-            },
-            'esp32': {
-                digitalPins: 34,
-                analogPins: 18,
-                pwmPins: 16,
-                memory: '520KB',
-                flash: '4MB',
-                wifi: true,
-                bluetooth: true
-            }
-        };
-        
-        return capabilities[model] || capabilities['uno'];
+        return this.boardRegistry.getCapabilities(model);
     }
     
     async getDeviceReport() {
@@ -667,15 +663,20 @@ class VitaCoderApp {
         this.uiManager = new UIManager();
         this.codeGenerator = new CodeGenerator();
         this.fileManager = new FileManager();
-        this.examples = new Examples();
-        this.usbDetector = new USBDetector();
+        this.examples = new Examples(this.codeGenerator.templates);
+        this.boardRegistry = new BoardRegistry();
+        this.usbDetector = new USBDetector(this.boardRegistry);
         this.termuxBridge = new TermuxBridge();
         this.mobileAdapter = new MobileAdapter();
-        this.compiler = new RealTimeCompiler();
+        this.compiler = new RealTimeCompiler(this.boardRegistry);
         this.optimizer = new CodeOptimizer();
+        this.quickFixes = new QuickFixEngine();
         
         this.currentArduinoModel = null;
         this.isConnected = false;
+        this.diagnosticsTimer = null;
+        this.diagnosedCode = null; // buffer the current quick fixes were computed for
+        this.firmware = null; // { name, image } of the compiled .hex to upload
         
         this.init();
     }
@@ -685,6 +686,13 @@ class VitaCoderApp {
         await this.checkUSBSupport();
         this.examples.loadExamples();
         this.uiManager.initializeUI();
+        this.uiManager.codeEditor.onChange(() => {
+            this.uiManager.hideQuickFixes();
+            this.scheduleDiagnostics();
+        });
+        this.uiManager.codeEditor.onQuickFix(({ fixes }) => this.showQuickFixes(fixes));
+        this.setupCodeActions();
+        this.setupUploadControls();
         
         // Start with demo code
         this.showCyberzillaDemo();
@@ -719,6 +727,7 @@ class VitaCoderApp {
     async generateCode() {
         const command = document.getElementById('commandInput').value.trim();
         const optimize = document.getElementById('optimizeCode').checked;
+        const nonBlocking = document.getElementById('nonBlocking').checked;
         const checkErrors = document.getElementById('errorChecking').checked;
         
         if (!command) {
@@ -729,19 +738,30 @@ class VitaCoderApp {
         this.uiManager.showLoading('Generating optimized code...');
         
         try {
-            let code = await this.codeGenerator.generateFromCommand(command, this.currentArduinoModel);
+            let code = await this.codeGenerator.generateFromCommand(command, this.currentArduinoModel, { nonBlocking });
+            
+            // Templates have their own non-blocking variants; this covers composed and AI-written sketches
+            if (nonBlocking && !optimize) {
+                code = this.optimizer.refactorDelays(code).code;
+            }
             
             // Apply optimizations if requested
             if (optimize) {
-                const optimized = this.optimizer.optimize(code, 'medium');
+                const optimized = this.optimizer.optimize(code, 'medium', { refactorDelays: nonBlocking });
                 code = optimized.code;
                 this.uiManager.showOptimizationStats(optimized);
             }
             
             // Real-time compilation check
             if (checkErrors) {
-                const compileResult = await this.compiler.compileCode(code);
+                const board = {
+                    model: this.currentArduinoModel,
+                    ...await this.getDeviceCapabilities(this.currentArduinoModel)
+                };
+                const compileResult = await this.compiler.compileCode(code, board);
+                this.attachQuickFixes(code, compileResult);
                 this.uiManager.displayCompilationResult(compileResult);
+                this.uiManager.showDiagnostics(compileResult);
             }
             
             this.uiManager.displayCode(code);
@@ -753,21 +773,121 @@ class VitaCoderApp {
         }
     }
     
+    // Re-check the sketch a moment after the user stops typing
+    scheduleDiagnostics() {
+        clearTimeout(this.diagnosticsTimer);
+        if (!document.getElementById('errorChecking').checked) return;
+        
+        // Nothing awaits the timer, so a failed check is logged instead of left unhandled
+        this.diagnosticsTimer = setTimeout(() => {
+            this.checkEditorCode().catch(error => console.warn('⚠️ Diagnostics failed:', error));
+        }, 800);
+    }
+    
+    async checkEditorCode() {
+        const code = this.uiManager.getCode();
+        const board = {
+            model: this.currentArduinoModel,
+            ...await this.getDeviceCapabilities(this.currentArduinoModel)
+        };
+        const result = await this.compiler.compileCode(code, board);
+        
+        // The buffer may have changed while compiling; a newer check is already scheduled
+        if (this.uiManager.getCode() !== code) return;
+        this.attachQuickFixes(code, result);
+        this.uiManager.showDiagnostics(result);
+    }
+    
+    // Fix offsets only hold for the code they were computed on
+    attachQuickFixes(code, result) {
+        [...result.errors, ...result.warnings].forEach(diagnostic => {
+            diagnostic.fixes = this.quickFixes.getFixes(code, diagnostic);
+        });
+        this.diagnosedCode = code;
+    }
+    
+    // Flash, SRAM and architecture of the detected board (the Uno until one is detected);
+    // empty when the board definitions cannot be loaded, so the estimator uses its defaults
+    async getDeviceCapabilities(model) {
+        try {
+            await this.boardRegistry.load();
+        } catch (error) {
+            console.warn('⚠️ Board definitions unavailable:', error);
+            return {};
+        }
+        
+        return this.boardRegistry.getCapabilities(model) || {};
+    }
+    
+    // Opened from a fixable gutter marker: each fix with the diff it would make
+    showQuickFixes(fixes) {
+        if (this.uiManager.getCode() !== this.diagnosedCode) {
+            this.uiManager.showNotification('The sketch changed since it was checked; try again in a moment', 'warning');
+            return;
+        }
+        
+        const choices = fixes.map(fix => ({ fix, diff: this.previewQuickFix(fix) }));
+        this.uiManager.showQuickFixes(choices, fix => this.applyQuickFix(fix));
+    }
+    
+    previewQuickFix(fix) {
+        return this.quickFixes.preview(this.uiManager.getCode(), fix);
+    }
+    
+    // Goes through the editor history, so Ctrl+Z takes the fix back out. Any edit closes
+    // the fix panel, so the offsets still match the buffer here
+    applyQuickFix(fix) {
+        this.uiManager.codeEditor.applyEdits(fix.edits);
+        this.uiManager.showNotification(`Applied: ${fix.title}`, 'success');
+    }
+    
+    // Copy and export take the editor buffer, not the highlighted markup around it
+    setupCodeActions() {
+        document.getElementById('copyBtn').addEventListener('click', () => this.fileManager.copyToClipboard(this.uiManager.getCode()));
+        document.getElementById('exportBtn').addEventListener('click', () => this.fileManager.exportCode(this.uiManager.getCode()));
+    }
+    
+    setupUploadControls() {
+        document.getElementById('loadHexBtn').addEventListener('click', () => this.loadFirmware());
+        document.getElementById('uploadBtn').addEventListener('click', () => this.uploadToArduino());
+        this.uiManager.setUploadReady(this.firmware);
+    }
+    
+    // The bootloaders flash compiled images, so uploads start from a .hex built by arduino-cli or the IDE
+    async loadFirmware() {
+        try {
+            const firmware = await this.fileManager.openHex();
+            if (!firmware) return;
+            
+            this.firmware = firmware;
+            this.uiManager.setUploadReady(firmware);
+            this.uiManager.showNotification(`Loaded ${firmware.name}`, 'success');
+            
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+        }
+    }
+    
     async uploadToArduino() {
         if (!this.isConnected) {
             this.uiManager.showNotification('Please connect Arduino first', 'warning');
             return;
         }
         
-        const code = document.getElementById('codeOutput').textContent;
-        
         try {
             this.uiManager.showLoading('Uploading to Arduino...');
             
             if (this.mobileAdapter.isTermux) {
-                await this.termuxBridge.flashArduino(code, this.currentPort);
+                // arduino-cli on the Termux side compiles the sketch itself
+                await this.termuxBridge.flashArduino(this.uiManager.getCode(), this.currentPort);
             } else {
-                await this.usbDetector.sendCodeToArduino(code);
+                if (!this.firmware) {
+                    throw new Error('Load a compiled .hex file first');
+                }
+                
+                await this.usbDetector.uploadCode(this.firmware.image, {
+                    onProgress: (progress) => this.uiManager.updateUploadProgress(progress)
+                });
             }
             
             this.uiManager.showNotification('Code uploaded successfully!', 'success');
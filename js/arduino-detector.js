@@ -1,20 +1,19 @@
+import BoardRegistry from '../modules/board-registry.js';
+
 export default class ArduinoDetector {
-    constructor() {
-        this.supportedModels = {
-            'uno': { name: 'Arduino Uno', pins: 14, analog: 6, pwm: 6 },
-            'nano': { name: 'Arduino Nano', pins: 14, analog: 8, pwm: 6 },
-            'mega': { name: 'Arduino Mega', pins: 54, analog: 16, pwm: 15 },
-            'leonardo': { name: 'Arduino Leonardo', pins: 20, analog: 12, pwm: 7 }
-        };
+    constructor(registry = null) {
+        this.registry = registry || new BoardRegistry();
     }
 
     async autoDetect() {
+        await this.registry.load();
+
         // Simulate Arduino detection
         // In real implementation, this would use WebSerial API
         return new Promise((resolve) => {
             setTimeout(() => {
                 // For demo purposes, randomly select a model
-                const models = Object.keys(this.supportedModels);
+                const models = this.registry.getAll().map(board => board.id);
                 const randomModel = models[Math.floor(Math.random() * models.length)];
                 resolve(randomModel);
             }, 2000);
@@ -22,35 +21,130 @@ export default class ArduinoDetector {
     }
 
     getModelInfo(model) {
-        return this.supportedModels[model] || null;
+        const board = this.registry.get(model);
+        if (!board) return null;
+
+        return {
+            name: board.name,
+            pins: board.pins.digital.length,
+            analog: board.pins.analog.length,
+            pwm: board.pins.pwm.length
+        };
     }
 
+    // One entry per header pin with everything the pin can do on this board.
+    // Analog inputs that are not also numbered digital pins (A0-A5 on the Uno,
+    // A6/A7 on the Nano) get their own entry; on boards where an ADC channel
+    // shares a digital pin (Leonardo D4/A6, ESP32 GPIOs) it is merged into it.
     getPinConfiguration(model) {
-        const modelInfo = this.getModelInfo(model);
-        if (!modelInfo) return null;
+        const board = this.registry.get(model);
+        if (!board) return null;
 
+        const pinMap = board.pins;
         const pins = [];
-        
-        // Digital pins
-        for (let i = 2; i <= modelInfo.pins; i++) {
-            pins.push({
-                number: i,
-                type: 'digital',
-                pwm: i <= 13 && i !== 0 && i !== 1, // Most PWM pins on 3,5,6,9,10,11
-                analog: false
-            });
+        const byNumber = new Map();
+
+        pinMap.digital.forEach(number => {
+            const pin = this.createPin(number, 'digital', number);
+            pins.push(pin);
+            byNumber.set(number, pin);
+        });
+
+        pinMap.analog.forEach((channel, index) => {
+            let pin = byNumber.get(channel.digital);
+
+            if (!pin) {
+                pin = this.createPin(channel.name, 'analog', channel.digital);
+                pins.push(pin);
+                if (channel.digital !== null) byNumber.set(channel.digital, pin);
+            }
+
+            pin.analog = true;
+            pin.adcChannel = channel.name;
+            pin.adcIndex = index;
+        });
+
+        byNumber.forEach((pin, number) => {
+            pin.digital = number !== null;
+            pin.inputOnly = (pinMap.inputOnly || []).includes(number);
+            pin.pwm = pinMap.pwm.includes(number);
+            pin.timer = this.findTimer(board, number);
+            pin.interrupt = this.getInterrupt(pinMap, number);
+            pin.builtinLed = pinMap.led === number;
+        });
+
+        this.getAlternateFunctions(pinMap).forEach(({ pin: number, name, reserved }) => {
+            const pin = byNumber.get(number);
+            if (!pin) return;
+
+            pin.functions.push(name);
+            if (reserved && !pin.reserved) pin.reserved = name;
+        });
+
+        return pins;
+    }
+
+    createPin(number, type, gpio) {
+        return {
+            number: number,
+            type: type,
+            gpio: gpio,
+            digital: false,
+            analog: false,
+            adcChannel: null,
+            adcIndex: null,
+            pwm: false,
+            timer: null,
+            interrupt: null,
+            inputOnly: false,
+            builtinLed: false,
+            functions: [],
+            reserved: null
+        };
+    }
+
+    findTimer(board, number) {
+        const timer = board.timers.find(entry => entry.pins.includes(number));
+        return timer ? timer.name : null;
+    }
+
+    // Interrupt number for attachInterrupt(), or null if the pin has none
+    getInterrupt(pinMap, number) {
+        if (pinMap.interrupts === 'all') {
+            return pinMap.digital.includes(number) ? number : null;
+        }
+
+        const interrupt = (pinMap.interrupts || {})[number];
+        return interrupt === undefined ? null : interrupt;
+    }
+
+    // I2C/SPI/UART roles. The UART wired to the USB bridge is reserved: using its
+    // pins while the sketch talks to Serial corrupts both. Native USB boards
+    // (Leonardo, Micro) keep Serial on USB, so their hardware UART is free.
+    getAlternateFunctions(pinMap) {
+        const functions = [];
+
+        if (pinMap.i2c) {
+            functions.push({ pin: pinMap.i2c.sda, name: 'I2C SDA' });
+            functions.push({ pin: pinMap.i2c.scl, name: 'I2C SCL' });
         }
 
-        // Analog pins
-        for (let i = 0; i < modelInfo.analog; i++) {
-            pins.push({
-                number: `A${i}`,
-                type: 'analog',
-                pwm: false,
-                analog: true
+        if (pinMap.spi) {
+            ['ss', 'mosi', 'miso', 'sck'].forEach(role => {
+                functions.push({ pin: pinMap.spi[role], name: `SPI ${role.toUpperCase()}` });
             });
         }
 
-        return pins;
+        (pinMap.uart || []).forEach(uart => {
+            const reserved = uart.name === 'Serial' && !pinMap.usbSerial;
+            functions.push({ pin: uart.rx, name: `${uart.name} RX`, reserved });
+            functions.push({ pin: uart.tx, name: `${uart.name} TX`, reserved });
+        });
+
+        if (pinMap.led !== undefined && pinMap.led !== null) {
+            functions.push({ pin: pinMap.led, name: 'LED_BUILTIN' });
+        }
+
+        return functions;
     }
 }
@@ -0,0 +1,836 @@
+import SyntaxHighlighter from '../modules/syntax-highlighter.js';
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+const CLOSING = { ')': '(', ']': '[', '}': '{' };
+
+// Keystrokes closer together than this are undone as one step
+const TYPING_GROUP_MS = 1000;
+
+// Editable sketch buffer: a transparent textarea over the highlighted code, with a gutter
+// for line numbers and compiler diagnostics and a layer for bracket and search marks.
+// Every change goes through commit(), which keeps the undo history and notifies
+// onChange() listeners with { code, version, source, kind }.
+export default class CodeEditor {
+    constructor(options = {}) {
+        this.highlighter = options.highlighter || new SyntaxHighlighter();
+        this.maxHistory = options.maxHistory || 200;
+        this.container = null;
+        this.elements = {};
+
+        this.state = { text: '', selectionStart: 0, selectionEnd: 0 };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastEdit = null;
+        this.version = 0;
+
+        this.diagnostics = [];
+        this.bracketPair = null;
+        this.brackets = { version: -1, list: [] };
+        this.renderedLines = [];
+        this.renderedGutter = '';
+        this.search = { query: '', matchCase: false, regex: false, matches: [], index: -1 };
+
+        this.changeCallbacks = new Set();
+        this.quickFixCallback = null;
+    }
+
+    mount(container) {
+        this.container = container;
+
+        container.innerHTML = `
+            <div class="code-editor">
+                <div class="code-editor-find" data-role="findBar" hidden>
+                    <input type="text" data-role="findInput" placeholder="Find">
+                    <input type="text" data-role="replaceInput" placeholder="Replace">
+                    <label class="option-checkbox">
+                        <input type="checkbox" data-role="matchCase">
+                        <span class="checkmark"></span>
+                        Aa
+                    </label>
+                    <label class="option-checkbox">
+                        <input type="checkbox" data-role="regex">
+                        <span class="checkmark"></span>
+                        .*
+                    </label>
+                    <button class="vita-button small" data-role="findPrevious" title="Previous (Shift+Enter)"><i class="fas fa-arrow-up"></i></button>
+                    <button class="vita-button small" data-role="findNext" title="Next (Enter)"><i class="fas fa-arrow-down"></i></button>
+                    <button class="vita-button small" data-role="replaceOne">Replace</button>
+                    <button class="vita-button small" data-role="replaceAll">All</button>
+                    <span class="code-editor-find-status" data-role="findStatus"></span>
+                    <button class="vita-button small" data-role="closeFind" title="Close (Esc)"><i class="fas fa-times"></i></button>
+                </div>
+                <div class="code-editor-body">
+                    <div class="code-editor-gutter" data-role="gutter"></div>
+                    <div class="code-editor-content">
+                        <div class="code-editor-layer code-editor-marks" data-role="marks" aria-hidden="true"></div>
+                        <div class="code-editor-layer code-editor-highlight" data-role="highlight" aria-hidden="true"></div>
+                        <textarea class="code-editor-input" data-role="input" spellcheck="false"
+                                  autocapitalize="off" autocomplete="off" wrap="off"></textarea>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        ['findBar', 'findInput', 'replaceInput', 'matchCase', 'regex', 'findPrevious', 'findNext', 'replaceOne',
+            'replaceAll', 'findStatus', 'closeFind', 'gutter', 'marks', 'highlight', 'input'].forEach(role => {
+            this.elements[role] = container.querySelector(`[data-role="${role}"]`);
+        });
+
+        this.elements.input.value = this.state.text;
+        this.renderedLines = [];
+        this.renderedGutter = '';
+        this.attachListeners();
+        this.render();
+    }
+
+    attachListeners() {
+        const input = this.elements.input;
+
+        input.addEventListener('keydown', (event) => this.handleKeyDown(event));
+
+        // The textarea's own undo stack does not know about programmatic edits
+        input.addEventListener('beforeinput', (event) => {
+            if (event.inputType === 'historyUndo' || event.inputType === 'historyRedo') {
+                event.preventDefault();
+                if (event.inputType === 'historyUndo') this.undo();
+                else this.redo();
+            }
+        });
+
+        input.addEventListener('input', (event) => {
+            const kind = event.inputType === 'insertText' ? 'typing'
+                : event.inputType === 'deleteContentBackward' || event.inputType === 'deleteContentForward' ? 'deleting'
+                    : 'edit';
+
+            this.commit({
+                text: input.value,
+                selectionStart: input.selectionStart,
+                selectionEnd: input.selectionEnd
+            }, kind, 'input');
+        });
+
+        input.addEventListener('scroll', () => this.syncScroll());
+
+        // Line numbers of diagnostics that carry fixes open them
+        this.elements.gutter.addEventListener('click', (event) => {
+            const row = event.target.closest('[data-line]');
+            if (row) this.requestQuickFixes(parseInt(row.dataset.line, 10));
+        });
+
+        ['select', 'click', 'keyup'].forEach(type => {
+            input.addEventListener(type, () => this.readSelection());
+        });
+
+        this.elements.findInput.addEventListener('input', () => this.find(this.elements.findInput.value, this.readSearchOptions()));
+        [this.elements.matchCase, this.elements.regex].forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.find(this.elements.findInput.value, this.readSearchOptions()));
+        });
+
+        this.elements.findInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                if (event.shiftKey) this.findPrevious();
+                else this.findNext();
+            } else if (event.key === 'Escape') {
+                this.closeFind();
+            }
+        });
+
+        this.elements.replaceInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.replace(this.elements.replaceInput.value);
+            } else if (event.key === 'Escape') {
+                this.closeFind();
+            }
+        });
+
+        this.elements.findNext.addEventListener('click', () => this.findNext());
+        this.elements.findPrevious.addEventListener('click', () => this.findPrevious());
+        this.elements.replaceOne.addEventListener('click', () => this.replace(this.elements.replaceInput.value));
+        this.elements.replaceAll.addEventListener('click', () => this.replaceAll(this.elements.replaceInput.value));
+        this.elements.closeFind.addEventListener('click', () => this.closeFind());
+    }
+
+    handleKeyDown(event) {
+        const modifier = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+
+        if (modifier && key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) this.redo();
+            else this.undo();
+            return;
+        }
+
+        if (modifier && key === 'y') {
+            event.preventDefault();
+            this.redo();
+            return;
+        }
+
+        if (modifier && (key === 'f' || key === 'h')) {
+            event.preventDefault();
+            this.openFind(key === 'h');
+            return;
+        }
+
+        if (event.key === 'Escape' && this.isFindOpen()) {
+            this.closeFind();
+            return;
+        }
+
+        if (modifier || event.altKey) return;
+
+        this.readSelection();
+
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.newLine();
+        } else if (event.key === 'Tab') {
+            event.preventDefault();
+            if (event.shiftKey) this.outdent();
+            else this.indent();
+        } else if (event.key === '}' && this.dedentBeforeClosingBrace()) {
+            event.preventDefault();
+        }
+    }
+
+    // Public API
+
+    getValue() {
+        return this.state.text;
+    }
+
+    // Replaces the whole buffer as one undoable step; resetHistory starts a fresh history
+    setValue(code, options = {}) {
+        if (options.resetHistory) {
+            this.undoStack = [];
+            this.redoStack = [];
+            this.lastEdit = null;
+        }
+
+        if (code === this.state.text) return;
+
+        const cursor = Math.min(this.state.selectionStart, code.length);
+        const next = { text: code, selectionStart: cursor, selectionEnd: cursor };
+
+        if (options.resetHistory) {
+            this.setState(next, 'api', 'edit');
+        } else {
+            this.commit(next, 'edit', 'api');
+        }
+    }
+
+    getSelection() {
+        return { start: this.state.selectionStart, end: this.state.selectionEnd };
+    }
+
+    getCursorPosition() {
+        return this.state.selectionEnd;
+    }
+
+    setSelection(start, end = start) {
+        const length = this.state.text.length;
+        this.state = {
+            ...this.state,
+            selectionStart: Math.max(0, Math.min(start, length)),
+            selectionEnd: Math.max(0, Math.min(end, length))
+        };
+
+        if (this.elements.input) {
+            this.elements.input.setSelectionRange(this.state.selectionStart, this.state.selectionEnd);
+            this.reveal(this.state.selectionStart);
+        }
+        this.updateBracketMatch();
+    }
+
+    // Scroll so the line holding offset is visible, without taking focus from the find bar
+    reveal(offset) {
+        const input = this.elements.input;
+        const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 18;
+        const top = this.state.text.slice(0, offset).split('\n').length * lineHeight - lineHeight;
+
+        if (top < input.scrollTop) {
+            input.scrollTop = top;
+        } else if (top + lineHeight > input.scrollTop + input.clientHeight) {
+            input.scrollTop = top + lineHeight - input.clientHeight;
+        }
+        this.syncScroll();
+    }
+
+    // Inserts text over the selection; cursorOffset places the cursor inside the inserted text
+    insertText(text, cursorOffset = text.length) {
+        const { selectionStart, selectionEnd } = this.state;
+        this.replaceRange(selectionStart, selectionEnd, text, selectionStart + cursorOffset);
+    }
+
+    replaceRange(start, end, text, cursor = start + text.length, kind = 'edit') {
+        this.commit({
+            text: this.state.text.slice(0, start) + text + this.state.text.slice(end),
+            selectionStart: cursor,
+            selectionEnd: cursor
+        }, kind, 'edit');
+    }
+
+    // Several { start, end, text } edits on the current text as one undoable step (quick fixes)
+    applyEdits(edits, kind = 'edit') {
+        if (edits.length === 0) return;
+
+        const sorted = [...edits].sort((a, b) => b.start - a.start);
+        const text = sorted.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), this.state.text);
+        const first = sorted[sorted.length - 1];
+        const cursor = first.start + first.text.length;
+
+        this.commit({ text, selectionStart: cursor, selectionEnd: cursor }, kind, 'edit');
+    }
+
+    onChange(callback) {
+        this.changeCallbacks.add(callback);
+    }
+
+    offChange(callback) {
+        this.changeCallbacks.delete(callback);
+    }
+
+    // Accepts a RealTimeCompiler result ({ errors, warnings }) or a list of diagnostics
+    setDiagnostics(result) {
+        const list = Array.isArray(result)
+            ? result
+            : [
+                ...(result.errors || []).map(diagnostic => ({ ...diagnostic, type: 'error' })),
+                ...(result.warnings || []).map(diagnostic => ({ ...diagnostic, type: diagnostic.type === 'error' ? 'error' : 'warning' }))
+            ];
+
+        this.diagnostics = list.filter(diagnostic => diagnostic.line);
+        this.renderGutter();
+        this.renderCode();
+    }
+
+    // callback({ line, diagnostics, fixes }) when a fixable gutter marker is clicked
+    onQuickFix(callback) {
+        this.quickFixCallback = callback;
+    }
+
+    requestQuickFixes(line) {
+        const diagnostics = this.getLineDiagnostics(line).filter(diagnostic => diagnostic.fixes && diagnostic.fixes.length > 0);
+        if (diagnostics.length === 0 || !this.quickFixCallback) return;
+
+        this.quickFixCallback({ line, diagnostics, fixes: diagnostics.flatMap(diagnostic => diagnostic.fixes) });
+    }
+
+    // Diagnostics of one line, errors first
+    getLineDiagnostics(line) {
+        return this.diagnostics
+            .filter(diagnostic => diagnostic.line === line)
+            .sort((a, b) => (a.type === 'error' ? 0 : 1) - (b.type === 'error' ? 0 : 1));
+    }
+
+    // History
+
+    // Typing and deleting within TYPING_GROUP_MS merge into the step before them
+    commit(next, kind, source) {
+        const now = Date.now();
+        const merge = (kind === 'typing' || kind === 'deleting') && this.lastEdit &&
+            this.lastEdit.kind === kind && now - this.lastEdit.time < TYPING_GROUP_MS;
+
+        if (!merge) {
+            this.undoStack.push(this.state);
+            if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.lastEdit = { kind, time: now };
+        this.setState(next, source, kind);
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return false;
+
+        this.redoStack.push(this.state);
+        this.lastEdit = null;
+        this.setState(this.undoStack.pop(), 'undo', 'history');
+        return true;
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return false;
+
+        this.undoStack.push(this.state);
+        this.lastEdit = null;
+        this.setState(this.redoStack.pop(), 'redo', 'history');
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    setState(state, source, kind) {
+        const changed = state.text !== this.state.text;
+        this.state = state;
+
+        if (this.elements.input) {
+            if (this.elements.input.value !== state.text) this.elements.input.value = state.text;
+            this.elements.input.setSelectionRange(state.selectionStart, state.selectionEnd);
+        }
+
+        if (!changed) {
+            this.updateBracketMatch();
+            return;
+        }
+
+        this.version++;
+        if (this.search.query) this.search.matches = this.findMatches(this.search.query, this.search);
+        this.updateBracketMatch(false);
+        this.render();
+
+        const event = { code: state.text, version: this.version, source, kind };
+        this.changeCallbacks.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('❌ Editor change listener failed:', error);
+            }
+        });
+    }
+
+    readSelection() {
+        const input = this.elements.input;
+        if (!input || input.value !== this.state.text) return;
+
+        if (input.selectionStart !== this.state.selectionStart || input.selectionEnd !== this.state.selectionEnd) {
+            this.state = { ...this.state, selectionStart: input.selectionStart, selectionEnd: input.selectionEnd };
+            this.updateBracketMatch();
+        }
+    }
+
+    // Indentation
+
+    // Two or four spaces, whichever the sketch already uses
+    getIndentUnit() {
+        const widths = this.state.text.split('\n')
+            .map(line => line.match(/^ */)[0].length)
+            .filter(width => width > 0);
+
+        return widths.length > 0 && Math.min(...widths) === 2 ? '  ' : '    ';
+    }
+
+    // Keep the current indentation, one level deeper after '{', and put a '}' that
+    // directly follows the cursor on its own line
+    newLine() {
+        const { text, selectionStart, selectionEnd } = this.state;
+        const lineStart = text.lastIndexOf('\n', selectionStart - 1) + 1;
+        const indent = text.slice(lineStart, selectionStart).match(/^[ \t]*/)[0];
+        const before = text.slice(lineStart, selectionStart).trimEnd();
+        const after = text.slice(selectionEnd);
+        const opensBlock = /[{([]$/.test(before);
+
+        if (opensBlock && /^[ \t]*[})\]]/.test(after)) {
+            const inner = `\n${indent}${this.getIndentUnit()}`;
+            const rest = after.match(/^[ \t]*/)[0].length;
+            this.replaceRange(selectionStart, selectionEnd + rest, `${inner}\n${indent}`, selectionStart + inner.length);
+            return;
+        }
+
+        const insert = `\n${indent}${opensBlock ? this.getIndentUnit() : ''}`;
+        this.replaceRange(selectionStart, selectionEnd, insert);
+    }
+
+    // Tab: insert an indent, or indent every selected line
+    indent() {
+        const { text, selectionStart, selectionEnd } = this.state;
+        const unit = this.getIndentUnit();
+
+        if (!text.slice(selectionStart, selectionEnd).includes('\n')) {
+            this.replaceRange(selectionStart, selectionEnd, unit);
+            return;
+        }
+
+        this.transformLines(line => line.length > 0 ? unit + line : line);
+    }
+
+    outdent() {
+        const unit = this.getIndentUnit();
+        this.transformLines(line => line.startsWith(unit) ? line.slice(unit.length) : line.replace(/^[ \t]+/, ''));
+    }
+
+    // Apply a change to every line touched by the selection and keep those lines selected
+    transformLines(transform) {
+        const { text, selectionStart, selectionEnd } = this.state;
+        const start = text.lastIndexOf('\n', selectionStart - 1) + 1;
+        const endOfLine = text.indexOf('\n', selectionEnd > selectionStart && text[selectionEnd - 1] === '\n' ? selectionEnd - 1 : selectionEnd);
+        const end = endOfLine === -1 ? text.length : endOfLine;
+
+        const block = text.slice(start, end).split('\n').map(transform).join('\n');
+        this.commit({
+            text: text.slice(0, start) + block + text.slice(end),
+            selectionStart: start,
+            selectionEnd: start + block.length
+        }, 'edit', 'edit');
+    }
+
+    // Typing '}' on a line that only holds indentation closes the block one level out
+    dedentBeforeClosingBrace() {
+        const { text, selectionStart, selectionEnd } = this.state;
+        if (selectionStart !== selectionEnd) return false;
+
+        const lineStart = text.lastIndexOf('\n', selectionStart - 1) + 1;
+        const indent = text.slice(lineStart, selectionStart);
+        if (!/^[ \t]+$/.test(indent)) return false;
+
+        const unit = this.getIndentUnit();
+        const reduced = indent.endsWith(unit) ? indent.slice(0, -unit.length) : indent.replace(/[ \t]$/, '');
+        this.replaceRange(lineStart, selectionStart, `${reduced}}`);
+        return true;
+    }
+
+    // Brackets
+
+    // Offsets of the bracket just before offset (or at it) and its partner
+    matchBracket(offset) {
+        const brackets = this.getBrackets();
+
+        const index = [offset - 1, offset]
+            .map(position => brackets.findIndex(token => token.offset === position))
+            .find(found => found !== -1);
+        if (index === undefined) return null;
+
+        const bracket = brackets[index];
+        const forward = Boolean(OPENING[bracket.value]);
+        let depth = 0;
+
+        for (let i = index; forward ? i < brackets.length : i >= 0; i += forward ? 1 : -1) {
+            const token = brackets[i];
+            if (forward ? OPENING[token.value] : CLOSING[token.value]) depth++;
+            else depth--;
+
+            if (depth === 0) {
+                const expected = forward ? OPENING[bracket.value] : CLOSING[bracket.value];
+                return {
+                    open: forward ? bracket.offset : token.offset,
+                    close: forward ? token.offset : bracket.offset,
+                    matched: token.value === expected
+                };
+            }
+        }
+
+        return { open: forward ? bracket.offset : null, close: forward ? null : bracket.offset, matched: false };
+    }
+
+    // Brackets of the buffer, read from the tokens of the last highlight pass (update() only
+    // re-tokenizes changed lines) and kept until the text changes. Strings, character
+    // literals and comments are separate tokens; directive lines are skipped.
+    getBrackets() {
+        if (this.brackets.version === this.version) return this.brackets.list;
+
+        const { tokens } = this.highlighter.update(this.state.text);
+        const list = [];
+        let offset = 0;
+
+        tokens.forEach(lineTokens => {
+            const directive = lineTokens.some(token => token.type === 'preprocessor');
+
+            lineTokens.forEach(token => {
+                if (token.type === 'plain' && !directive) {
+                    Array.from(token.value).forEach((char, index) => {
+                        if (OPENING[char] || CLOSING[char]) list.push({ value: char, offset: offset + index });
+                    });
+                }
+                offset += token.value.length;
+            });
+            offset++;
+        });
+
+        this.brackets = { version: this.version, list };
+        return list;
+    }
+
+    updateBracketMatch(render = true) {
+        const { selectionStart, selectionEnd } = this.state;
+        const pair = selectionStart === selectionEnd ? this.matchBracket(selectionStart) : null;
+        const same = JSON.stringify(pair) === JSON.stringify(this.bracketPair);
+
+        this.bracketPair = pair;
+        if (render && !same) this.renderMarks();
+    }
+
+    // Find and replace
+
+    findMatches(query, options = {}) {
+        if (!query) return [];
+
+        let pattern;
+        try {
+            pattern = new RegExp(options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), options.matchCase ? 'g' : 'gi');
+        } catch (error) {
+            return [];
+        }
+
+        const matches = [];
+        let match;
+        while ((match = pattern.exec(this.state.text)) !== null) {
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            matches.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        return matches;
+    }
+
+    // Highlight every match and select the first one after the cursor
+    find(query, options = {}) {
+        this.search = {
+            query: query,
+            matchCase: Boolean(options.matchCase),
+            regex: Boolean(options.regex),
+            matches: this.findMatches(query, options),
+            index: -1
+        };
+
+        const next = this.search.matches.findIndex(match => match.start >= this.state.selectionStart);
+        this.selectMatch(next === -1 ? 0 : next);
+        return this.search.matches;
+    }
+
+    findNext() {
+        return this.stepMatch(1);
+    }
+
+    findPrevious() {
+        return this.stepMatch(-1);
+    }
+
+    stepMatch(direction) {
+        const matches = this.search.matches;
+        if (matches.length === 0) return null;
+
+        const { selectionStart, selectionEnd } = this.state;
+        let index;
+        if (direction > 0) {
+            index = matches.findIndex(match => match.start >= selectionEnd);
+            if (index === -1) index = 0;
+        } else {
+            index = matches.map(match => match.end <= selectionStart).lastIndexOf(true);
+            if (index === -1) index = matches.length - 1;
+        }
+
+        return this.selectMatch(index);
+    }
+
+    selectMatch(index) {
+        const match = this.search.matches[index];
+        this.search.index = match ? index : -1;
+
+        if (match) this.setSelection(match.start, match.end);
+        this.renderMarks();
+        this.updateFindStatus();
+        return match || null;
+    }
+
+    // Replace the selected match and move to the next one
+    replace(replacement) {
+        const { selectionStart, selectionEnd } = this.state;
+        const current = this.search.matches.find(match => match.start === selectionStart && match.end === selectionEnd);
+        if (!current) return this.findNext();
+
+        const text = this.expandReplacement(this.state.text.slice(current.start, current.end), replacement);
+        this.replaceRange(current.start, current.end, text, current.start + text.length);
+        return this.findNext();
+    }
+
+    // Every match in one undoable step; returns how many were replaced
+    replaceAll(replacement) {
+        const matches = this.search.matches;
+        if (matches.length === 0) return 0;
+
+        let text = '';
+        let last = 0;
+        matches.forEach(match => {
+            text += this.state.text.slice(last, match.start) + this.expandReplacement(this.state.text.slice(match.start, match.end), replacement);
+            last = match.end;
+        });
+        text += this.state.text.slice(last);
+
+        const cursor = Math.min(this.state.selectionStart, text.length);
+        this.commit({ text, selectionStart: cursor, selectionEnd: cursor }, 'replace', 'replace');
+        this.updateFindStatus(`Replaced ${matches.length}`);
+        return matches.length;
+    }
+
+    // $1-style groups in regex mode, literal text otherwise
+    expandReplacement(matched, replacement) {
+        if (!this.search.regex) return replacement;
+        return matched.replace(new RegExp(this.search.query, this.search.matchCase ? '' : 'i'), replacement);
+    }
+
+    openFind(focusReplace = false) {
+        if (!this.elements.findBar) return;
+
+        const { selectionStart, selectionEnd } = this.state;
+        const selected = this.state.text.slice(selectionStart, selectionEnd);
+        if (selected && !selected.includes('\n')) this.elements.findInput.value = selected;
+
+        this.elements.findBar.hidden = false;
+        const field = focusReplace ? this.elements.replaceInput : this.elements.findInput;
+        field.focus();
+        field.select();
+
+        this.find(this.elements.findInput.value, this.readSearchOptions());
+    }
+
+    closeFind() {
+        if (!this.elements.findBar) return;
+
+        this.elements.findBar.hidden = true;
+        this.search = { ...this.search, query: '', matches: [], index: -1 };
+        this.renderMarks();
+        this.elements.input.focus();
+    }
+
+    isFindOpen() {
+        return Boolean(this.elements.findBar && !this.elements.findBar.hidden);
+    }
+
+    readSearchOptions() {
+        return { matchCase: this.elements.matchCase.checked, regex: this.elements.regex.checked };
+    }
+
+    updateFindStatus(message = null) {
+        if (!this.elements.findStatus) return;
+
+        const { matches, index, query } = this.search;
+        this.elements.findStatus.textContent = message ||
+            (!query ? '' : matches.length === 0 ? 'No results' : `${index + 1} of ${matches.length}`);
+    }
+
+    // Rendering
+
+    render() {
+        this.renderCode();
+        this.renderGutter();
+        this.renderMarks();
+    }
+
+    // Only the lines between the unchanged head and tail of the layer are replaced, so
+    // typing on one line rewrites one element
+    renderCode() {
+        if (!this.elements.highlight) return;
+
+        const layer = this.elements.highlight;
+        const { lines } = this.highlighter.update(this.state.text);
+        const next = lines.map((html, index) => {
+            const diagnostics = this.getLineDiagnostics(index + 1);
+            return diagnostics.length > 0
+                ? html.replace('<div class="code-line">', `<div class="code-line has-${diagnostics[0].type}">`)
+                : html;
+        });
+        const previous = layer.children.length === this.renderedLines.length ? this.renderedLines : [];
+        if (previous.length === 0) layer.innerHTML = '';
+
+        let head = 0;
+        while (head < previous.length && head < next.length && previous[head] === next[head]) head++;
+
+        let tail = 0;
+        while (tail < previous.length - head && tail < next.length - head &&
+            previous[previous.length - 1 - tail] === next[next.length - 1 - tail]) tail++;
+
+        Array.from(layer.children).slice(head, previous.length - tail).forEach(child => child.remove());
+
+        const template = document.createElement('template');
+        template.innerHTML = next.slice(head, next.length - tail).join('');
+        layer.insertBefore(template.content, layer.children[head] || null);
+
+        this.renderedLines = next;
+        this.syncScroll();
+    }
+
+    renderGutter() {
+        if (!this.elements.gutter) return;
+
+        const count = this.state.text.split('\n').length;
+        const rows = [];
+        for (let line = 1; line <= count; line++) {
+            const diagnostics = this.getLineDiagnostics(line);
+            const fixable = diagnostics.some(diagnostic => diagnostic.fixes && diagnostic.fixes.length > 0);
+            const marker = diagnostics.length > 0 ? ` ${diagnostics[0].type}${fixable ? ' fixable' : ''}` : '';
+            const messages = diagnostics.map(diagnostic => diagnostic.message);
+            if (fixable) messages.push('Click for quick fixes');
+            const title = diagnostics.length > 0 ? ` title="${this.escape(messages.join('\n'))}"` : '';
+            const data = fixable ? ` data-line="${line}"` : '';
+            rows.push(`<div class="code-editor-line-number${marker}"${title}${data}>${line}</div>`);
+        }
+
+        const html = rows.join('');
+        if (html !== this.renderedGutter) {
+            this.elements.gutter.innerHTML = html;
+            this.renderedGutter = html;
+        }
+        this.syncScroll();
+    }
+
+    // Marks are drawn on a layer under the code: same text, transparent, with <mark> backgrounds
+    renderMarks() {
+        if (!this.elements.marks) return;
+
+        const ranges = this.search.matches.map((match, index) => ({
+            ...match,
+            className: index === this.search.index ? 'code-editor-match current' : 'code-editor-match'
+        }));
+
+        if (this.bracketPair) {
+            const className = this.bracketPair.matched ? 'code-editor-bracket' : 'code-editor-bracket unmatched';
+            [this.bracketPair.open, this.bracketPair.close]
+                .filter(offset => offset !== null)
+                .forEach(offset => ranges.push({ start: offset, end: offset + 1, className }));
+        }
+
+        const text = this.state.text;
+        let lineStart = 0;
+        this.elements.marks.innerHTML = text.split('\n').map(line => {
+            const lineEnd = lineStart + line.length;
+            const inLine = ranges
+                .filter(range => range.start < lineEnd && range.end > lineStart)
+                .sort((a, b) => a.start - b.start);
+
+            let html = '';
+            let position = lineStart;
+            inLine.forEach(range => {
+                const start = Math.max(range.start, position);
+                const end = Math.min(range.end, lineEnd);
+                if (end <= start) return;
+                html += this.escape(text.slice(position, start)) + `<mark class="${range.className}">${this.escape(text.slice(start, end))}</mark>`;
+                position = end;
+            });
+
+            lineStart = lineEnd + 1;
+            return `<div class="code-line">${inLine.length > 0 ? html : ''}</div>`;
+        }).join('');
+        this.syncScroll();
+    }
+
+    syncScroll() {
+        const input = this.elements.input;
+        if (!input) return;
+
+        [this.elements.highlight, this.elements.marks].forEach(layer => {
+            layer.scrollTop = input.scrollTop;
+            layer.scrollLeft = input.scrollLeft;
+        });
+        this.elements.gutter.scrollTop = input.scrollTop;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
@@ -1,20 +1,98 @@
 import ArduinoTemplates from '../modules/arduino-templates.js';
 import AIService from '../modules/ai-service.js';
+import ComponentCatalog from '../modules/component-catalog.js';
+import NLPProcessor from '../modules/nlp-processor.js';
+import SketchComposer from '../modules/sketch-composer.js';
+import PinConfigurator from './pin-configurator.js';
 
 export default class CodeGenerator {
     constructor() {
         this.templates = new ArduinoTemplates();
         this.aiService = new AIService();
+        this.catalog = new ComponentCatalog();
+        this.nlp = new NLPProcessor(this.catalog);
+        this.composer = new SketchComposer();
+        this.pinConfigurator = new PinConfigurator(null, this.catalog);
     }
     
-    async generateFromCommand(command) {
+    // options.nonBlocking asks templates for their millis()-based variant
+    async generateFromCommand(command, model = 'uno', options = {}) {
+        try {
+            await this.pinConfigurator.load();
+        } catch (error) {
+            console.warn('⚠️ Component catalog unavailable:', error);
+        }
+
+        const analysis = this.nlp.analyzeCommand(command);
+
+        // Several parts ("read a DHT22 and show it on an LCD") are merged into one sketch
+        if (analysis.hardware.length > 1) {
+            return this.composeSketch(analysis.hardware, model);
+        }
+
         // First try to match with templates for common patterns
-        const templateCode = this.templates.matchTemplate(command);
+        const templateCode = this.templates.matchTemplate(command, analysis.parameters, options);
         if (templateCode) {
             return templateCode;
         }
+
+        if (analysis.hardware.length === 1) {
+            return this.composeSketch(analysis.hardware, model);
+        }
         
         // If no template matches, use AI service
         return await this.aiService.generateCode(command);
     }
+
+    composeSketch(hardware, model) {
+        const pinMappings = this.assignPins(hardware, model);
+        const snippets = hardware.map((part, index) => this.catalog.render(part.id, pinMappings[index], part.options));
+        return this.composer.compose(snippets).code;
+    }
+
+    // Pins named in the command are kept; default pins that are already taken
+    // move to the next free pin with the same capability on this board
+    assignPins(hardware, model) {
+        const boardPins = this.pinConfigurator.detector.getPinConfiguration(model || 'uno') || [];
+        const used = new Set();
+        const key = pin => String(pin).toUpperCase();
+
+        hardware.forEach(part => Object.values(part.pins).forEach(pin => used.add(key(pin))));
+
+        // I2C parts do not name their pins in code, but the bus pins are still taken
+        const usesI2C = hardware.some(part => this.catalog.get(part.id).pins.some(pin => pin.type === 'sda' || pin.type === 'scl'));
+        if (usesI2C) {
+            boardPins
+                .filter(pin => pin.functions.includes('I2C SDA') || pin.functions.includes('I2C SCL'))
+                .forEach(pin => used.add(key(pin.number)));
+        }
+
+        const findFree = type => {
+            const candidates = boardPins.filter(pin =>
+                !used.has(key(pin.number)) && !pin.reserved && this.pinConfigurator.pinSupports(pin, type));
+
+            // Keep bus and LED pins for last
+            const plain = candidates.find(pin => pin.functions.length === 0);
+            return plain || candidates[0] || null;
+        };
+
+        return hardware.map(part => {
+            const mapping = { ...part.pins };
+
+            this.catalog.get(part.id).pins
+                .filter(pin => pin.default !== undefined && mapping[pin.name] === undefined)
+                .forEach(pin => {
+                    let chosen = pin.default;
+                    if (used.has(key(chosen))) {
+                        const free = findFree(pin.type);
+                        if (free) chosen = free.number;
+                    }
+
+                    mapping[pin.name] = chosen;
+                    used.add(key(chosen));
+                });
+
+            return mapping;
+        });
+    }
 }
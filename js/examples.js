@@ -1,56 +1,55 @@
+import ArduinoTemplates from '../modules/arduino-templates.js';
+
 export default class Examples {
-    constructor() {
-        this.examples = [
-            {
-                title: "Blink LED",
-                command: "Blink an LED connected to pin 13 with 1 second intervals",
-                category: "basic"
-            },
-            {
-                title: "Control Servo",
-                command: "Create code to control a servo motor that sweeps from 0 to 180 degrees",
-                category: "motors"
-            },
-            {
-                title: "Read Temperature",
-                command: "Read temperature from a DHT11 sensor and display it in serial monitor",
-                category: "sensors"
-            },
-            {
-                title: "RGB LED",
-                command: "Cycle through colors on an RGB LED with smooth transitions",
-                category: "leds"
-            },
-            {
-                title: "Distance Meter",
-                command: "Measure distance with HC-SR04 sensor and print to serial",
-                category: "sensors"
-            }
-        ];
+    constructor(templates = null) {
+        // Examples come from the template catalog, so every chip has a template behind it
+        this.templates = templates || new ArduinoTemplates();
     }
-    
-    loadExamples() {
+
+    // filter is passed to ArduinoTemplates.listTemplates: { tag, category, difficulty, architecture }
+    loadExamples(filter = {}) {
+        const examples = this.templates.listTemplates(filter);
         const container = document.getElementById('examplesContainer');
         container.innerHTML = `
             <div class="examples-title">Try these examples:</div>
             <div class="example-list">
-                ${this.examples.map(example => `
-                    <div class="example-chip" data-command="${example.command}">
-                        ${example.title}
+                ${examples.map(example => `
+                    <div class="example-chip" data-command="${this.escape(example.example)}" data-template="${example.id}"
+                         data-category="${example.category}" data-difficulty="${example.difficulty}"
+                         title="${this.escape(this.describe(example))}">
+                        ${this.escape(example.name)}
                     </div>
                 `).join('')}
             </div>
         `;
-        
+
         this.attachExampleListeners();
     }
-    
+
+    describe(example) {
+        return [
+            example.description,
+            `Difficulty: ${example.difficulty}`,
+            `Components: ${example.components.join(', ')}`,
+            example.libraries.length > 0 ? `Libraries: ${example.libraries.join(', ')}` : null,
+            example.architectures ? `Boards: ${example.architectures.join(', ')} only` : null
+        ].filter(Boolean).join('\n');
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
     attachExampleListeners() {
         document.querySelectorAll('.example-chip').forEach(chip => {
             chip.addEventListener('click', () => {
                 const command = chip.getAttribute('data-command');
                 const event = new CustomEvent('exampleSelected', {
-                    detail: { command }
+                    detail: { command, template: chip.getAttribute('data-template') }
                 });
                 document.dispatchEvent(event);
             });
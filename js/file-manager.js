@@ -1,6 +1,12 @@
+import IntelHex from '../modules/intel-hex.js';
+
 export default class FileManager {
-    copyToClipboard() {
-        const code = document.getElementById('codeOutput').textContent;
+    constructor() {
+        this.intelHex = new IntelHex();
+    }
+
+    // code: the editor buffer from UIManager.getCode()
+    copyToClipboard(code) {
         navigator.clipboard.writeText(code)
             .then(() => {
                 this.showNotification('Code copied to clipboard!', 'success');
@@ -10,8 +16,7 @@ export default class FileManager {
             });
     }
     
-    exportCode() {
-        const code = document.getElementById('codeOutput').textContent;
+    exportCode(code) {
         const blob = new Blob([code], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
         
@@ -26,6 +31,49 @@ export default class FileManager {
         this.showNotification('Code exported successfully!', 'success');
     }
     
+    // Save a compiled firmware image as an Intel HEX file
+    exportHex(image, filename = 'arduino_sketch.hex') {
+        const hex = this.intelHex.serialize(image);
+        const blob = new Blob([hex], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        this.showNotification('Firmware exported successfully!', 'success');
+    }
+    
+    // Let the user pick a compiled .hex file; resolves to { name, image } or null when cancelled
+    openHex() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.hex,.ihx';
+            
+            input.addEventListener('cancel', () => resolve(null));
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+                
+                try {
+                    resolve({ name: file.name, image: this.intelHex.parse(await file.text()) });
+                } catch (error) {
+                    reject(new Error(`${file.name} is not a valid Intel HEX file: ${error.message}`));
+                }
+            });
+            
+            input.click();
+        });
+    }
+    
     showNotification(message, type) {
         // Implementation for showing notifications
         console.log(`${type}: ${message}`);
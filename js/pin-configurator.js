@@ -1,37 +1,25 @@
+import ArduinoDetector from './arduino-detector.js';
+import ComponentCatalog from '../modules/component-catalog.js';
+import SketchComposer from '../modules/sketch-composer.js';
+
 export default class PinConfigurator {
-    constructor() {
-        this.components = {
-            'lcd': {
-                name: 'Character LCD 16x2',
-                pins: [
-                    { name: 'VSS', type: 'power', required: true, description: 'Ground' },
-                    { name: 'VDD', type: 'power', required: true, description: '5V Power' },
-                    { name: 'VO', type: 'potentiometer', required: false, description: 'Contrast' },
-                    { name: 'RS', type: 'digital', required: true, description: 'Register Select' },
-                    { name: 'RW', type: 'digital', required: false, description: 'Read/Write (Connect to GND)' },
-                    { name: 'E', type: 'digital', required: true, description: 'Enable' },
-                    { name: 'D4', type: 'digital', required: true, description: 'Data Bit 4' },
-                    { name: 'D5', type: 'digital', required: true, description: 'Data Bit 5' },
-                    { name: 'D6', type: 'digital', required: true, description: 'Data Bit 6' },
-                    { name: 'D7', type: 'digital', required: true, description: 'Data Bit 7' },
-                    { name: 'A', type: 'power', required: false, description: 'Backlight Anode' },
-                    { name: 'K', type: 'power', required: false, description: 'Backlight Cathode' }
-                ]
-            },
-            'servo': {
-                name: 'Servo Motor',
-                pins: [
-                    { name: 'Signal', type: 'digital', required: true, description: 'PWM Signal Pin' },
-                    { name: 'VCC', type: 'power', required: true, description: '5V Power' },
-                    { name: 'GND', type: 'power', required: true, description: 'Ground' }
-                ]
-            }
-            // Add more components...
-        };
+    constructor(detector = null, catalog = null) {
+        this.detector = detector || new ArduinoDetector();
+        // Component pin roles and code snippets come from components/*.json
+        this.catalog = catalog || new ComponentCatalog();
+        this.composer = new SketchComposer();
+    }
+
+    async load() {
+        await Promise.all([this.detector.registry.load(), this.catalog.load()]);
+    }
+
+    getComponents() {
+        return this.catalog.getAll();
     }
 
     generatePinMapping(component, arduinoModel) {
-        const comp = this.components[component];
+        const comp = this.catalog.get(component);
         if (!comp) return null;
 
         let html = '<div class="pin-mapping">';
@@ -43,7 +31,7 @@ export default class PinConfigurator {
                     <span class="pin-desc">${pin.description}</span>
                     <select class="pin-selector" data-pin="${pin.name}">
                         <option value="">Select Pin</option>
-                        ${this.generatePinOptions(arduinoModel, pin.type)}
+                        ${this.generatePinOptions(arduinoModel, pin.type, pin.default)}
                     </select>
                 </div>
             `;
@@ -53,66 +41,99 @@ export default class PinConfigurator {
         return html;
     }
 
-    generatePinOptions(arduinoModel, pinType) {
-        // This would generate options based on Arduino model and pin type
-        let options = '';
-        
-        if (pinType === 'digital') {
-            for (let i = 2; i <= 13; i++) {
-                options += `<option value="${i}">Digital ${i}</option>`;
-            }
-        } else if (pinType === 'power') {
-            options = `
+    // Only offer pins that can do what the component pin needs. Reserved pins
+    // (USB serial) stay selectable but are labelled so the clash is visible.
+    generatePinOptions(arduinoModel, pinType, selected = null) {
+        if (pinType === 'power') {
+            return `
                 <option value="5v">5V</option>
                 <option value="3.3v">3.3V</option>
                 <option value="gnd">GND</option>
             `;
         }
 
-        return options;
+        const pins = this.detector.getPinConfiguration(arduinoModel || 'uno') || [];
+
+        return pins
+            .filter(pin => this.pinSupports(pin, pinType))
+            .map(pin => {
+                const isSelected = selected !== null && selected !== undefined && String(selected) === String(pin.number);
+                return `<option value="${pin.number}"${isSelected ? ' selected' : ''}>${this.describePin(pin)}</option>`;
+            })
+            .join('');
     }
 
-    generateCodeFromConfig(component, pinMapping) {
-        if (component === 'lcd') {
-            return this.generateLcdCode(pinMapping);
+    pinSupports(pin, pinType) {
+        switch (pinType) {
+            case 'digital':
+            case 'output':
+                return pin.digital && !pin.inputOnly;
+            case 'input':
+                return pin.digital;
+            case 'pwm':
+                return pin.pwm;
+            case 'analog':
+                return pin.analog;
+            case 'interrupt':
+                return pin.interrupt !== null;
+            case 'sda':
+            case 'scl':
+                return pin.functions.includes(`I2C ${pinType.toUpperCase()}`);
+            default:
+                return false;
         }
-        // Add other components...
     }
 
-    generateLcdCode(pinMapping) {
-        const rs = pinMapping.RS || '12';
-        const en = pinMapping.E || '11';
-        const d4 = pinMapping.D4 || '5';
-        const d5 = pinMapping.D5 || '4';
-        const d6 = pinMapping.D6 || '3';
-        const d7 = pinMapping.D7 || '2';
-
-        return `// LCD Display Code - Generated by VitaCoder Pro
-#include <LiquidCrystal.h>
-
-// Initialize LCD with pin configuration
-LiquidCrystal lcd(${rs}, ${en}, ${d4}, ${d5}, ${d6}, ${d7});
-
-void setup() {
-  // Initialize LCD
-  lcd.begin(16, 2);
-  
-  // Display welcome message
-  lcd.setCursor(0, 0);
-  lcd.print("Cyberzilla™ Presents");
-  lcd.setCursor(0, 1);
-  lcd.print("VitaCoder Pro");
-  
-  delay(2000);
-  lcd.clear();
-}
+    describePin(pin) {
+        const notes = [];
+
+        if (pin.type === 'digital' && pin.adcChannel) notes.push(pin.adcChannel);
+        if (pin.pwm) notes.push('PWM');
+        if (pin.interrupt !== null) notes.push(`INT${pin.interrupt}`);
+        pin.functions.filter(name => name !== pin.reserved).forEach(name => notes.push(name));
+        if (pin.inputOnly) notes.push('input only');
+
+        const name = pin.type === 'analog' ? `Analog ${pin.number}` : `Digital ${pin.number}`;
+        const warning = pin.reserved ? ` ⚠️ used by ${pin.reserved}` : '';
+
+        return notes.length > 0 ? `${name} (${notes.join(', ')})${warning}` : `${name}${warning}`;
+    }
+
+    // Read the pins chosen in a mapping rendered by generatePinMapping()
+    readPinMapping(container) {
+        const mapping = {};
+
+        container.querySelectorAll('.pin-selector').forEach(select => {
+            if (select.value) {
+                mapping[select.dataset.pin] = select.value;
+            }
+        });
+
+        return mapping;
+    }
+
+    // Signal pins of a configured component, in the form PinConflictChecker.analyze() expects
+    getPinUsage(component, pinMapping, index = 0) {
+        const comp = this.catalog.get(component);
+        if (!comp) return [];
+
+        return comp.pins
+            .filter(pin => pin.type !== 'power' && pinMapping[pin.name])
+            .map(pin => ({
+                component: component,
+                index: index,
+                name: comp.name,
+                role: pin.name,
+                type: pin.type,
+                pin: pinMapping[pin.name]
+            }));
+    }
+
+    // Standalone sketch for one configured component, built from its catalog snippet
+    generateCodeFromConfig(component, pinMapping, options = {}) {
+        if (!this.catalog.get(component)) return null;
 
-void loop() {
-  // Your main code here
-  lcd.setCursor(0, 0);
-  lcd.print("Line 1 Text");
-  lcd.setCursor(0, 1);
-  lcd.print("Line 2 Text");
-}`;
+        const snippet = this.catalog.render(component, pinMapping, options);
+        return this.composer.compose([snippet]).code;
     }
 }
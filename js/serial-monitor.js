@@ -0,0 +1,317 @@
+export default class SerialMonitor {
+    constructor(usbDetector, options = {}) {
+        this.usbDetector = usbDetector;
+        this.uiManager = options.uiManager || null;
+        this.container = null;
+        this.elements = {};
+        this.maxLines = options.maxLines || 1000;
+        this.isRunning = false;
+
+        this.lineEndings = {
+            'none': '',
+            'nl': '\n',
+            'cr': '\r',
+            'both': '\r\n'
+        };
+
+        this.settings = {
+            lineEnding: 'nl',
+            timestamps: true,
+            hexView: false,
+            autoscroll: true
+        };
+
+        // Completed lines and the line currently being received
+        this.lines = [];
+        this.partial = [];
+        this.partialTimestamp = null;
+        this.partialElement = null;
+
+        this.dataHandler = (bytes) => this.handleData(bytes);
+    }
+
+    mount(container) {
+        this.container = container;
+
+        const baudOptions = [...this.usbDetector.commonBaudRates]
+            .sort((a, b) => a - b)
+            .map(rate => `<option value="${rate}">${rate} baud</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <div class="serial-monitor">
+                <div class="serial-toolbar">
+                    <select class="model-selector" data-role="baud">${baudOptions}</select>
+                    <select class="model-selector" data-role="lineEnding">
+                        <option value="none">No line ending</option>
+                        <option value="nl">Newline</option>
+                        <option value="cr">Carriage return</option>
+                        <option value="both">Both NL &amp; CR</option>
+                    </select>
+                    <label class="option-checkbox">
+                        <input type="checkbox" data-role="timestamps">
+                        <span class="checkmark"></span>
+                        Timestamps
+                    </label>
+                    <label class="option-checkbox">
+                        <input type="checkbox" data-role="hexView">
+                        <span class="checkmark"></span>
+                        Hex
+                    </label>
+                    <label class="option-checkbox">
+                        <input type="checkbox" data-role="autoscroll">
+                        <span class="checkmark"></span>
+                        Autoscroll
+                    </label>
+                    <button class="vita-button small" data-role="clear">
+                        <i class="fas fa-eraser"></i>
+                        Clear
+                    </button>
+                </div>
+                <div class="serial-output" data-role="output"></div>
+                <div class="serial-input">
+                    <input type="text" data-role="input" placeholder="Message to send to the board">
+                    <button class="vita-button small primary" data-role="send">
+                        <i class="fas fa-paper-plane"></i>
+                        Send
+                    </button>
+                </div>
+            </div>
+        `;
+
+        ['baud', 'lineEnding', 'timestamps', 'hexView', 'autoscroll', 'clear', 'output', 'input', 'send'].forEach(role => {
+            this.elements[role] = container.querySelector(`[data-role="${role}"]`);
+        });
+
+        this.syncControls();
+        this.attachListeners();
+    }
+
+    syncControls() {
+        this.elements.baud.value = String(this.usbDetector.baudRate || this.usbDetector.defaultBaudRate);
+        this.elements.lineEnding.value = this.settings.lineEnding;
+        this.elements.timestamps.checked = this.settings.timestamps;
+        this.elements.hexView.checked = this.settings.hexView;
+        this.elements.autoscroll.checked = this.settings.autoscroll;
+    }
+
+    attachListeners() {
+        this.elements.baud.addEventListener('change', () => {
+            this.changeBaudRate(parseInt(this.elements.baud.value, 10));
+        });
+
+        this.elements.lineEnding.addEventListener('change', () => {
+            this.settings.lineEnding = this.elements.lineEnding.value;
+        });
+
+        ['timestamps', 'hexView'].forEach(setting => {
+            this.elements[setting].addEventListener('change', () => {
+                this.settings[setting] = this.elements[setting].checked;
+                this.render();
+            });
+        });
+
+        this.elements.autoscroll.addEventListener('change', () => {
+            this.settings.autoscroll = this.elements.autoscroll.checked;
+            this.scrollToBottom();
+        });
+
+        this.elements.clear.addEventListener('click', () => this.clear());
+
+        this.elements.send.addEventListener('click', () => this.sendInput());
+        this.elements.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.sendInput();
+            }
+        });
+    }
+
+    // Start streaming from the connected board
+    async start() {
+        if (this.isRunning) return;
+
+        this.usbDetector.onData(this.dataHandler);
+        await this.usbDetector.startReadLoop();
+        this.isRunning = true;
+
+        console.log('🖥️ Serial monitor started');
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+
+        this.usbDetector.offData(this.dataHandler);
+        this.isRunning = false;
+
+        // Keep the port streaming if another view (e.g. the plotter) still listens
+        if (this.usbDetector.dataCallbacks.size === 0) {
+            await this.usbDetector.stopReadLoop();
+        }
+
+        console.log('🖥️ Serial monitor stopped');
+    }
+
+    handleData(bytes) {
+        for (const byte of bytes) {
+            if (this.partial.length === 0) {
+                this.partialTimestamp = new Date();
+            }
+
+            this.partial.push(byte);
+
+            if (byte === 0x0A) {
+                this.commitLine();
+            }
+        }
+
+        this.updatePartialLine();
+    }
+
+    commitLine() {
+        const entry = {
+            timestamp: this.partialTimestamp,
+            bytes: Uint8Array.from(this.partial)
+        };
+
+        this.partial = [];
+        this.partialTimestamp = null;
+        this.lines.push(entry);
+
+        if (this.elements.output) {
+            const element = this.partialElement || this.createLineElement();
+            this.fillLineElement(element, entry);
+            this.partialElement = null;
+
+            if (!element.parentNode) {
+                this.elements.output.appendChild(element);
+            }
+        }
+
+        // Drop the oldest lines once the buffer is full
+        while (this.lines.length > this.maxLines) {
+            this.lines.shift();
+            if (this.elements.output && this.elements.output.firstChild) {
+                this.elements.output.removeChild(this.elements.output.firstChild);
+            }
+        }
+    }
+
+    // Show a line that has not been terminated yet
+    updatePartialLine() {
+        if (!this.elements.output) return;
+
+        if (this.partial.length === 0) {
+            this.scrollToBottom();
+            return;
+        }
+
+        if (!this.partialElement) {
+            this.partialElement = this.createLineElement();
+            this.elements.output.appendChild(this.partialElement);
+        }
+
+        this.fillLineElement(this.partialElement, {
+            timestamp: this.partialTimestamp,
+            bytes: Uint8Array.from(this.partial)
+        });
+
+        this.scrollToBottom();
+    }
+
+    createLineElement() {
+        const line = document.createElement('div');
+        line.className = 'serial-line';
+        return line;
+    }
+
+    // Text is set through textContent so board output can never inject markup
+    fillLineElement(element, entry) {
+        element.textContent = '';
+
+        if (this.settings.timestamps && entry.timestamp) {
+            const timestamp = document.createElement('span');
+            timestamp.className = 'serial-timestamp';
+            timestamp.textContent = `${this.formatTimestamp(entry.timestamp)} -> `;
+            element.appendChild(timestamp);
+        }
+
+        const text = document.createElement('span');
+        text.className = 'serial-text';
+        text.textContent = this.formatBytes(entry.bytes);
+        element.appendChild(text);
+    }
+
+    formatTimestamp(date) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    formatBytes(bytes) {
+        if (this.settings.hexView) {
+            return Array.from(bytes)
+                .map(byte => byte.toString(16).padStart(2, '0').toUpperCase())
+                .join(' ');
+        }
+
+        return new TextDecoder().decode(bytes).replace(/\r?\n$/, '');
+    }
+
+    // Redraw everything after a view setting changed
+    render() {
+        if (!this.elements.output) return;
+
+        this.elements.output.textContent = '';
+        this.partialElement = null;
+
+        this.lines.forEach(entry => {
+            const element = this.createLineElement();
+            this.fillLineElement(element, entry);
+            this.elements.output.appendChild(element);
+        });
+
+        this.updatePartialLine();
+    }
+
+    scrollToBottom() {
+        if (this.settings.autoscroll && this.elements.output) {
+            this.elements.output.scrollTop = this.elements.output.scrollHeight;
+        }
+    }
+
+    clear() {
+        this.lines = [];
+        this.partial = [];
+        this.partialTimestamp = null;
+        this.render();
+    }
+
+    async sendInput() {
+        const message = this.elements.input.value;
+
+        try {
+            await this.send(message);
+            this.elements.input.value = '';
+        } catch (error) {
+            console.error('❌ Serial send failed:', error);
+        }
+    }
+
+    async send(message) {
+        const ending = this.lineEndings[this.settings.lineEnding] ?? '';
+        await this.usbDetector.writeData(message + ending);
+    }
+
+    async changeBaudRate(baudRate) {
+        try {
+            await this.usbDetector.setBaudRate(baudRate);
+            console.log(`📊 Serial monitor switched to ${baudRate} baud`);
+        } catch (error) {
+            console.error('❌ Baud rate change failed:', error);
+
+            // Keep the selector in sync with the rate the port is still open at
+            this.elements.baud.value = String(this.usbDetector.baudRate || this.usbDetector.defaultBaudRate);
+            this.uiManager?.showNotification(`Could not switch to ${baudRate} baud: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,325 @@
+export default class SerialPlotter {
+    constructor(usbDetector, options = {}) {
+        this.usbDetector = usbDetector;
+        this.container = null;
+        this.elements = {};
+        this.maxPoints = options.maxPoints || 500;
+        this.maxHistory = options.maxHistory || 10000;
+        this.isRunning = false;
+        this.isPaused = false;
+
+        // Series names in order of first appearance, and the samples that feed them
+        this.seriesNames = [];
+        this.samples = [];
+        this.history = [];
+
+        this.pendingText = '';
+        this.decoder = new TextDecoder();
+        this.drawScheduled = false;
+
+        this.colors = ['#7877c6', '#ff6b6b', '#4ecdc4', '#ffd166', '#06d6a0', '#ef476f', '#118ab2', '#f78c6b'];
+
+        this.dataHandler = (bytes) => this.handleData(bytes);
+    }
+
+    mount(container) {
+        this.container = container;
+
+        container.innerHTML = `
+            <div class="serial-plotter">
+                <div class="serial-toolbar">
+                    <button class="vita-button small" data-role="pause">
+                        <i class="fas fa-pause"></i>
+                        <span>Pause</span>
+                    </button>
+                    <button class="vita-button small" data-role="clear">
+                        <i class="fas fa-eraser"></i>
+                        Clear
+                    </button>
+                    <button class="vita-button small" data-role="export">
+                        <i class="fas fa-file-csv"></i>
+                        Export CSV
+                    </button>
+                    <div class="plotter-legend" data-role="legend"></div>
+                </div>
+                <canvas class="plotter-canvas" data-role="canvas" width="800" height="300"></canvas>
+            </div>
+        `;
+
+        ['pause', 'clear', 'export', 'legend', 'canvas'].forEach(role => {
+            this.elements[role] = container.querySelector(`[data-role="${role}"]`);
+        });
+
+        this.elements.pause.addEventListener('click', () => this.togglePause());
+        this.elements.clear.addEventListener('click', () => this.clear());
+        this.elements.export.addEventListener('click', () => this.exportCSV());
+
+        this.draw();
+    }
+
+    // Subscribe to the same stream as the serial monitor
+    async start() {
+        if (this.isRunning) return;
+
+        this.usbDetector.onData(this.dataHandler);
+        await this.usbDetector.startReadLoop();
+        this.isRunning = true;
+
+        console.log('📈 Serial plotter started');
+    }
+
+    async stop() {
+        if (!this.isRunning) return;
+
+        this.usbDetector.offData(this.dataHandler);
+        this.isRunning = false;
+
+        if (this.usbDetector.dataCallbacks.size === 0) {
+            await this.usbDetector.stopReadLoop();
+        }
+
+        console.log('📈 Serial plotter stopped');
+    }
+
+    handleData(bytes) {
+        this.pendingText += this.decoder.decode(bytes, { stream: true });
+
+        const lines = this.pendingText.split('\n');
+        this.pendingText = lines.pop();
+
+        lines.forEach(line => {
+            const values = this.parseLine(line);
+            if (values) {
+                this.addSample(values);
+            }
+        });
+    }
+
+    // Accepts "1 2 3", "1,2,3", tab separated values and "label:value" pairs.
+    // Lines without any number (e.g. "Starting...") are ignored.
+    parseLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return null;
+
+        const tokens = trimmed.replace(/:\s+/g, ':').split(/[,\t ]+/).filter(Boolean);
+        const values = {};
+        let found = false;
+
+        tokens.forEach((token, index) => {
+            const separator = token.lastIndexOf(':');
+            const label = separator > 0 ? token.slice(0, separator) : `value ${index + 1}`;
+            const raw = separator > 0 ? token.slice(separator + 1) : token;
+            const value = Number(raw);
+
+            if (raw !== '' && Number.isFinite(value)) {
+                values[label] = value;
+                found = true;
+            }
+        });
+
+        return found ? values : null;
+    }
+
+    addSample(values) {
+        Object.keys(values).forEach(name => {
+            if (!this.seriesNames.includes(name)) {
+                this.seriesNames.push(name);
+                this.updateLegend();
+            }
+        });
+
+        const sample = { timestamp: Date.now(), values };
+
+        this.history.push(sample);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+
+        // While paused the view stays frozen, but data is still recorded for export
+        if (!this.isPaused) {
+            this.samples.push(sample);
+            if (this.samples.length > this.maxPoints) {
+                this.samples.shift();
+            }
+            this.scheduleDraw();
+        }
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+
+        if (!this.isPaused) {
+            // Catch up with what arrived while paused
+            this.samples = this.history.slice(-this.maxPoints);
+            this.scheduleDraw();
+        }
+
+        if (this.elements.pause) {
+            this.elements.pause.querySelector('i').className = this.isPaused ? 'fas fa-play' : 'fas fa-pause';
+            this.elements.pause.querySelector('span').textContent = this.isPaused ? 'Resume' : 'Pause';
+        }
+    }
+
+    clear() {
+        this.seriesNames = [];
+        this.samples = [];
+        this.history = [];
+        this.pendingText = '';
+        this.updateLegend();
+        this.draw();
+    }
+
+    colorFor(name) {
+        return this.colors[this.seriesNames.indexOf(name) % this.colors.length];
+    }
+
+    updateLegend() {
+        const legend = this.elements.legend;
+        if (!legend) return;
+
+        legend.textContent = '';
+
+        this.seriesNames.forEach(name => {
+            const item = document.createElement('span');
+            item.className = 'plotter-legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'plotter-swatch';
+            swatch.style.background = this.colorFor(name);
+
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(name));
+            legend.appendChild(item);
+        });
+    }
+
+    scheduleDraw() {
+        if (this.drawScheduled || !this.elements.canvas) return;
+
+        this.drawScheduled = true;
+        requestAnimationFrame(() => {
+            this.drawScheduled = false;
+            this.draw();
+        });
+    }
+
+    // Auto-scale to the visible samples, padded so lines don't touch the edges
+    getScale() {
+        let min = Infinity;
+        let max = -Infinity;
+
+        this.samples.forEach(sample => {
+            Object.values(sample.values).forEach(value => {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            });
+        });
+
+        if (min === Infinity) {
+            return { min: -1, max: 1 };
+        }
+
+        if (min === max) {
+            return { min: min - 1, max: max + 1 };
+        }
+
+        const padding = (max - min) * 0.1;
+        return { min: min - padding, max: max + padding };
+    }
+
+    draw() {
+        const canvas = this.elements.canvas;
+        if (!canvas) return;
+
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const left = 50;
+        const plotWidth = width - left - 10;
+        const plotHeight = height - 20;
+        const { min, max } = this.getScale();
+
+        const toY = (value) => 10 + plotHeight - ((value - min) / (max - min)) * plotHeight;
+        const toX = (index) => left + (index / Math.max(1, this.maxPoints - 1)) * plotWidth;
+
+        context.clearRect(0, 0, width, height);
+
+        // Grid and axis labels
+        context.strokeStyle = 'rgba(120, 119, 198, 0.2)';
+        context.fillStyle = '#a0a0c0';
+        context.font = '10px monospace';
+        context.lineWidth = 1;
+
+        for (let i = 0; i <= 4; i++) {
+            const value = min + (max - min) * (i / 4);
+            const y = toY(value);
+
+            context.beginPath();
+            context.moveTo(left, y);
+            context.lineTo(width - 10, y);
+            context.stroke();
+            context.fillText(this.formatTick(value), 2, y + 3);
+        }
+
+        // One polyline per series; missing values break the line
+        context.lineWidth = 1.5;
+
+        this.seriesNames.forEach(name => {
+            context.strokeStyle = this.colorFor(name);
+            context.beginPath();
+
+            let drawing = false;
+            this.samples.forEach((sample, index) => {
+                const value = sample.values[name];
+
+                if (value === undefined) {
+                    drawing = false;
+                    return;
+                }
+
+                if (drawing) {
+                    context.lineTo(toX(index), toY(value));
+                } else {
+                    context.moveTo(toX(index), toY(value));
+                    drawing = true;
+                }
+            });
+
+            context.stroke();
+        });
+    }
+
+    formatTick(value) {
+        return Math.abs(value) >= 1000 || Number.isInteger(value)
+            ? value.toFixed(0)
+            : value.toFixed(2);
+    }
+
+    toCSV() {
+        const header = ['timestamp', ...this.seriesNames].map(name => this.escapeCSV(name)).join(',');
+
+        const rows = this.history.map(sample => [
+            new Date(sample.timestamp).toISOString(),
+            ...this.seriesNames.map(name => sample.values[name] ?? '')
+        ].join(','));
+
+        return [header, ...rows].join('\n') + '\n';
+    }
+
+    escapeCSV(field) {
+        return /[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    }
+
+    exportCSV() {
+        const blob = new Blob([this.toCSV()], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'serial_plot.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -1,14 +1,22 @@
 import SyntaxHighlighter from '../modules/syntax-highlighter.js';
+import CodeEditor from './code-editor.js';
 
 export default class UIManager {
     constructor() {
         this.syntaxHighlighter = new SyntaxHighlighter();
+        this.codeEditor = new CodeEditor({ highlighter: this.syntaxHighlighter });
+        this.quickFixPanel = null;
     }
     
     initializeUI() {
         this.createStatusBar();
         this.createActionButtons();
         this.createDPadControls();
+        this.createCodeEditor();
+    }
+    
+    createCodeEditor() {
+        this.codeEditor.mount(document.getElementById('codeOutput'));
     }
     
     createStatusBar() {
@@ -46,6 +54,14 @@ export default class UIManager {
                 <i class="fas fa-download"></i>
                 <span>Export</span>
             </button>
+            <button class="vita-button secondary" id="loadHexBtn">
+                <i class="fas fa-file-import"></i>
+                <span>Load HEX</span>
+            </button>
+            <button class="vita-button secondary" id="uploadBtn" title="Load a compiled .hex file first" disabled>
+                <i class="fas fa-upload"></i>
+                <span>Upload</span>
+            </button>
         `;
         
         secondaryActions.innerHTML = `
@@ -81,7 +97,8 @@ export default class UIManager {
         `;
     }
     
-    showLoading() {
+    showLoading(message = null) {
+        if (message) this.setLoadingMessage(message);
         document.getElementById('loadingIndicator').style.display = 'block';
         document.getElementById('codeOutput').style.opacity = '0.5';
     }
@@ -91,12 +108,115 @@ export default class UIManager {
         document.getElementById('codeOutput').style.opacity = '1';
     }
     
+    // Upload stays disabled until a compiled firmware image is loaded
+    setUploadReady(firmware) {
+        const uploadBtn = document.getElementById('uploadBtn');
+        if (!uploadBtn) return;
+        
+        uploadBtn.disabled = !firmware;
+        uploadBtn.title = firmware ? `Upload ${firmware.name}` : 'Load a compiled .hex file first';
+    }
+    
+    // Progress events from the bootloader uploaders: { stage, current, total, percent }
+    updateUploadProgress(progress) {
+        const labels = {
+            reset: 'Resetting board...',
+            sync: 'Waiting for bootloader...',
+            erase: 'Erasing flash...',
+            write: 'Writing flash',
+            verify: 'Verifying flash',
+            done: 'Upload complete'
+        };
+        
+        const label = labels[progress.stage] || progress.stage;
+        const message = progress.total > 0 && progress.stage !== 'done' ? `${label} ${progress.percent}%` : label;
+        
+        this.setLoadingMessage(message);
+    }
+    
+    setLoadingMessage(message) {
+        const label = document.querySelector('#loadingIndicator div:last-child');
+        if (label) label.textContent = message;
+    }
+    
     displayCode(code) {
+        // Goes through the editor history, so a generated or fixed sketch can be undone
+        if (this.codeEditor.container) {
+            this.codeEditor.setValue(code);
+            return;
+        }
+        
         const codeOutput = document.getElementById('codeOutput');
         const formattedCode = this.syntaxHighlighter.highlight(code);
         codeOutput.innerHTML = formattedCode;
     }
     
+    getCode() {
+        if (this.codeEditor.container) return this.codeEditor.getValue();
+        return document.getElementById('codeOutput').textContent;
+    }
+    
+    // Gutter markers and the counters above the editor, from a RealTimeCompiler result
+    showDiagnostics(result) {
+        this.codeEditor.setDiagnostics(result);
+        
+        const stats = document.getElementById('codeStats');
+        if (!stats) return;
+        
+        stats.innerHTML = `
+            <span class="stat">Lines: ${this.getCode().split('\n').length}</span>
+            <span class="stat">Errors: ${result.errors.length}</span>
+            <span class="stat">Warnings: ${result.warnings.length}</span>
+        `;
+    }
+    
+    // Fixes for one gutter marker, each as [{ fix, diff }] with its LineDiff preview;
+    // onApply(fix) runs when one is picked
+    showQuickFixes(choices, onApply) {
+        this.hideQuickFixes();
+        
+        const panel = document.createElement('div');
+        panel.className = 'quick-fix-panel';
+        
+        choices.forEach(({ fix, diff }) => {
+            const item = document.createElement('div');
+            item.className = 'quick-fix';
+            
+            const title = document.createElement('div');
+            title.className = 'quick-fix-title';
+            title.textContent = fix.title;
+            
+            const preview = document.createElement('pre');
+            preview.className = 'quick-fix-diff';
+            preview.textContent = diff;
+            
+            const apply = document.createElement('button');
+            apply.className = 'vita-button small';
+            apply.textContent = 'Apply';
+            apply.addEventListener('click', () => {
+                this.hideQuickFixes();
+                onApply(fix);
+            });
+            
+            item.append(title, preview, apply);
+            panel.appendChild(item);
+        });
+        
+        const close = document.createElement('button');
+        close.className = 'vita-button small';
+        close.textContent = 'Close';
+        close.addEventListener('click', () => this.hideQuickFixes());
+        panel.appendChild(close);
+        
+        document.getElementById('codeOutput').appendChild(panel);
+        this.quickFixPanel = panel;
+    }
+    
+    hideQuickFixes() {
+        if (this.quickFixPanel) this.quickFixPanel.remove();
+        this.quickFixPanel = null;
+    }
+    
     showNotification(message, type = 'info') {
         // Create and show notification
         const notification = document.createElement('div');
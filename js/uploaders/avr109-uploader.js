@@ -0,0 +1,234 @@
+import SerialUploader from './serial-uploader.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+// AVR109 command characters used by the Caterina bootloader
+const AVR109 = {
+    ACK: 0x0D, // '\r'
+    SOFTWARE_ID: 'S',
+    BLOCK_SUPPORT: 'b',
+    READ_SIGNATURE: 's',
+    ENTER_PROGMODE: 'P',
+    LEAVE_PROGMODE: 'L',
+    CHIP_ERASE: 'e',
+    SET_ADDRESS: 'A',
+    BLOCK_LOAD: 'B',
+    BLOCK_READ: 'g',
+    EXIT_BOOTLOADER: 'E',
+    MEMTYPE_FLASH: 'F'
+};
+
+export default class AVR109Uploader extends SerialUploader {
+    constructor(port, options = {}) {
+        super(port, options);
+
+        this.serial = options.serial || globalThis.navigator?.serial;
+        this.baudRate = options.baudRate || 57600;
+        this.pageSize = options.pageSize || 128;
+        this.signature = options.signature || null; // e.g. [0x1E, 0x95, 0x87] for ATmega32U4
+        this.bootloaderProductIds = options.bootloaderProductIds || [0x0036, 0x0037];
+        this.reconnectTimeout = options.reconnectTimeout || 10000;
+        this.timeout = options.timeout || 1000;
+        this.verify = options.verify !== false;
+        this.intelHex = new IntelHex();
+    }
+
+    // Flash an Intel HEX image (text or parsed) through Caterina
+    async upload(hex) {
+        const image = typeof hex === 'string' ? this.intelHex.parse(hex) : hex;
+        const sketchInfo = this.port.getInfo();
+
+        this.notifyProgress('reset');
+        await this.enterBootloader();
+
+        await this.openPort(this.baudRate);
+        this.acquireStreams();
+
+        let result;
+
+        try {
+            this.notifyProgress('sync');
+            const softwareId = await this.readSoftwareId();
+            const blockSize = await this.readBlockSize();
+
+            const signature = await this.readSignature();
+            this.checkSignature(signature);
+
+            // Never send blocks larger than the bootloader buffer or a flash page
+            const pages = this.intelHex.toPages(image, Math.min(this.pageSize, blockSize));
+
+            await this.sendCommand([AVR109.ENTER_PROGMODE]);
+            await this.sendCommand([AVR109.CHIP_ERASE]);
+
+            for (let i = 0; i < pages.length; i++) {
+                await this.setAddress(pages[i].address);
+                await this.writeBlock(pages[i].data);
+                this.notifyProgress('write', i + 1, pages.length);
+            }
+
+            if (this.verify) {
+                for (let i = 0; i < pages.length; i++) {
+                    await this.setAddress(pages[i].address);
+                    const readBack = await this.readBlock(pages[i].data.length);
+                    this.comparePage(pages[i], readBack);
+                    this.notifyProgress('verify', i + 1, pages.length);
+                }
+            }
+
+            await this.sendCommand([AVR109.LEAVE_PROGMODE]);
+            await this.sendCommand([AVR109.EXIT_BOOTLOADER]);
+
+            result = {
+                protocol: 'avr109',
+                bootloader: softwareId,
+                bytesWritten: this.intelHex.getSize(image),
+                pages: pages.length,
+                verified: this.verify,
+                signature: Array.from(signature)
+            };
+
+        } finally {
+            await this.releaseStreams();
+            await this.closePort();
+        }
+
+        // The sketch re-enumerates under its own product ID once the bootloader exits
+        await this.reconnectToSketch(sketchInfo);
+
+        this.notifyProgress('done', result.pages, result.pages);
+        return result;
+    }
+
+    isBootloaderPort(info, vendorId) {
+        return info.usbVendorId === vendorId && this.bootloaderProductIds.includes(info.usbProductId);
+    }
+
+    // 1200-baud "touch": opening and closing at 1200 baud makes the sketch jump
+    // to the bootloader, which then appears as a new USB device
+    async enterBootloader() {
+        const info = this.port.getInfo();
+
+        if (this.isBootloaderPort(info, info.usbVendorId)) {
+            return; // Already waiting in the bootloader
+        }
+
+        await this.openPort(1200);
+        try {
+            await this.setSignals({ dataTerminalReady: false });
+        } finally {
+            await this.closePort();
+        }
+
+        const sketchPort = this.port;
+        this.port = await this.waitForPort(
+            (portInfo, port) => port !== sketchPort && this.isBootloaderPort(portInfo, info.usbVendorId),
+            'bootloader'
+        );
+    }
+
+    async reconnectToSketch(sketchInfo) {
+        if (this.isBootloaderPort(sketchInfo, sketchInfo.usbVendorId)) {
+            return; // Started from the bootloader, no sketch port to wait for
+        }
+
+        const bootloaderPort = this.port;
+
+        try {
+            this.port = await this.waitForPort(
+                (portInfo, port) => port !== bootloaderPort &&
+                    portInfo.usbVendorId === sketchInfo.usbVendorId &&
+                    portInfo.usbProductId === sketchInfo.usbProductId,
+                'sketch'
+            );
+        } catch (error) {
+            console.warn('⚠️ Board did not come back after upload:', error.message);
+        }
+    }
+
+    // Poll granted ports until the re-enumerated device shows up
+    async waitForPort(matcher, label) {
+        if (!this.serial) {
+            throw new Error('Web Serial API not available to find the re-enumerated port');
+        }
+
+        const deadline = Date.now() + this.reconnectTimeout;
+
+        while (Date.now() < deadline) {
+            const ports = await this.serial.getPorts();
+            const port = ports.find(candidate => matcher(candidate.getInfo(), candidate));
+
+            if (port) {
+                console.log(`🔄 ${label} port re-enumerated`);
+                return port;
+            }
+
+            await this.delay(250);
+        }
+
+        throw new Error(`Timed out waiting for the ${label} port to re-enumerate. ` +
+            'Grant access to the board\'s bootloader port or press reset twice and retry.');
+    }
+
+    async write(bytes) {
+        await super.write(bytes.map(byte => typeof byte === 'string' ? byte.charCodeAt(0) : byte));
+    }
+
+    // Send a command and wait for the carriage-return acknowledgement
+    async sendCommand(command) {
+        await this.write(command);
+
+        const [ack] = await this.readBytes(1, this.timeout);
+        if (ack !== AVR109.ACK) {
+            throw new Error(`Bootloader rejected command '${command[0]}' (got 0x${this.toHex(ack)})`);
+        }
+    }
+
+    async readSoftwareId() {
+        await this.write([AVR109.SOFTWARE_ID]);
+        const id = await this.readBytes(7, this.timeout);
+        return String.fromCharCode(...id);
+    }
+
+    async readBlockSize() {
+        await this.write([AVR109.BLOCK_SUPPORT]);
+        const response = await this.readBytes(3, this.timeout);
+
+        if (response[0] !== 'Y'.charCodeAt(0)) {
+            throw new Error('Bootloader does not support block transfers');
+        }
+
+        return (response[1] << 8) | response[2];
+    }
+
+    // Caterina answers with the signature bytes in reverse order
+    async readSignature() {
+        await this.write([AVR109.READ_SIGNATURE]);
+        const response = await this.readBytes(3, this.timeout);
+        return Uint8Array.from(response).reverse();
+    }
+
+    // Flash addresses are word addresses, big endian
+    async setAddress(byteAddress) {
+        const wordAddress = byteAddress >> 1;
+        await this.sendCommand([AVR109.SET_ADDRESS, (wordAddress >> 8) & 0xFF, wordAddress & 0xFF]);
+    }
+
+    async writeBlock(data) {
+        await this.sendCommand([
+            AVR109.BLOCK_LOAD,
+            (data.length >> 8) & 0xFF,
+            data.length & 0xFF,
+            AVR109.MEMTYPE_FLASH,
+            ...data
+        ]);
+    }
+
+    async readBlock(length) {
+        await this.write([
+            AVR109.BLOCK_READ,
+            (length >> 8) & 0xFF,
+            length & 0xFF,
+            AVR109.MEMTYPE_FLASH
+        ]);
+        return await this.readBytes(length, this.timeout);
+    }
+}
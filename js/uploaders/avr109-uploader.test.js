@@ -0,0 +1,286 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AVR109Uploader from './avr109-uploader.js';
+import FakeSerialPort from './fake-serial-port.mock.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+const CR = 0x0D;
+const VENDOR = 0x2341;
+const SKETCH_PID = 0x8036;
+const BOOTLOADER_PID = 0x0036;
+
+// navigator.serial stand-in: getPorts() lists whatever is plugged in right now
+class FakeSerial {
+    constructor() {
+        this.ports = [];
+    }
+
+    async getPorts() {
+        return this.ports;
+    }
+
+    plug(port) {
+        this.ports.push(port);
+    }
+
+    unplug(port) {
+        this.ports = this.ports.filter(candidate => candidate !== port);
+    }
+}
+
+// A Leonardo: the sketch port drops off the bus after a 1200-baud touch and the
+// Caterina bootloader shows up under its own product ID; leaving the bootloader
+// brings a fresh sketch port back
+class FakeLeonardo {
+    constructor(serial, options = {}) {
+        this.serial = serial;
+        this.signature = options.signature || [0x1E, 0x95, 0x87];
+        this.enumerationDelay = options.enumerationDelay ?? 300;
+        this.bootloaderAppears = options.bootloaderAppears !== false;
+        this.sketchReturns = options.sketchReturns !== false;
+        this.corruptAt = options.corruptAt ?? null;
+        this.flash = new Uint8Array(32 * 1024).fill(0x00);
+        this.address = 0;
+        this.buffer = [];
+        this.commands = [];
+        this.touched = false;
+        this.exited = false;
+
+        this.sketchPort = this.createSketchPort();
+        this.bootloaderPort = null;
+        this.serial.plug(this.sketchPort);
+    }
+
+    createSketchPort() {
+        return new FakeSerialPort({
+            opened: (options) => {
+                this.touched = options.baudRate === 1200;
+            },
+            closed: (port) => {
+                if (!this.touched) return;
+
+                setTimeout(() => {
+                    this.serial.unplug(port);
+                    if (!this.bootloaderAppears) return;
+
+                    this.bootloaderPort = this.createBootloaderPort();
+                    this.serial.plug(this.bootloaderPort);
+                }, this.enumerationDelay);
+            }
+        }, { usbVendorId: VENDOR, usbProductId: SKETCH_PID });
+    }
+
+    createBootloaderPort() {
+        return new FakeSerialPort({
+            receive: (bytes, port) => this.receive(bytes, port),
+            closed: (port) => {
+                if (!this.exited) return;
+
+                setTimeout(() => {
+                    this.serial.unplug(port);
+                    if (!this.sketchReturns) return;
+
+                    this.sketchPort = this.createSketchPort();
+                    this.serial.plug(this.sketchPort);
+                }, this.enumerationDelay);
+            }
+        }, { usbVendorId: VENDOR, usbProductId: BOOTLOADER_PID });
+    }
+
+    receive(bytes, port) {
+        this.buffer.push(...bytes);
+
+        let frame;
+        while ((frame = this.nextFrame())) {
+            this.commands.push(String.fromCharCode(frame[0]));
+            port.respond(this.execute(frame));
+        }
+    }
+
+    nextFrame() {
+        if (this.buffer.length === 0) return null;
+
+        const command = String.fromCharCode(this.buffer[0]);
+        let length = { A: 3, g: 4 }[command] || 1;
+
+        if (command === 'B') {
+            if (this.buffer.length < 3) return null;
+            length = 4 + ((this.buffer[1] << 8) | this.buffer[2]);
+        }
+
+        if (this.buffer.length < length) return null;
+        return this.buffer.splice(0, length);
+    }
+
+    execute(frame) {
+        switch (String.fromCharCode(frame[0])) {
+            case 'S':
+                return Array.from('CATERIN', c => c.charCodeAt(0));
+            case 'b':
+                return ['Y'.charCodeAt(0), 0x00, 0x80];
+            case 's':
+                return [...this.signature].reverse();
+            case 'e':
+                this.flash.fill(0xFF);
+                return [CR];
+            case 'A':
+                this.address = ((frame[1] << 8) | frame[2]) * 2;
+                return [CR];
+            case 'B': {
+                const data = frame.slice(4);
+                this.flash.set(data, this.address);
+                if (this.corruptAt !== null && this.corruptAt >= this.address && this.corruptAt < this.address + data.length) {
+                    this.flash[this.corruptAt] ^= 0xFF;
+                }
+                this.address += data.length;
+                return [CR];
+            }
+            case 'g': {
+                const length = (frame[1] << 8) | frame[2];
+                const data = this.flash.slice(this.address, this.address + length);
+                this.address += length;
+                return Array.from(data);
+            }
+            case 'E':
+                this.exited = true;
+                return [CR];
+            default:
+                return [CR];
+        }
+    }
+}
+
+function firmware(length) {
+    const data = Uint8Array.from({ length }, (_, i) => (i * 13 + 5) & 0xFF);
+    return new IntelHex().serialize({ segments: [{ address: 0, data }], entryPoint: null });
+}
+
+function uploader(board, serial, options = {}) {
+    return new AVR109Uploader(board.sketchPort, {
+        serial,
+        signature: [0x1E, 0x95, 0x87],
+        reconnectTimeout: 2000,
+        timeout: 200,
+        ...options
+    });
+}
+
+test('touches the sketch port at 1200 baud and flashes through the re-enumerated bootloader', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial);
+    const sketchPort = board.sketchPort;
+    const avr = uploader(board, serial);
+    const progress = [];
+    avr.onProgress(event => progress.push(event.stage));
+
+    const result = await avr.upload(firmware(300));
+
+    assert.deepEqual(sketchPort.openings, [1200]);
+    assert.deepEqual(sketchPort.signalHistory, [{ dataTerminalReady: false }]);
+    assert.deepEqual(board.bootloaderPort.openings, [57600]);
+
+    assert.equal(result.protocol, 'avr109');
+    assert.equal(result.bootloader, 'CATERIN');
+    assert.equal(result.pages, 3);
+    assert.equal(result.verified, true);
+    assert.deepEqual(result.signature, [0x1E, 0x95, 0x87]);
+
+    const expected = new IntelHex().parse(firmware(300)).segments[0].data;
+    assert.deepEqual(board.flash.slice(0, 300), expected);
+
+    assert.deepEqual(board.commands.filter(command => command === 'B').length, 3);
+    assert.deepEqual(board.commands.filter(command => command === 'g').length, 3);
+    assert.deepEqual(board.commands.slice(-2), ['L', 'E']);
+
+    assert.deepEqual([...new Set(progress)], ['reset', 'sync', 'write', 'verify', 'done']);
+});
+
+test('reconnects to the sketch port that comes back after the bootloader exits', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial);
+    const originalPort = board.sketchPort;
+    const avr = uploader(board, serial);
+
+    await avr.upload(firmware(64));
+
+    assert.notEqual(avr.port, originalPort);
+    assert.equal(avr.port, board.sketchPort);
+    assert.equal(avr.port.getInfo().usbProductId, SKETCH_PID);
+    assert.equal(board.bootloaderPort.isOpen, false);
+});
+
+test('flashes directly when the board is already waiting in the bootloader', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial, { sketchReturns: false });
+    board.bootloaderPort = board.createBootloaderPort();
+    serial.unplug(board.sketchPort);
+    serial.plug(board.bootloaderPort);
+
+    const avr = new AVR109Uploader(board.bootloaderPort, { serial, reconnectTimeout: 500, timeout: 200 });
+    const result = await avr.upload(firmware(64));
+
+    assert.equal(result.pages, 1);
+    assert.deepEqual(board.bootloaderPort.openings, [57600]);
+    assert.equal(board.bootloaderPort.signalHistory.length, 0);
+    assert.equal(avr.port, board.bootloaderPort);
+});
+
+test('gives up when the bootloader port never re-enumerates', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial, { bootloaderAppears: false });
+    const avr = uploader(board, serial, { reconnectTimeout: 600 });
+
+    const started = Date.now();
+    await assert.rejects(avr.upload(firmware(64)), /Timed out waiting for the bootloader port to re-enumerate/);
+    assert.ok(Date.now() - started >= 600);
+    assert.equal(board.commands.length, 0);
+});
+
+test('keeps the upload result when the sketch port does not come back', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial, { sketchReturns: false });
+    const avr = uploader(board, serial, { reconnectTimeout: 600 });
+
+    const result = await avr.upload(firmware(64));
+
+    assert.equal(result.pages, 1);
+    assert.equal(avr.port, board.bootloaderPort);
+});
+
+test('waitForPort ignores ports that do not match', async () => {
+    const serial = new FakeSerial();
+    const other = new FakeSerialPort({}, { usbVendorId: 0x1A86, usbProductId: 0x7523 });
+    serial.plug(other);
+
+    const avr = new AVR109Uploader(other, { serial, reconnectTimeout: 300 });
+    const late = new FakeSerialPort({}, { usbVendorId: VENDOR, usbProductId: BOOTLOADER_PID });
+    setTimeout(() => serial.plug(late), 100);
+
+    const port = await avr.waitForPort(info => avr.isBootloaderPort(info, VENDOR), 'bootloader');
+    assert.equal(port, late);
+});
+
+test('can be constructed without Web Serial and reports it when it needs to reconnect', async () => {
+    const port = new FakeSerialPort({}, { usbVendorId: VENDOR, usbProductId: BOOTLOADER_PID });
+    const avr = new AVR109Uploader(port, { reconnectTimeout: 100 });
+
+    await assert.rejects(avr.waitForPort(() => true, 'bootloader'), /Web Serial API not available/);
+});
+
+test('refuses to flash a different chip', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial, { signature: [0x1E, 0x95, 0x0F] });
+    const avr = uploader(board, serial);
+
+    await assert.rejects(avr.upload(firmware(64)), /Device signature mismatch/);
+    assert.equal(board.commands.includes('B'), false);
+    assert.equal(board.bootloaderPort.isOpen, false);
+});
+
+test('reports a block that reads back differently', async () => {
+    const serial = new FakeSerial();
+    const board = new FakeLeonardo(serial, { corruptAt: 0x90 });
+    const avr = uploader(board, serial);
+
+    await assert.rejects(avr.upload(firmware(300)), /Verification failed at 0x0090/);
+});
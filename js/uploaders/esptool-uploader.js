@@ -0,0 +1,382 @@
+import SerialUploader from './serial-uploader.js';
+import IntelHex from '../../modules/intel-hex.js';
+import md5 from './md5.js';
+
+// SLIP framing bytes
+const SLIP = {
+    END: 0xC0,
+    ESC: 0xDB,
+    ESC_END: 0xDC,
+    ESC_ESC: 0xDD
+};
+
+// ROM loader opcodes
+const ESP = {
+    FLASH_BEGIN: 0x02,
+    FLASH_DATA: 0x03,
+    FLASH_END: 0x04,
+    SYNC: 0x08,
+    READ_REG: 0x0A,
+    SPI_SET_PARAMS: 0x0B,
+    SPI_ATTACH: 0x0D,
+    CHANGE_BAUDRATE: 0x0F,
+    SPI_FLASH_MD5: 0x13,
+    CHECKSUM_SEED: 0xEF,
+    CHIP_DETECT_MAGIC_REG: 0x40001000,
+    FLASH_WRITE_SIZE: 0x400,
+    FLASH_SECTOR_SIZE: 0x1000
+};
+
+// Value of the chip-detect register for each ROM
+const CHIP_MAGIC = {
+    0xfff0c101: { name: 'ESP8266', statusLength: 2, encryptedFlag: false, baudSwitch: false },
+    0x00f01d83: { name: 'ESP32', statusLength: 4, encryptedFlag: false, baudSwitch: true },
+    0x000007c6: { name: 'ESP32-S2', statusLength: 4, encryptedFlag: true, baudSwitch: true },
+    0x00000009: { name: 'ESP32-S3', statusLength: 4, encryptedFlag: true, baudSwitch: true },
+    0x6921506f: { name: 'ESP32-C3', statusLength: 4, encryptedFlag: true, baudSwitch: true },
+    0x1b31506f: { name: 'ESP32-C3', statusLength: 4, encryptedFlag: true, baudSwitch: true }
+};
+
+export default class ESPToolUploader extends SerialUploader {
+    constructor(port, options = {}) {
+        super(port, options);
+
+        this.baudRate = options.baudRate || 115200;
+        this.uploadBaudRate = options.uploadBaudRate || this.baudRate;
+        this.flashSize = options.flashSize || 4 * 1024 * 1024;
+        this.syncAttempts = options.syncAttempts || 7;
+        this.timeout = options.timeout || 3000;
+        this.verify = options.verify !== false;
+        this.chip = null;
+        this.intelHex = new IntelHex();
+    }
+
+    // Flash an image whose segment addresses are flash offsets (e.g. app at 0x10000).
+    // Accepts Intel HEX text or an image from IntelHex.parse()/fromBuffer()
+    async upload(hex) {
+        const image = typeof hex === 'string' ? this.intelHex.parse(hex) : hex;
+
+        await this.openPort(this.baudRate);
+        this.acquireStreams();
+
+        try {
+            this.notifyProgress('reset');
+            await this.connect();
+
+            this.chip = await this.detectChip();
+            console.log(`🧩 Detected ${this.chip.name}`);
+
+            await this.changeBaudRate(this.uploadBaudRate);
+
+            await this.command(ESP.SPI_ATTACH, this.packWords([0, 0]));
+            await this.command(ESP.SPI_SET_PARAMS, this.packWords([
+                0, this.flashSize, 64 * 1024, ESP.FLASH_SECTOR_SIZE, 256, 0xFFFF
+            ]));
+
+            const segments = image.segments.map(segment => ({
+                address: segment.address,
+                data: this.padTo(segment.data, 4)
+            }));
+
+            const totalBlocks = segments.reduce((sum, segment) =>
+                sum + Math.ceil(segment.data.length / ESP.FLASH_WRITE_SIZE), 0);
+            let writtenBlocks = 0;
+
+            for (const segment of segments) {
+                await this.flashSegment(segment, () => {
+                    writtenBlocks++;
+                    this.notifyProgress('write', writtenBlocks, totalBlocks);
+                });
+            }
+
+            if (this.verify) {
+                for (let i = 0; i < segments.length; i++) {
+                    await this.verifySegment(segments[i]);
+                    this.notifyProgress('verify', i + 1, segments.length);
+                }
+            }
+
+            // Leave the loader without rebooting, then reset into the new firmware
+            await this.command(ESP.FLASH_END, this.packWords([1]));
+            await this.hardReset();
+
+            this.notifyProgress('done', totalBlocks, totalBlocks);
+
+            return {
+                protocol: 'esptool',
+                chip: this.chip.name,
+                bytesWritten: this.intelHex.getSize(image),
+                segments: segments.length,
+                verified: this.verify,
+                baudRate: this.uploadBaudRate
+            };
+
+        } finally {
+            await this.releaseStreams();
+            await this.closePort();
+        }
+    }
+
+    // Classic auto-reset circuit: DTR drives GPIO0, RTS drives EN (both inverted)
+    async resetToBootloader() {
+        await this.setSignals({ dataTerminalReady: false, requestToSend: true }); // EN low
+        await this.delay(100);
+        await this.setSignals({ dataTerminalReady: true, requestToSend: false }); // GPIO0 low, EN high
+        await this.delay(50);
+        await this.setSignals({ dataTerminalReady: false, requestToSend: false }); // Release GPIO0
+    }
+
+    async hardReset() {
+        await this.setSignals({ dataTerminalReady: false, requestToSend: true });
+        await this.delay(100);
+        await this.setSignals({ dataTerminalReady: false, requestToSend: false });
+    }
+
+    async connect() {
+        for (let attempt = 1; attempt <= this.syncAttempts; attempt++) {
+            await this.resetToBootloader();
+            await this.drainInput();
+            this.notifyProgress('sync');
+
+            try {
+                await this.sync();
+                console.log(`🔗 ESP ROM loader in sync after ${attempt} attempt(s)`);
+                return;
+            } catch (error) {
+                // Boot messages or a missed reset, try again
+            }
+        }
+
+        throw new Error('Failed to connect to ESP bootloader. Hold BOOT while pressing EN and retry.');
+    }
+
+    async sync() {
+        const payload = [0x07, 0x07, 0x12, 0x20, ...new Array(32).fill(0x55)];
+        await this.command(ESP.SYNC, payload, 0, 200);
+
+        // The ROM answers a sync with several responses, drop the extras
+        await this.drainInput(100);
+    }
+
+    async detectChip() {
+        const magic = await this.readRegister(ESP.CHIP_DETECT_MAGIC_REG);
+        const chip = CHIP_MAGIC[magic];
+
+        if (!chip) {
+            throw new Error(`Unsupported ESP chip (magic 0x${magic.toString(16)})`);
+        }
+
+        return chip;
+    }
+
+    async readRegister(address) {
+        const response = await this.command(ESP.READ_REG, this.packWords([address]));
+        return response.value;
+    }
+
+    async changeBaudRate(baudRate) {
+        if (baudRate === this.baudRate || !this.chip.baudSwitch) {
+            return;
+        }
+
+        await this.command(ESP.CHANGE_BAUDRATE, this.packWords([baudRate, 0]));
+
+        // Web Serial cannot change baud on an open port
+        await this.releaseStreams();
+        await this.closePort();
+        await this.openPort(baudRate);
+        this.acquireStreams();
+        await this.delay(50);
+        await this.drainInput();
+
+        console.log(`⚡ Switched to ${baudRate} baud`);
+    }
+
+    // FLASH_BEGIN erases the covered sectors, then data goes in fixed-size blocks
+    async flashSegment(segment, onBlock) {
+        const blockCount = Math.ceil(segment.data.length / ESP.FLASH_WRITE_SIZE);
+        const eraseSize = Math.ceil(segment.data.length / ESP.FLASH_SECTOR_SIZE) * ESP.FLASH_SECTOR_SIZE;
+        const words = [eraseSize, blockCount, ESP.FLASH_WRITE_SIZE, segment.address];
+
+        if (this.chip.encryptedFlag) {
+            words.push(0); // Not encrypted
+        }
+
+        this.notifyProgress('erase');
+        await this.command(ESP.FLASH_BEGIN, this.packWords(words), 0, this.eraseTimeout(eraseSize));
+
+        for (let seq = 0; seq < blockCount; seq++) {
+            const block = new Uint8Array(ESP.FLASH_WRITE_SIZE).fill(0xFF);
+            block.set(segment.data.subarray(seq * ESP.FLASH_WRITE_SIZE, (seq + 1) * ESP.FLASH_WRITE_SIZE));
+
+            const payload = [...this.packWords([block.length, seq, 0, 0]), ...block];
+            await this.command(ESP.FLASH_DATA, payload, this.checksum(block));
+            onBlock();
+        }
+    }
+
+    async verifySegment(segment) {
+        const response = await this.command(
+            ESP.SPI_FLASH_MD5,
+            this.packWords([segment.address, segment.data.length, 0, 0]),
+            0,
+            this.eraseTimeout(segment.data.length)
+        );
+
+        // The ROM replies with the digest as 32 ASCII hex characters
+        const actual = String.fromCharCode(...response.data.slice(0, 32)).toLowerCase();
+        const expected = md5(segment.data);
+
+        if (actual !== expected) {
+            throw new Error(`Verification failed at 0x${segment.address.toString(16)}: ` +
+                `flash MD5 ${actual} does not match image MD5 ${expected}`);
+        }
+    }
+
+    // Roughly 30s per MB, like esptool
+    eraseTimeout(size) {
+        return Math.max(this.timeout, Math.ceil(size / (1024 * 1024) * 30000));
+    }
+
+    // Send a request and wait for the matching response packet
+    async command(op, data = [], checksum = 0, timeout = this.timeout) {
+        const packet = [0x00, op, ...this.packHalf(data.length), ...this.packWords([checksum]), ...data];
+        await this.write(this.slipEncode(packet));
+
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            const frame = await this.readFrame(deadline - Date.now());
+
+            if (!frame) {
+                break;
+            }
+
+            if (frame.length < 8 || frame[0] !== 0x01 || frame[1] !== op) {
+                continue; // Stale response to an earlier command
+            }
+
+            const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+            const response = {
+                value: view.getUint32(4, true),
+                data: frame.slice(8)
+            };
+
+            this.checkStatus(op, response.data);
+            return response;
+        }
+
+        throw new Error(`Timeout waiting for response to ESP command 0x${this.toHex(op)}`);
+    }
+
+    // Status bytes close every response: [failed, error code, ...]
+    checkStatus(op, data) {
+        const statusLength = this.chip ? this.chip.statusLength : Math.min(data.length, 4);
+        const status = data.slice(data.length - statusLength);
+
+        if (status[0] !== 0) {
+            throw new Error(`ESP command 0x${this.toHex(op)} failed (error 0x${this.toHex(status[1])})`);
+        }
+    }
+
+    // Pull one SLIP frame out of the receive buffer, null on timeout
+    async readFrame(timeout) {
+        const deadline = Date.now() + timeout;
+        let frame = this.takeFrame();
+
+        while (!frame) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                return null;
+            }
+
+            const chunk = await this.readChunk(remaining);
+            if (chunk) {
+                this.rxBuffer.push(...chunk);
+            }
+            frame = this.takeFrame();
+        }
+
+        return this.slipDecode(frame);
+    }
+
+    // Remove the first complete frame from the receive buffer
+    takeFrame() {
+        let start = this.rxBuffer.indexOf(SLIP.END);
+        let end = start >= 0 ? this.rxBuffer.indexOf(SLIP.END, start + 1) : -1;
+
+        // Back-to-back delimiters, drop the first and keep looking
+        while (end === start + 1) {
+            this.rxBuffer.splice(0, start + 1);
+            start = this.rxBuffer.indexOf(SLIP.END);
+            end = start >= 0 ? this.rxBuffer.indexOf(SLIP.END, start + 1) : -1;
+        }
+
+        if (end < 0) {
+            return null;
+        }
+
+        const frame = this.rxBuffer.slice(start + 1, end);
+        this.rxBuffer.splice(0, end + 1);
+        return frame;
+    }
+
+    slipEncode(bytes) {
+        const encoded = [SLIP.END];
+
+        for (const byte of bytes) {
+            if (byte === SLIP.END) {
+                encoded.push(SLIP.ESC, SLIP.ESC_END);
+            } else if (byte === SLIP.ESC) {
+                encoded.push(SLIP.ESC, SLIP.ESC_ESC);
+            } else {
+                encoded.push(byte);
+            }
+        }
+
+        encoded.push(SLIP.END);
+        return Uint8Array.from(encoded);
+    }
+
+    slipDecode(bytes) {
+        const decoded = [];
+
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] === SLIP.ESC) {
+                i++;
+                decoded.push(bytes[i] === SLIP.ESC_END ? SLIP.END : SLIP.ESC);
+            } else {
+                decoded.push(bytes[i]);
+            }
+        }
+
+        return Uint8Array.from(decoded);
+    }
+
+    checksum(data) {
+        return data.reduce((sum, byte) => sum ^ byte, ESP.CHECKSUM_SEED);
+    }
+
+    padTo(data, alignment) {
+        const remainder = data.length % alignment;
+        if (remainder === 0) {
+            return data;
+        }
+
+        const padded = new Uint8Array(data.length + alignment - remainder).fill(0xFF);
+        padded.set(data);
+        return padded;
+    }
+
+    packHalf(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF];
+    }
+
+    packWords(words) {
+        const bytes = [];
+        words.forEach(word => {
+            bytes.push(word & 0xFF, (word >>> 8) & 0xFF, (word >>> 16) & 0xFF, (word >>> 24) & 0xFF);
+        });
+        return bytes;
+    }
+}
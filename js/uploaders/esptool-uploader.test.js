@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import ESPToolUploader from './esptool-uploader.js';
+import FakeSerialPort from './fake-serial-port.mock.js';
+import md5 from './md5.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+const END = 0xC0;
+const ESC = 0xDB;
+
+// ESP32 ROM loader behind the classic DTR/RTS auto-reset circuit. Speaks SLIP,
+// keeps a sparse flash map and can be told to fail in the usual ways.
+class FakeEsp32Rom {
+    constructor(options = {}) {
+        this.magic = options.magic ?? 0x00f01d83;
+        this.bootFailures = options.bootFailures || 0;
+        this.corruptAt = options.corruptAt ?? null;
+        this.failCommand = options.failCommand ?? null;
+        this.flash = new Map();
+        this.inBootloader = false;
+        this.resets = 0;
+        this.buffer = [];
+        this.commands = [];
+        this.flashBegin = null;
+    }
+
+    // EN released while GPIO0 is held low boots the ROM loader
+    signals(signals, port) {
+        if (signals.dataTerminalReady === true && signals.requestToSend === false) {
+            this.resets++;
+            this.inBootloader = this.resets > this.bootFailures;
+            port.respond(Array.from('ets Jun  8 2016 00:22:57\r\nwaiting for download\r\n', c => c.charCodeAt(0)));
+        }
+    }
+
+    receive(bytes, port) {
+        if (!this.inBootloader) return;
+
+        this.buffer.push(...bytes);
+
+        let start = this.buffer.indexOf(END);
+        let end = start >= 0 ? this.buffer.indexOf(END, start + 1) : -1;
+
+        while (end >= 0) {
+            const packet = this.decode(this.buffer.slice(start + 1, end));
+            this.buffer.splice(0, end + 1);
+            if (packet.length >= 8) this.execute(packet, port);
+
+            start = this.buffer.indexOf(END);
+            end = start >= 0 ? this.buffer.indexOf(END, start + 1) : -1;
+        }
+    }
+
+    decode(bytes) {
+        const decoded = [];
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] === ESC) {
+                i++;
+                decoded.push(bytes[i] === 0xDC ? END : ESC);
+            } else {
+                decoded.push(bytes[i]);
+            }
+        }
+        return decoded;
+    }
+
+    word(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    execute(packet, port) {
+        const op = packet[1];
+        const checksum = this.word(packet, 4);
+        const data = packet.slice(8);
+        this.commands.push(op);
+
+        if (op === this.failCommand) {
+            this.reply(port, op, 0, [0x01, 0x05, 0x00, 0x00]);
+            return;
+        }
+
+        switch (op) {
+            case 0x08:
+                // The ROM answers a sync several times
+                for (let i = 0; i < 3; i++) this.reply(port, op, 0, [0, 0, 0, 0]);
+                break;
+            case 0x0A:
+                this.reply(port, op, this.word(data, 0) === 0x40001000 ? this.magic : 0, [0, 0, 0, 0]);
+                break;
+            case 0x02: {
+                this.flashBegin = { blockSize: this.word(data, 8), address: this.word(data, 12) };
+                const eraseSize = this.word(data, 0);
+                for (let i = 0; i < eraseSize; i++) this.flash.set(this.flashBegin.address + i, 0xFF);
+                this.reply(port, op, 0, [0, 0, 0, 0]);
+                break;
+            }
+            case 0x03: {
+                const length = this.word(data, 0);
+                const seq = this.word(data, 4);
+                const block = data.slice(16, 16 + length);
+                const expected = block.reduce((sum, byte) => sum ^ byte, 0xEF);
+
+                if (checksum !== expected) {
+                    this.reply(port, op, 0, [0x01, 0x07, 0x00, 0x00]);
+                    break;
+                }
+
+                const base = this.flashBegin.address + seq * this.flashBegin.blockSize;
+                block.forEach((byte, i) => this.flash.set(base + i, byte));
+                if (this.corruptAt !== null && this.flash.has(this.corruptAt)) {
+                    this.flash.set(this.corruptAt, this.flash.get(this.corruptAt) ^ 0xFF);
+                }
+                this.reply(port, op, 0, [0, 0, 0, 0]);
+                break;
+            }
+            case 0x13: {
+                const address = this.word(data, 0);
+                const size = this.word(data, 4);
+                const contents = Uint8Array.from({ length: size }, (_, i) => this.flash.get(address + i) ?? 0xFF);
+                const digest = createHash('md5').update(contents).digest('hex');
+                this.reply(port, op, 0, [...Array.from(digest, c => c.charCodeAt(0)), 0, 0, 0, 0]);
+                break;
+            }
+            default:
+                this.reply(port, op, 0, [0, 0, 0, 0]);
+        }
+    }
+
+    reply(port, op, value, data) {
+        const packet = [0x01, op, data.length & 0xFF, data.length >> 8,
+            value & 0xFF, (value >>> 8) & 0xFF, (value >>> 16) & 0xFF, (value >>> 24) & 0xFF, ...data];
+        const encoded = [END];
+        packet.forEach(byte => {
+            if (byte === END) encoded.push(ESC, 0xDC);
+            else if (byte === ESC) encoded.push(ESC, 0xDD);
+            else encoded.push(byte);
+        });
+        encoded.push(END);
+        port.respond(encoded);
+    }
+}
+
+// 0xC0 and 0xDB appear in the data so SLIP escaping is exercised
+function firmware(length, address = 0x10000) {
+    const data = Uint8Array.from({ length }, (_, i) => [0xC0, 0xDB, i & 0xFF, (i * 31) & 0xFF][i % 4]);
+    return new IntelHex().fromBuffer(data, address);
+}
+
+function uploader(device, options = {}) {
+    const port = new FakeSerialPort(device, { usbVendorId: 0x10C4, usbProductId: 0xEA60 });
+    const esp = new ESPToolUploader(port, { syncAttempts: 3, timeout: 300, ...options });
+    return { port, esp };
+}
+
+test('md5 matches node:crypto', () => {
+    [0, 1, 55, 56, 64, 1000].forEach(length => {
+        const bytes = Uint8Array.from({ length }, (_, i) => (i * 37) & 0xFF);
+        assert.equal(md5(bytes), createHash('md5').update(bytes).digest('hex'));
+    });
+});
+
+test('syncs, detects the chip, switches baud and flashes with MD5 verification', async () => {
+    const device = new FakeEsp32Rom();
+    const { port, esp } = uploader(device, { uploadBaudRate: 921600 });
+    const progress = [];
+    esp.onProgress(event => progress.push(event));
+
+    const image = firmware(2500);
+    const result = await esp.upload(image);
+
+    assert.equal(result.protocol, 'esptool');
+    assert.equal(result.chip, 'ESP32');
+    assert.equal(result.bytesWritten, 2500);
+    assert.equal(result.verified, true);
+    assert.equal(result.baudRate, 921600);
+
+    image.segments[0].data.forEach((byte, i) => assert.equal(device.flash.get(0x10000 + i), byte));
+
+    assert.deepEqual(port.openings, [115200, 921600]);
+    assert.equal(port.isOpen, false);
+    assert.equal(device.commands.filter(op => op === 0x03).length, 3);
+    assert.deepEqual(device.commands.slice(-2), [0x13, 0x04]);
+
+    const writes = progress.filter(event => event.stage === 'write');
+    assert.deepEqual(writes.map(event => event.current), [1, 2, 3]);
+    assert.equal(progress.at(-1).stage, 'done');
+});
+
+test('retries the reset sequence until the ROM loader answers', async () => {
+    const device = new FakeEsp32Rom({ bootFailures: 2 });
+    const { esp } = uploader(device);
+
+    const result = await esp.upload(firmware(16));
+
+    assert.equal(result.chip, 'ESP32');
+    assert.equal(device.resets, 3);
+});
+
+test('asks for the BOOT button when the chip never enters the loader', async () => {
+    const device = new FakeEsp32Rom({ bootFailures: Infinity });
+    const { port, esp } = uploader(device, { syncAttempts: 2 });
+
+    await assert.rejects(esp.upload(firmware(16)), /Failed to connect to ESP bootloader\. Hold BOOT/);
+    assert.equal(port.isOpen, false);
+});
+
+test('rejects an unknown chip', async () => {
+    const device = new FakeEsp32Rom({ magic: 0x12345678 });
+    const { esp } = uploader(device);
+
+    await assert.rejects(esp.upload(firmware(16)), /Unsupported ESP chip \(magic 0x12345678\)/);
+    assert.equal(device.commands.includes(0x02), false);
+});
+
+test('reports the ROM error code of a failed command', async () => {
+    const device = new FakeEsp32Rom({ failCommand: 0x02 });
+    const { esp } = uploader(device);
+
+    await assert.rejects(esp.upload(firmware(16)), /ESP command 0x02 failed \(error 0x05\)/);
+});
+
+test('fails verification when the flash MD5 differs from the image', async () => {
+    const device = new FakeEsp32Rom({ corruptAt: 0x10010 });
+    const { esp } = uploader(device);
+
+    await assert.rejects(esp.upload(firmware(64)), /Verification failed at 0x10000: flash MD5 [0-9a-f]{32} does not match image MD5/);
+});
@@ -0,0 +1,80 @@
+// In-memory stand-in for a Web Serial SerialPort, used by the uploader tests.
+// Bytes the uploader writes are handed to device.receive(bytes, port); the device
+// answers with port.respond(bytes). Control signals go to device.signals(signals, port).
+export default class FakeSerialPort {
+    constructor(device, info = { usbVendorId: 0x2341, usbProductId: 0x0043 }) {
+        this.device = device;
+        this.info = info;
+        this.readable = null;
+        this.writable = null;
+        this.controller = null;
+        this.baudRate = null;
+        this.openings = [];
+        this.signalHistory = [];
+        this.written = [];
+    }
+
+    getInfo() {
+        return this.info;
+    }
+
+    get isOpen() {
+        return this.readable !== null;
+    }
+
+    async open(options) {
+        if (this.isOpen) {
+            throw new Error('Port is already open');
+        }
+
+        this.baudRate = options.baudRate;
+        this.openings.push(options.baudRate);
+
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this.controller = controller;
+            }
+        });
+
+        this.writable = new WritableStream({
+            write: (chunk) => {
+                const bytes = Uint8Array.from(chunk);
+                this.written.push(...bytes);
+                if (this.device.receive) this.device.receive(bytes, this);
+            }
+        });
+
+        if (this.device.opened) this.device.opened(options, this);
+    }
+
+    async close() {
+        if (!this.isOpen) {
+            throw new Error('Port is not open');
+        }
+
+        if (this.readable.locked || this.writable.locked) {
+            throw new Error('Cannot close a port with locked streams');
+        }
+
+        this.readable = null;
+        this.writable = null;
+        this.controller = null;
+
+        if (this.device.closed) this.device.closed(this);
+    }
+
+    async setSignals(signals) {
+        this.signalHistory.push(signals);
+        if (this.device.signals) this.device.signals(signals, this);
+    }
+
+    respond(bytes) {
+        if (!this.controller) return;
+
+        try {
+            this.controller.enqueue(Uint8Array.from(bytes));
+        } catch (error) {
+            // Reader already cancelled
+        }
+    }
+}
@@ -0,0 +1,183 @@
+export default class SerialUploader {
+    constructor(port, options = {}) {
+        this.port = port;
+        this.options = options;
+        this.reader = null;
+        this.writer = null;
+        this.pendingRead = null;
+        this.rxBuffer = [];
+        this.progressCallbacks = new Set();
+    }
+
+    async openPort(baudRate) {
+        await this.port.open({
+            baudRate: baudRate,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none'
+        });
+    }
+
+    async closePort() {
+        try {
+            await this.port.close();
+        } catch (error) {
+            // Port already closed or gone
+        }
+    }
+
+    // Grab the port streams for the duration of an upload session
+    acquireStreams() {
+        if (!this.port || !this.port.readable || !this.port.writable) {
+            throw new Error('Serial port is not open');
+        }
+
+        this.reader = this.port.readable.getReader();
+        this.writer = this.port.writable.getWriter();
+        this.pendingRead = null;
+        this.rxBuffer = [];
+    }
+
+    async releaseStreams() {
+        if (this.reader) {
+            try {
+                await this.reader.cancel();
+            } catch (error) {
+                // Reader already closed
+            }
+            this.reader.releaseLock();
+            this.reader = null;
+        }
+
+        if (this.writer) {
+            this.writer.releaseLock();
+            this.writer = null;
+        }
+
+        this.pendingRead = null;
+    }
+
+    // Toggle DTR/RTS; boards with an auto-reset circuit reboot into the bootloader
+    async setSignals(signals) {
+        if (typeof this.port.setSignals !== 'function') {
+            throw new Error('Serial port does not support control signals');
+        }
+
+        await this.port.setSignals(signals);
+    }
+
+    async write(bytes) {
+        await this.writer.write(bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes));
+    }
+
+    // Read exactly `count` bytes or fail after `timeout` ms
+    async readBytes(count, timeout = 1000) {
+        const deadline = Date.now() + timeout;
+
+        while (this.rxBuffer.length < count) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new Error(`Timeout waiting for ${count} byte(s) from bootloader`);
+            }
+
+            const chunk = await this.readChunk(remaining);
+            if (chunk) {
+                this.rxBuffer.push(...chunk);
+            }
+        }
+
+        return Uint8Array.from(this.rxBuffer.splice(0, count));
+    }
+
+    // A read that loses the race against the timer is kept for the next call,
+    // so no bytes are dropped between commands
+    async readChunk(timeout) {
+        if (!this.pendingRead) {
+            this.pendingRead = this.reader.read();
+        }
+
+        let timer;
+        const timeoutPromise = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeout);
+        });
+
+        const result = await Promise.race([this.pendingRead, timeoutPromise]);
+        clearTimeout(timer);
+
+        if (!result) {
+            return null;
+        }
+
+        this.pendingRead = null;
+
+        if (result.done) {
+            throw new Error('Serial port closed during upload');
+        }
+
+        return result.value;
+    }
+
+    // Discard anything the board printed before the bootloader took over
+    async drainInput(timeout = 50) {
+        this.rxBuffer = [];
+
+        while (await this.readChunk(timeout)) {
+            // Keep discarding until the line goes quiet
+        }
+    }
+
+    checkSignature(signature) {
+        if (!this.signature) {
+            return;
+        }
+
+        const matches = this.signature.every((byte, index) => signature[index] === byte);
+        if (!matches) {
+            const expected = this.signature.map(byte => this.toHex(byte)).join(' ');
+            const actual = Array.from(signature).map(byte => this.toHex(byte)).join(' ');
+            throw new Error(`Device signature mismatch (expected ${expected}, got ${actual})`);
+        }
+    }
+
+    comparePage(page, readBack) {
+        for (let i = 0; i < page.data.length; i++) {
+            if (page.data[i] !== readBack[i]) {
+                const address = page.address + i;
+                throw new Error(`Verification failed at 0x${address.toString(16).padStart(4, '0')}: ` +
+                    `expected 0x${this.toHex(page.data[i])}, read 0x${this.toHex(readBack[i])}`);
+            }
+        }
+    }
+
+    toHex(byte) {
+        return (byte === undefined ? 0 : byte).toString(16).padStart(2, '0');
+    }
+
+    // Event handling
+    onProgress(callback) {
+        this.progressCallbacks.add(callback);
+    }
+
+    notifyProgress(stage, current = 0, total = 0) {
+        const progress = {
+            stage: stage,
+            current: current,
+            total: total,
+            percent: total > 0 ? Math.round(current / total * 100) : 0
+        };
+
+        this.progressCallbacks.forEach(callback => {
+            try {
+                callback(progress);
+            } catch (error) {
+                console.error('Progress callback error:', error);
+            }
+        });
+    }
+
+    // Utility delay function
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,184 @@
+import SerialUploader from './serial-uploader.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+// STK500v1 protocol constants (subset spoken by Optiboot)
+const STK = {
+    OK: 0x10,
+    INSYNC: 0x14,
+    CRC_EOP: 0x20,
+    GET_SYNC: 0x30,
+    ENTER_PROGMODE: 0x50,
+    LEAVE_PROGMODE: 0x51,
+    LOAD_ADDRESS: 0x55,
+    PROG_PAGE: 0x64,
+    READ_PAGE: 0x74,
+    READ_SIGN: 0x75,
+    MEMTYPE_FLASH: 0x46 // 'F'
+};
+
+export default class STK500v1Uploader extends SerialUploader {
+    constructor(port, options = {}) {
+        super(port, options);
+
+        this.baudRate = options.baudRate || 115200;
+        this.fallbackBaudRates = options.fallbackBaudRates || []; // tried when the bootloader stays silent
+        this.pageSize = options.pageSize || 128;
+        this.signature = options.signature || null; // e.g. [0x1E, 0x95, 0x0F] for ATmega328P
+        this.syncAttempts = options.syncAttempts || 10;
+        this.timeout = options.timeout || 1000;
+        this.verify = options.verify !== false;
+        this.intelHex = new IntelHex();
+    }
+
+    // Flash an Intel HEX image (text or parsed) through the bootloader
+    async upload(hex) {
+        const image = typeof hex === 'string' ? this.intelHex.parse(hex) : hex;
+        const pages = this.intelHex.toPages(image, this.pageSize);
+
+        const baudRate = await this.connect();
+
+        try {
+            const signature = await this.readSignature();
+            this.checkSignature(signature);
+
+            await this.sendCommand([STK.ENTER_PROGMODE]);
+
+            for (let i = 0; i < pages.length; i++) {
+                await this.loadAddress(pages[i].address);
+                await this.programPage(pages[i].data);
+                this.notifyProgress('write', i + 1, pages.length);
+            }
+
+            if (this.verify) {
+                for (let i = 0; i < pages.length; i++) {
+                    await this.loadAddress(pages[i].address);
+                    const readBack = await this.readPage(pages[i].data.length);
+                    this.comparePage(pages[i], readBack);
+                    this.notifyProgress('verify', i + 1, pages.length);
+                }
+            }
+
+            await this.sendCommand([STK.LEAVE_PROGMODE]);
+            this.notifyProgress('done', pages.length, pages.length);
+
+            return {
+                protocol: 'stk500v1',
+                bytesWritten: this.intelHex.getSize(image),
+                pages: pages.length,
+                verified: this.verify,
+                signature: Array.from(signature),
+                baudRate: baudRate
+            };
+
+        } finally {
+            await this.releaseStreams();
+            await this.closePort();
+        }
+    }
+
+    // Open, reset and sync; the same board may run Optiboot (115200) or the old
+    // ATmegaBOOT (57600), so each fallback rate gets a fresh reset
+    async connect() {
+        const baudRates = [this.baudRate, ...this.fallbackBaudRates.filter(rate => rate !== this.baudRate)];
+
+        for (let i = 0; i < baudRates.length; i++) {
+            await this.openPort(baudRates[i]);
+            this.acquireStreams();
+
+            try {
+                this.notifyProgress('reset');
+                await this.resetBoard();
+
+                this.notifyProgress('sync');
+                await this.sync();
+                return baudRates[i];
+
+            } catch (error) {
+                await this.releaseStreams();
+                await this.closePort();
+
+                if (i === baudRates.length - 1) {
+                    throw baudRates.length > 1 ? new Error(`${error.message} at ${baudRates.join(' or ')} baud`) : error;
+                }
+                console.warn(`⚠️ No answer at ${baudRates[i]} baud, retrying at ${baudRates[i + 1]}`);
+            }
+        }
+    }
+
+    // Pulse DTR/RTS low then high; the auto-reset capacitor turns the edge into a reset
+    async resetBoard() {
+        await this.setSignals({ dataTerminalReady: false, requestToSend: false });
+        await this.delay(250);
+        await this.setSignals({ dataTerminalReady: true, requestToSend: true });
+        await this.delay(50);
+    }
+
+    async sync() {
+        for (let attempt = 1; attempt <= this.syncAttempts; attempt++) {
+            await this.drainInput();
+            await this.write([STK.GET_SYNC, STK.CRC_EOP]);
+
+            try {
+                const response = await this.readBytes(2, 200);
+                if (response[0] === STK.INSYNC && response[1] === STK.OK) {
+                    console.log(`🔗 Bootloader in sync after ${attempt} attempt(s)`);
+                    return;
+                }
+            } catch (error) {
+                // No answer yet, bootloader may still be starting
+            }
+        }
+
+        throw new Error(`Bootloader not responding (stk500_getsync failed after ${this.syncAttempts} attempts)`);
+    }
+
+    // Send a command frame and return the payload between INSYNC and OK
+    async sendCommand(command, responseLength = 0) {
+        await this.write([...command, STK.CRC_EOP]);
+
+        const [insync] = await this.readBytes(1, this.timeout);
+        if (insync !== STK.INSYNC) {
+            throw new Error(`Bootloader out of sync (expected 0x14, got 0x${this.toHex(insync)})`);
+        }
+
+        const payload = responseLength > 0
+            ? await this.readBytes(responseLength, this.timeout)
+            : new Uint8Array(0);
+
+        const [ok] = await this.readBytes(1, this.timeout);
+        if (ok !== STK.OK) {
+            throw new Error(`Bootloader rejected command 0x${this.toHex(command[0])} (got 0x${this.toHex(ok)})`);
+        }
+
+        return payload;
+    }
+
+    async readSignature() {
+        return await this.sendCommand([STK.READ_SIGN], 3);
+    }
+
+    // Flash addresses are sent as 16-bit word addresses, little endian
+    async loadAddress(byteAddress) {
+        const wordAddress = byteAddress >> 1;
+        await this.sendCommand([STK.LOAD_ADDRESS, wordAddress & 0xFF, (wordAddress >> 8) & 0xFF]);
+    }
+
+    async programPage(data) {
+        await this.sendCommand([
+            STK.PROG_PAGE,
+            (data.length >> 8) & 0xFF,
+            data.length & 0xFF,
+            STK.MEMTYPE_FLASH,
+            ...data
+        ]);
+    }
+
+    async readPage(length) {
+        return await this.sendCommand([
+            STK.READ_PAGE,
+            (length >> 8) & 0xFF,
+            length & 0xFF,
+            STK.MEMTYPE_FLASH
+        ], length);
+    }
+}
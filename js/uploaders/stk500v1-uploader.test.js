@@ -0,0 +1,229 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import STK500v1Uploader from './stk500v1-uploader.js';
+import FakeSerialPort from './fake-serial-port.mock.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+const INSYNC = 0x14;
+const OK = 0x10;
+const NOSYNC = 0x15;
+const EOP = 0x20;
+
+// Optiboot as seen from the serial line: answers only after a DTR reset pulse,
+// keeps a flash array and can be told to misbehave
+class FakeOptiboot {
+    constructor(options = {}) {
+        this.signature = options.signature || [0x1E, 0x95, 0x0F];
+        this.flash = new Uint8Array(32 * 1024).fill(0xFF);
+        this.silent = options.silent || false;
+        this.corruptAt = options.corruptAt ?? null;
+        this.rejectCommand = options.rejectCommand ?? null;
+        this.chatter = options.chatter || [];
+        this.baudRate = options.baudRate || null;
+        this.inBootloader = false;
+        this.dtr = true;
+        this.address = 0;
+        this.buffer = [];
+        this.commands = [];
+    }
+
+    opened(options, port) {
+        // The running sketch prints until the reset pulse
+        if (this.chatter.length) port.respond(this.chatter);
+    }
+
+    signals(signals) {
+        if (signals.dataTerminalReady === false) this.dtr = false;
+        if (signals.dataTerminalReady === true && !this.dtr) {
+            this.dtr = true;
+            this.inBootloader = true;
+        }
+    }
+
+    receive(bytes, port) {
+        if (!this.inBootloader || this.silent) return;
+        // At the wrong baud rate the bootloader only sees noise
+        if (this.baudRate && port.baudRate !== this.baudRate) return;
+
+        this.buffer.push(...bytes);
+        let frame;
+        while ((frame = this.nextFrame())) {
+            this.commands.push(frame[0]);
+            port.respond(this.execute(frame));
+        }
+    }
+
+    // Split the buffer into complete command frames (command byte ... CRC_EOP)
+    nextFrame() {
+        if (this.buffer.length === 0) return null;
+
+        const lengths = { 0x30: 2, 0x50: 2, 0x51: 2, 0x75: 2, 0x55: 4, 0x74: 5 };
+        let length = lengths[this.buffer[0]];
+
+        if (this.buffer[0] === 0x64) {
+            if (this.buffer.length < 3) return null;
+            length = 5 + ((this.buffer[1] << 8) | this.buffer[2]);
+        }
+
+        if (length === undefined) {
+            this.buffer.shift();
+            return [0x00, EOP];
+        }
+
+        if (this.buffer.length < length) return null;
+        return this.buffer.splice(0, length);
+    }
+
+    execute(frame) {
+        if (frame[frame.length - 1] !== EOP) return [NOSYNC];
+        if (frame[0] === this.rejectCommand) return [INSYNC, 0x11];
+
+        switch (frame[0]) {
+            case 0x75:
+                return [INSYNC, ...this.signature, OK];
+            case 0x55:
+                this.address = (frame[1] | (frame[2] << 8)) * 2;
+                return [INSYNC, OK];
+            case 0x64: {
+                const data = frame.slice(4, -1);
+                this.flash.set(data, this.address);
+                if (this.corruptAt !== null && this.corruptAt >= this.address && this.corruptAt < this.address + data.length) {
+                    this.flash[this.corruptAt] ^= 0xFF;
+                }
+                return [INSYNC, OK];
+            }
+            case 0x74: {
+                const length = (frame[1] << 8) | frame[2];
+                return [INSYNC, ...this.flash.slice(this.address, this.address + length), OK];
+            }
+            case 0x00:
+                return [NOSYNC];
+            default:
+                return [INSYNC, OK];
+        }
+    }
+}
+
+function firmware(length, address = 0) {
+    const data = Uint8Array.from({ length }, (_, i) => (i * 7 + 3) & 0xFF);
+    return new IntelHex().serialize({ segments: [{ address, data }], entryPoint: null });
+}
+
+function uploader(device, options = {}) {
+    const port = new FakeSerialPort(device);
+    const stk = new STK500v1Uploader(port, { signature: [0x1E, 0x95, 0x0F], syncAttempts: 3, timeout: 200, ...options });
+    return { port, stk };
+}
+
+test('syncs after the reset pulse, writes every page and verifies it', async () => {
+    const device = new FakeOptiboot({ chatter: Array.from('sensor: 42\r\n', c => c.charCodeAt(0)) });
+    const { port, stk } = uploader(device);
+    const progress = [];
+    stk.onProgress(event => progress.push(event));
+
+    const result = await stk.upload(firmware(300));
+
+    assert.equal(result.protocol, 'stk500v1');
+    assert.equal(result.pages, 3);
+    assert.equal(result.bytesWritten, 300);
+    assert.equal(result.verified, true);
+    assert.deepEqual(result.signature, [0x1E, 0x95, 0x0F]);
+
+    const expected = new IntelHex().parse(firmware(300)).segments[0].data;
+    assert.deepEqual(device.flash.slice(0, 300), expected);
+    assert.equal(device.flash[300], 0xFF);
+
+    assert.deepEqual(port.openings, [115200]);
+    assert.deepEqual(port.signalHistory[0], { dataTerminalReady: false, requestToSend: false });
+    assert.deepEqual(port.signalHistory[1], { dataTerminalReady: true, requestToSend: true });
+    assert.equal(port.isOpen, false);
+
+    assert.deepEqual(device.commands.filter(command => command === 0x64).length, 3);
+    assert.deepEqual(device.commands.filter(command => command === 0x74).length, 3);
+    assert.equal(device.commands.at(-1), 0x51);
+
+    const stages = progress.map(event => event.stage);
+    assert.deepEqual([...new Set(stages)], ['reset', 'sync', 'write', 'verify', 'done']);
+    assert.equal(progress.find(event => event.stage === 'write').percent, 33);
+    assert.equal(progress.at(-1).percent, 100);
+});
+
+test('loads flash addresses as word addresses', async () => {
+    const device = new FakeOptiboot();
+    const { stk } = uploader(device);
+
+    await stk.upload(firmware(16, 0x7F00));
+
+    assert.equal(device.flash[0x7F00], 3);
+    assert.equal(device.flash[0x7F0F], (15 * 7 + 3) & 0xFF);
+});
+
+test('skips verification when disabled', async () => {
+    const device = new FakeOptiboot();
+    const { stk } = uploader(device, { verify: false });
+
+    const result = await stk.upload(firmware(128));
+
+    assert.equal(result.verified, false);
+    assert.equal(device.commands.includes(0x74), false);
+});
+
+test('fails with getsync error when the bootloader never answers', async () => {
+    const device = new FakeOptiboot({ silent: true });
+    const { port, stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware(128)), /stk500_getsync failed after 3 attempts/);
+    assert.equal(port.isOpen, false);
+});
+
+test('falls back to 57600 baud for the old Nano bootloader', async () => {
+    const device = new FakeOptiboot({ baudRate: 57600 });
+    const { port, stk } = uploader(device, { fallbackBaudRates: [57600] });
+
+    const result = await stk.upload(firmware(128));
+
+    assert.equal(result.baudRate, 57600);
+    assert.deepEqual(port.openings, [115200, 57600]);
+    assert.equal(port.isOpen, false);
+    assert.equal(device.flash[0], 3);
+});
+
+test('names every baud rate it tried when none answers', async () => {
+    const device = new FakeOptiboot({ baudRate: 19200 });
+    const { port, stk } = uploader(device, { fallbackBaudRates: [57600, 115200] });
+
+    await assert.rejects(stk.upload(firmware(128)), /stk500_getsync failed after 3 attempts\) at 115200 or 57600 baud/);
+    assert.deepEqual(port.openings, [115200, 57600]);
+    assert.equal(port.isOpen, false);
+});
+
+test('refuses to flash a board with a different signature', async () => {
+    const device = new FakeOptiboot({ signature: [0x1E, 0x98, 0x01] });
+    const { port, stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware(128)), /Device signature mismatch \(expected 1e 95 0f, got 1e 98 01\)/);
+    assert.equal(device.commands.includes(0x64), false);
+    assert.equal(port.isOpen, false);
+});
+
+test('reports the first byte that reads back differently', async () => {
+    const device = new FakeOptiboot({ corruptAt: 0x85 });
+    const { stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware(300)), /Verification failed at 0x0085/);
+});
+
+test('surfaces a rejected command', async () => {
+    const device = new FakeOptiboot({ rejectCommand: 0x64 });
+    const { stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware(128)), /Bootloader rejected command 0x64 \(got 0x11\)/);
+});
+
+test('rejects HEX text with a bad checksum before touching the port', async () => {
+    const device = new FakeOptiboot();
+    const { port, stk } = uploader(device);
+
+    await assert.rejects(stk.upload(':0400000001020304F0\n:00000001FF\n'), /checksum/i);
+    assert.deepEqual(port.openings, []);
+});
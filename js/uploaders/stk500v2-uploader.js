@@ -0,0 +1,232 @@
+import SerialUploader from './serial-uploader.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+// STK500v2 framing and the ISP commands understood by the wiring bootloader
+const STK = {
+    MESSAGE_START: 0x1B,
+    TOKEN: 0x0E,
+    STATUS_CMD_OK: 0x00,
+    CMD_SIGN_ON: 0x01,
+    CMD_LOAD_ADDRESS: 0x06,
+    CMD_ENTER_PROGMODE_ISP: 0x10,
+    CMD_LEAVE_PROGMODE_ISP: 0x11,
+    CMD_PROGRAM_FLASH_ISP: 0x13,
+    CMD_READ_FLASH_ISP: 0x14,
+    CMD_READ_SIGNATURE_ISP: 0x1B
+};
+
+export default class STK500v2Uploader extends SerialUploader {
+    constructor(port, options = {}) {
+        super(port, options);
+
+        this.baudRate = options.baudRate || 115200;
+        this.pageSize = options.pageSize || 256;
+        this.flashSize = options.flashSize || 256 * 1024;
+        this.signature = options.signature || null; // e.g. [0x1E, 0x98, 0x01] for ATmega2560
+        this.syncAttempts = options.syncAttempts || 10;
+        this.timeout = options.timeout || 1000;
+        this.verify = options.verify !== false;
+        this.sequence = 0;
+        this.intelHex = new IntelHex();
+    }
+
+    // Flash an Intel HEX image (text or parsed) through the bootloader
+    async upload(hex) {
+        const image = typeof hex === 'string' ? this.intelHex.parse(hex) : hex;
+        const pages = this.intelHex.toPages(image, this.pageSize);
+
+        await this.openPort(this.baudRate);
+        this.acquireStreams();
+
+        try {
+            this.notifyProgress('reset');
+            await this.resetBoard();
+
+            this.notifyProgress('sync');
+            const programmer = await this.signOn();
+
+            await this.enterProgrammingMode();
+
+            const signature = await this.readSignature();
+            this.checkSignature(signature);
+
+            for (let i = 0; i < pages.length; i++) {
+                await this.loadAddress(pages[i].address);
+                await this.programPage(pages[i].data);
+                this.notifyProgress('write', i + 1, pages.length);
+            }
+
+            if (this.verify) {
+                for (let i = 0; i < pages.length; i++) {
+                    await this.loadAddress(pages[i].address);
+                    const readBack = await this.readPage(pages[i].data.length);
+                    this.comparePage(pages[i], readBack);
+                    this.notifyProgress('verify', i + 1, pages.length);
+                }
+            }
+
+            await this.sendMessage([STK.CMD_LEAVE_PROGMODE_ISP, 1, 1]);
+            this.notifyProgress('done', pages.length, pages.length);
+
+            return {
+                protocol: 'stk500v2',
+                programmer: programmer,
+                bytesWritten: this.intelHex.getSize(image),
+                pages: pages.length,
+                verified: this.verify,
+                signature: Array.from(signature)
+            };
+
+        } finally {
+            await this.releaseStreams();
+            await this.closePort();
+        }
+    }
+
+    // Same DTR/RTS auto-reset pulse as the Uno
+    async resetBoard() {
+        await this.setSignals({ dataTerminalReady: false, requestToSend: false });
+        await this.delay(250);
+        await this.setSignals({ dataTerminalReady: true, requestToSend: true });
+        await this.delay(50);
+    }
+
+    async signOn() {
+        for (let attempt = 1; attempt <= this.syncAttempts; attempt++) {
+            await this.drainInput();
+
+            try {
+                const body = await this.sendMessage([STK.CMD_SIGN_ON], 200);
+                const id = String.fromCharCode(...body.slice(3, 3 + body[2]));
+                console.log(`🔗 Signed on to ${id} after ${attempt} attempt(s)`);
+                return id;
+            } catch (error) {
+                // Bootloader still starting up
+            }
+        }
+
+        throw new Error(`Bootloader not responding (stk500v2 sign-on failed after ${this.syncAttempts} attempts)`);
+    }
+
+    // Frame: START, SEQ, SIZE(2, big endian), TOKEN, body, XOR checksum
+    async sendMessage(body, timeout = this.timeout) {
+        const sequence = this.sequence;
+        this.sequence = (this.sequence + 1) & 0xFF;
+
+        const frame = [STK.MESSAGE_START, sequence, (body.length >> 8) & 0xFF, body.length & 0xFF, STK.TOKEN, ...body];
+        frame.push(this.checksum(frame));
+        await this.write(frame);
+
+        const answer = await this.readMessage(timeout);
+
+        if (answer.sequence !== sequence) {
+            throw new Error(`Bootloader answered out of sequence (expected ${sequence}, got ${answer.sequence})`);
+        }
+
+        if (answer.body[0] !== body[0]) {
+            throw new Error(`Bootloader answered command 0x${this.toHex(answer.body[0])} to 0x${this.toHex(body[0])}`);
+        }
+
+        if (answer.body[1] !== STK.STATUS_CMD_OK) {
+            throw new Error(`Bootloader rejected command 0x${this.toHex(body[0])} (status 0x${this.toHex(answer.body[1])})`);
+        }
+
+        return answer.body;
+    }
+
+    async readMessage(timeout) {
+        const deadline = Date.now() + timeout;
+
+        // Skip noise until a message start byte
+        let [start] = await this.readBytes(1, timeout);
+        while (start !== STK.MESSAGE_START) {
+            [start] = await this.readBytes(1, Math.max(1, deadline - Date.now()));
+        }
+
+        const header = await this.readBytes(4, Math.max(1, deadline - Date.now()));
+        const size = (header[1] << 8) | header[2];
+
+        if (header[3] !== STK.TOKEN) {
+            throw new Error('Malformed STK500v2 message (missing token)');
+        }
+
+        const rest = await this.readBytes(size + 1, Math.max(1, deadline - Date.now()));
+        const body = rest.slice(0, size);
+        const expected = this.checksum([STK.MESSAGE_START, ...header, ...body]);
+
+        if (rest[size] !== expected) {
+            throw new Error('STK500v2 message checksum mismatch');
+        }
+
+        return { sequence: header[0], body };
+    }
+
+    checksum(bytes) {
+        return bytes.reduce((sum, byte) => sum ^ byte, 0);
+    }
+
+    async enterProgrammingMode() {
+        await this.sendMessage([
+            STK.CMD_ENTER_PROGMODE_ISP,
+            200, // timeout
+            100, // stabDelay
+            25, // cmdexeDelay
+            32, // synchLoops
+            0, // byteDelay
+            0x53, // pollValue
+            3, // pollIndex
+            0xAC, 0x53, 0x00, 0x00 // Programming enable
+        ]);
+    }
+
+    async readSignature() {
+        const signature = new Uint8Array(3);
+
+        for (let i = 0; i < 3; i++) {
+            const body = await this.sendMessage([STK.CMD_READ_SIGNATURE_ISP, 4, 0x30, 0x00, i, 0x00]);
+            signature[i] = body[2];
+        }
+
+        return signature;
+    }
+
+    // Word address; bit 31 asks the bootloader to also load the extended (>64KB) address byte
+    async loadAddress(byteAddress) {
+        let address = byteAddress >>> 1;
+        if (this.flashSize > 0x10000) {
+            address = (address | 0x80000000) >>> 0;
+        }
+
+        await this.sendMessage([
+            STK.CMD_LOAD_ADDRESS,
+            (address >>> 24) & 0xFF,
+            (address >>> 16) & 0xFF,
+            (address >>> 8) & 0xFF,
+            address & 0xFF
+        ]);
+    }
+
+    async programPage(data) {
+        await this.sendMessage([
+            STK.CMD_PROGRAM_FLASH_ISP,
+            (data.length >> 8) & 0xFF,
+            data.length & 0xFF,
+            0xC1, // Page mode, write page when done
+            10, // delay
+            0x40, 0x4C, 0x20, // Load page, write page, read location
+            0x00, 0x00, // Poll values
+            ...data
+        ]);
+    }
+
+    async readPage(length) {
+        const body = await this.sendMessage([
+            STK.CMD_READ_FLASH_ISP,
+            (length >> 8) & 0xFF,
+            length & 0xFF,
+            0x20 // Read program memory
+        ]);
+
+        return body.slice(2, 2 + length);
+    }
+}
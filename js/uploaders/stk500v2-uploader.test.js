@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import STK500v2Uploader from './stk500v2-uploader.js';
+import FakeSerialPort from './fake-serial-port.mock.js';
+import IntelHex from '../../modules/intel-hex.js';
+
+const START = 0x1B;
+const TOKEN = 0x0E;
+
+// The Mega 2560 wiring bootloader: framed STK500v2 messages after a DTR reset,
+// 256KB of flash addressed in words with bit 31 selecting the extended byte
+class FakeWiringBootloader {
+    constructor(options = {}) {
+        this.signature = options.signature || [0x1E, 0x98, 0x01];
+        this.silent = options.silent || false;
+        this.corruptAt = options.corruptAt ?? null;
+        this.failCommand = options.failCommand ?? null;
+        this.badChecksumFor = options.badChecksumFor ?? null;
+        this.flash = new Uint8Array(256 * 1024).fill(0xFF);
+        this.inBootloader = false;
+        this.dtr = true;
+        this.address = 0;
+        this.extendedAddress = false;
+        this.buffer = [];
+        this.commands = [];
+    }
+
+    signals(signals) {
+        if (signals.dataTerminalReady === false) this.dtr = false;
+        if (signals.dataTerminalReady === true && !this.dtr) {
+            this.dtr = true;
+            this.inBootloader = true;
+        }
+    }
+
+    receive(bytes, port) {
+        if (!this.inBootloader || this.silent) return;
+
+        this.buffer.push(...bytes);
+
+        while (this.buffer.length >= 6) {
+            const size = (this.buffer[2] << 8) | this.buffer[3];
+            if (this.buffer.length < size + 6) return;
+
+            const frame = this.buffer.splice(0, size + 6);
+            const checksum = frame.slice(0, -1).reduce((sum, byte) => sum ^ byte, 0);
+            if (frame[0] !== START || frame[4] !== TOKEN || checksum !== frame[frame.length - 1]) continue;
+
+            const body = frame.slice(5, -1);
+            this.commands.push(body[0]);
+            this.reply(port, frame[1], body[0], this.execute(body));
+        }
+    }
+
+    execute(body) {
+        if (body[0] === this.failCommand) return [body[0], 0xC0];
+
+        switch (body[0]) {
+            case 0x01:
+                return [0x01, 0x00, 8, ...Array.from('AVRISP_2', c => c.charCodeAt(0))];
+            case 0x1B:
+                return [0x1B, 0x00, this.signature[body[4]], 0x00];
+            case 0x06: {
+                const address = ((body[1] << 24) | (body[2] << 16) | (body[3] << 8) | body[4]) >>> 0;
+                this.extendedAddress = (address & 0x80000000) !== 0;
+                this.address = (address & 0x7FFFFFFF) * 2;
+                return [0x06, 0x00];
+            }
+            case 0x13: {
+                const length = (body[1] << 8) | body[2];
+                const data = body.slice(10, 10 + length);
+                this.flash.set(data, this.address);
+                if (this.corruptAt !== null && this.corruptAt >= this.address && this.corruptAt < this.address + length) {
+                    this.flash[this.corruptAt] ^= 0xFF;
+                }
+                return [0x13, 0x00];
+            }
+            case 0x14: {
+                const length = (body[1] << 8) | body[2];
+                return [0x14, 0x00, ...this.flash.slice(this.address, this.address + length), 0x00];
+            }
+            default:
+                return [body[0], 0x00];
+        }
+    }
+
+    reply(port, sequence, command, body) {
+        const frame = [START, sequence, body.length >> 8, body.length & 0xFF, TOKEN, ...body];
+        let checksum = frame.reduce((sum, byte) => sum ^ byte, 0);
+        if (command === this.badChecksumFor) checksum ^= 0x55;
+        port.respond([...frame, checksum]);
+    }
+}
+
+function firmware(segments) {
+    return new IntelHex().serialize({
+        segments: segments.map(([address, length]) => ({
+            address,
+            data: Uint8Array.from({ length }, (_, i) => (address + i * 11) & 0xFF)
+        })),
+        entryPoint: null
+    });
+}
+
+function uploader(device, options = {}) {
+    const port = new FakeSerialPort(device);
+    const stk = new STK500v2Uploader(port, { signature: [0x1E, 0x98, 0x01], syncAttempts: 3, timeout: 300, ...options });
+    return { port, stk };
+}
+
+test('signs on, writes pages on both sides of 64KB and verifies them', async () => {
+    const device = new FakeWiringBootloader();
+    const { port, stk } = uploader(device);
+    const progress = [];
+    stk.onProgress(event => progress.push(event.stage));
+
+    const result = await stk.upload(firmware([[0, 300], [0x1FF00, 256]]));
+
+    assert.equal(result.protocol, 'stk500v2');
+    assert.equal(result.programmer, 'AVRISP_2');
+    assert.equal(result.pages, 3);
+    assert.equal(result.bytesWritten, 556);
+    assert.deepEqual(result.signature, [0x1E, 0x98, 0x01]);
+
+    const image = new IntelHex().parse(firmware([[0, 300], [0x1FF00, 256]]));
+    image.segments.forEach(segment => {
+        assert.deepEqual(device.flash.slice(segment.address, segment.address + segment.data.length), segment.data);
+    });
+    assert.equal(device.extendedAddress, true);
+
+    assert.deepEqual(port.openings, [115200]);
+    assert.equal(port.isOpen, false);
+    assert.equal(device.commands.filter(command => command === 0x13).length, 3);
+    assert.equal(device.commands.filter(command => command === 0x14).length, 3);
+    assert.equal(device.commands.at(-1), 0x11);
+    assert.deepEqual([...new Set(progress)], ['reset', 'sync', 'write', 'verify', 'done']);
+});
+
+test('fails sign-on when the bootloader stays silent', async () => {
+    const device = new FakeWiringBootloader({ silent: true });
+    const { port, stk } = uploader(device, { syncAttempts: 2 });
+
+    await assert.rejects(stk.upload(firmware([[0, 16]])), /stk500v2 sign-on failed after 2 attempts/);
+    assert.equal(port.isOpen, false);
+});
+
+test('refuses to flash a board with a different signature', async () => {
+    const device = new FakeWiringBootloader({ signature: [0x1E, 0x97, 0x03] });
+    const { stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware([[0, 16]])), /Device signature mismatch \(expected 1e 98 01, got 1e 97 03\)/);
+    assert.equal(device.commands.includes(0x13), false);
+});
+
+test('reports a rejected page write with its status', async () => {
+    const device = new FakeWiringBootloader({ failCommand: 0x13 });
+    const { stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware([[0, 16]])), /Bootloader rejected command 0x13 \(status 0xc0\)/);
+});
+
+test('detects a corrupted answer', async () => {
+    const device = new FakeWiringBootloader({ badChecksumFor: 0x10 });
+    const { stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware([[0, 16]])), /checksum mismatch/);
+});
+
+test('reports the first byte that reads back differently', async () => {
+    const device = new FakeWiringBootloader({ corruptAt: 0x1FF10 });
+    const { stk } = uploader(device);
+
+    await assert.rejects(stk.upload(firmware([[0x1FF00, 64]])), /Verification failed at 0x1ff10/);
+});
@@ -1,6 +1,16 @@
+import STK500v1Uploader from './uploaders/stk500v1-uploader.js';
+import STK500v2Uploader from './uploaders/stk500v2-uploader.js';
+import AVR109Uploader from './uploaders/avr109-uploader.js';
+import ESPToolUploader from './uploaders/esptool-uploader.js';
+import BoardRegistry from '../modules/board-registry.js';
+
 export default class USBDetector {
-    constructor() {
+    constructor(registry = null) {
         this.port = null;
+        this.model = null;
+        this.defaultBaudRate = 9600;
+        this.baudRate = null;
+        this.commonBaudRates = [9600, 115200, 57600, 38400, 19200, 14400];
         this.reader = null;
         this.writer = null;
         this.isConnected = false;
@@ -8,27 +18,18 @@ export default class USBDetector {
         this.detectedDevices = new Map();
         this.connectionCallbacks = new Set();
         this.disconnectionCallbacks = new Set();
+        this.dataCallbacks = new Set();
+        this.readLoopActive = false;
+        this.readLoopPromise = null;
         
-        // Arduino device signatures
-        this.arduinoSignatures = {
-            vendors: [0x2341, 0x2A03, 0x1B4F, 0x0403], // Arduino, Adafruit, FTDI
-            products: {
-                // Arduino Uno
-                'UNO': { vendor: 0x2341, product: 0x0043, name: 'Arduino Uno' },
-                'UNO_R3': { vendor: 0x2341, product: 0x0043, name: 'Arduino Uno R3' },
-                // Arduino Nano
-                'NANO': { vendor: 0x2341, product: 0x0010, name: 'Arduino Nano' },
-                'NANO_CLONE': { vendor: 0x1A86, product: 0x7523, name: 'Arduino Nano (CH340)' },
-                // Arduino Mega
-                'MEGA': { vendor: 0x2341, product: 0x0010, name: 'Arduino Mega' },
-                'MEGA2560': { vendor: 0x2341, product: 0x0042, name: 'Arduino Mega 2560' },
-                // Arduino Leonardo
-                'LEONARDO': { vendor: 0x2341, product: 0x0036, name: 'Arduino Leonardo' },
-                // ESP32
-                'ESP32': { vendor: 0x10C4, product: 0xEA60, name: 'ESP32 Dev Module' },
-                // Generic
-                'GENERIC': { vendor: 0x2341, product: null, name: 'Generic Arduino' }
-            }
+        // Board definitions (USB IDs, bootloader settings) come from boards/*.json
+        this.registry = registry || new BoardRegistry();
+
+        this.uploaders = {
+            'stk500v1': STK500v1Uploader,
+            'stk500v2': STK500v2Uploader,
+            'avr109': AVR109Uploader,
+            'esptool': ESPToolUploader
         };
     }
 
@@ -46,6 +47,8 @@ export default class USBDetector {
         try {
             console.log('🔍 Starting Arduino detection...');
             
+            await this.registry.load();
+
             // Request port with Arduino filters
             const filters = this.getArduinoFilters();
             this.port = await navigator.serial.requestPort({ filters });
@@ -58,6 +61,7 @@ export default class USBDetector {
             // Identify the Arduino model
             const model = await this.identifyModel();
             
+            this.model = model;
             this.isConnected = true;
             this.notifyConnection(model);
             
@@ -73,18 +77,11 @@ export default class USBDetector {
 
     // Get filters for Arduino devices
     getArduinoFilters() {
-        return [
-            { usbVendorId: 0x2341 }, // Arduino
-            { usbVendorId: 0x2A03 }, // Arduino.org
-            { usbVendorId: 0x1B4F }, // SparkFun
-            { usbVendorId: 0x1A86 }, // CH340 (common clone)
-            { usbVendorId: 0x10C4 }, // ESP32
-            { usbVendorId: 0x0403 }  // FTDI
-        ];
+        return this.registry.getUSBFilters();
     }
 
     // Open serial port with Arduino-friendly settings
-    async openPort(baudRate = 9600) {
+    async openPort(baudRate = this.defaultBaudRate) {
         if (!this.port) {
             throw new Error('No port selected');
         }
@@ -97,6 +94,7 @@ export default class USBDetector {
             flowControl: 'none'
         });
 
+        this.baudRate = baudRate;
         console.log(`🔌 Port opened at ${baudRate} baud`);
     }
 
@@ -140,11 +138,9 @@ export default class USBDetector {
         console.log('USB Info:', info);
 
         if (info.usbVendorId && info.usbProductId) {
-            for (const [key, signature] of Object.entries(this.arduinoSignatures.products)) {
-                if (info.usbVendorId === signature.vendor && 
-                    (signature.product === null || info.usbProductId === signature.product)) {
-                    return key.toLowerCase();
-                }
+            const match = this.registry.findByUSB(info.usbVendorId, info.usbProductId);
+            if (match) {
+                return match.board.id;
             }
         }
 
@@ -209,6 +205,10 @@ export default class USBDetector {
             throw new Error('Port not open');
         }
 
+        if (this.readLoopActive) {
+            throw new Error('Port is busy streaming to the serial monitor');
+        }
+
         const encoder = new TextEncoder();
         const decoder = new TextDecoder();
         
@@ -265,9 +265,7 @@ export default class USBDetector {
 
     // Detect baud rate automatically
     async detectBaudRate() {
-        const commonBaudRates = [9600, 115200, 57600, 38400, 19200, 14400];
-        
-        for (const baudRate of commonBaudRates) {
+        for (const baudRate of this.commonBaudRates) {
             try {
                 // Temporarily change baud rate
                 await this.port.close();
@@ -288,18 +286,9 @@ export default class USBDetector {
     // Behavioral pattern matching
     behavioralGuess() {
         const info = this.port.getInfo();
-        
-        // Logic based on common patterns
-        if (info.usbVendorId === 0x2341) {
-            if (info.usbProductId === 0x0043) return 'uno';
-            if (info.usbProductId === 0x0042) return 'mega2560';
-            if (info.usbProductId === 0x0036) return 'leonardo';
-        }
-        
-        if (info.usbVendorId === 0x1A86) return 'nano';
-        if (info.usbVendorId === 0x10C4) return 'esp32';
-        
-        return 'generic';
+        const match = this.registry.findByUSB(info.usbVendorId, info.usbProductId);
+
+        return match ? match.board.id : 'generic';
     }
 
     // Map response to model
@@ -309,7 +298,7 @@ export default class USBDetector {
         if (lowerResponse.includes('esp32')) return 'esp32';
         if (lowerResponse.includes('uno')) return 'uno';
         if (lowerResponse.includes('nano')) return 'nano';
-        if (lowerResponse.includes('mega')) return 'mega';
+        if (lowerResponse.includes('mega')) return 'mega2560';
         if (lowerResponse.includes('leonardo')) return 'leonardo';
         
         return 'generic';
@@ -324,6 +313,8 @@ export default class USBDetector {
         this.isScanning = true;
         
         try {
+            await this.registry.load();
+
             // Get all available ports
             const ports = await navigator.serial.getPorts();
             console.log(`🔍 Found ${ports.length} serial ports`);
@@ -357,19 +348,17 @@ export default class USBDetector {
     async quickIdentifyPort(port) {
         const info = port.getInfo();
         
-        // Check if it matches known Arduino signatures
-        for (const [model, signature] of Object.entries(this.arduinoSignatures.products)) {
-            if (info.usbVendorId === signature.vendor && 
-                (signature.product === null || info.usbProductId === signature.product)) {
-                return {
-                    id: `${info.usbVendorId}-${info.usbProductId}`,
-                    model: model.toLowerCase(),
-                    name: signature.name,
-                    vendorId: info.usbVendorId,
-                    productId: info.usbProductId,
-                    connected: false
-                };
-            }
+        // Check if it matches a known board definition
+        const match = this.registry.findByUSB(info.usbVendorId, info.usbProductId);
+        if (match) {
+            return {
+                id: `${info.usbVendorId}-${info.usbProductId}`,
+                model: match.board.id,
+                name: match.name,
+                vendorId: info.usbVendorId,
+                productId: info.usbProductId,
+                connected: false
+            };
         }
         
         return null;
@@ -386,84 +375,188 @@ export default class USBDetector {
         
         return {
             model: model,
-            name: this.arduinoSignatures.products[model.toUpperCase()]?.name || 'Unknown Arduino',
+            name: this.registry.get(model)?.name || 'Unknown Arduino',
             vendorId: info.usbVendorId,
             productId: info.usbProductId,
             serialNumber: info.usbSerialNumber,
             connection: 'USB Serial',
-            baudRate: this.port.baudRate,
+            baudRate: this.baudRate,
             timestamp: new Date().toISOString()
         };
     }
 
-    // Upload code to connected Arduino
-    async uploadCode(code, options = {}) {
+    // Upload a compiled firmware image (Intel HEX text or a parsed IntelHex image)
+    async uploadCode(hex, options = {}) {
         if (!this.isConnected) {
             throw new Error('No Arduino connected');
         }
 
-        console.log('📤 Uploading code to Arduino...');
-        
+        if (!this.isIntelHex(hex) && !this.isFirmwareImage(hex)) {
+            throw new Error('Upload requires a compiled Intel HEX image, not sketch source');
+        }
+
+        const model = options.model || this.model || 'generic';
+        const uploader = this.createUploader(model, options);
+
+        if (options.onProgress) {
+            uploader.onProgress(options.onProgress);
+        }
+
+        console.log(`📤 Uploading firmware to Arduino ${model}...`);
+
+        // The bootloader needs the port to itself
+        const wasStreaming = this.readLoopActive;
+        await this.stopReadLoop();
+
         try {
-            // Add Arduino program structure if needed
-            const fullCode = this.wrapCodeForUpload(code, options);
-            
-            // Send code in chunks
-            await this.sendCodeChunked(fullCode);
-            
-            console.log('✅ Code uploaded successfully');
-            return true;
-            
+            // Uploaders open the port themselves at the bootloader's baud rate
+            await this.port.close();
+
+            const result = await uploader.upload(hex);
+
+            console.log('✅ Firmware uploaded successfully');
+            return result;
+
         } catch (error) {
-            console.error('❌ Code upload failed:', error);
+            console.error('❌ Firmware upload failed:', error);
             throw error;
+
+        } finally {
+            // Boards that re-enumerate (Leonardo, Micro) come back as a new port
+            await this.restorePort(uploader.port);
+
+            if (wasStreaming && this.isConnected) {
+                await this.startReadLoop();
+            }
         }
     }
 
-    // Wrap code with proper Arduino structure
-    wrapCodeForUpload(code, options) {
-        if (code.includes('void setup()') && code.includes('void loop()')) {
-            return code; // Already proper Arduino code
+    // Pick the bootloader protocol for the identified model
+    createUploader(model, options = {}) {
+        const profile = this.registry.getUploadProfile(model);
+        if (!profile) {
+            throw new Error(`Upload is not supported for ${model} boards yet`);
         }
 
-        // Wrap in basic Arduino structure
-        return `// Uploaded by VitaCoder Pro
-${options.libraries || ''}
+        const Uploader = this.uploaders[profile.protocol];
+        return new Uploader(this.port, { ...profile, ...options });
+    }
 
-void setup() {
-    Serial.begin(9600);
-    ${code}
-}
+    isIntelHex(content) {
+        return typeof content === 'string' && /^\s*:[0-9A-Fa-f]{10,}/.test(content);
+    }
 
-void loop() {
-    // Your code runs here
-}`;
+    isFirmwareImage(content) {
+        return Boolean(content) && Array.isArray(content.segments);
     }
 
-    // Send code in chunks to avoid buffer overflow
-    async sendCodeChunked(code) {
-        const encoder = new TextEncoder();
-        const chunks = this.chunkString(code, 64); // Small chunks for stability
-        
-        this.writer = this.port.writable.getWriter();
-        
+    // Reattach to the sketch port after an upload
+    async restorePort(port) {
+        this.port = port;
+
         try {
-            for (const chunk of chunks) {
-                await this.writer.write(encoder.encode(chunk));
-                await this.delay(10); // Small delay between chunks
+            await this.openPort(this.defaultBaudRate);
+        } catch (error) {
+            console.warn('⚠️ Could not reopen port after upload:', error);
+            this.port = null;
+            this.model = null;
+            this.isConnected = false;
+            this.notifyDisconnection();
+        }
+    }
+
+    // Continuously read from the port and fan the bytes out to data listeners
+    async startReadLoop() {
+        if (this.readLoopActive) {
+            return;
+        }
+
+        if (!this.port || !this.port.readable) {
+            throw new Error('Port not open');
+        }
+
+        this.readLoopActive = true;
+        this.readLoopPromise = this.runReadLoop();
+    }
+
+    async runReadLoop() {
+        while (this.readLoopActive && this.port && this.port.readable) {
+            this.reader = this.port.readable.getReader();
+
+            try {
+                let done = false;
+                while (!done) {
+                    const result = await this.reader.read();
+                    done = result.done;
+                    if (result.value && result.value.length) {
+                        this.notifyData(result.value);
+                    }
+                }
+            } catch (error) {
+                // Framing/parity/overrun errors are recoverable: readable is replaced
+                if (this.readLoopActive) {
+                    console.warn('Serial read error:', error);
+                }
+            } finally {
+                this.reader.releaseLock();
+                this.reader = null;
+            }
+        }
+
+        this.readLoopActive = false;
+    }
+
+    async stopReadLoop() {
+        if (!this.readLoopActive) {
+            return;
+        }
+
+        this.readLoopActive = false;
+
+        if (this.reader) {
+            try {
+                await this.reader.cancel();
+            } catch (error) {
+                // Reader already closed
             }
+        }
+
+        await this.readLoopPromise;
+        this.readLoopPromise = null;
+    }
+
+    // Write text or bytes to the running sketch
+    async writeData(data) {
+        if (!this.port || !this.port.writable) {
+            throw new Error('Port not open');
+        }
+
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+
+        this.writer = this.port.writable.getWriter();
+        try {
+            await this.writer.write(bytes);
         } finally {
             this.writer.releaseLock();
+            this.writer = null;
         }
     }
 
-    // Split string into chunks
-    chunkString(str, chunkSize) {
-        const chunks = [];
-        for (let i = 0; i < str.length; i += chunkSize) {
-            chunks.push(str.substring(i, i + chunkSize));
+    // Reopen the port at a new baud rate, keeping the read loop running
+    async setBaudRate(baudRate) {
+        if (!this.port) {
+            throw new Error('No port selected');
+        }
+
+        const wasStreaming = this.readLoopActive;
+        await this.stopReadLoop();
+
+        await this.port.close();
+        await this.openPort(baudRate);
+
+        if (wasStreaming) {
+            await this.startReadLoop();
         }
-        return chunks;
     }
 
     // Utility delay function
@@ -473,6 +566,8 @@ void loop() {
 
     // Close connection
     async disconnect() {
+        await this.stopReadLoop();
+
         if (this.reader) {
             this.reader.cancel();
             this.reader.releaseLock();
@@ -489,6 +584,7 @@ void loop() {
             this.port = null;
         }
         
+        this.model = null;
         this.isConnected = false;
         this.notifyDisconnection();
         
@@ -514,6 +610,24 @@ void loop() {
         });
     }
 
+    onData(callback) {
+        this.dataCallbacks.add(callback);
+    }
+
+    offData(callback) {
+        this.dataCallbacks.delete(callback);
+    }
+
+    notifyData(bytes) {
+        this.dataCallbacks.forEach(callback => {
+            try {
+                callback(bytes);
+            } catch (error) {
+                console.error('Data callback error:', error);
+            }
+        });
+    }
+
     notifyDisconnection() {
         this.disconnectionCallbacks.forEach(callback => {
             try {
@@ -541,5 +655,6 @@ void loop() {
         this.detectedDevices.clear();
         this.connectionCallbacks.clear();
         this.disconnectionCallbacks.clear();
+        this.dataCallbacks.clear();
     }
 }
@@ -129,6 +129,16 @@ export default class USBStatusMonitor {
             return { status: 'disconnected', health: 'unknown' };
         }
 
+        // A board streaming to the serial monitor is alive; probing would steal the reader
+        if (this.usbDetector.readLoopActive) {
+            return {
+                status: 'connected',
+                health: 'good',
+                streaming: true,
+                timestamp: new Date().toISOString()
+            };
+        }
+
         try {
             // Send health check command
             const response = await this.usbDetector.sendCommand('AT\r\n', 1000);
@@ -169,15 +179,9 @@ export default class USBStatusMonitor {
         }
 
         const model = await this.usbDetector.identifyModel();
-        const capabilities = {
-            'uno': ['digital_io', 'analog_input', 'pwm', 'serial'],
-            'nano': ['digital_io', 'analog_input', 'pwm', 'serial', 'compact'],
-            'mega': ['digital_io', 'analog_input', 'pwm', 'serial', 'multiple_serial', 'more_memory'],
-            'leonardo': ['digital_io', 'analog_input', 'pwm', 'serial', 'usb_hid'],
-            'esp32': ['wifi', 'bluetooth', 'digital_io', 'analog_input', 'pwm', 'more_memory']
-        };
+        const board = this.usbDetector.registry.get(model);
 
-        return capabilities[model] || ['basic_arduino'];
+        return board ? board.features : ['basic_arduino'];
     }
 
     getConnectionRecommendations(status) {
@@ -1,5 +1,8 @@
+import BoardRegistry from '../board-registry.js';
+
 export default class KnowledgeGraph {
-    constructor() {
+    constructor(registry = null) {
+        this.registry = registry || new BoardRegistry();
         this.nodes = new Map();
         this.edges = new Map();
         this.taskHistory = new Map();
@@ -12,6 +15,12 @@ export default class KnowledgeGraph {
         
         // Load existing knowledge if available
         await this.loadPersistedKnowledge();
+
+        try {
+            await this.registry.load();
+        } catch (error) {
+            console.warn('⚠️ Board definitions unavailable:', error);
+        }
         
         // Initialize core concepts
         this.initializeCoreConcepts();
@@ -21,19 +30,17 @@ export default class KnowledgeGraph {
     }
 
     initializeCoreConcepts() {
-        // Arduino concepts
-        this.addNode('concept', 'arduino_uno', {
-            pins: { digital: 14, analog: 6, pwm: 6 },
-            memory: '2KB',
-            flash: '32KB',
-            common_uses: ['prototyping', 'education', 'iot']
-        });
-
-        this.addNode('concept', 'arduino_nano', {
-            pins: { digital: 14, analog: 8, pwm: 6 },
-            memory: '2KB',
-            flash: '32KB',
-            common_uses: ['compact_projects', 'wearables']
+        // Arduino concepts, one node per board definition
+        const boards = this.registry.getAll();
+        boards.forEach(board => {
+            this.addNode('concept', `arduino_${board.id}`, {
+                name: board.name,
+                pins: { digital: board.pins.digital.length, analog: board.pins.analog.length, pwm: board.pins.pwm.length },
+                memory: board.memory.sram,
+                flash: board.memory.flash,
+                voltage: board.voltage,
+                common_uses: board.commonUses
+            });
         });
 
         this.addNode('concept', 'sensor_reading', {
@@ -47,8 +54,10 @@ export default class KnowledgeGraph {
         });
 
         // Create relationships
-        this.addEdge('arduino_uno', 'supports', 'sensor_reading');
-        this.addEdge('arduino_uno', 'supports', 'motor_control');
+        boards.forEach(board => {
+            this.addEdge(`arduino_${board.id}`, 'supports', 'sensor_reading');
+            this.addEdge(`arduino_${board.id}`, 'supports', 'motor_control');
+        });
         this.addEdge('sensor_reading', 'requires', 'analog_read');
         this.addEdge('motor_control', 'requires', 'pwm_control');
     }
@@ -0,0 +1,282 @@
+// Arduino core and library API loaded from api/*.json: functions, classes with their
+// constructors and methods, global objects (Serial, Wire, ...) and constants grouped by
+// the parameters that accept them (pinMode, pinState, ...). Overloads are listed as
+// separate entries with the same name; optional parameters are marked "optional".
+export default class ApiKnowledgeBase {
+    constructor(options = {}) {
+        this.basePath = options.basePath || '/api/';
+        this.libraries = new Map();
+        this.functions = new Map();
+        this.classes = new Map();
+        this.objects = new Map();
+        this.constants = new Map();
+        this.loaded = false;
+        this.loadingPromise = null;
+    }
+
+    // Fetch the index and every library it lists; safe to call repeatedly
+    async load() {
+        if (this.loaded) return this;
+
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchLibraries().then(() => {
+                this.loaded = true;
+                console.log(`✅ Loaded ${this.libraries.size} API definitions`);
+                return this;
+            }).finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+
+        return this.loadingPromise;
+    }
+
+    async fetchLibraries() {
+        const index = await this.fetchJSON('index.json');
+
+        for (const file of index.libraries || []) {
+            try {
+                this.register(await this.fetchJSON(file));
+            } catch (error) {
+                console.warn(`⚠️ Could not load API definition ${file}:`, error);
+            }
+        }
+    }
+
+    async fetchJSON(file) {
+        const response = await fetch(`${this.basePath}${file}`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${file}: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('API definition requires an id');
+        }
+
+        const library = {
+            ...definition,
+            header: definition.header || null,
+            functions: definition.functions || [],
+            classes: definition.classes || [],
+            objects: definition.objects || [],
+            constants: definition.constants || []
+        };
+
+        library.functions.forEach(fn => {
+            const overloads = this.functions.get(fn.name) || [];
+            overloads.push({ ...fn, params: fn.params || [], library: library.id });
+            this.functions.set(fn.name, overloads);
+        });
+
+        library.classes.forEach(cls => {
+            this.classes.set(cls.name, {
+                ...cls,
+                extends: cls.extends || null,
+                constructors: cls.constructors || [],
+                methods: (cls.methods || []).map(method => ({ ...method, params: method.params || [], className: cls.name, library: library.id })),
+                library: library.id
+            });
+        });
+
+        library.objects.forEach(object => this.objects.set(object.name, { ...object, library: library.id }));
+        library.constants.forEach(constant => this.constants.set(constant.name, { ...constant, groups: constant.groups || [], library: library.id }));
+
+        this.libraries.set(library.id, library);
+        return library;
+    }
+
+    getLibraries() {
+        return Array.from(this.libraries.values());
+    }
+
+    getLibrary(id) {
+        return this.libraries.get(id) || null;
+    }
+
+    getClass(name) {
+        return this.classes.get(name) || null;
+    }
+
+    // Class of a global object: Serial -> HardwareSerial
+    getObjectClass(name) {
+        const object = this.objects.get(name);
+        return object ? object.class : null;
+    }
+
+    // Methods of a class followed by the ones it inherits (HardwareSerial -> Stream -> Print)
+    getMembers(className) {
+        const members = [];
+        const seen = new Set();
+
+        for (let cls = this.classes.get(className); cls && !seen.has(cls.name); cls = this.classes.get(cls.extends)) {
+            seen.add(cls.name);
+            members.push(...cls.methods);
+        }
+
+        return members;
+    }
+
+    // Every overload of a function, or of a method when className is given
+    getOverloads(name, className = null) {
+        if (className) return this.getMembers(className).filter(method => method.name === name);
+        return this.functions.get(name) || [];
+    }
+
+    getFunction(name, className = null) {
+        return this.getOverloads(name, className)[0] || null;
+    }
+
+    // [minimum, maximum] argument count over all overloads, or null when the name is unknown
+    getArgumentRange(name, className = null) {
+        return this.range(this.getOverloads(name, className));
+    }
+
+    // Same for the constructors of a class; null when none are listed
+    getConstructorRange(className) {
+        const cls = this.classes.get(className);
+        return cls ? this.range(cls.constructors) : null;
+    }
+
+    range(overloads) {
+        if (overloads.length === 0) return null;
+
+        return [
+            Math.min(...overloads.map(overload => overload.params.filter(param => !param.optional).length)),
+            Math.max(...overloads.map(overload => overload.params.length))
+        ];
+    }
+
+    getSignatures(name, className = null) {
+        return this.getOverloads(name, className).map(overload => ({
+            label: this.formatSignature(overload, className),
+            returns: overload.returns || null,
+            params: overload.params,
+            doc: overload.doc || ''
+        }));
+    }
+
+    // Constructor overloads, labelled like a declaration: DHT(uint8_t pin, uint8_t type, [uint8_t count])
+    getConstructorSignatures(className) {
+        const cls = this.classes.get(className);
+        if (!cls) return [];
+
+        return cls.constructors.map(constructor => ({
+            label: this.formatSignature({ ...constructor, name: className, returns: null }),
+            returns: null,
+            params: constructor.params || [],
+            doc: constructor.doc || ''
+        }));
+    }
+
+    formatSignature(fn, className = null) {
+        const params = fn.params.map(param => param.optional ? `[${param.type} ${param.name}]` : `${param.type} ${param.name}`);
+        const owner = className ? `${fn.className || className}::` : '';
+        return `${fn.returns ? `${fn.returns} ` : ''}${owner}${fn.name}(${params.join(', ')})`;
+    }
+
+    getConstants(group) {
+        return Array.from(this.constants.values()).filter(constant => constant.groups.includes(group));
+    }
+
+    // Header that declares a function, class, object or constant; null for the core
+    getHeaderFor(name) {
+        const entry = this.objects.get(name) || this.classes.get(name) || this.constants.get(name) ||
+            (this.functions.get(name) || [])[0];
+        if (!entry) return null;
+
+        const library = this.libraries.get(entry.library);
+        return library ? library.header : null;
+    }
+
+    // Core names are always visible; library names once their header is included
+    isGlobal(name, includedHeaders = []) {
+        if (!this.objects.has(name) && !this.classes.has(name) && !this.constants.has(name) && !this.functions.has(name)) {
+            return false;
+        }
+
+        const header = this.getHeaderFor(name);
+        return !header || includedHeaders.includes(header);
+    }
+
+    // Names starting with prefix (case-insensitive, exact-case matches first). The context
+    // narrows the candidates: { className } for members after "obj.", { group } for the
+    // constants a parameter accepts.
+    complete(prefix = '', context = {}) {
+        let candidates;
+
+        if (context.className) {
+            candidates = this.getMembers(context.className).map(method => this.describe(method, 'method', context.className));
+        } else if (context.group) {
+            candidates = this.getConstants(context.group).map(constant => this.describe(constant, 'constant'));
+        } else {
+            candidates = [
+                ...Array.from(this.functions.values()).map(overloads => this.describe(overloads[0], 'function')),
+                ...Array.from(this.objects.values()).map(object => this.describe(object, 'object')),
+                ...Array.from(this.classes.values()).map(cls => this.describe(cls, 'class')),
+                ...Array.from(this.constants.values())
+                    .filter(constant => /^[A-Za-z_]/.test(constant.name))
+                    .map(constant => this.describe(constant, 'constant'))
+            ];
+        }
+
+        const lower = prefix.toLowerCase();
+        const seen = new Set();
+        const matches = candidates.filter(item => {
+            if (seen.has(item.name) || !item.name.toLowerCase().startsWith(lower)) return false;
+            seen.add(item.name);
+            return true;
+        });
+
+        return [
+            ...matches.filter(item => item.name.startsWith(prefix)),
+            ...matches.filter(item => !item.name.startsWith(prefix))
+        ];
+    }
+
+    // Documentation for a name: member of className, global object, function, class or constant
+    hover(name, className = null) {
+        if (className) {
+            const method = this.getFunction(name, className);
+            return method ? this.describe(method, 'method', className) : null;
+        }
+
+        if (this.objects.has(name)) return this.describe(this.objects.get(name), 'object');
+        if (this.functions.has(name)) return this.describe(this.functions.get(name)[0], 'function');
+        if (this.classes.has(name)) return this.describe(this.classes.get(name), 'class');
+        if (this.constants.has(name)) return this.describe(this.constants.get(name), 'constant');
+        return null;
+    }
+
+    describe(entry, kind, className = null) {
+        const library = this.libraries.get(entry.library);
+        const item = { name: entry.name, kind: kind, detail: '', doc: entry.doc || '', header: library ? library.header : null };
+
+        switch (kind) {
+            case 'function':
+            case 'method':
+                item.signatures = this.getSignatures(entry.name, kind === 'method' ? className : null);
+                item.detail = item.signatures[0].label;
+                if (item.signatures.length > 1) item.detail += ` (+${item.signatures.length - 1} overloads)`;
+                break;
+            case 'object': {
+                const cls = this.classes.get(entry.class);
+                item.detail = `${entry.class} ${entry.name}`;
+                if (cls && cls.doc) item.doc = `${item.doc} (${cls.doc})`;
+                break;
+            }
+            case 'class':
+                item.detail = `class ${entry.name}${entry.extends ? ` : public ${entry.extends}` : ''}`;
+                break;
+            case 'constant':
+                item.detail = `${entry.type} ${entry.name}${entry.value !== undefined ? ` = ${entry.value}` : ''}`;
+                break;
+        }
+
+        return item;
+    }
+}
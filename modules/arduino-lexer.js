@@ -0,0 +1,166 @@
+// Longest operators first so that "<<=" wins over "<<" and "<"
+const PUNCTUATORS = [
+    '<<=', '>>=', '...', '->*',
+    '::', '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+    '{', '}', '(', ')', '[', ']', ';', ',', '.', '?', ':', '~', '!',
+    '+', '-', '*', '/', '%', '<', '>', '&', '|', '^', '='
+];
+
+const KEYWORDS = new Set([
+    'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+    'return', 'goto', 'const', 'static', 'volatile', 'extern', 'inline', 'register',
+    'struct', 'class', 'enum', 'union', 'typedef', 'public', 'private', 'protected',
+    'virtual', 'override', 'new', 'delete', 'this', 'namespace', 'using', 'template',
+    'typename', 'sizeof', 'constexpr', 'true', 'false', 'nullptr', 'operator', 'friend',
+    'explicit', 'mutable'
+]);
+
+export default class ArduinoLexer {
+    constructor() {
+        this.keywords = KEYWORDS;
+    }
+
+    // Split source into tokens with 1-based line/column and 0-based offsets.
+    // Comments are returned separately so the parser never has to skip them.
+    tokenize(code) {
+        const tokens = [];
+        const comments = [];
+        const errors = [];
+
+        let offset = 0;
+        let line = 1;
+        let column = 1;
+        let lineStart = true;
+
+        const position = () => ({ line, column, offset });
+
+        const advance = (count) => {
+            for (let i = 0; i < count; i++) {
+                if (code[offset] === '\n') {
+                    line++;
+                    column = 1;
+                    lineStart = true;
+                } else {
+                    column++;
+                }
+                offset++;
+            }
+        };
+
+        const add = (list, type, length, extra = {}) => {
+            const start = position();
+            const value = code.slice(offset, offset + length);
+            advance(length);
+            const token = { type, value, start, end: position(), ...extra };
+            list.push(token);
+            return token;
+        };
+
+        while (offset < code.length) {
+            const char = code[offset];
+            const rest = code.slice(offset, offset + 3);
+
+            if (char === '\n') {
+                advance(1);
+                continue;
+            }
+
+            if (/\s/.test(char)) {
+                advance(1);
+                continue;
+            }
+
+            if (rest.startsWith('//')) {
+                const end = code.indexOf('\n', offset);
+                add(comments, 'comment', (end === -1 ? code.length : end) - offset, { block: false });
+                continue;
+            }
+
+            if (rest.startsWith('/*')) {
+                const end = code.indexOf('*/', offset + 2);
+                if (end === -1) {
+                    errors.push({ message: 'Unterminated comment', start: position() });
+                }
+                add(comments, 'comment', (end === -1 ? code.length : end + 2) - offset, { block: true });
+                continue;
+            }
+
+            // A directive runs to the end of the line, including "\" continuations
+            if (char === '#' && lineStart) {
+                let end = offset;
+                while (end < code.length && code[end] !== '\n') {
+                    end++;
+                    if (code[end] === '\n' && code[end - 1] === '\\') {
+                        end++;
+                    }
+                }
+                add(tokens, 'preprocessor', end - offset);
+                continue;
+            }
+
+            lineStart = false;
+
+            if (char === '"' || char === '\'') {
+                const end = this.findClosingQuote(code, offset, char);
+                if (end === -1) {
+                    const lineEnd = code.indexOf('\n', offset);
+                    errors.push({
+                        message: char === '"' ? 'Missing terminating " character' : 'Missing terminating \' character',
+                        start: position()
+                    });
+                    add(tokens, char === '"' ? 'string' : 'char', (lineEnd === -1 ? code.length : lineEnd) - offset, { unterminated: true });
+                } else {
+                    add(tokens, char === '"' ? 'string' : 'char', end - offset);
+                }
+                continue;
+            }
+
+            const number = /[0-9]/.test(char) || (char === '.' && /[0-9]/.test(code[offset + 1] || ''))
+                ? code.slice(offset).match(/^(0[xX][0-9a-fA-F']+|0[bB][01']+|([0-9][0-9']*\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?)[uUlLfF]*/)
+                : null;
+            if (number) {
+                add(tokens, 'number', number[0].length);
+                continue;
+            }
+
+            const identifier = code.slice(offset, offset + 256).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            if (identifier) {
+                const type = this.keywords.has(identifier[0]) ? 'keyword' : 'identifier';
+                add(tokens, type, identifier[0].length);
+                continue;
+            }
+
+            const punctuator = PUNCTUATORS.find(candidate => code.startsWith(candidate, offset));
+            if (punctuator) {
+                add(tokens, 'punctuator', punctuator.length);
+                continue;
+            }
+
+            errors.push({ message: `Stray '${char}' in program`, start: position() });
+            advance(1);
+        }
+
+        tokens.push({ type: 'eof', value: '', start: position(), end: position() });
+
+        return { tokens, comments, errors };
+    }
+
+    // Returns the offset just past the closing quote, or -1 if the line ends first
+    findClosingQuote(code, start, quote) {
+        let i = start + 1;
+
+        while (i < code.length && code[i] !== '\n') {
+            if (code[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (code[i] === quote) {
+                return i + 1;
+            }
+            i++;
+        }
+
+        return -1;
+    }
+}
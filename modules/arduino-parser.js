@@ -0,0 +1,1566 @@
+import ArduinoLexer from './arduino-lexer.js';
+
+const BUILTIN_TYPES = new Set([
+    'void', 'bool', 'boolean', 'char', 'byte', 'word', 'int', 'float', 'double', 'String', 'size_t', 'auto',
+    'int8_t', 'uint8_t', 'int16_t', 'uint16_t', 'int32_t', 'uint32_t', 'int64_t', 'uint64_t'
+]);
+
+// Can be combined with each other and with int/char/double ("unsigned long int")
+const TYPE_MODIFIERS = new Set(['unsigned', 'signed', 'long', 'short']);
+
+const QUALIFIERS = new Set([
+    'const', 'static', 'volatile', 'extern', 'inline', 'register', 'constexpr', 'virtual', 'explicit', 'mutable', 'friend'
+]);
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+const BINARY_PRECEDENCE = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '&': 5,
+    '==': 6, '!=': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7,
+    '<<': 8, '>>': 8,
+    '+': 9, '-': 9,
+    '*': 10, '/': 10, '%': 10
+};
+
+const PREFIX_OPERATORS = new Set(['!', '~', '-', '+', '++', '--', '*', '&']);
+
+const POSTFIX_OPERATORS = new Set(['(', '[', '.', '->', '++', '--']);
+
+const CAST_OPERATORS = new Set(['static_cast', 'reinterpret_cast', 'const_cast', 'dynamic_cast']);
+
+// Recursive descent parser for the Arduino dialect of C++. Every node carries
+// loc.start/loc.end ({ line, column, offset }); syntax errors are collected in
+// program.errors and parsing resumes at the next statement.
+export default class ArduinoParser {
+    constructor() {
+        this.lexer = new ArduinoLexer();
+        this.builtinTypes = BUILTIN_TYPES;
+    }
+
+    parse(code) {
+        const { tokens, comments, errors } = this.lexer.tokenize(code);
+
+        this.tokens = tokens;
+        this.index = 0;
+        this.userTypes = new Set();
+        this.errors = errors.map(error => ({
+            message: error.message,
+            loc: { start: error.start, end: error.start }
+        }));
+
+        const body = [];
+        while (!this.isEOF()) {
+            const node = this.recover(() => this.parseTopLevel(), true);
+            if (node) body.push(node);
+        }
+
+        return {
+            type: 'Program',
+            body: body,
+            comments: comments.map(comment => ({
+                type: 'Comment',
+                block: comment.block,
+                value: comment.value,
+                loc: { start: comment.start, end: comment.end }
+            })),
+            errors: this.errors.sort((a, b) => a.loc.start.offset - b.loc.start.offset),
+            loc: { start: { line: 1, column: 1, offset: 0 }, end: this.peek().end }
+        };
+    }
+
+    // Token helpers
+
+    peek(distance = 0) {
+        return this.tokens[Math.min(this.index + distance, this.tokens.length - 1)];
+    }
+
+    previous() {
+        return this.tokens[Math.max(0, this.index - 1)];
+    }
+
+    advance() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    isEOF() {
+        return this.peek().type === 'eof';
+    }
+
+    check(value, distance = 0) {
+        const token = this.peek(distance);
+        return (token.type === 'punctuator' || token.type === 'keyword') && token.value === value;
+    }
+
+    match(value) {
+        if (this.check(value)) {
+            this.advance();
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.check(value)) {
+            throw this.error(`Expected '${value}' before ${this.describe(this.peek())}`);
+        }
+        return this.advance();
+    }
+
+    // A missing ';' is reported but not fatal, so one typo doesn't swallow the next statement
+    expectSemicolon() {
+        if (this.match(';')) return;
+
+        const previous = this.previous();
+        this.errors.push({
+            message: `Expected ';' before ${this.describe(this.peek())}`,
+            loc: { start: previous.end, end: previous.end }
+        });
+    }
+
+    expectIdentifier() {
+        const token = this.peek();
+        if (token.type !== 'identifier') {
+            throw this.error(`Expected identifier before ${this.describe(token)}`);
+        }
+        return this.advance();
+    }
+
+    describe(token) {
+        return token.type === 'eof' ? 'end of input' : `'${token.value}'`;
+    }
+
+    error(message, token = this.peek()) {
+        const error = new Error(message);
+        error.loc = { start: token.start, end: token.end };
+        return error;
+    }
+
+    finish(node, startToken) {
+        node.loc = { start: startToken.start, end: this.previous().end };
+        return node;
+    }
+
+    // Run a parse step; on a syntax error record it and skip to a safe point
+    recover(step, topLevel = false) {
+        const startIndex = this.index;
+
+        try {
+            return step();
+        } catch (error) {
+            if (!error.loc) throw error;
+
+            this.errors.push({ message: error.message, loc: error.loc });
+            this.synchronize(topLevel);
+
+            if (this.index === startIndex) {
+                this.advance();
+            }
+            return null;
+        }
+    }
+
+    synchronize(topLevel) {
+        let depth = 0;
+
+        while (!this.isEOF()) {
+            if (this.check('{')) {
+                depth++;
+            } else if (this.check('}')) {
+                if (depth === 0) {
+                    // Leave the brace for the enclosing block unless we are at file scope
+                    if (topLevel) this.advance();
+                    return;
+                }
+                depth--;
+                if (depth === 0) {
+                    this.advance();
+                    return;
+                }
+            } else if (this.check(';') && depth === 0) {
+                this.advance();
+                return;
+            } else if (this.peek().type === 'preprocessor' && depth === 0) {
+                return;
+            }
+
+            this.advance();
+        }
+    }
+
+    // Declarations
+
+    parseTopLevel() {
+        const token = this.peek();
+
+        if (token.type === 'preprocessor') return this.parseDirective();
+
+        if (this.match(';')) return null;
+
+        if (this.check('typedef')) return this.parseTypedef();
+        if (this.check('namespace')) return this.parseNamespace();
+        if (this.check('using')) return this.parseUsing();
+
+        if (this.check('template')) {
+            this.skipTemplateHeader();
+        }
+
+        if (this.isConstructorDefinition()) {
+            return this.parseConstructor();
+        }
+
+        if (this.isMacroFunction()) {
+            return this.parseMacroFunction();
+        }
+
+        if (!this.isDeclarationStart()) {
+            if (token.type === 'identifier') {
+                throw this.error(`'${token.value}' does not name a type`);
+            }
+            throw this.error(`Expected declaration before ${this.describe(token)}`);
+        }
+
+        return this.parseDeclaration();
+    }
+
+    parseDirective() {
+        const token = this.advance();
+        const text = token.value.replace(/\\\r?\n/g, ' ');
+        const [, directive, argument] = text.match(/^#\s*(\w*)\s*([\s\S]*)$/);
+
+        const node = {
+            type: 'PreprocessorDirective',
+            directive: directive,
+            argument: argument.replace(/\s*\/\/.*$/, '').trim()
+        };
+
+        if (directive === 'include') {
+            const include = node.argument.match(/^([<"])([^>"]*)[>"]?/);
+            node.path = include ? include[2] : node.argument;
+            node.system = include ? include[1] === '<' : false;
+        }
+
+        if (directive === 'define') {
+            const define = node.argument.match(/^(\w+)(\([^)]*\))?\s*([\s\S]*)$/);
+            if (define) {
+                node.name = define[1];
+                node.params = define[2] ? define[2].slice(1, -1).split(',').map(param => param.trim()).filter(Boolean) : null;
+                node.value = define[3];
+            }
+        }
+
+        node.loc = { start: token.start, end: token.end };
+        return node;
+    }
+
+    parseNamespace() {
+        const start = this.advance();
+        const name = this.peek().type === 'identifier' ? this.advance().value : null;
+        const body = [];
+
+        this.expect('{');
+        while (!this.check('}') && !this.isEOF()) {
+            const node = this.recover(() => this.parseTopLevel());
+            if (node) body.push(node);
+        }
+        this.expect('}');
+
+        return this.finish({ type: 'NamespaceDeclaration', name, body }, start);
+    }
+
+    parseUsing() {
+        const start = this.advance();
+        const parts = [];
+
+        while (!this.check(';') && !this.isEOF()) {
+            parts.push(this.advance().value);
+        }
+        this.expectSemicolon();
+
+        return this.finish({ type: 'UsingDirective', value: parts.join(' ') }, start);
+    }
+
+    skipTemplateHeader() {
+        this.advance();
+        this.skipAngleBrackets();
+    }
+
+    skipAngleBrackets() {
+        if (!this.check('<')) return '';
+
+        const parts = [];
+        let depth = 0;
+
+        do {
+            const token = this.advance();
+            if (token.value === '<') depth++;
+            if (token.value === '>') depth--;
+            if (token.value === '>>') depth -= 2;
+            parts.push(token.value);
+        } while (depth > 0 && !this.isEOF());
+
+        return parts.join('');
+    }
+
+    isTypeName(token) {
+        return token.type === 'identifier' &&
+            (BUILTIN_TYPES.has(token.value) || TYPE_MODIFIERS.has(token.value) || this.userTypes.has(token.value));
+    }
+
+    // Lookahead only: does a declaration (rather than an expression) start here?
+    isDeclarationStart() {
+        let i = this.index;
+        let qualified = false;
+        const at = (k) => this.tokens[Math.min(k, this.tokens.length - 1)];
+
+        while (QUALIFIERS.has(at(i).value) || at(i).value === 'PROGMEM') {
+            i++;
+            qualified = true;
+        }
+
+        const token = at(i);
+
+        if (token.type === 'keyword' && ['struct', 'class', 'union', 'enum'].includes(token.value)) {
+            return true;
+        }
+
+        if (token.type !== 'identifier') {
+            return qualified;
+        }
+
+        // int(x) and String(x) are conversions, not declarations; void (*callback)(int) is one
+        if ((BUILTIN_TYPES.has(token.value) || TYPE_MODIFIERS.has(token.value)) &&
+            (at(i + 1).value !== '(' || ['*', '&'].includes(at(i + 2).value))) {
+            return true;
+        }
+
+        const known = this.userTypes.has(token.value);
+
+        // Skip a qualified, possibly templated, type name: ns::Type<int>
+        i++;
+        while (at(i).value === '::' && at(i + 1).type === 'identifier') {
+            i += 2;
+        }
+        if (at(i).value === '<') {
+            let depth = 0;
+            do {
+                if (at(i).value === '<') depth++;
+                if (at(i).value === '>') depth--;
+                if (at(i).value === '>>') depth -= 2;
+                i++;
+            } while (depth > 0 && at(i).type !== 'eof' && at(i).value !== ';');
+        }
+
+        let pointers = false;
+        while (['*', '&', '&&'].includes(at(i).value) || at(i).value === 'const') {
+            pointers = pointers || at(i).value !== 'const';
+            i++;
+        }
+
+        // "a * b;" is a multiplication unless the type is known
+        if (pointers && !known) {
+            return qualified;
+        }
+
+        // Callback (*handler)(int); with a known type, "f(*p)" with an unknown one is a call
+        if (known && at(i).value === '(' && ['*', '&'].includes(at(i + 1).value)) {
+            return true;
+        }
+
+        if (at(i).type === 'identifier' || (at(i).type === 'keyword' && at(i).value === 'operator')) {
+            return true;
+        }
+
+        return qualified;
+    }
+
+    // Foo::Foo(...) or Foo::~Foo(...) outside the class body
+    isConstructorDefinition() {
+        const names = [];
+        let i = 0;
+
+        if (this.peek().type !== 'identifier') return false;
+
+        names.push(this.peek().value);
+        i++;
+
+        while (this.check('::', i)) {
+            i++;
+            if (this.check('~', i)) {
+                names.push('~' + this.peek(i + 1).value);
+                i += 2;
+            } else {
+                names.push(this.peek(i).value);
+                i++;
+            }
+        }
+
+        if (names.length < 2 || !this.check('(', i)) return false;
+
+        const last = names[names.length - 1].replace(/^~/, '');
+        return last === names[names.length - 2];
+    }
+
+    parseConstructor() {
+        const start = this.peek();
+        const declarator = this.parseDeclarator();
+        return this.parseFunctionRest(start, null, declarator, { inClass: true });
+    }
+
+    // Handlers declared through macros: ISR(TIMER1_COMPA_vect) { ... }
+    isMacroFunction() {
+        if (this.peek().type !== 'identifier' || !this.check('(', 1)) return false;
+
+        let depth = 0;
+        let i = 1;
+        do {
+            if (this.check('(', i)) depth++;
+            if (this.check(')', i)) depth--;
+            i++;
+        } while (depth > 0 && this.peek(i).type !== 'eof');
+
+        return this.check('{', i);
+    }
+
+    parseMacroFunction() {
+        const start = this.advance();
+        this.skipParentheses();
+        const body = this.parseBlock();
+
+        return this.finish({
+            type: 'FunctionDeclaration',
+            name: start.value,
+            returnType: null,
+            pointer: 0,
+            reference: false,
+            params: [],
+            body: body,
+            macro: true
+        }, start);
+    }
+
+    parseDeclaration(options = {}) {
+        const start = this.peek();
+        const qualifierCount = this.countQualifiers();
+        const head = this.peek(qualifierCount);
+
+        if (head.type === 'keyword' && ['struct', 'class', 'union'].includes(head.value) && this.hasBodyAhead(qualifierCount + 1)) {
+            this.index += qualifierCount;
+            return this.parseClass(start);
+        }
+
+        if (head.type === 'keyword' && head.value === 'enum' && this.hasBodyAhead(qualifierCount + 1)) {
+            this.index += qualifierCount;
+            return this.parseEnum(start);
+        }
+
+        const typeSpec = this.parseTypeSpecifier();
+        const declarations = [];
+
+        do {
+            const declaratorStart = this.peek();
+            const declarator = this.parseDeclarator();
+
+            if (declarations.length === 0 && this.check('(') && this.looksLikeParameterList()) {
+                return this.parseFunctionRest(start, typeSpec, declarator, options);
+            }
+
+            while (this.match('[')) {
+                declarator.arraySizes.push(this.check(']') ? null : this.parseExpression());
+                this.expect(']');
+            }
+
+            while (this.peek().value === 'PROGMEM' || this.peek().value === '__attribute__') {
+                if (this.advance().value === 'PROGMEM') {
+                    declarator.progmem = true;
+                } else {
+                    this.skipParentheses();
+                }
+            }
+
+            if (typeSpec.qualifiers.includes('PROGMEM')) {
+                declarator.progmem = true;
+            }
+
+            if (this.match('=')) {
+                declarator.init = this.check('{') ? this.parseInitializerList() : this.parseAssignment();
+            } else if (this.check('(')) {
+                // Constructor arguments: Servo servo(9); LiquidCrystal lcd(12, 11, 5, 4, 3, 2);
+                this.advance();
+                declarator.arguments = this.parseArguments();
+            } else if (this.check('{')) {
+                declarator.init = this.parseInitializerList();
+            }
+
+            declarations.push(this.finish(declarator, declaratorStart));
+        } while (this.match(','));
+
+        this.expectSemicolon();
+
+        return this.finish({ type: 'VariableDeclaration', typeSpec, declarations }, start);
+    }
+
+    countQualifiers() {
+        let count = 0;
+        while (QUALIFIERS.has(this.peek(count).value) || this.peek(count).value === 'PROGMEM') {
+            count++;
+        }
+        return count;
+    }
+
+    // struct Name { ... }, struct Name : Base { ... } or an anonymous struct { ... }
+    hasBodyAhead(distance) {
+        let i = distance;
+        if (this.peek(i).value === 'class' || this.peek(i).value === 'struct') i++;
+        if (this.peek(i).type === 'identifier') i++;
+        return this.check('{', i) || this.check(':', i);
+    }
+
+    skipParentheses() {
+        if (!this.check('(')) return;
+
+        let depth = 0;
+        do {
+            const token = this.advance();
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth--;
+        } while (depth > 0 && !this.isEOF());
+    }
+
+    parseTypeSpecifier() {
+        const start = this.peek();
+        const qualifiers = [];
+        const parts = [];
+
+        while (QUALIFIERS.has(this.peek().value) || this.peek().value === 'PROGMEM') {
+            qualifiers.push(this.advance().value);
+        }
+
+        if (this.peek().type === 'keyword' && ['struct', 'class', 'union', 'enum', 'typename'].includes(this.peek().value)) {
+            this.advance();
+        }
+
+        while (TYPE_MODIFIERS.has(this.peek().value)) {
+            parts.push(this.advance().value);
+        }
+
+        const next = this.peek();
+        if (next.type === 'identifier' && (parts.length === 0 || ['int', 'char', 'double'].includes(next.value))) {
+            let name = this.parseQualifiedName();
+            name += this.skipAngleBrackets();
+            parts.push(name);
+        }
+
+        if (parts.length === 0) {
+            throw this.error(`Expected type before ${this.describe(this.peek())}`);
+        }
+
+        while (this.peek().value === 'const' || this.peek().value === 'volatile') {
+            qualifiers.push(this.advance().value);
+        }
+
+        return this.finish({ type: 'TypeSpecifier', name: parts.join(' '), qualifiers }, start);
+    }
+
+    // Name with "::" scopes, destructors (~Name) and operator overloads
+    parseQualifiedName() {
+        let name = '';
+        let scoped = true;
+
+        while (scoped) {
+            if (this.match('~')) {
+                name += '~';
+            }
+
+            if (this.check('operator')) {
+                this.advance();
+                let symbol = this.advance().value;
+                if (symbol === '(' || symbol === '[') {
+                    symbol += this.advance().value;
+                }
+                return name + 'operator' + symbol;
+            }
+
+            name += this.expectIdentifier().value;
+
+            scoped = this.check('::') && (this.peek(1).type === 'identifier' || this.check('~', 1) || this.check('operator', 1));
+            if (scoped) {
+                this.advance();
+                name += '::';
+            }
+        }
+
+        return name;
+    }
+
+    parseDeclarator(allowAbstract = false) {
+        const start = this.peek();
+        let pointer = 0;
+        let reference = false;
+
+        // Function pointer: void (*callback)(int), void (*handlers[4])()
+        if (this.check('(') && (this.check('*', 1) || this.check('&', 1))) {
+            this.advance();
+            const inner = this.parseDeclarator(allowAbstract);
+            while (this.match('[')) {
+                inner.arraySizes.push(this.check(']') ? null : this.parseExpression());
+                this.expect(']');
+            }
+            this.expect(')');
+            inner.params = this.parseParameters();
+            return this.finish(inner, start);
+        }
+
+        while (this.check('*') || this.check('&') || this.check('&&')) {
+            if (this.advance().value === '*') {
+                pointer++;
+            } else {
+                reference = true;
+            }
+            while (this.match('const')) {
+                // const pointer
+            }
+        }
+
+        let name = null;
+        if (this.peek().type === 'identifier' || this.check('~') || this.check('operator')) {
+            name = this.parseQualifiedName();
+        } else if (!allowAbstract) {
+            throw this.error(`Expected identifier before ${this.describe(this.peek())}`);
+        }
+
+        return this.finish({
+            type: 'VariableDeclarator',
+            name: name,
+            pointer: pointer,
+            reference: reference,
+            arraySizes: [],
+            params: null,
+            progmem: false,
+            init: null,
+            arguments: null
+        }, start);
+    }
+
+    looksLikeParameterList() {
+        const first = this.peek(1);
+
+        if (first.value === ')' || first.value === '...') return true;
+
+        const saved = this.index;
+        this.index++;
+        const declaration = this.isDeclarationStart();
+        this.index = saved;
+
+        return declaration;
+    }
+
+    parseFunctionRest(start, returnType, declarator, options = {}) {
+        const params = this.parseParameters();
+
+        while (['const', 'override', 'noexcept', 'final'].includes(this.peek().value)) {
+            this.advance();
+        }
+
+        // Constructor member initializers: Foo() : a(1), b(2) { }
+        if (options.inClass && this.match(':')) {
+            while (!this.check('{') && !this.check(';') && !this.isEOF()) {
+                this.advance();
+            }
+        }
+
+        let body = null;
+        if (this.check('{')) {
+            body = this.parseBlock();
+        } else if (this.match('=')) {
+            // = 0, = default, = delete
+            this.advance();
+            this.expectSemicolon();
+        } else {
+            this.expectSemicolon();
+        }
+
+        return this.finish({
+            type: 'FunctionDeclaration',
+            name: declarator.name,
+            returnType: returnType,
+            pointer: declarator.pointer,
+            reference: declarator.reference,
+            params: params,
+            body: body
+        }, start);
+    }
+
+    // (int pin, const char *label = "x", ...) of a function, function pointer or lambda
+    parseParameters() {
+        this.expect('(');
+
+        const params = [];
+        if (this.peek().value === 'void' && this.check(')', 1)) {
+            this.advance();
+        }
+
+        if (!this.check(')')) {
+            do {
+                const paramStart = this.peek();
+
+                if (this.match('...')) {
+                    params.push(this.finish({ type: 'Parameter', name: null, variadic: true }, paramStart));
+                    break;
+                }
+
+                const typeSpec = this.parseTypeSpecifier();
+                const paramDeclarator = this.parseDeclarator(true);
+                const arraySizes = [];
+
+                while (this.match('[')) {
+                    arraySizes.push(this.check(']') ? null : this.parseExpression());
+                    this.expect(']');
+                }
+
+                const defaultValue = this.match('=') ? this.parseAssignment() : null;
+
+                params.push(this.finish({
+                    type: 'Parameter',
+                    typeSpec: typeSpec,
+                    name: paramDeclarator.name,
+                    pointer: paramDeclarator.pointer,
+                    reference: paramDeclarator.reference,
+                    arraySizes: arraySizes,
+                    defaultValue: defaultValue
+                }, paramStart));
+            } while (this.match(','));
+        }
+
+        this.expect(')');
+        return params;
+    }
+
+    parseClass(start) {
+        const kind = this.advance().value;
+        const name = this.peek().type === 'identifier' ? this.parseQualifiedName() : null;
+        const bases = [];
+
+        if (name) this.userTypes.add(name);
+
+        if (this.match(':')) {
+            do {
+                while (['public', 'private', 'protected', 'virtual'].includes(this.peek().value)) {
+                    this.advance();
+                }
+                bases.push(this.parseQualifiedName() + this.skipAngleBrackets());
+            } while (this.match(','));
+        }
+
+        this.expect('{');
+
+        const members = [];
+        while (!this.check('}') && !this.isEOF()) {
+            const member = this.recover(() => this.parseMember(name));
+            if (member) members.push(member);
+        }
+        this.expect('}');
+
+        // struct Point { ... } origin, target;
+        const declarators = [];
+        while (this.peek().type === 'identifier' || this.check('*')) {
+            const declarator = this.parseDeclarator();
+            declarators.push(declarator.name);
+            if (!this.match(',')) break;
+        }
+
+        this.expectSemicolon();
+
+        return this.finish({ type: 'ClassDeclaration', kind, name, bases, members, declarators }, start);
+    }
+
+    parseMember(className) {
+        const start = this.peek();
+
+        if (start.type === 'preprocessor') return this.parseDirective();
+        if (this.match(';')) return null;
+
+        if (['public', 'private', 'protected'].includes(start.value) && this.check(':', 1)) {
+            this.advance();
+            this.advance();
+            return this.finish({ type: 'AccessSpecifier', access: start.value }, start);
+        }
+
+        if (this.check('typedef')) return this.parseTypedef();
+        if (this.check('using')) return this.parseUsing();
+        if (this.check('friend') && (this.check('class', 1) || this.check('struct', 1))) {
+            this.advance();
+            this.advance();
+            const name = this.parseQualifiedName();
+            this.expectSemicolon();
+            return this.finish({ type: 'FriendDeclaration', name }, start);
+        }
+
+        // Constructors and destructors have no return type
+        const qualifierCount = this.countQualifiers();
+        const head = this.peek(qualifierCount);
+        const isConstructor = (head.value === className && this.check('(', qualifierCount + 1)) ||
+            (head.value === '~' && this.peek(qualifierCount + 1).value === className);
+
+        if (isConstructor) {
+            this.index += qualifierCount;
+            const declarator = this.parseDeclarator();
+            return this.parseFunctionRest(start, null, declarator, { inClass: true });
+        }
+
+        return this.parseDeclaration({ inClass: true });
+    }
+
+    parseEnum(start) {
+        this.advance();
+        const scoped = this.match('class') || this.match('struct');
+        const name = this.peek().type === 'identifier' ? this.advance().value : null;
+
+        if (name) this.userTypes.add(name);
+
+        const underlyingType = this.match(':') ? this.parseTypeSpecifier() : null;
+        const members = [];
+
+        this.expect('{');
+        while (!this.check('}') && !this.isEOF()) {
+            const memberStart = this.peek();
+            const memberName = this.expectIdentifier().value;
+            const value = this.match('=') ? this.parseConditional() : null;
+            members.push(this.finish({ type: 'EnumMember', name: memberName, value }, memberStart));
+
+            if (!this.match(',')) break;
+        }
+        this.expect('}');
+
+        const declarators = [];
+        while (this.peek().type === 'identifier') {
+            declarators.push(this.advance().value);
+            if (!this.match(',')) break;
+        }
+
+        this.expectSemicolon();
+
+        return this.finish({ type: 'EnumDeclaration', name, scoped, underlyingType, members, declarators }, start);
+    }
+
+    parseTypedef() {
+        const start = this.advance();
+        const head = this.peek();
+
+        if (head.type === 'keyword' && ['struct', 'class', 'union', 'enum'].includes(head.value) && this.hasBodyAhead(1)) {
+            const definition = head.value === 'enum' ? this.parseEnum(head) : this.parseClass(head);
+            definition.declarators.forEach(alias => this.userTypes.add(alias));
+
+            return this.finish({ type: 'TypedefDeclaration', names: definition.declarators, definition }, start);
+        }
+
+        const typeSpec = this.parseTypeSpecifier();
+        const names = [];
+
+        // Function pointer: typedef void (*Callback)(int);
+        if (this.check('(')) {
+            this.advance();
+            while (this.match('*') || this.match('&')) {
+                // pointer to function
+            }
+            names.push(this.expectIdentifier().value);
+            this.expect(')');
+            this.skipParentheses();
+        } else {
+            do {
+                names.push(this.parseDeclarator().name);
+                while (this.match('[')) {
+                    if (!this.check(']')) this.parseExpression();
+                    this.expect(']');
+                }
+            } while (this.match(','));
+        }
+
+        this.expectSemicolon();
+        names.forEach(alias => this.userTypes.add(alias));
+
+        return this.finish({ type: 'TypedefDeclaration', names, typeSpec }, start);
+    }
+
+    // Statements
+
+    parseBlock() {
+        const start = this.expect('{');
+        const body = [];
+
+        while (!this.check('}') && !this.isEOF()) {
+            const statement = this.recover(() => this.parseStatement());
+            if (statement) body.push(statement);
+        }
+
+        if (this.isEOF()) {
+            this.errors.push({
+                message: `Expected '}' at end of input`,
+                loc: { start: start.start, end: start.end }
+            });
+            return this.finish({ type: 'BlockStatement', body }, start);
+        }
+
+        this.advance();
+        return this.finish({ type: 'BlockStatement', body }, start);
+    }
+
+    parseStatement() {
+        const start = this.peek();
+
+        if (start.type === 'preprocessor') return this.parseDirective();
+
+        if (this.check('{')) return this.parseBlock();
+
+        if (this.match(';')) {
+            return this.finish({ type: 'EmptyStatement' }, start);
+        }
+
+        if (start.type === 'keyword') {
+            switch (start.value) {
+                case 'if': return this.parseIf();
+                case 'for': return this.parseFor();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'switch': return this.parseSwitch();
+                case 'return': {
+                    this.advance();
+                    const argument = this.check(';') ? null : this.parseExpression();
+                    this.expectSemicolon();
+                    return this.finish({ type: 'ReturnStatement', argument }, start);
+                }
+                case 'break':
+                case 'continue':
+                    this.advance();
+                    this.expectSemicolon();
+                    return this.finish({ type: start.value === 'break' ? 'BreakStatement' : 'ContinueStatement' }, start);
+                case 'goto': {
+                    this.advance();
+                    const label = this.expectIdentifier().value;
+                    this.expectSemicolon();
+                    return this.finish({ type: 'GotoStatement', label }, start);
+                }
+                case 'case':
+                case 'default':
+                    throw this.error(`'${start.value}' label not within a switch statement`);
+                case 'else':
+                    throw this.error(`'else' without a previous 'if'`);
+                case 'typedef':
+                    return this.parseTypedef();
+                case 'using':
+                    return this.parseUsing();
+            }
+        }
+
+        // label:
+        if (start.type === 'identifier' && this.check(':', 1)) {
+            this.advance();
+            this.advance();
+            return this.finish({ type: 'LabeledStatement', label: start.value }, start);
+        }
+
+        if (this.isDeclarationStart()) {
+            return this.parseDeclaration({ local: true });
+        }
+
+        const expression = this.parseExpression();
+        this.expectSemicolon();
+
+        return this.finish({ type: 'ExpressionStatement', expression }, start);
+    }
+
+    parseCondition() {
+        this.expect('(');
+        const test = this.parseExpression();
+        this.expect(')');
+        return test;
+    }
+
+    parseIf() {
+        const start = this.advance();
+        const test = this.parseCondition();
+        const consequent = this.parseStatement();
+        const alternate = this.match('else') ? this.parseStatement() : null;
+
+        return this.finish({ type: 'IfStatement', test, consequent, alternate }, start);
+    }
+
+    parseFor() {
+        const start = this.advance();
+        this.expect('(');
+
+        let init = null;
+        if (this.isDeclarationStart()) {
+            const declaration = this.parseRangeDeclaration();
+
+            if (declaration) {
+                const range = this.parseExpression();
+                this.expect(')');
+                const body = this.parseStatement();
+
+                return this.finish({ type: 'ForRangeStatement', declaration, range, body }, start);
+            }
+
+            init = this.parseDeclaration({ local: true });
+        } else {
+            if (!this.check(';')) init = this.parseExpression();
+            this.expect(';');
+        }
+
+        const test = this.check(';') ? null : this.parseExpression();
+        this.expect(';');
+
+        const update = this.check(')') ? null : this.parseExpression();
+        this.expect(')');
+
+        const body = this.parseStatement();
+
+        return this.finish({ type: 'ForStatement', init, test, update, body }, start);
+    }
+
+    // "auto value :" of a range-based for; null (and nothing consumed) for a classic for
+    parseRangeDeclaration() {
+        const saved = this.index;
+        const start = this.peek();
+
+        try {
+            const typeSpec = this.parseTypeSpecifier();
+            const declaratorStart = this.peek();
+            const declarator = this.finish(this.parseDeclarator(), declaratorStart);
+
+            if (this.check(':')) {
+                const declaration = this.finish({ type: 'VariableDeclaration', typeSpec, declarations: [declarator] }, start);
+                this.advance();
+                return declaration;
+            }
+        } catch (error) {
+            if (!error.loc) throw error;
+        }
+
+        this.index = saved;
+        return null;
+    }
+
+    parseWhile() {
+        const start = this.advance();
+        const test = this.parseCondition();
+        const body = this.parseStatement();
+
+        return this.finish({ type: 'WhileStatement', test, body }, start);
+    }
+
+    parseDoWhile() {
+        const start = this.advance();
+        const body = this.parseStatement();
+        this.expect('while');
+        const test = this.parseCondition();
+        this.expectSemicolon();
+
+        return this.finish({ type: 'DoWhileStatement', body, test }, start);
+    }
+
+    parseSwitch() {
+        const start = this.advance();
+        const discriminant = this.parseCondition();
+        const cases = [];
+
+        this.expect('{');
+
+        while (!this.check('}') && !this.isEOF()) {
+            const caseStart = this.peek();
+            let test = null;
+
+            if (this.match('case')) {
+                test = this.parseConditional();
+            } else if (!this.match('default')) {
+                throw this.error(`Expected 'case' or 'default' before ${this.describe(caseStart)}`);
+            }
+            this.expect(':');
+
+            const consequent = [];
+            while (!this.check('case') && !this.check('default') && !this.check('}') && !this.isEOF()) {
+                const statement = this.recover(() => this.parseStatement());
+                if (statement) consequent.push(statement);
+            }
+
+            cases.push(this.finish({ type: 'SwitchCase', test, consequent }, caseStart));
+        }
+
+        this.expect('}');
+
+        return this.finish({ type: 'SwitchStatement', discriminant, cases }, start);
+    }
+
+    // Expressions
+
+    parseExpression() {
+        const start = this.peek();
+        const expression = this.parseAssignment();
+
+        if (!this.check(',')) return expression;
+
+        const expressions = [expression];
+        while (this.match(',')) {
+            expressions.push(this.parseAssignment());
+        }
+
+        return this.finish({ type: 'SequenceExpression', expressions }, start);
+    }
+
+    parseAssignment() {
+        const start = this.peek();
+        const left = this.parseConditional();
+        const operator = this.peek();
+
+        if (operator.type === 'punctuator' && ASSIGNMENT_OPERATORS.has(operator.value)) {
+            this.advance();
+            const right = this.check('{') ? this.parseInitializerList() : this.parseAssignment();
+            return this.finish({ type: 'AssignmentExpression', operator: operator.value, left, right }, start);
+        }
+
+        return left;
+    }
+
+    parseConditional() {
+        const start = this.peek();
+        const test = this.parseBinary(1);
+
+        if (!this.match('?')) return test;
+
+        const consequent = this.parseAssignment();
+        this.expect(':');
+        const alternate = this.parseAssignment();
+
+        return this.finish({ type: 'ConditionalExpression', test, consequent, alternate }, start);
+    }
+
+    parseBinary(minPrecedence) {
+        const start = this.peek();
+        let left = this.parseUnary();
+        let operator = this.peek();
+
+        while (this.getPrecedence(operator) >= minPrecedence) {
+            this.advance();
+            const right = this.parseBinary(this.getPrecedence(operator) + 1);
+            const type = operator.value === '&&' || operator.value === '||' ? 'LogicalExpression' : 'BinaryExpression';
+
+            left = this.finish({ type, operator: operator.value, left, right }, start);
+            operator = this.peek();
+        }
+
+        return left;
+    }
+
+    // -1 for tokens that are not binary operators
+    getPrecedence(token) {
+        return token.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] ?? -1 : -1;
+    }
+
+    parseUnary() {
+        const start = this.peek();
+
+        if (start.type === 'punctuator' && PREFIX_OPERATORS.has(start.value)) {
+            this.advance();
+            const argument = this.parseUnary();
+            const type = start.value === '++' || start.value === '--' ? 'UpdateExpression' : 'UnaryExpression';
+            return this.finish({ type, operator: start.value, prefix: true, argument }, start);
+        }
+
+        if (this.check('sizeof')) {
+            this.advance();
+            let argument;
+            if (this.check('(') && this.isTypeName(this.peek(1))) {
+                this.advance();
+                argument = this.parseTypeSpecifier();
+                while (this.match('*')) {
+                    // sizeof(char *)
+                }
+                this.expect(')');
+            } else {
+                argument = this.parseUnary();
+            }
+            return this.finish({ type: 'SizeofExpression', argument }, start);
+        }
+
+        if (this.check('new')) {
+            this.advance();
+            const typeSpec = this.parseTypeSpecifier();
+            let args = [];
+            if (this.match('(')) {
+                args = this.parseArguments();
+            } else if (this.match('[')) {
+                args = [this.parseExpression()];
+                this.expect(']');
+            }
+            return this.finish({ type: 'NewExpression', typeSpec, arguments: args }, start);
+        }
+
+        if (this.check('delete')) {
+            this.advance();
+            if (this.match('[')) this.expect(']');
+            const argument = this.parseUnary();
+            return this.finish({ type: 'DeleteExpression', argument }, start);
+        }
+
+        if (this.check('(') && this.isCastStart()) {
+            this.advance();
+            const typeSpec = this.parseTypeSpecifier();
+            const pointer = this.parseCastPointers();
+            this.expect(')');
+            const argument = this.parseUnary();
+            return this.finish({ type: 'CastExpression', operator: null, typeSpec, pointer, argument }, start);
+        }
+
+        return this.parsePostfix(this.parsePrimary(), start);
+    }
+
+    // (type) expression — for names known to be types, and for names that can only be
+    // types in that position: (const __FlashStringHelper *) msg, (Foo *) ptr
+    isCastStart() {
+        let i = 1;
+        let qualified = false;
+        while (this.peek(i).value === 'const' || this.peek(i).value === 'volatile') {
+            i++;
+            qualified = true;
+        }
+
+        const token = this.peek(i);
+        if (token.type !== 'identifier') return false;
+
+        const known = this.isTypeName(token);
+
+        i++;
+        while (this.check('::', i) && this.peek(i + 1).type === 'identifier') i += 2;
+        while (TYPE_MODIFIERS.has(this.peek(i).value) || ['int', 'char', 'double'].includes(this.peek(i).value)) i++;
+
+        let pointers = false;
+        while (this.peek(i).value === '*' || this.peek(i).value === '&' || this.peek(i).value === 'const') {
+            pointers = pointers || this.peek(i).value !== 'const';
+            i++;
+        }
+
+        return this.check(')', i) && (known || qualified || pointers);
+    }
+
+    // Pointer and reference markers after a cast's type: (char *), (uint8_t * const), (int &)
+    parseCastPointers() {
+        let pointer = 0;
+
+        while (this.check('*') || this.check('&') || this.check('const')) {
+            if (this.advance().value === '*') pointer++;
+        }
+
+        return pointer;
+    }
+
+    // static_cast<int>(value) and the other named casts
+    parseNamedCast() {
+        const start = this.advance();
+        this.expect('<');
+        const typeSpec = this.parseTypeSpecifier();
+        const pointer = this.parseCastPointers();
+        this.expect('>');
+        this.expect('(');
+        const argument = this.parseExpression();
+        this.expect(')');
+
+        return this.finish({ type: 'CastExpression', operator: start.value, typeSpec, pointer, argument }, start);
+    }
+
+    // [captures](params) mutable -> type { body }
+    parseLambda() {
+        const start = this.expect('[');
+        const captures = [];
+        let capture = '';
+
+        while (!this.check(']') && !this.isEOF()) {
+            const token = this.advance();
+            if (token.value === ',') {
+                captures.push(capture);
+                capture = '';
+            } else {
+                capture += token.value;
+            }
+        }
+        if (capture) captures.push(capture);
+        this.expect(']');
+
+        const params = this.check('(') ? this.parseParameters() : [];
+
+        while (this.check('mutable') || this.check('constexpr') || this.peek().value === 'noexcept') {
+            this.advance();
+        }
+
+        let returnType = null;
+        if (this.match('->')) {
+            returnType = this.parseTypeSpecifier();
+            this.parseCastPointers();
+        }
+
+        const body = this.parseBlock();
+
+        return this.finish({ type: 'LambdaExpression', captures, params, returnType, body }, start);
+    }
+
+    parsePostfix(expression, start) {
+        while (this.peek().type === 'punctuator' && POSTFIX_OPERATORS.has(this.peek().value)) {
+            if (this.match('(')) {
+                const args = this.parseArguments();
+                expression = this.finish({ type: 'CallExpression', callee: expression, arguments: args }, start);
+            } else if (this.match('[')) {
+                const property = this.parseExpression();
+                this.expect(']');
+                expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: true, arrow: false }, start);
+            } else if (this.check('.') || this.check('->')) {
+                const arrow = this.advance().value === '->';
+                const nameToken = this.expectIdentifier();
+                const property = { type: 'Identifier', name: nameToken.value, loc: { start: nameToken.start, end: nameToken.end } };
+                expression = this.finish({ type: 'MemberExpression', object: expression, property, computed: false, arrow }, start);
+            } else {
+                const operator = this.advance().value;
+                expression = this.finish({ type: 'UpdateExpression', operator, prefix: false, argument: expression }, start);
+            }
+        }
+
+        return expression;
+    }
+
+    // Called after "(" has been consumed
+    parseArguments() {
+        const args = [];
+
+        if (!this.check(')')) {
+            do {
+                args.push(this.check('{') ? this.parseInitializerList() : this.parseAssignment());
+            } while (this.match(','));
+        }
+
+        this.expect(')');
+        return args;
+    }
+
+    parseInitializerList() {
+        const start = this.expect('{');
+        const elements = [];
+
+        while (!this.check('}') && !this.isEOF()) {
+            elements.push(this.check('{') ? this.parseInitializerList() : this.parseAssignment());
+            if (!this.match(',')) break;
+        }
+
+        this.expect('}');
+        return this.finish({ type: 'InitializerList', elements }, start);
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+                this.advance();
+                return this.finish({ type: 'Literal', kind: 'number', value: this.parseNumber(token.value), raw: token.value }, token);
+
+            case 'string': {
+                // Adjacent literals are concatenated: "abc" "def"
+                let value = '';
+                let raw = '';
+                while (this.peek().type === 'string') {
+                    const part = this.advance().value;
+                    raw += (raw ? ' ' : '') + part;
+                    value += this.unescape(part.slice(1, part.endsWith('"') && part.length > 1 ? -1 : undefined));
+                }
+                return this.finish({ type: 'Literal', kind: 'string', value, raw }, token);
+            }
+
+            case 'char':
+                this.advance();
+                return this.finish({ type: 'Literal', kind: 'char', value: this.unescape(token.value.slice(1, -1)), raw: token.value }, token);
+
+            case 'keyword':
+                if (token.value === 'true' || token.value === 'false') {
+                    this.advance();
+                    return this.finish({ type: 'Literal', kind: 'boolean', value: token.value === 'true', raw: token.value }, token);
+                }
+                if (token.value === 'nullptr') {
+                    this.advance();
+                    return this.finish({ type: 'Literal', kind: 'null', value: null, raw: token.value }, token);
+                }
+                if (token.value === 'this') {
+                    this.advance();
+                    return this.finish({ type: 'ThisExpression' }, token);
+                }
+                break;
+
+            case 'identifier': {
+                if (CAST_OPERATORS.has(token.value) && this.check('<', 1)) {
+                    return this.parseNamedCast();
+                }
+
+                const name = this.parseQualifiedName();
+                return this.finish({ type: 'Identifier', name }, token);
+            }
+
+            case 'punctuator':
+                if (token.value === '(') {
+                    this.advance();
+                    const expression = this.parseExpression();
+                    this.expect(')');
+                    expression.parenthesized = true;
+                    return expression;
+                }
+                if (token.value === '{') {
+                    return this.parseInitializerList();
+                }
+                if (token.value === '[') {
+                    return this.parseLambda();
+                }
+                if (token.value === '::') {
+                    this.advance();
+                    return this.parsePrimary();
+                }
+                break;
+        }
+
+        throw this.error(`Expected expression before ${this.describe(token)}`);
+    }
+
+    parseNumber(raw) {
+        const text = raw.replace(/'/g, '').replace(/[uUlL]+$/, '');
+
+        if (/^0[xX]/.test(text)) return parseInt(text.slice(2), 16);
+        if (/^0[bB]/.test(text)) return parseInt(text.slice(2), 2);
+        if (/^0[0-7]+$/.test(text)) return parseInt(text, 8);
+
+        return parseFloat(text.replace(/[fF]$/, ''));
+    }
+
+    unescape(text) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', '"': '"', '\'': '\'', a: '\x07', b: '\b', f: '\f', v: '\v' };
+
+        return text.replace(/\\(x[0-9a-fA-F]{1,2}|.)/g, (match, sequence) => {
+            if (sequence[0] === 'x' && sequence.length > 1) {
+                return String.fromCharCode(parseInt(sequence.slice(1), 16));
+            }
+            return escapes[sequence] ?? sequence;
+        });
+    }
+
+    // Traversal
+
+    // Depth-first visit; return false from the callback to skip a node's children
+    walk(node, callback, parent = null) {
+        if (!node || typeof node.type !== 'string') return;
+        if (callback(node, parent) === false) return;
+
+        Object.keys(node).forEach(key => {
+            if (key === 'loc') return;
+
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => {
+                    if (child && typeof child === 'object') this.walk(child, callback, node);
+                });
+            } else if (value && typeof value === 'object') {
+                this.walk(value, callback, node);
+            }
+        });
+    }
+
+    findAll(node, types) {
+        const wanted = Array.isArray(types) ? types : [types];
+        const found = [];
+
+        this.walk(node, child => {
+            if (wanted.includes(child.type)) found.push(child);
+        });
+
+        return found;
+    }
+
+    // Name of a called function: digitalWrite, Serial.println, lcd.print
+    getCalleeName(call) {
+        const callee = call.callee;
+
+        if (callee.type === 'Identifier') return callee.name;
+        if (callee.type === 'MemberExpression' && !callee.computed) {
+            const object = callee.object.type === 'Identifier' ? callee.object.name : '';
+            return object ? `${object}.${callee.property.name}` : callee.property.name;
+        }
+
+        return null;
+    }
+
+    // Counts shared by the analyzers
+    summarize(ast) {
+        const summary = {
+            functions: [],
+            prototypes: [],
+            variables: [],
+            classes: [],
+            includes: [],
+            calls: [],
+            ifCount: 0,
+            loopCount: 0,
+            switchCount: 0,
+            caseCount: 0,
+            logicalCount: 0,
+            conditionalCount: 0,
+            complexity: 1
+        };
+
+        this.walk(ast, node => {
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                    (node.body ? summary.functions : summary.prototypes).push(node);
+                    break;
+                case 'VariableDeclaration':
+                    summary.variables.push(...node.declarations);
+                    break;
+                case 'ClassDeclaration':
+                    summary.classes.push(node);
+                    break;
+                case 'PreprocessorDirective':
+                    if (node.directive === 'include') summary.includes.push(node.path);
+                    break;
+                case 'CallExpression': {
+                    const name = this.getCalleeName(node);
+                    if (name) summary.calls.push(name);
+                    break;
+                }
+                case 'IfStatement':
+                    summary.ifCount++;
+                    break;
+                case 'ForStatement':
+                case 'ForRangeStatement':
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                    summary.loopCount++;
+                    break;
+                case 'SwitchStatement':
+                    summary.switchCount++;
+                    break;
+                case 'SwitchCase':
+                    if (node.test) summary.caseCount++;
+                    break;
+                case 'LogicalExpression':
+                    summary.logicalCount++;
+                    break;
+                case 'ConditionalExpression':
+                    summary.conditionalCount++;
+                    break;
+            }
+        });
+
+        // McCabe: one plus every decision point
+        summary.complexity = 1 + summary.ifCount + summary.loopCount + summary.caseCount +
+            summary.logicalCount + summary.conditionalCount;
+
+        return summary;
+    }
+}
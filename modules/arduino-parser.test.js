@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ArduinoParser from './arduino-parser.js';
+
+function parse(code) {
+    const ast = new ArduinoParser().parse(code);
+    assert.deepEqual(ast.errors, []);
+    return ast;
+}
+
+function setupBody(ast) {
+    return ast.body.find(node => node.type === 'FunctionDeclaration' && node.name === 'setup').body.body;
+}
+
+test('parses a range-based for over an array', () => {
+    const ast = parse('int sensors[3];\nvoid setup() { for (auto s : sensors) { Serial.println(s); } }');
+    const [loop] = setupBody(ast);
+
+    assert.equal(loop.type, 'ForRangeStatement');
+    assert.equal(loop.declaration.typeSpec.name, 'auto');
+    assert.equal(loop.declaration.declarations[0].name, 's');
+    assert.equal(loop.range.name, 'sensors');
+    assert.equal(loop.body.type, 'BlockStatement');
+});
+
+test('parses range-for with a const reference and keeps the classic for working', () => {
+    const ast = parse('void setup() { for (const int &pin : pins) pinMode(pin, OUTPUT); for (int i = 0; i < 3; i++) {} }');
+    const [range, classic] = setupBody(ast);
+
+    assert.equal(range.type, 'ForRangeStatement');
+    assert.equal(range.declaration.declarations[0].reference, true);
+    assert.equal(classic.type, 'ForStatement');
+    assert.equal(classic.init.declarations[0].name, 'i');
+});
+
+test('parses lambdas with captures, parameters and a trailing return type', () => {
+    const ast = parse('void setup() { auto twice = [](int a) { return a * 2; }; auto add = [&total, =](int b) mutable -> int { return total + b; }; }');
+    const [first, second] = setupBody(ast).map(statement => statement.declarations[0].init);
+
+    assert.equal(first.type, 'LambdaExpression');
+    assert.deepEqual(first.captures, []);
+    assert.deepEqual(first.params.map(param => param.name), ['a']);
+    assert.equal(first.returnType, null);
+
+    assert.deepEqual(second.captures, ['&total', '=']);
+    assert.equal(second.returnType.name, 'int');
+    assert.equal(second.body.body[0].type, 'ReturnStatement');
+});
+
+test('parses a lambda passed as an argument', () => {
+    const ast = parse('void setup() { attachInterrupt(0, []() { count++; }, RISING); }');
+    const call = setupBody(ast)[0].expression;
+
+    assert.equal(call.arguments[1].type, 'LambdaExpression');
+    assert.equal(call.arguments[2].name, 'RISING');
+});
+
+test('parses static_cast and reinterpret_cast', () => {
+    const ast = parse('void setup() { int y = static_cast<int>(x * 2); uint8_t *p = reinterpret_cast<uint8_t *>(&y); }');
+    const [first, second] = setupBody(ast).map(statement => statement.declarations[0].init);
+
+    assert.equal(first.type, 'CastExpression');
+    assert.equal(first.operator, 'static_cast');
+    assert.equal(first.typeSpec.name, 'int');
+    assert.equal(first.argument.type, 'BinaryExpression');
+
+    assert.equal(second.operator, 'reinterpret_cast');
+    assert.equal(second.typeSpec.name, 'uint8_t');
+    assert.equal(second.pointer, 1);
+});
+
+test('parses a C-style cast to a pointer of an undeclared type', () => {
+    const ast = parse('const char msg[] PROGMEM = "hi";\nvoid setup() { Serial.println((const __FlashStringHelper*)msg); }');
+    const cast = setupBody(ast)[0].expression.arguments[0];
+
+    assert.equal(cast.type, 'CastExpression');
+    assert.equal(cast.operator, null);
+    assert.equal(cast.typeSpec.name, '__FlashStringHelper');
+    assert.equal(cast.pointer, 1);
+    assert.equal(cast.argument.name, 'msg');
+});
+
+test('keeps parenthesised names followed by an operator as expressions', () => {
+    const ast = parse('void setup() { int c = (a) * b; }');
+    const init = setupBody(ast)[0].declarations[0].init;
+
+    assert.equal(init.type, 'BinaryExpression');
+    assert.equal(init.operator, '*');
+});
+
+test('parses function pointer declarations', () => {
+    const ast = parse('void (*callback)(int) = nullptr;\nint (*handlers[4])(int, int);\nvoid setup() { callback(1); }');
+    const [callback, handlers] = ast.body;
+
+    assert.equal(callback.type, 'VariableDeclaration');
+    assert.equal(callback.declarations[0].name, 'callback');
+    assert.equal(callback.declarations[0].pointer, 1);
+    assert.deepEqual(callback.declarations[0].params.map(param => param.typeSpec.name), ['int']);
+    assert.equal(callback.declarations[0].init.kind, 'null');
+
+    assert.equal(handlers.declarations[0].name, 'handlers');
+    assert.equal(handlers.declarations[0].arraySizes.length, 1);
+    assert.equal(handlers.declarations[0].params.length, 2);
+});
+
+test('counts range-based for loops in the summary', () => {
+    const parser = new ArduinoParser();
+    const ast = parser.parse('void setup() { for (auto s : sensors) {} while (true) {} }');
+
+    assert.equal(parser.summarize(ast).loopCount, 2);
+});
@@ -1,76 +1,647 @@
+// Rates accepted for 'baud' slots
+const COMMON_BAUD_RATES = [300, 1200, 2400, 4800, 9600, 14400, 19200, 28800, 38400, 57600, 74880, 115200, 230400, 250000, 500000, 1000000, 2000000];
+
+// A pin or interval makes "blink" the blink sketch even without the word LED ("blink pin 7 every 250ms")
+const BLINK_SETTINGS = /\bpin\s*a?\d+|\bevery\b|\d+\s*(?:ms|milliseconds?|s|secs?|seconds?)\b/;
+
 export default class ArduinoTemplates {
     constructor() {
+        // Each template declares typed slots; "param" names the NLPProcessor parameter that fills it
+        // and "index" picks one entry of a list parameter such as pins. "architectures" lists the
+        // board architectures the template builds for, null meaning every board. "nonBlocking"
+        // renders the same sketch with millis() timers instead of delay().
         this.templates = {
-            blink: this.blinkTemplate,
-            servo: this.servoTemplate,
-            temperature: this.temperatureTemplate,
-            ultrasonic: this.ultrasonicTemplate,
-            rgb: this.rgbTemplate
+            blink: {
+                name: 'LED Blink',
+                description: 'Turn an LED on and off at a fixed interval',
+                category: 'basic',
+                tags: ['led', 'digital output', 'beginner'],
+                difficulty: 'beginner',
+                components: ['LED', '220Ω resistor'],
+                libraries: [],
+                architectures: null,
+                example: 'Blink an LED connected to pin 13 with 1 second intervals',
+                slots: {
+                    pin: { type: 'pin', default: 13 },
+                    interval: { type: 'interval', default: 1000 }
+                },
+                render: this.blinkTemplate,
+                nonBlocking: this.blinkNonBlockingTemplate
+            },
+            servo: {
+                name: 'Servo Sweep',
+                description: 'Sweep a hobby servo back and forth between two angles',
+                category: 'motors',
+                tags: ['servo', 'motor', 'pwm'],
+                difficulty: 'beginner',
+                components: ['Servo motor'],
+                libraries: ['Servo'],
+                // Servo.h has no ESP32 port; those boards need ESP32Servo instead
+                architectures: ['avr'],
+                example: 'Create code to control a servo motor that sweeps from 0 to 180 degrees',
+                slots: {
+                    pin: { type: 'pin', default: 9 },
+                    object: { type: 'object', default: 'myservo' },
+                    minAngle: { type: 'angle', default: 0 },
+                    maxAngle: { type: 'angle', default: 180 },
+                    stepDelay: { type: 'interval', default: 15, param: 'interval' }
+                },
+                render: this.servoTemplate,
+                nonBlocking: this.servoNonBlockingTemplate
+            },
+            temperature: {
+                name: 'Temperature',
+                description: 'Read temperature and humidity from a DHT sensor and print them to Serial',
+                category: 'sensors',
+                tags: ['temperature', 'humidity', 'dht', 'sensor', 'serial'],
+                difficulty: 'beginner',
+                components: ['DHT11 or DHT22 sensor', '10kΩ pull-up resistor'],
+                libraries: ['DHT sensor library'],
+                architectures: null,
+                example: 'Read temperature from a DHT11 sensor and display it in serial monitor',
+                slots: {
+                    pin: { type: 'pin', default: 2 },
+                    model: { type: 'option', values: ['DHT11', 'DHT21', 'DHT22'], default: 'DHT11', param: 'sensorModel' },
+                    interval: { type: 'interval', default: 2000 },
+                    threshold: { type: 'threshold', default: null },
+                    baud: { type: 'baud', default: 9600 }
+                },
+                render: this.temperatureTemplate,
+                nonBlocking: this.temperatureNonBlockingTemplate
+            },
+            ultrasonic: {
+                name: 'Distance',
+                description: 'Measure distance with an HC-SR04 ultrasonic sensor',
+                category: 'sensors',
+                tags: ['distance', 'ultrasonic', 'hc-sr04', 'sensor', 'serial'],
+                difficulty: 'beginner',
+                components: ['HC-SR04 ultrasonic sensor'],
+                libraries: [],
+                architectures: null,
+                example: 'Measure distance with HC-SR04 sensor and print to serial',
+                slots: {
+                    trigPin: { type: 'pin', default: 9, param: 'pins', index: 0 },
+                    echoPin: { type: 'pin', default: 10, param: 'pins', index: 1 },
+                    interval: { type: 'interval', default: 100 },
+                    threshold: { type: 'threshold', default: null },
+                    baud: { type: 'baud', default: 9600 }
+                },
+                render: this.ultrasonicTemplate,
+                nonBlocking: this.ultrasonicNonBlockingTemplate
+            },
+            rgb: {
+                name: 'RGB LED',
+                description: 'Fade a common-cathode RGB LED smoothly around the colour wheel',
+                category: 'leds',
+                tags: ['led', 'rgb', 'pwm', 'color'],
+                difficulty: 'intermediate',
+                components: ['RGB LED (common cathode)', '3x 220Ω resistor'],
+                libraries: [],
+                architectures: null,
+                example: 'Cycle through colors on an RGB LED with smooth transitions',
+                slots: {
+                    redPin: { type: 'pin', default: 9, param: 'pins', index: 0 },
+                    greenPin: { type: 'pin', default: 10, param: 'pins', index: 1 },
+                    bluePin: { type: 'pin', default: 11, param: 'pins', index: 2 },
+                    stepDelay: { type: 'interval', default: 10, param: 'interval' }
+                },
+                render: this.rgbTemplate,
+                nonBlocking: this.rgbNonBlockingTemplate
+            }
         };
     }
+
+    // Template metadata without the renderer, e.g. for the examples list
+    getTemplateInfo(id) {
+        const template = this.templates[id];
+        if (!template) return null;
+
+        const defaults = {};
+        Object.entries(template.slots).forEach(([name, slot]) => {
+            defaults[name] = slot.default;
+        });
+
+        return {
+            id: id,
+            name: template.name,
+            description: template.description,
+            category: template.category,
+            tags: [...template.tags],
+            difficulty: template.difficulty,
+            components: [...template.components],
+            libraries: [...template.libraries],
+            architectures: template.architectures ? [...template.architectures] : null,
+            example: template.example,
+            slots: defaults
+        };
+    }
+
+    // Filter by tag, category, difficulty and/or board architecture
+    listTemplates(filter = {}) {
+        return Object.keys(this.templates)
+            .map(id => this.getTemplateInfo(id))
+            .filter(info => !filter.tag || info.tags.includes(filter.tag.toLowerCase()))
+            .filter(info => !filter.category || info.category === filter.category)
+            .filter(info => !filter.difficulty || info.difficulty === filter.difficulty)
+            .filter(info => !filter.architecture || this.isCompatible(info.id, filter.architecture));
+    }
+
+    searchByTag(tag) {
+        return this.listTemplates({ tag });
+    }
+
+    isCompatible(id, architecture) {
+        const template = this.templates[id];
+        if (!template) return false;
+
+        return !template.architectures || !architecture || template.architectures.includes(architecture);
+    }
     
-    matchTemplate(command) {
+    // options.nonBlocking selects the millis()-based variant of the template
+    matchTemplate(command, parameters = {}, options = {}) {
+        const id = this.findTemplate(command);
+        return id ? this.render(id, parameters, options) : null;
+    }
+
+    findTemplate(command) {
         const lowerCommand = command.toLowerCase();
         
-        if (lowerCommand.includes('blink') && lowerCommand.includes('led')) {
-            return this.templates.blink();
+        if (lowerCommand.includes('blink') && (lowerCommand.includes('led') || BLINK_SETTINGS.test(lowerCommand))) {
+            return 'blink';
         }
         
         if (lowerCommand.includes('servo')) {
-            return this.templates.servo();
+            return 'servo';
         }
         
         if (lowerCommand.includes('temperature') || lowerCommand.includes('dht')) {
-            return this.templates.temperature();
+            return 'temperature';
         }
         
         if (lowerCommand.includes('ultrasonic') || lowerCommand.includes('distance')) {
-            return this.templates.ultrasonic();
+            return 'ultrasonic';
         }
         
         if (lowerCommand.includes('rgb') || lowerCommand.includes('color')) {
-            return this.templates.rgb();
+            return 'rgb';
         }
         
         return null;
     }
+
+    render(id, parameters = {}, options = {}) {
+        const template = this.templates[id];
+        if (!template) {
+            throw new Error(`Unknown template: ${id}`);
+        }
+
+        const renderer = options.nonBlocking && template.nonBlocking ? template.nonBlocking : template.render;
+        return renderer.call(this, this.resolveSlots(template.slots, parameters));
+    }
+
+    // Fill every slot from the extracted parameters, keeping defaults for missing or invalid values
+    resolveSlots(slots, parameters) {
+        const values = {};
+
+        Object.entries(slots).forEach(([name, slot]) => {
+            const param = parameters[slot.param || name];
+            const raw = slot.index !== undefined ? (Array.isArray(param) ? param[slot.index] : undefined) : param;
+            const value = raw === undefined || raw === null || raw === '' ? null : this.coerce(slot, raw);
+            values[name] = value === null ? slot.default : value;
+        });
+
+        // A sweep needs its ends in order
+        if (values.minAngle !== undefined && values.maxAngle !== undefined && values.minAngle > values.maxAngle) {
+            [values.minAngle, values.maxAngle] = [values.maxAngle, values.minAngle];
+        }
+
+        return values;
+    }
+
+    coerce(slot, raw) {
+        const text = String(raw).trim();
+        const number = Number(text);
+
+        switch (slot.type) {
+            case 'pin':
+                if (/^\d+$/.test(text)) return number;
+                if (/^A\d+$/i.test(text)) return text.toUpperCase();
+                return text === 'LED_BUILTIN' ? text : null;
+            case 'interval':
+                return Number.isFinite(number) && number > 0 ? Math.round(number) : null;
+            case 'threshold':
+                return Number.isFinite(number) ? number : null;
+            case 'baud':
+                return COMMON_BAUD_RATES.includes(number) ? number : null;
+            case 'angle':
+                return Number.isInteger(number) && number >= 0 && number <= 180 ? number : null;
+            case 'object':
+                return /^[A-Za-z_][A-Za-z0-9_]*$/.test(text) ? text : null;
+            case 'option':
+                return slot.values.find(value => value.toLowerCase() === text.toLowerCase()) || null;
+            default:
+                return text;
+        }
+    }
     
-    blinkTemplate() {
+    blinkTemplate({ pin, interval }) {
         return `// LED Blink Example
 void setup() {
-  pinMode(13, OUTPUT);
+  pinMode(${pin}, OUTPUT);
 }
 
 void loop() {
-  digitalWrite(13, HIGH);
-  delay(1000);
-  digitalWrite(13, LOW);
-  delay(1000);
+  digitalWrite(${pin}, HIGH);
+  delay(${interval});
+  digitalWrite(${pin}, LOW);
+  delay(${interval});
 }`;
     }
     
-    servoTemplate() {
+    servoTemplate({ pin, object, minAngle, maxAngle, stepDelay }) {
         return `// Servo Motor Control
 #include <Servo.h>
 
-Servo myservo;
-int pos = 0;
+Servo ${object};
+int pos = ${minAngle};
+
+void setup() {
+  ${object}.attach(${pin});
+}
+
+void loop() {
+  for (pos = ${minAngle}; pos <= ${maxAngle}; pos += 1) {
+    ${object}.write(pos);
+    delay(${stepDelay});
+  }
+  for (pos = ${maxAngle}; pos >= ${minAngle}; pos -= 1) {
+    ${object}.write(pos);
+    delay(${stepDelay});
+  }
+}`;
+    }
+    
+    temperatureTemplate({ pin, model, interval, threshold, baud }) {
+        const alert = threshold === null ? '' : `
+
+  if (temperature > ${threshold}) {
+    Serial.println(F("Warning: temperature above ${threshold} C"));
+  }`;
+
+        return `// Temperature & Humidity Monitor
+#include <DHT.h>
+
+#define DHTPIN ${pin}
+#define DHTTYPE ${model}
+
+DHT dht(DHTPIN, DHTTYPE);
+
+void setup() {
+  Serial.begin(${baud});
+  dht.begin();
+}
+
+void loop() {
+  // ${model} needs time between readings
+  delay(${interval});
+
+  float humidity = dht.readHumidity();
+  float temperature = dht.readTemperature();
+
+  if (isnan(humidity) || isnan(temperature)) {
+    Serial.println(F("Failed to read from DHT sensor!"));
+    return;
+  }
+
+  Serial.print(F("Humidity: "));
+  Serial.print(humidity);
+  Serial.print(F(" %  Temperature: "));
+  Serial.print(temperature);
+  Serial.println(F(" C"));${alert}
+}`;
+    }
+    
+    ultrasonicTemplate({ trigPin, echoPin, interval, threshold, baud }) {
+        const alert = threshold === null ? '' : `
+
+  if (distance > 0 && distance < ${threshold}) {
+    Serial.println(F("Object closer than ${threshold} cm"));
+  }`;
+
+        return `// Ultrasonic Distance Meter (HC-SR04)
+const int trigPin = ${trigPin};
+const int echoPin = ${echoPin};
+
+void setup() {
+  Serial.begin(${baud});
+  pinMode(trigPin, OUTPUT);
+  pinMode(echoPin, INPUT);
+}
+
+void loop() {
+  // A 10us pulse starts a measurement
+  digitalWrite(trigPin, LOW);
+  delayMicroseconds(2);
+  digitalWrite(trigPin, HIGH);
+  delayMicroseconds(10);
+  digitalWrite(trigPin, LOW);
+
+  // Give up after 30ms (about 5m) so a missing echo does not stall the loop
+  long duration = pulseIn(echoPin, HIGH, 30000);
+  float distance = duration * 0.034 / 2;
+
+  Serial.print(F("Distance: "));
+  Serial.print(distance);
+  Serial.println(F(" cm"));${alert}
+
+  delay(${interval});
+}`;
+    }
+    
+    rgbTemplate({ redPin, greenPin, bluePin, stepDelay }) {
+        return `// RGB LED Color Cycle
+const int redPin = ${redPin};
+const int greenPin = ${greenPin};
+const int bluePin = ${bluePin};
+
+void setup() {
+  pinMode(redPin, OUTPUT);
+  pinMode(greenPin, OUTPUT);
+  pinMode(bluePin, OUTPUT);
+}
+
+void loop() {
+  // Walk the colour wheel: red -> green -> blue -> red
+  for (int i = 0; i < 256; i++) {
+    setColor(255 - i, i, 0);
+    delay(${stepDelay});
+  }
+  for (int i = 0; i < 256; i++) {
+    setColor(0, 255 - i, i);
+    delay(${stepDelay});
+  }
+  for (int i = 0; i < 256; i++) {
+    setColor(i, 0, 255 - i);
+    delay(${stepDelay});
+  }
+}
+
+void setColor(int red, int green, int blue) {
+  analogWrite(redPin, red);
+  analogWrite(greenPin, green);
+  analogWrite(bluePin, blue);
+}`;
+    }
+
+    // Non-blocking variants: loop() never waits, so other code can run between steps
+
+    blinkNonBlockingTemplate({ pin, interval }) {
+        return `// LED Blink Example (non-blocking)
+const int ledPin = ${pin};
+const unsigned long interval = ${interval};
+
+int ledState = LOW;
+unsigned long previousMillis = 0;
+
+void setup() {
+  pinMode(ledPin, OUTPUT);
+}
+
+void loop() {
+  unsigned long currentMillis = millis();
+
+  if (currentMillis - previousMillis >= interval) {
+    previousMillis = currentMillis;
+    ledState = (ledState == LOW) ? HIGH : LOW;
+    digitalWrite(ledPin, ledState);
+  }
+
+  // Other tasks can run here
+}`;
+    }
+    
+    servoNonBlockingTemplate({ pin, object, minAngle, maxAngle, stepDelay }) {
+        return `// Servo Motor Control (non-blocking)
+#include <Servo.h>
+
+const unsigned long stepDelay = ${stepDelay};
+
+Servo ${object};
+int pos = ${minAngle};
+int direction = 1;
+unsigned long previousMillis = 0;
 
 void setup() {
-  myservo.attach(9);
+  ${object}.attach(${pin});
+  ${object}.write(pos);
 }
 
 void loop() {
-  for (pos = 0; pos <= 180; pos += 1) {
-    myservo.write(pos);
-    delay(15);
+  unsigned long currentMillis = millis();
+
+  // One degree per step; turn around at either end of the sweep
+  if (currentMillis - previousMillis >= stepDelay) {
+    previousMillis = currentMillis;
+    pos += direction;
+
+    if (pos >= ${maxAngle}) {
+      pos = ${maxAngle};
+      direction = -1;
+    } else if (pos <= ${minAngle}) {
+      pos = ${minAngle};
+      direction = 1;
+    }
+
+    ${object}.write(pos);
   }
-  for (pos = 180; pos >= 0; pos -= 1) {
-    myservo.write(pos);
-    delay(15);
+
+  // Other tasks can run here
+}`;
+    }
+    
+    temperatureNonBlockingTemplate({ pin, model, interval, threshold, baud }) {
+        const alert = threshold === null ? '' : `
+
+  if (temperature > ${threshold}) {
+    Serial.println(F("Warning: temperature above ${threshold} C"));
+  }`;
+
+        return `// Temperature & Humidity Monitor (non-blocking)
+#include <DHT.h>
+
+#define DHTPIN ${pin}
+#define DHTTYPE ${model}
+
+// ${model} needs time between readings
+const unsigned long interval = ${interval};
+
+DHT dht(DHTPIN, DHTTYPE);
+unsigned long previousMillis = 0;
+
+void setup() {
+  Serial.begin(${baud});
+  dht.begin();
+}
+
+void loop() {
+  unsigned long currentMillis = millis();
+
+  if (currentMillis - previousMillis >= interval) {
+    previousMillis = currentMillis;
+    readSensor();
+  }
+
+  // Other tasks can run here
+}
+
+void readSensor() {
+  float humidity = dht.readHumidity();
+  float temperature = dht.readTemperature();
+
+  if (isnan(humidity) || isnan(temperature)) {
+    Serial.println(F("Failed to read from DHT sensor!"));
+    return;
   }
+
+  Serial.print(F("Humidity: "));
+  Serial.print(humidity);
+  Serial.print(F(" %  Temperature: "));
+  Serial.print(temperature);
+  Serial.println(F(" C"));${alert}
+}`;
+    }
+    
+    ultrasonicNonBlockingTemplate({ trigPin, echoPin, interval, threshold, baud }) {
+        const alert = threshold === null ? '' : `
+
+  if (distance > 0 && distance < ${threshold}) {
+    Serial.println(F("Object closer than ${threshold} cm"));
+  }`;
+
+        return `// Ultrasonic Distance Meter (HC-SR04, non-blocking)
+const int trigPin = ${trigPin};
+const int echoPin = ${echoPin};
+const unsigned long interval = ${interval};
+// No echo within 30ms (about 5m) means nothing is in range
+const unsigned long echoTimeout = 30000;
+
+// The echo pulse is timed by polling instead of pulseIn(), which blocks
+enum SonarState { IDLE, WAITING_FOR_ECHO, MEASURING };
+
+SonarState sonarState = IDLE;
+unsigned long lastPing = 0;
+unsigned long echoStart = 0;
+
+void setup() {
+  Serial.begin(${baud});
+  pinMode(trigPin, OUTPUT);
+  pinMode(echoPin, INPUT);
+}
+
+void loop() {
+  updateSonar();
+
+  // Other tasks can run here; keep them short so the echo is timed accurately
+}
+
+void updateSonar() {
+  unsigned long now = micros();
+
+  switch (sonarState) {
+    case IDLE:
+      if (millis() - lastPing >= interval) {
+        lastPing = millis();
+        // A 10us pulse starts a measurement
+        digitalWrite(trigPin, LOW);
+        delayMicroseconds(2);
+        digitalWrite(trigPin, HIGH);
+        delayMicroseconds(10);
+        digitalWrite(trigPin, LOW);
+        echoStart = micros();
+        sonarState = WAITING_FOR_ECHO;
+      }
+      break;
+
+    case WAITING_FOR_ECHO:
+      if (digitalRead(echoPin) == HIGH) {
+        echoStart = now;
+        sonarState = MEASURING;
+      } else if (now - echoStart >= echoTimeout) {
+        sonarState = IDLE;
+      }
+      break;
+
+    case MEASURING:
+      if (digitalRead(echoPin) == LOW) {
+        reportDistance((now - echoStart) * 0.034 / 2);
+        sonarState = IDLE;
+      } else if (now - echoStart >= echoTimeout) {
+        sonarState = IDLE;
+      }
+      break;
+  }
+}
+
+void reportDistance(float distance) {
+  Serial.print(F("Distance: "));
+  Serial.print(distance);
+  Serial.println(F(" cm"));${alert}
 }`;
     }
     
-    // Add other template methods...
+    rgbNonBlockingTemplate({ redPin, greenPin, bluePin, stepDelay }) {
+        return `// RGB LED Color Cycle (non-blocking)
+const int redPin = ${redPin};
+const int greenPin = ${greenPin};
+const int bluePin = ${bluePin};
+const unsigned long stepDelay = ${stepDelay};
+
+// Walk the colour wheel one step at a time: red -> green -> blue -> red
+int phase = 0;
+int level = 0;
+unsigned long previousMillis = 0;
+
+void setup() {
+  pinMode(redPin, OUTPUT);
+  pinMode(greenPin, OUTPUT);
+  pinMode(bluePin, OUTPUT);
+}
+
+void loop() {
+  unsigned long currentMillis = millis();
+
+  if (currentMillis - previousMillis >= stepDelay) {
+    previousMillis = currentMillis;
+    stepColor();
+  }
+
+  // Other tasks can run here
+}
+
+void stepColor() {
+  switch (phase) {
+    case 0:
+      setColor(255 - level, level, 0);
+      break;
+    case 1:
+      setColor(0, 255 - level, level);
+      break;
+    default:
+      setColor(level, 0, 255 - level);
+      break;
+  }
+
+  level++;
+  if (level > 255) {
+    level = 0;
+    phase = (phase + 1) % 3;
+  }
+}
+
+void setColor(int red, int green, int blue) {
+  analogWrite(redPin, red);
+  analogWrite(greenPin, green);
+  analogWrite(bluePin, blue);
+}`;
+    }
 }
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ArduinoTemplates from './arduino-templates.js';
+import NLPProcessor from './nlp-processor.js';
+
+function generate(command, options = {}) {
+    const parameters = new NLPProcessor().extractParameters(command);
+    return new ArduinoTemplates().matchTemplate(command, parameters, options);
+}
+
+test('extracts the pin and interval from "blink pin 7 every 250ms"', () => {
+    assert.deepEqual(new NLPProcessor().extractParameters('blink pin 7 every 250ms'), { pin: '7', pins: ['7'], interval: 250 });
+});
+
+test('renders "blink pin 7 every 250ms" with exactly that pin and interval', () => {
+    const code = generate('blink pin 7 every 250ms');
+
+    assert.ok(code.includes('pinMode(7, OUTPUT);'));
+    assert.ok(code.includes('digitalWrite(7, HIGH);'));
+    assert.equal(code.match(/delay\(250\);/g).length, 2);
+    assert.ok(!code.includes('13'));
+});
+
+test('matches blink commands by pin or interval without the word LED', () => {
+    const templates = new ArduinoTemplates();
+
+    assert.equal(templates.findTemplate('blink pin 7 every 250ms'), 'blink');
+    assert.equal(templates.findTemplate('Blink D5 every 2 seconds'), 'blink');
+    assert.equal(templates.findTemplate('make pin 4 blink'), 'blink');
+    assert.equal(templates.findTemplate('Blink an LED connected to pin 13 with 1 second intervals'), 'blink');
+    assert.equal(templates.findTemplate('blink'), null);
+});
+
+test('fills the non-blocking blink variant from the same parameters', () => {
+    const code = generate('blink pin A1 every 2 seconds', { nonBlocking: true });
+
+    assert.ok(code.includes('const int ledPin = A1;'));
+    assert.ok(code.includes('const unsigned long interval = 2000;'));
+});
+
+test('keeps the defaults for parameters the command does not mention', () => {
+    const code = generate('Blink an LED');
+
+    assert.ok(code.includes('pinMode(13, OUTPUT);'));
+    assert.ok(code.includes('delay(1000);'));
+});
+
+test('fills servo, DHT and ultrasonic slots from the command', () => {
+    const servo = generate('Sweep a servo on pin 6 from 30 to 150 degrees');
+    assert.ok(servo.includes('myservo.attach(6);'));
+    assert.ok(servo.includes('for (pos = 30; pos <= 150; pos += 1)'));
+
+    const temperature = generate('Read temperature from a DHT22 on pin 4 every 5 seconds at 115200 baud');
+    assert.ok(temperature.includes('#define DHTPIN 4'));
+    assert.ok(temperature.includes('#define DHTTYPE DHT22'));
+    assert.ok(temperature.includes('Serial.begin(115200);'));
+    assert.ok(temperature.includes('delay(5000);'));
+
+    const distance = generate('Measure distance with an ultrasonic sensor on pins 7 and 8');
+    assert.ok(distance.includes('const int trigPin = 7;'));
+    assert.ok(distance.includes('const int echoPin = 8;'));
+});
+
+test('ignores out-of-range values and keeps the slot default', () => {
+    const code = generate('Read temperature from a DHT11 on pin 3 at 12345 baud');
+
+    assert.ok(code.includes('Serial.begin(9600);'));
+    assert.ok(code.includes('#define DHTPIN 3'));
+});
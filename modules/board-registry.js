@@ -0,0 +1,213 @@
+// Board definitions loaded from boards/*.json. Adding a board only needs a new
+// JSON file listed in boards/index.json; "extends" copies another board's fields.
+export default class BoardRegistry {
+    constructor(options = {}) {
+        this.basePath = options.basePath || '/boards/';
+        this.defaultBoard = options.defaultBoard || 'uno';
+        this.boards = new Map();
+        this.aliases = new Map();
+        this.loaded = false;
+        this.loadingPromise = null;
+    }
+
+    // Fetch the index and every board it lists; safe to call repeatedly
+    async load() {
+        if (this.loaded) return this;
+
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchBoards().then(() => {
+                this.loaded = true;
+                console.log(`✅ Loaded ${this.boards.size} board definitions`);
+                return this;
+            }).finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+
+        return this.loadingPromise;
+    }
+
+    async fetchBoards() {
+        const index = await this.fetchJSON('index.json');
+        const definitions = [];
+
+        for (const file of index.boards || []) {
+            try {
+                definitions.push(await this.fetchJSON(file));
+            } catch (error) {
+                console.warn(`⚠️ Could not load board definition ${file}:`, error);
+            }
+        }
+
+        this.registerAll(definitions);
+    }
+
+    async fetchJSON(file) {
+        const response = await fetch(`${this.basePath}${file}`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${file}: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    // Register definitions in an order that puts every parent before its children
+    registerAll(definitions) {
+        const pending = [...definitions];
+
+        while (pending.length > 0) {
+            const index = pending.findIndex(definition =>
+                !definition.extends || this.boards.has(definition.extends) || !pending.some(other => other.id === definition.extends));
+
+            const [definition] = pending.splice(index === -1 ? 0 : index, 1);
+            try {
+                this.register(definition);
+            } catch (error) {
+                console.warn(`⚠️ Skipping board definition ${definition.id}:`, error.message);
+            }
+        }
+    }
+
+    register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Board definition requires an id');
+        }
+
+        let board = definition;
+        if (definition.extends) {
+            const parent = this.boards.get(definition.extends);
+            if (!parent) {
+                throw new Error(`Board ${definition.id} extends unknown board ${definition.extends}`);
+            }
+            board = this.merge(parent, definition);
+            // Aliases belong to the board that declares them
+            board.aliases = definition.aliases || [];
+        }
+
+        board = this.normalize(board);
+        this.boards.set(board.id, board);
+        board.aliases.forEach(alias => this.aliases.set(alias, board.id));
+
+        return board;
+    }
+
+    // Objects merge field by field; arrays and scalars from the child replace the parent's
+    merge(parent, child) {
+        const result = { ...parent };
+
+        Object.entries(child).forEach(([key, value]) => {
+            const inherited = parent[key];
+            const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+
+            result[key] = isObject(value) && isObject(inherited)
+                ? this.merge(inherited, value)
+                : value;
+        });
+
+        return result;
+    }
+
+    // JSON has no hex literals, so USB IDs and signatures are written as "0x2341"
+    normalize(board) {
+        const toNumber = value => typeof value === 'string' ? parseInt(value, 16) : value;
+        const upload = board.upload ? { ...board.upload } : null;
+
+        if (upload) {
+            if (Array.isArray(upload.signature)) upload.signature = upload.signature.map(toNumber);
+            if (Array.isArray(upload.bootloaderProductIds)) upload.bootloaderProductIds = upload.bootloaderProductIds.map(toNumber);
+        }
+
+        return {
+            ...board,
+            aliases: board.aliases || [],
+            features: board.features || [],
+            commonUses: board.commonUses || [],
+            timers: board.timers || [],
+            usb: (board.usb || []).map(entry => ({
+                vendorId: toNumber(entry.vendorId),
+                productIds: Array.isArray(entry.productIds) ? entry.productIds.map(toNumber) : null,
+                name: entry.name || board.name
+            })),
+            upload: upload
+        };
+    }
+
+    has(id) {
+        return this.get(id) !== null;
+    }
+
+    get(id) {
+        if (!id) return null;
+
+        const key = String(id).toLowerCase();
+        return this.boards.get(key) || this.boards.get(this.aliases.get(key)) || null;
+    }
+
+    getAll() {
+        return Array.from(this.boards.values());
+    }
+
+    // Exact product matches win over vendor-only entries such as "generic"
+    findByUSB(vendorId, productId) {
+        let fallback = null;
+
+        for (const board of this.boards.values()) {
+            for (const entry of board.usb) {
+                if (entry.vendorId !== vendorId) continue;
+
+                if (entry.productIds === null) {
+                    fallback = fallback || { board, name: entry.name };
+                } else if (entry.productIds.includes(productId)) {
+                    return { board, name: entry.name };
+                }
+            }
+        }
+
+        return fallback;
+    }
+
+    // Web Serial requestPort() filters for every known vendor
+    getUSBFilters() {
+        const vendors = new Set();
+
+        this.boards.forEach(board => {
+            board.usb.forEach(entry => vendors.add(entry.vendorId));
+        });
+
+        return Array.from(vendors).map(vendorId => ({ usbVendorId: vendorId }));
+    }
+
+    getUploadProfile(id) {
+        const board = this.get(id);
+        return board && board.upload ? { ...board.upload } : null;
+    }
+
+    getPinMap(id) {
+        const board = this.get(id) || this.get(this.defaultBoard);
+        return board ? board.pins : null;
+    }
+
+    // Summary used by the UI, the compiler's memory estimate and the status monitor
+    getCapabilities(id) {
+        const board = this.get(id) || this.get(this.defaultBoard);
+        if (!board) return null;
+
+        return {
+            name: board.name,
+            mcu: board.mcu,
+            architecture: board.architecture,
+            voltage: board.voltage,
+            digitalPins: board.pins.digital.length,
+            analogPins: board.pins.analog.length,
+            pwmPins: board.pins.pwm.length,
+            memory: board.memory.sram,
+            // Space taken by the bootloader is not available to sketches
+            flash: board.memory.flash - (board.memory.bootloader || 0),
+            eeprom: board.memory.eeprom,
+            wifi: board.features.includes('wifi'),
+            bluetooth: board.features.includes('bluetooth'),
+            features: board.features
+        };
+    }
+}
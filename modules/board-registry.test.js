@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import BoardRegistry from './board-registry.js';
+
+function loadBoards() {
+    const read = file => JSON.parse(readFileSync(new URL(`../boards/${file}`, import.meta.url), 'utf8'));
+    const registry = new BoardRegistry();
+    registry.registerAll(read('index.json').boards.map(read));
+    return registry;
+}
+
+test('registers every board listed in the index', () => {
+    const registry = loadBoards();
+
+    assert.deepEqual(registry.getAll().map(board => board.id).sort(),
+        ['esp32', 'generic', 'leonardo', 'mega2560', 'micro', 'nano', 'nano_clone', 'uno']);
+});
+
+test('lets Nanos fall back to the other bootloader baud rate', () => {
+    const registry = loadBoards();
+
+    const nano = registry.getUploadProfile('nano');
+    assert.equal(nano.protocol, 'stk500v1');
+    assert.equal(nano.baudRate, 115200);
+    assert.deepEqual(nano.fallbackBaudRates, [57600]);
+
+    const clone = registry.getUploadProfile('nano_clone');
+    assert.equal(clone.baudRate, 57600);
+    assert.deepEqual(clone.fallbackBaudRates, [115200]);
+});
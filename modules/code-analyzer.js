@@ -1,11 +1,20 @@
+import ArduinoParser from './arduino-parser.js';
+
 export default class CodeAnalyzer {
+    constructor() {
+        this.parser = new ArduinoParser();
+    }
+
     analyzeCode(code) {
+        const ast = this.parser.parse(code);
+        const summary = this.parser.summarize(ast);
+
         const analysis = {
             lines: code.split('\n').length,
-            functions: this.countFunctions(code),
-            variables: this.countVariables(code),
-            complexity: this.calculateComplexity(code),
-            issues: this.findIssues(code),
+            functions: summary.functions.length,
+            variables: summary.variables.length,
+            complexity: this.calculateComplexity(summary),
+            issues: this.findIssues(code, ast, summary),
             suggestions: []
         };
 
@@ -13,58 +22,36 @@ export default class CodeAnalyzer {
         return analysis;
     }
 
-    countFunctions(code) {
-        const functionMatches = code.match(/\b(void|int|float|double|bool|char)\s+(\w+)\s*\(/g);
-        return functionMatches ? functionMatches.length : 0;
-    }
-
-    countVariables(code) {
-        const variableMatches = code.match(/\b(int|float|double|bool|char|byte)\s+(\w+)\s*[=;]/g);
-        return variableMatches ? variableMatches.length : 0;
-    }
-
-    calculateComplexity(code) {
+    calculateComplexity(summary) {
         let complexity = 1; // Base complexity
-        
+
         // Count control structures
-        const controls = code.match(/\b(if|for|while|switch)\b/g);
-        if (controls) complexity += controls.length;
+        complexity += summary.ifCount + summary.loopCount + summary.switchCount;
 
         // Count function calls
-        const functions = code.match(/\b(\w+)\s*\(/g);
-        if (functions) complexity += functions.length * 0.5;
+        complexity += summary.calls.length * 0.5;
 
         return Math.min(complexity, 10); // Cap at 10
     }
 
-    findIssues(code) {
+    findIssues(code, ast, summary) {
         const issues = [];
-
-        // Check for missing semicolons
         const lines = code.split('\n');
-        lines.forEach((line, index) => {
-            const trimmed = line.trim();
-            if (trimmed && 
-                !trimmed.endsWith(';') && 
-                !trimmed.endsWith('{') && 
-                !trimmed.endsWith('}') &&
-                !trimmed.startsWith('//') &&
-                !trimmed.startsWith('#') &&
-                !trimmed.includes('if') &&
-                !trimmed.includes('for') &&
-                !trimmed.includes('while') &&
-                !trimmed.match(/^\s*\w+\s+(\w+)\s*\([^)]*\)\s*{?\s*$/)) {
-                issues.push({
-                    type: 'warning',
-                    line: index + 1,
-                    message: 'Possible missing semicolon',
-                    code: trimmed
-                });
-            }
+
+        // Syntax errors reported by the parser (missing semicolons, unbalanced brackets, ...)
+        ast.errors.forEach(error => {
+            const line = error.loc.start.line;
+            issues.push({
+                type: 'error',
+                line: line,
+                column: error.loc.start.column,
+                message: error.message,
+                code: (lines[line - 1] || '').trim()
+            });
         });
 
         // Check for common mistakes
-        if (code.includes('delay(') && code.includes('millis()')) {
+        if (summary.calls.includes('delay') && summary.calls.includes('millis')) {
             issues.push({
                 type: 'suggestion',
                 line: 0,
@@ -1,6 +1,21 @@
+import ArduinoParser from './arduino-parser.js';
+import LineDiff from './line-diff.js';
+
 export default class CodeOptimizer {
-    optimize(code, optimizationLevel = 'medium') {
+    constructor() {
+        this.parser = new ArduinoParser();
+        this.lineDiff = new LineDiff();
+    }
+
+    // options.refactorDelays turns delay() calls in loop() into a millis() state machine first
+    optimize(code, optimizationLevel = 'medium', options = {}) {
         let optimized = code;
+        let refactoring = null;
+
+        if (options.refactorDelays) {
+            refactoring = this.refactorDelays(optimized);
+            optimized = refactoring.code;
+        }
 
         // Remove unnecessary comments in high optimization
         if (optimizationLevel === 'high') {
@@ -17,7 +32,8 @@ export default class CodeOptimizer {
             code: optimized,
             originalSize: code.length,
             optimizedSize: optimized.length,
-            reduction: ((code.length - optimized.length) / code.length * 100).toFixed(2)
+            reduction: ((code.length - optimized.length) / code.length * 100).toFixed(2),
+            refactoring: refactoring
         };
     }
 
@@ -39,4 +55,195 @@ export default class CodeOptimizer {
         return code.replace(/if\s*\(\s*(\w+)\s*==\s*true\s*\)/g, 'if($1)')
                   .replace(/if\s*\(\s*(\w+)\s*==\s*false\s*\)/g, 'if(!$1)');
     }
+
+    // Split loop() at its top-level delay() calls and run the pieces as steps of a
+    // state machine, so loop() returns between them instead of blocking. Delays nested
+    // in if/for/while blocks are left alone and listed in "skipped".
+    refactorDelays(code) {
+        const result = { code: code, changed: false, steps: 0, diff: '', skipped: [] };
+        const ast = this.parser.parse(code);
+
+        if (ast.errors.length > 0) {
+            result.skipped.push({ line: ast.errors[0].loc.start.line, reason: 'Fix the syntax errors before refactoring' });
+            return result;
+        }
+
+        const loop = ast.body.find(node => node.type === 'FunctionDeclaration' && node.name === 'loop' && node.body);
+        if (!loop) return result;
+
+        const statements = loop.body.body;
+        const isDelay = statement => statement.type === 'ExpressionStatement' &&
+            statement.expression.type === 'CallExpression' &&
+            this.parser.getCalleeName(statement.expression) === 'delay' &&
+            statement.expression.arguments.length === 1;
+
+        statements.filter(statement => !isDelay(statement)).forEach(statement => {
+            this.parser.findAll(statement, 'CallExpression')
+                .filter(call => this.parser.getCalleeName(call) === 'delay')
+                .forEach(call => result.skipped.push({ line: call.loc.start.line, reason: 'delay() inside a nested block is left as is' }));
+        });
+
+        const delays = statements.filter(isDelay);
+        if (delays.length === 0) return result;
+
+        // Statements between delays; segment i runs after delays[i - 1]
+        const segments = [[]];
+        statements.forEach(statement => {
+            if (isDelay(statement)) segments.push([]);
+            else segments[segments.length - 1].push(statement);
+        });
+
+        // Each step gets its own case, so locals cannot be used across a delay()
+        for (let i = 0; i < segments.length - 1; i++) {
+            const declared = segments[i]
+                .filter(statement => statement.type === 'VariableDeclaration')
+                .flatMap(statement => statement.declarations);
+
+            const later = new Set(segments.slice(i + 1).flat()
+                .flatMap(statement => this.parser.findAll(statement, 'Identifier'))
+                .map(identifier => identifier.name));
+
+            const crossing = declared.find(declarator => later.has(declarator.name));
+            if (crossing) {
+                result.skipped.push({ line: crossing.loc.start.line, reason: `'${crossing.name}' is declared before a delay() and used after it; make it global or static first` });
+                return result;
+            }
+        }
+
+        const names = this.pickStateNames(code);
+        const lines = code.split('\n');
+        const firstLine = lines[statements[0].loc.start.line - 1];
+        const unit = firstLine.match(/^\s*/)[0] || '  ';
+
+        const body = [`${unit}switch (${names.step}) {`];
+        segments.forEach((segment, index) => {
+            const from = index === 0 ? loop.body.loc.start.offset + 1 : delays[index - 1].loc.end.offset;
+            const to = index < delays.length ? delays[index].loc.start.offset : loop.body.loc.end.offset - 1;
+            // Offsets of the returns are relative to from, so rewrite them before trimming
+            let text = this.resetOnReturn(code.slice(from, to), from, segment, names.step);
+            let waitComment = '';
+
+            // A comment after delay(...); on the same line describes the wait
+            if (index > 0) {
+                const comment = text.match(/^[ \t]*(\/\/[^\n]*)/);
+                if (comment) {
+                    waitComment = ` ${comment[1]}`;
+                    text = text.slice(comment[0].length);
+                }
+            }
+
+            const needsBlock = segment.some(statement => statement.type === 'VariableDeclaration');
+            const indent = unit.repeat(3);
+
+            body.push(`${unit.repeat(2)}case ${index}:${needsBlock ? ' {' : ''}`);
+            if (index > 0) {
+                body.push(`${indent}if (millis() - ${names.start} < ${names.wait}) break;${waitComment}`);
+            }
+            body.push(...this.reindent(text, indent));
+
+            if (index < delays.length) {
+                const argument = delays[index].expression.arguments[0];
+                body.push(`${indent}${names.wait} = ${code.slice(argument.loc.start.offset, argument.loc.end.offset)};`);
+                body.push(`${indent}${names.start} = millis();`);
+                body.push(`${indent}${names.step} = ${index + 1};`);
+            } else {
+                body.push(`${indent}${names.step} = 0;`);
+            }
+            body.push(`${indent}break;`);
+            if (needsBlock) body.push(`${unit.repeat(2)}}`);
+        });
+        body.push(`${unit}}`);
+
+        const globals = [
+            '// delay() calls in loop() replaced by a millis() state machine',
+            `byte ${names.step} = 0;`,
+            `unsigned long ${names.start} = 0;`,
+            `unsigned long ${names.wait} = 0;`,
+            '',
+            ''
+        ].join('\n');
+
+        const edit = this.getGlobalsEdit(code, ast, globals);
+        const refactored = code.slice(0, edit.start) + edit.text +
+            code.slice(edit.end, loop.body.loc.start.offset) +
+            `{\n${body.join('\n')}\n}` +
+            code.slice(loop.body.loc.end.offset);
+
+        // Never hand back code that no longer parses
+        if (this.parser.parse(refactored).errors.length > 0) {
+            result.skipped.push({ line: loop.loc.start.line, reason: 'loop() could not be rewritten safely' });
+            return result;
+        }
+
+        result.code = refactored;
+        result.changed = true;
+        result.steps = segments.length;
+        result.diff = this.lineDiff.format(code, refactored);
+        return result;
+    }
+
+    // State variable names that do not clash with anything in the sketch
+    pickStateNames(code) {
+        const used = new Set(code.match(/\b[A-Za-z_]\w*\b/g) || []);
+        const unique = name => {
+            let candidate = name;
+            let suffix = 2;
+            while (used.has(candidate)) candidate = `${name}${suffix++}`;
+            used.add(candidate);
+            return candidate;
+        };
+
+        return { step: unique('loopStep'), start: unique('loopStepStart'), wait: unique('loopStepWait') };
+    }
+
+    // "return" used to restart loop() from the top, so it must also go back to step 0
+    resetOnReturn(text, offset, segment, stepName) {
+        const returns = segment
+            .flatMap(statement => this.parser.findAll(statement, 'ReturnStatement'))
+            .sort((a, b) => b.loc.start.offset - a.loc.start.offset);
+
+        returns.forEach(node => {
+            const start = node.loc.start.offset - offset;
+            const end = node.loc.end.offset - offset;
+            text = text.slice(0, start) + `{ ${stepName} = 0; return; }` + text.slice(end);
+        });
+
+        return text;
+    }
+
+    reindent(text, indent) {
+        const lines = text.split('\n').map(line => line.replace(/\s+$/, ''));
+        while (lines.length > 0 && lines[0] === '') lines.shift();
+        while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+
+        const depth = Math.min(...lines.filter(line => line !== '').map(line => line.match(/^\s*/)[0].length));
+        return lines.map(line => line === '' ? '' : indent + line.slice(depth));
+    }
+
+    // Edit adding text (declarations ending in a blank line) after the last global before
+    // the first function, or right above that function
+    getGlobalsEdit(code, ast, text) {
+        const firstFunction = ast.body.findIndex(node => node.type === 'FunctionDeclaration' && node.body);
+        const lines = code.split('\n');
+        const previous = ast.body.slice(0, firstFunction).filter(node => node.type !== 'FunctionDeclaration');
+
+        // "int x; void setup() {" - split the line rather than landing inside setup()
+        if (previous.length > 0) {
+            const end = previous[previous.length - 1].loc.end.offset;
+            const [, spaces, following] = code.slice(end).match(/^([ \t]*)([^\r\n]*)/);
+            if (following && !following.startsWith('//')) {
+                return { start: end, end: end + spaces.length, text: '\n\n' + text };
+            }
+        }
+
+        // loc lines are 1-based, so the line after the last global starts at index end.line
+        const line = previous.length > 0
+            ? previous[previous.length - 1].loc.end.line
+            : ast.body[firstFunction].loc.start.line - 1;
+
+        // Keep a blank line between the existing globals and the new ones
+        const gap = previous.length > 0 && lines[line] === '' ? 1 : 0;
+        const offset = lines.slice(0, line + gap).reduce((total, source) => total + source.length + 1, 0);
+        return { start: offset, end: offset, text };
+    }
 }
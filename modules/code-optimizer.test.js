@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CodeOptimizer from './code-optimizer.js';
+import ArduinoParser from './arduino-parser.js';
+
+const BLINK_WITH_EARLY_RETURN = `int led = 13;
+void setup() { pinMode(led, OUTPUT); }
+
+void loop() {
+  digitalWrite(led, HIGH);
+  delay(500); // keep the LED on
+  if (digitalRead(2) == LOW) return;
+  digitalWrite(led, LOW);
+  delay(500);
+}
+`;
+
+test('turns the delays in loop() into a millis() state machine', () => {
+    const result = new CodeOptimizer().refactorDelays(BLINK_WITH_EARLY_RETURN);
+
+    assert.equal(result.changed, true);
+    assert.equal(result.steps, 3);
+    assert.deepEqual(result.skipped, []);
+    assert.deepEqual(new ArduinoParser().parse(result.code).errors, []);
+    assert.doesNotMatch(result.code, /delay\(\d/);
+});
+
+test('keeps the comment after a delay and resets the step on return', () => {
+    const { code } = new CodeOptimizer().refactorDelays(BLINK_WITH_EARLY_RETURN);
+
+    assert.match(code, /if \(millis\(\) - loopStepStart < loopStepWait\) break; \/\/ keep the LED on\n/);
+    assert.match(code, /\n {6}if \(digitalRead\(2\) == LOW\) \{ loopStep = 0; return; \}\n {6}digitalWrite\(led, LOW\);/);
+});
+
+test('declares the state variables after the last global, not inside setup()', () => {
+    const { code } = new CodeOptimizer().refactorDelays(BLINK_WITH_EARLY_RETURN);
+
+    assert.ok(code.startsWith('int led = 13;\n// delay() calls in loop() replaced by a millis() state machine\nbyte loopStep = 0;\n'));
+    assert.match(code, /unsigned long loopStepWait = 0;\n\nvoid setup\(\) \{ pinMode\(led, OUTPUT\); \}\n/);
+});
+
+test('splits a global and a function that share a line', () => {
+    const { code } = new CodeOptimizer().refactorDelays('int x; void setup() { x = 1; }\nvoid loop() {\n  tone(8, 440);\n  delay(100);\n}\n');
+
+    assert.ok(code.startsWith('int x;\n\n// delay() calls in loop() replaced by a millis() state machine\nbyte loopStep = 0;\n'));
+    assert.match(code, /unsigned long loopStepWait = 0;\n\nvoid setup\(\) \{ x = 1; \}\n/);
+    assert.deepEqual(new ArduinoParser().parse(code).errors, []);
+});
+
+test('keeps a trailing comment with its global', () => {
+    const { code } = new CodeOptimizer().refactorDelays('int x; // counter\nvoid loop() {\n  tone(8, 440);\n  delay(100);\n}\n');
+
+    assert.ok(code.startsWith('int x; // counter\n// delay() calls in loop()'));
+});
+
+test('inserts the state variables above loop() when there are no globals', () => {
+    const { code } = new CodeOptimizer().refactorDelays('void loop() {\n  tone(8, 440);\n  delay(100);\n}\n');
+
+    assert.ok(code.startsWith('// delay() calls in loop() replaced by a millis() state machine\n'));
+    assert.match(code, /unsigned long loopStepWait = 0;\n\nvoid loop\(\) \{\n/);
+});
+
+test('leaves nested delays alone', () => {
+    const result = new CodeOptimizer().refactorDelays('void loop() {\n  if (digitalRead(2)) {\n    delay(10);\n  }\n}\n');
+
+    assert.equal(result.changed, false);
+    assert.deepEqual(result.skipped, [{ line: 3, reason: 'delay() inside a nested block is left as is' }]);
+});
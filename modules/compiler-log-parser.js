@@ -0,0 +1,378 @@
+// Diagnostic lines from gcc: "sketch.ino:12:3: error: 'foo' was not declared in this scope".
+// The path is matched lazily so Windows drive letters ("C:\...") stay part of it.
+const DIAGNOSTIC = /^(.+?):(\d+):(?:(\d+):)?\s+(fatal error|error|warning|note):\s*(.*)$/;
+const INSTANTIATION = /^(.+?):(\d+):(?:(\d+):)?\s+(required from .*|in .*required from .*)$/;
+const CONTEXT = /^(.+?):\s+((?:In (?:static member |member )?function|In constructor|In destructor|In lambda function|In instantiation of|At global scope|At top level).*):$/;
+const INCLUDED_FROM = /^In file included from (.+?):(\d+)(?::(\d+))?[,:]$/;
+const INCLUDED_FROM_MORE = /^\s+from (.+?):(\d+)(?::(\d+))?[,:]$/;
+const OBJECT_FILE = /\.(?:o|obj|a)(?:\s|\(|$)/;
+
+// Linker messages: "sketch.ino:12: undefined reference to `foo()'"
+const LINKER_CONTEXT = /^(.+?):\s+[Ii]n function [`'‘](.+?)['’]:$/;
+const UNDEFINED_REFERENCE = /undefined reference to [`'‘](.+?)['’]/;
+const MULTIPLE_DEFINITION = /multiple definition of [`'‘](.+?)['’]/;
+const REGION_OVERFLOW = /region [`'‘]?(\w+)['’]? overflowed(?: by (\d+) bytes?)?/;
+const SECTION_NOT_FIT = /section [`'‘]?([.\w]+)['’]? will not fit in region [`'‘]?(\w+)['’]?/;
+const SECTION_NOT_WITHIN = /address (0x[0-9a-f]+) of .+? section [`'‘]?([.\w]+)['’]? is not within region [`'‘]?(\w+)['’]?/i;
+const LINKER_LOCATION = /^(?:.*?\bld(?:\.exe)?:\s+)?(.+?):(?:(\d+)|\(.*?\)):\s/;
+
+// Size report printed by arduino-cli after a successful compile
+const FLASH_USAGE = /Sketch uses (\d+) bytes \((\d+)%\) of program storage space\. Maximum is (\d+) bytes/;
+const SRAM_USAGE = /Global variables use (\d+) bytes \((\d+)%\) of dynamic memory(?:, leaving (\d+) bytes for local variables\. Maximum is (\d+) bytes)?/;
+
+const AVRDUDE = /^avrdude(?:\.exe)?(?::| error:| warning:)\s*(.*)$/;
+
+// Structured view of a pasted avr-gcc / arduino-cli / avrdude log. Every primary
+// diagnostic keeps its function context, include chain, source excerpt and the
+// notes that follow it.
+export default class CompilerLogParser {
+    parse(log) {
+        const result = {
+            diagnostics: [],
+            errors: 0,
+            warnings: 0,
+            summary: {
+                compileFailed: false,
+                linkFailed: false,
+                uploadFailed: false,
+                board: null,
+                memory: null
+            }
+        };
+
+        const state = {
+            context: null,
+            contextFile: null,
+            includeChain: [],
+            primary: null,
+            last: null,
+            signature: null
+        };
+
+        String(log || '').split(/\r?\n/).forEach(line => {
+            if (line.trim() === '') {
+                state.last = null;
+                return;
+            }
+
+            this.parseLine(line, state, result);
+        });
+
+        result.diagnostics.forEach(diagnostic => {
+            if (diagnostic.severity === 'error') result.errors++;
+            else if (diagnostic.severity === 'warning') result.warnings++;
+        });
+
+        return result;
+    }
+
+    parseLine(line, state, result) {
+        let match;
+
+        if ((match = line.match(INCLUDED_FROM))) {
+            state.includeChain = [this.location(match)];
+            state.context = null;
+            state.contextFile = null;
+            return;
+        }
+
+        if ((match = line.match(INCLUDED_FROM_MORE)) && state.includeChain.length > 0) {
+            state.includeChain.push(this.location(match));
+            return;
+        }
+
+        if ((match = line.match(CONTEXT))) {
+            state.context = match[2].replace(/[`‘’]/g, "'");
+            // ld names the object file, so its context applies to whatever source line follows
+            state.contextFile = OBJECT_FILE.test(match[1]) ? null : match[1];
+            return;
+        }
+
+        if ((match = line.match(DIAGNOSTIC))) {
+            this.addDiagnostic(state, result, {
+                severity: match[4] === 'fatal error' ? 'error' : match[4],
+                source: 'compiler',
+                kind: this.classifyCompilerMessage(match[5]),
+                file: match[1],
+                line: parseInt(match[2], 10),
+                column: match[3] ? parseInt(match[3], 10) : null,
+                message: match[5],
+                fatal: match[4] === 'fatal error'
+            });
+            return;
+        }
+
+        if ((match = line.match(INSTANTIATION))) {
+            this.addDiagnostic(state, result, {
+                severity: 'note',
+                source: 'compiler',
+                kind: 'instantiation',
+                file: match[1],
+                line: parseInt(match[2], 10),
+                column: match[3] ? parseInt(match[3], 10) : null,
+                message: match[4].trim()
+            });
+            return;
+        }
+
+        if ((match = line.match(AVRDUDE))) {
+            this.parseAvrdude(match[1].trim(), line, state, result);
+            return;
+        }
+
+        if (this.parseLinker(line, state, result)) return;
+        if (this.parseSummary(line, state, result)) return;
+
+        // Source excerpt and caret lines printed under a diagnostic
+        if (state.last && /^\s/.test(line)) {
+            state.last.code = state.last.code ? `${state.last.code}\n${line}` : line;
+        }
+    }
+
+    // Notes and "required from" lines belong to the diagnostic before them
+    addDiagnostic(state, result, fields) {
+        // A compiler context line only covers its own file; the next translation unit starts fresh
+        if (state.contextFile && fields.severity !== 'note' && fields.file !== state.contextFile) {
+            state.context = null;
+            state.contextFile = null;
+        }
+
+        const record = {
+            ...fields,
+            context: state.context,
+            includeChain: state.includeChain,
+            code: null,
+            details: fields.details || {},
+            notes: []
+        };
+
+        if (record.severity === 'note' && state.primary) {
+            delete record.notes;
+            state.primary.notes.push(record);
+        } else {
+            result.diagnostics.push(record);
+            state.primary = record;
+        }
+
+        state.includeChain = [];
+        state.last = record;
+        return record;
+    }
+
+    parseLinker(line, state, result) {
+        let match;
+
+        if ((match = line.match(LINKER_CONTEXT))) {
+            state.context = `In function '${match[2]}'`;
+            state.contextFile = null;
+            return true;
+        }
+
+        if (/collect2(?:\.exe)?: error: ld returned/.test(line)) {
+            result.summary.linkFailed = true;
+            return true;
+        }
+
+        const location = line.match(LINKER_LOCATION);
+        const fields = {
+            severity: 'error',
+            source: 'linker',
+            file: location ? location[1] : null,
+            line: location && location[2] ? parseInt(location[2], 10) : null,
+            column: null,
+            message: line.replace(/^.*?\bld(?:\.exe)?:\s+/, '')
+        };
+
+        if ((match = line.match(UNDEFINED_REFERENCE))) {
+            this.addDiagnostic(state, result, { ...fields, kind: 'undefined-reference', details: { symbol: match[1] } });
+            return true;
+        }
+
+        if ((match = line.match(MULTIPLE_DEFINITION))) {
+            this.addDiagnostic(state, result, { ...fields, kind: 'multiple-definition', details: { symbol: match[1] } });
+            return true;
+        }
+
+        if ((match = line.match(SECTION_NOT_WITHIN))) {
+            this.addRegionOverflow(state, result, fields, { section: match[2], region: match[3], address: match[1] });
+            return true;
+        }
+
+        if ((match = line.match(SECTION_NOT_FIT))) {
+            this.addRegionOverflow(state, result, fields, { section: match[1], region: match[2] });
+            return true;
+        }
+
+        if ((match = line.match(REGION_OVERFLOW))) {
+            this.addRegionOverflow(state, result, fields, { region: match[1], bytes: match[2] ? parseInt(match[2], 10) : null });
+            return true;
+        }
+
+        return false;
+    }
+
+    // ld reports one overflow several ways ("section .bss is not within region data",
+    // "section .data will not fit in region data", "region data overflowed by 12 bytes");
+    // keep one record per region. The data region is SRAM on AVR.
+    addRegionOverflow(state, result, fields, details) {
+        const existing = result.diagnostics.find(diagnostic => diagnostic.source === 'linker' && diagnostic.details.region === details.region);
+
+        if (existing) {
+            if (existing.details.bytes === null && details.bytes !== undefined) existing.details.bytes = details.bytes;
+            if (existing.details.section === null && details.section) existing.details.section = details.section;
+            if (existing.message !== fields.message && !existing.notes.some(note => note.message === fields.message)) {
+                existing.notes.push({ severity: 'note', source: 'linker', kind: existing.kind, message: fields.message });
+            }
+            return;
+        }
+
+        // Size failures belong to the whole program, not the function named before them
+        state.context = null;
+        state.contextFile = null;
+        this.addDiagnostic(state, result, {
+            ...fields,
+            file: null,
+            line: null,
+            kind: details.region === 'data' ? 'sram-overflow' : 'region-overflow',
+            details: { section: null, address: null, bytes: null, ...details }
+        });
+    }
+
+    parseAvrdude(message, line, state, result) {
+        let match;
+
+        // stk500 retries print the same failure up to ten times; keep one record with a count
+        if (/not in sync|programmer is not responding|getsync\(\)|butterfly_recv/i.test(message)) {
+            const previous = result.diagnostics.find(diagnostic => diagnostic.kind === 'sync');
+            if (previous) {
+                previous.details.attempts++;
+                return;
+            }
+
+            this.addAvrdude(state, result, 'sync', message, { attempts: 1 });
+            return;
+        }
+
+        if ((match = message.match(/ser_open\(\): can't (?:open|set) (?:device|com-state for) "(.+?)"(?::\s*(.*))?/))) {
+            this.addAvrdude(state, result, 'port', message, { port: match[1], reason: match[2] || null });
+            return;
+        }
+
+        if ((match = message.match(/Device signature = (0x[0-9a-f]+)/i))) {
+            state.signature = match[1].toLowerCase();
+            return;
+        }
+
+        if ((match = message.match(/expected signature for (.+?) is ([0-9a-f ]+)/i))) {
+            this.addAvrdude(state, result, 'signature', message, {
+                device: match[1],
+                expected: match[2].trim(),
+                found: state.signature || null
+            });
+            return;
+        }
+
+        if (/verification error|content mismatch/i.test(message)) {
+            this.addAvrdude(state, result, 'verification', message, {});
+            return;
+        }
+
+        if (/initialization failed/i.test(message)) {
+            this.addAvrdude(state, result, 'init', message, {});
+            return;
+        }
+
+        if (/error|failed|can't|cannot|unable/i.test(message) || /^avrdude(?:\.exe)? error:/.test(line)) {
+            this.addAvrdude(state, result, 'upload', message, {});
+        }
+    }
+
+    addAvrdude(state, result, kind, message, details) {
+        result.summary.uploadFailed = true;
+        state.context = null;
+        state.contextFile = null;
+
+        return this.addDiagnostic(state, result, {
+            severity: 'error',
+            source: 'avrdude',
+            kind: kind,
+            file: null,
+            line: null,
+            column: null,
+            message: message,
+            details: details
+        });
+    }
+
+    // arduino-cli status lines: size report, "Error compiling for board", upload failures
+    parseSummary(line, state, result) {
+        let match;
+
+        if ((match = line.match(FLASH_USAGE))) {
+            result.summary.memory = result.summary.memory || {};
+            result.summary.memory.flash = { used: parseInt(match[1], 10), percent: parseInt(match[2], 10), max: parseInt(match[3], 10) };
+            return true;
+        }
+
+        if ((match = line.match(SRAM_USAGE))) {
+            result.summary.memory = result.summary.memory || {};
+            result.summary.memory.sram = {
+                used: parseInt(match[1], 10),
+                percent: parseInt(match[2], 10),
+                free: match[3] ? parseInt(match[3], 10) : null,
+                max: match[4] ? parseInt(match[4], 10) : null
+            };
+            return true;
+        }
+
+        if (/^(?:Sketch too big|Not enough memory)/i.test(line)) {
+            this.addDiagnostic(state, result, {
+                severity: 'error', source: 'arduino-cli', kind: 'size', file: null, line: null, column: null, message: line.trim()
+            });
+            return true;
+        }
+
+        if (/^Low memory available/i.test(line)) {
+            this.addDiagnostic(state, result, {
+                severity: 'warning', source: 'arduino-cli', kind: 'low-memory', file: null, line: null, column: null, message: line.trim()
+            });
+            return true;
+        }
+
+        if ((match = line.match(/^Error compiling for board (.+?)\.?$/))) {
+            result.summary.compileFailed = true;
+            result.summary.board = match[1];
+            return true;
+        }
+
+        if (/^(?:Compilation error|compilation terminated|exit status \d+)/i.test(line)) {
+            result.summary.compileFailed = result.summary.compileFailed || !result.summary.uploadFailed;
+            return true;
+        }
+
+        if (/^(?:Failed uploading|An error occurred while uploading|Error while uploading|Problem uploading)/i.test(line)) {
+            result.summary.uploadFailed = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    classifyCompilerMessage(message) {
+        if (/No such file or directory/.test(message)) return 'missing-header';
+        if (/was not declared in this scope|has not been declared|does not name a type/.test(message)) return 'undeclared';
+        if (/^expected /.test(message)) return 'syntax';
+        if (/no matching function for call|too (?:many|few) arguments/.test(message)) return 'arguments';
+        if (/redefinition of|conflicting declaration/.test(message)) return 'redefinition';
+        if (/cannot convert|invalid conversion/.test(message)) return 'conversion';
+        return 'compile';
+    }
+
+    location(match) {
+        return {
+            file: match[1],
+            line: parseInt(match[2], 10),
+            column: match[3] ? parseInt(match[3], 10) : null
+        };
+    }
+}
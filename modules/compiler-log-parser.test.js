@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CompilerLogParser from './compiler-log-parser.js';
+
+const SKETCH = '/home/user/Arduino/Thermostat/Thermostat.ino';
+const LD = '/home/user/.arduino15/packages/arduino/tools/avr-gcc/7.3.0-atmel3.6.1-arduino7/bin/../lib/gcc/avr/7.3.0/../../../../avr/bin/ld';
+
+// arduino-cli compile of a sketch with a second .cpp file in the sketch folder
+const COMPILE_LOG = `${SKETCH}: In function 'void setup()':
+${SKETCH}:14:20: error: no matching function for call to 'Servo::attach(const char [3])'
+   valve.attach("D9");
+                    ^
+In file included from ${SKETCH}:2:0:
+/home/user/Arduino/libraries/Servo/src/Servo.h:110:11: note: candidate: uint8_t Servo::attach(int)
+   uint8_t attach(int pin);
+           ^~~~~~
+/home/user/Arduino/libraries/Servo/src/Servo.h:110:11: note:   no known conversion for argument 1 from 'const char [3]' to 'int'
+${SKETCH}: In function 'void loop()':
+${SKETCH}:21:3: error: 'lcd' was not declared in this scope
+   lcd.print(temperature);
+   ^~~
+${SKETCH}:21:3: note: suggested alternative: 'lcd_t'
+   lcd.print(temperature);
+   ^~~
+   lcd_t
+${SKETCH}:24:7: warning: unused variable 'spare' [-Wunused-variable]
+   int spare = 0;
+       ^~~~~
+/home/user/Arduino/Thermostat/sensors.cpp:3:1: error: 'DallasTemperature' does not name a type
+ DallasTemperature probes(&oneWire);
+ ^~~~~~~~~~~~~~~~~
+exit status 1
+Error compiling for board Arduino Uno.
+`;
+
+const UNDEFINED_REFERENCE_LOG = `/tmp/ccR3bVxq.ltrans0.ltrans.o: In function \`loop':
+${SKETCH}:25: undefined reference to \`readTemperature(int)'
+collect2: error: ld returned 1 exit status
+exit status 1
+Error compiling for board Arduino Uno.
+`;
+
+const SRAM_OVERFLOW_LOG = `${LD}: /tmp/arduino_build_512345/Logger.ino.elf section \`.data' will not fit in region \`data'
+${LD}: address 0x800a2c of /tmp/arduino_build_512345/Logger.ino.elf section \`.bss' is not within region \`data'
+${LD}: address 0x800a2c of /tmp/arduino_build_512345/Logger.ino.elf section \`.bss' is not within region \`data'
+${LD}: region \`data' overflowed by 300 bytes
+collect2: error: ld returned 1 exit status
+exit status 1
+Error compiling for board Arduino Uno.
+`;
+
+const BSS_ONLY_LOG = `${LD}: address 0x800936 of /tmp/arduino_build_77/Buffers.ino.elf section \`.bss' is not within region \`data'
+${LD}: address 0x800936 of /tmp/arduino_build_77/Buffers.ino.elf section \`.bss' is not within region \`data'
+collect2: error: ld returned 1 exit status
+`;
+
+const FLASH_OVERFLOW_LOG = `${LD}: /tmp/arduino_build_512345/Logger.ino.elf section \`.text' will not fit in region \`text'
+${LD}: region \`text' overflowed by 1234 bytes
+collect2: error: ld returned 1 exit status
+`;
+
+test('keeps the function context, source excerpt and notes of each compiler error', () => {
+    const { diagnostics, errors, warnings, summary } = new CompilerLogParser().parse(COMPILE_LOG);
+
+    assert.equal(errors, 3);
+    assert.equal(warnings, 1);
+    assert.equal(summary.compileFailed, true);
+    assert.equal(summary.board, 'Arduino Uno');
+
+    const [attach, lcd, spare] = diagnostics;
+    assert.equal(attach.file, SKETCH);
+    assert.equal(attach.line, 14);
+    assert.equal(attach.column, 20);
+    assert.equal(attach.kind, 'arguments');
+    assert.equal(attach.context, "In function 'void setup()'");
+    assert.equal(attach.code, '   valve.attach("D9");\n                    ^');
+
+    assert.equal(attach.notes.length, 2);
+    assert.match(attach.notes[0].message, /^candidate: uint8_t Servo::attach\(int\)/);
+    assert.deepEqual(attach.notes[0].includeChain, [{ file: SKETCH, line: 2, column: 0 }]);
+    assert.match(attach.notes[1].message, /no known conversion for argument 1/);
+
+    assert.equal(lcd.kind, 'undeclared');
+    assert.equal(lcd.context, "In function 'void loop()'");
+    assert.deepEqual(lcd.notes.map(note => note.message), ["suggested alternative: 'lcd_t'"]);
+
+    assert.equal(spare.severity, 'warning');
+    assert.equal(spare.context, "In function 'void loop()'");
+});
+
+test('does not carry a function context over into the next file', () => {
+    const { diagnostics } = new CompilerLogParser().parse(COMPILE_LOG);
+    const sensors = diagnostics[3];
+
+    assert.equal(sensors.file, '/home/user/Arduino/Thermostat/sensors.cpp');
+    assert.equal(sensors.line, 3);
+    assert.equal(sensors.context, null);
+    assert.deepEqual(sensors.includeChain, []);
+});
+
+test('reads undefined references with the linker function context', () => {
+    const { diagnostics, summary } = new CompilerLogParser().parse(UNDEFINED_REFERENCE_LOG);
+
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].source, 'linker');
+    assert.equal(diagnostics[0].kind, 'undefined-reference');
+    assert.equal(diagnostics[0].file, SKETCH);
+    assert.equal(diagnostics[0].line, 25);
+    assert.equal(diagnostics[0].context, "In function 'loop'");
+    assert.deepEqual(diagnostics[0].details, { symbol: 'readTemperature(int)' });
+    assert.equal(summary.linkFailed, true);
+});
+
+test('reports an overflowing data region as one SRAM diagnostic', () => {
+    const { diagnostics, errors, summary } = new CompilerLogParser().parse(SRAM_OVERFLOW_LOG);
+
+    assert.equal(errors, 1);
+    assert.equal(summary.linkFailed, true);
+
+    const [overflow] = diagnostics;
+    assert.equal(overflow.kind, 'sram-overflow');
+    assert.equal(overflow.file, null);
+    assert.deepEqual(overflow.details, { section: '.data', address: null, bytes: 300, region: 'data' });
+    assert.equal(overflow.message, "/tmp/arduino_build_512345/Logger.ino.elf section `.data' will not fit in region `data'");
+    assert.equal(overflow.notes.length, 2);
+    assert.match(overflow.notes[0].message, /section `\.bss' is not within region `data'/);
+    assert.equal(overflow.notes[1].message, "region `data' overflowed by 300 bytes");
+});
+
+test('maps a .bss section outside the data region to an SRAM diagnostic', () => {
+    const { diagnostics } = new CompilerLogParser().parse(BSS_ONLY_LOG);
+
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].kind, 'sram-overflow');
+    assert.equal(diagnostics[0].details.section, '.bss');
+    assert.equal(diagnostics[0].details.address, '0x800936');
+    assert.equal(diagnostics[0].details.bytes, null);
+    assert.deepEqual(diagnostics[0].notes, []);
+});
+
+test('keeps flash overflows as a region overflow with the byte count', () => {
+    const { diagnostics } = new CompilerLogParser().parse(FLASH_OVERFLOW_LOG);
+
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].kind, 'region-overflow');
+    assert.equal(diagnostics[0].details.region, 'text');
+    assert.equal(diagnostics[0].details.section, '.text');
+    assert.equal(diagnostics[0].details.bytes, 1234);
+});
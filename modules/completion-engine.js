@@ -0,0 +1,410 @@
+import ArduinoParser from './arduino-parser.js';
+import ApiKnowledgeBase from './api-knowledge-base.js';
+
+// Snippets expanded by keyword; $0 marks where the cursor goes after insertion
+const SNIPPETS = [
+    { trigger: 'for', description: 'Counting loop', body: 'for (int i = 0; i < $0; i++) {\n    \n}' },
+    { trigger: 'while', description: 'While loop', body: 'while ($0) {\n    \n}' },
+    { trigger: 'if', description: 'If statement', body: 'if ($0) {\n    \n}' },
+    { trigger: 'ifelse', description: 'If / else statement', body: 'if ($0) {\n    \n} else {\n    \n}' },
+    { trigger: 'switch', description: 'Switch on a value', body: 'switch ($0) {\n    case 0:\n        break;\n    default:\n        break;\n}' },
+    { trigger: 'function', description: 'Function definition', body: 'void $0() {\n    \n}' },
+    { trigger: 'every', description: 'Run code every interval without delay()', body: 'static unsigned long lastRun = 0;\nif (millis() - lastRun >= $0) {\n    lastRun = millis();\n    \n}' },
+    { trigger: 'sketch', description: 'setup() and loop()', body: 'void setup() {\n    $0\n}\n\nvoid loop() {\n    \n}' },
+    { trigger: 'serialbegin', description: 'Open the serial port', body: 'Serial.begin(9600);\n$0' }
+];
+
+// Base ranks before usage is added: the closer a name is declared, the more likely it is meant
+const RANK = {
+    local: 500,
+    parameter: 480,
+    constant: 420,
+    member: 400,
+    global: 300,
+    snippet: 200,
+    api: 100
+};
+
+const MAX_RESULTS = 50;
+
+// Completions for a cursor position in a sketch: locals and parameters in scope at that
+// point, sketch globals, functions and classes, members of object instances (user classes
+// and library classes such as Servo), Arduino API names and snippets. Items are ranked by
+// scope and by how often they were picked before (usage counts from SmartSuggestions).
+export default class CompletionEngine {
+    constructor(api = null) {
+        this.parser = new ArduinoParser();
+        this.api = api || new ApiKnowledgeBase();
+        this.snippets = SNIPPETS;
+    }
+
+    // usage: Map of completion text -> times accepted
+    complete(code, offset, usage = new Map()) {
+        const before = code.slice(0, offset);
+        const linePrefix = before.slice(before.lastIndexOf('\n') + 1);
+        const symbols = this.collectSymbols(code, offset);
+
+        const member = linePrefix.match(/([A-Za-z_]\w*)\s*(?:\.|->)\s*(\w*)$/);
+        if (member) {
+            return this.rank(this.completeMembers(member[1], symbols), member[2], usage);
+        }
+
+        const word = (linePrefix.match(/[A-Za-z_]\w*$/) || [''])[0];
+        const items = [];
+
+        // Inside a call, constants the parameter accepts come before everything else
+        const call = this.getCallContext(before.slice(0, before.length - word.length), symbols);
+        if (call) {
+            const groups = new Set(call.signatures
+                .map(signature => signature.params[call.argument])
+                .filter(param => param && param.values)
+                .map(param => param.values));
+
+            groups.forEach(group => {
+                items.push(...this.api.getConstants(group).map(constant => this.fromApi(this.api.describe(constant, 'constant'), RANK.constant)));
+            });
+        }
+
+        // An empty prefix only completes call arguments, and then not the whole API
+        if (!word && !call) return [];
+
+        items.push(...symbols.locals.map(symbol => this.fromSymbol(symbol, symbol.kind === 'parameter' ? RANK.parameter : RANK.local)));
+        items.push(...symbols.globals.map(symbol => this.fromSymbol(symbol, RANK.global)));
+        if (word) items.push(...this.api.complete(word).map(item => this.fromApi(item, RANK.api)));
+
+        // Snippets only where a statement can start
+        if (!call && /^\s*[A-Za-z_]\w*$/.test(linePrefix)) {
+            items.push(...this.snippets.map(snippet => this.fromSnippet(snippet, linePrefix.match(/^\s*/)[0])));
+        }
+
+        return this.rank(items, word, usage);
+    }
+
+    // Filter by prefix (case-insensitive), keep the best-ranked item per name and sort
+    rank(items, prefix, usage) {
+        const lower = prefix.toLowerCase();
+        const best = new Map();
+
+        items.forEach(item => {
+            if (!item.text.toLowerCase().startsWith(lower)) return;
+
+            const uses = usage.get(item.text) || 0;
+            const score = item.score + Math.min(uses, 10) * 25 + (item.text.startsWith(prefix) ? 10 : 0);
+            const key = `${item.kind === 'snippet' ? 'snippet:' : ''}${item.text}`;
+            const existing = best.get(key);
+            if (!existing || existing.score < score) best.set(key, { ...item, score });
+        });
+
+        return Array.from(best.values())
+            .sort((a, b) => b.score - a.score || a.text.length - b.text.length || a.text.localeCompare(b.text))
+            .slice(0, MAX_RESULTS);
+    }
+
+    completeMembers(objectName, symbols) {
+        const type = this.getSymbolType(objectName, symbols);
+        if (!type) return [];
+
+        const sketchClass = symbols.classes.get(type);
+        if (sketchClass) {
+            return sketchClass.members
+                .filter(member => member.name !== type)
+                .map(member => this.fromSymbol(member, RANK.member));
+        }
+
+        return this.api.complete('', { className: type }).map(item => this.fromApi(item, RANK.member));
+    }
+
+    // Declared type of a local, parameter or global, or the class of an API object (Serial)
+    getSymbolType(name, symbols) {
+        const symbol = [...symbols.locals].reverse().find(local => local.name === name) ||
+            symbols.globals.find(global => global.name === name && global.kind !== 'function');
+
+        if (symbol) return symbol.type;
+        return this.api.getObjectClass(name);
+    }
+
+    // Sketch declaration of a name in scope, or of a member of a sketch class instance
+    findSymbol(name, symbols, objectName = null) {
+        if (objectName) {
+            const sketchClass = symbols.classes.get(this.getSymbolType(objectName, symbols));
+            return sketchClass ? sketchClass.members.find(member => member.name === name) || null : null;
+        }
+
+        return [...symbols.locals].reverse().find(local => local.name === name) ||
+            symbols.globals.find(global => global.name === name) || null;
+    }
+
+    // Innermost open call in the text before the cursor: its name, overloads and which
+    // argument the cursor is on. Commas inside nested brackets and strings do not count.
+    getCallContext(prefix, symbols = null) {
+        let depth = 0;
+        let argument = 0;
+
+        for (let i = prefix.length - 1; i >= 0; i--) {
+            const char = prefix[i];
+
+            if (char === '"' || char === "'") {
+                const open = prefix.lastIndexOf(char, i - 1);
+                if (open === -1) return null;
+                i = open;
+            } else if (char === ')' || char === ']' || char === '}') {
+                depth++;
+            } else if (char === '[' || char === '{') {
+                // An unclosed index or block means the cursor is not in a call's arguments
+                if (depth === 0) return null;
+                depth--;
+            } else if (char === ';') {
+                return null;
+            } else if (char === ',' && depth === 0) {
+                argument++;
+            } else if (char === '(') {
+                if (depth > 0) {
+                    depth--;
+                    continue;
+                }
+
+                return this.describeCall(prefix.slice(0, i), argument, symbols || this.collectSymbols(prefix, prefix.length));
+            }
+        }
+
+        return null;
+    }
+
+    describeCall(before, argument, symbols) {
+        const callee = before.match(/(?:([A-Za-z_]\w*)\s*(?:\.|->)\s*)?([A-Za-z_]\w*)\s*$/);
+        if (!callee) return null;
+
+        // Constructor arguments of a declaration: DHT dht(2, |
+        const declared = !callee[1] && before.match(/([A-Za-z_]\w*)\s+[A-Za-z_]\w*\s*$/);
+        if (declared && this.api.getClass(declared[1])) {
+            const signatures = this.api.getConstructorSignatures(declared[1]);
+            return signatures.length > 0
+                ? { name: declared[1], className: declared[1], signatures: signatures, argument: argument }
+                : null;
+        }
+
+        const className = callee[1] ? this.getSymbolType(callee[1], symbols) : null;
+        if (callee[1] && !className) return null;
+
+        // A sketch function of the same name hides the core one
+        const own = !callee[1] && symbols.globals.find(symbol => symbol.kind === 'function' && symbol.name === callee[2]);
+        const signatures = own
+            ? [{ label: own.detail, returns: own.type, params: own.params, doc: '' }]
+            : this.api.getSignatures(callee[2], className);
+        if (signatures.length === 0) return null;
+
+        return {
+            name: callee[1] ? `${callee[1]}.${callee[2]}` : callee[2],
+            className: className,
+            signatures: signatures,
+            argument: argument
+        };
+    }
+
+    // Names visible at offset. Functions and classes are visible everywhere (the Arduino
+    // builder generates prototypes); global variables only after their declaration.
+    collectSymbols(code, offset) {
+        const ast = this.parser.parse(code);
+        const symbols = { globals: [], locals: [], classes: new Map() };
+
+        ast.body.forEach(node => this.collectGlobal(node, offset, symbols));
+
+        const fn = ast.body.find(node => node.type === 'FunctionDeclaration' && node.body &&
+            node.body.loc.start.offset < offset && offset <= node.body.loc.end.offset);
+        if (fn) {
+            const owner = fn.name && fn.name.includes('::') ? symbols.classes.get(fn.name.split('::')[0]) : null;
+            if (owner) symbols.locals.push(...owner.members);
+
+            fn.params.filter(param => param.name).forEach(param => {
+                symbols.locals.push(this.symbol(param.name, 'parameter', param.typeSpec.name, param));
+            });
+            this.collectLocals(fn.body.body, offset, symbols.locals);
+        }
+
+        return symbols;
+    }
+
+    collectGlobal(node, offset, symbols) {
+        switch (node.type) {
+            case 'VariableDeclaration':
+                if (node.loc.end.offset > offset) break;
+                node.declarations.forEach(declarator => {
+                    symbols.globals.push(this.symbol(declarator.name, this.variableKind(node.typeSpec.name, symbols), node.typeSpec.name, declarator));
+                });
+                break;
+
+            case 'FunctionDeclaration':
+                if (!node.name || node.name.includes('::') || symbols.globals.some(symbol => symbol.kind === 'function' && symbol.name === node.name)) break;
+                symbols.globals.push(this.functionSymbol(node));
+                break;
+
+            case 'ClassDeclaration': {
+                const members = [];
+                node.members.forEach(member => {
+                    if (member.type === 'VariableDeclaration') {
+                        member.declarations.forEach(declarator => members.push(this.symbol(declarator.name, 'field', member.typeSpec.name, declarator)));
+                    } else if (member.type === 'FunctionDeclaration' && member.name) {
+                        members.push(this.functionSymbol(member, 'method'));
+                    }
+                });
+
+                if (node.name) {
+                    symbols.classes.set(node.name, { node, members });
+                    symbols.globals.push(this.symbol(node.name, 'class', node.name, node));
+                }
+                node.declarators.forEach(name => symbols.globals.push(this.symbol(name, 'object', node.name, node)));
+                break;
+            }
+
+            case 'EnumDeclaration':
+                if (node.name) symbols.globals.push(this.symbol(node.name, 'class', node.name, node));
+                if (!node.scoped) node.members.forEach(member => symbols.globals.push(this.symbol(member.name, 'enumerator', node.name || 'int', member)));
+                break;
+
+            case 'TypedefDeclaration':
+                if (node.definition && node.definition.type === 'ClassDeclaration') {
+                    this.collectGlobal({ ...node.definition, declarators: [] }, offset, symbols);
+                    node.names.forEach(name => symbols.classes.set(name, symbols.classes.get(node.definition.name) || { node, members: [] }));
+                }
+                node.names.forEach(name => symbols.globals.push(this.symbol(name, 'class', name, node)));
+                break;
+
+            case 'PreprocessorDirective':
+                if (node.directive === 'define' && node.name && node.loc.end.offset <= offset) {
+                    symbols.globals.push(this.symbol(node.name, 'macro', null, node));
+                }
+                break;
+
+            case 'NamespaceDeclaration':
+                node.body.forEach(child => this.collectGlobal(child, offset, symbols));
+                break;
+        }
+    }
+
+    // Declarations before offset in the blocks that contain it; inner ones come last so
+    // they win when a name is shadowed
+    collectLocals(statements, offset, locals) {
+        for (const statement of statements) {
+            if (!statement || statement.loc.start.offset >= offset) break;
+
+            const inside = offset <= statement.loc.end.offset;
+
+            if (statement.type === 'VariableDeclaration' && !inside) {
+                statement.declarations.forEach(declarator => {
+                    locals.push(this.symbol(declarator.name, 'variable', statement.typeSpec.name, declarator));
+                });
+            }
+
+            if (inside) this.collectNested(statement, offset, locals);
+        }
+    }
+
+    collectNested(statement, offset, locals) {
+        const contains = node => node && node.loc.start.offset < offset && offset <= node.loc.end.offset;
+
+        switch (statement.type) {
+            case 'BlockStatement':
+                this.collectLocals(statement.body, offset, locals);
+                break;
+
+            case 'ForStatement':
+                if (statement.init && statement.init.type === 'VariableDeclaration' && statement.init.loc.end.offset <= offset) {
+                    statement.init.declarations.forEach(declarator => {
+                        locals.push(this.symbol(declarator.name, 'variable', statement.init.typeSpec.name, declarator));
+                    });
+                }
+                if (contains(statement.body)) this.collectLocals([statement.body], offset, locals);
+                break;
+
+            case 'ForRangeStatement':
+                if (contains(statement.body)) {
+                    statement.declaration.declarations.forEach(declarator => {
+                        locals.push(this.symbol(declarator.name, 'variable', statement.declaration.typeSpec.name, declarator));
+                    });
+                    this.collectLocals([statement.body], offset, locals);
+                }
+                break;
+
+            case 'IfStatement':
+                [statement.consequent, statement.alternate].filter(contains).forEach(branch => this.collectLocals([branch], offset, locals));
+                break;
+
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                if (contains(statement.body)) this.collectLocals([statement.body], offset, locals);
+                break;
+
+            case 'SwitchStatement':
+                // Cases share one scope
+                this.collectLocals(statement.cases.flatMap(switchCase => switchCase.consequent), offset, locals);
+                break;
+
+            case 'LabeledStatement':
+                if (statement.body) this.collectLocals([statement.body], offset, locals);
+                break;
+        }
+    }
+
+    variableKind(typeName, symbols) {
+        return symbols.classes.has(typeName) || this.api.getClass(typeName) ? 'object' : 'variable';
+    }
+
+    symbol(name, kind, type, node) {
+        return {
+            name: name,
+            kind: kind,
+            type: type,
+            detail: type ? `${type} ${name}` : name,
+            line: node.loc ? node.loc.start.line : null
+        };
+    }
+
+    functionSymbol(node, kind = 'function') {
+        const returns = node.returnType ? node.returnType.name : '';
+        const params = node.params.map(param => param.variadic
+            ? { name: '...', type: '...' }
+            : { name: param.name || '', type: param.typeSpec.name, optional: Boolean(param.defaultValue) });
+        const list = params.map(param => param.optional ? `[${param.type} ${param.name}]` : `${param.type} ${param.name}`.trim());
+
+        return {
+            ...this.symbol(node.name, kind, returns || null, node),
+            detail: `${returns ? `${returns} ` : ''}${node.name}(${list.join(', ')})`,
+            params: params
+        };
+    }
+
+    fromSymbol(symbol, score) {
+        return {
+            text: symbol.name,
+            description: symbol.line ? `${symbol.detail} (line ${symbol.line})` : symbol.detail,
+            detail: symbol.detail,
+            kind: symbol.kind,
+            score: score
+        };
+    }
+
+    fromApi(item, score) {
+        return {
+            text: item.name,
+            description: item.doc || item.detail,
+            detail: item.detail,
+            kind: item.kind,
+            score: score
+        };
+    }
+
+    // Snippet lines after the first are indented like the line being typed
+    fromSnippet(snippet, indent) {
+        const body = snippet.body.split('\n').map((line, index) => index === 0 ? line : indent + line).join('\n');
+
+        return {
+            text: snippet.trigger,
+            description: snippet.description,
+            detail: body.replace('$0', ''),
+            kind: 'snippet',
+            insertText: body.replace('$0', ''),
+            cursorOffset: body.indexOf('$0'),
+            score: RANK.snippet
+        };
+    }
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import CompletionEngine from './completion-engine.js';
+import ApiKnowledgeBase from './api-knowledge-base.js';
+
+function engine() {
+    const read = file => JSON.parse(readFileSync(new URL(`../api/${file}`, import.meta.url), 'utf8'));
+    const api = new ApiKnowledgeBase();
+    read('index.json').libraries.forEach(file => api.register(read(file)));
+    return new CompletionEngine(api);
+}
+
+function complete(code, usage) {
+    return engine().complete(code, code.length, usage);
+}
+
+function names(items) {
+    return items.map(item => item.text);
+}
+
+test('completes a prefix with locals ranked above Arduino API names', () => {
+    const items = complete('void loop() {\n    int digits = 0;\n    dig');
+
+    assert.deepEqual(names(items).slice(0, 2), ['digits', 'digitalRead']);
+    assert.ok(names(items).includes('digitalWrite'));
+    assert.ok(items.every(item => item.text.toLowerCase().startsWith('dig')));
+    assert.equal(items[0].kind, 'variable');
+    assert.equal(items[0].detail, 'int digits');
+});
+
+test('ranks names that were picked before higher', () => {
+    const items = complete('void loop() {\n    dig', new Map([['digitalWrite', 3]]));
+
+    assert.equal(items[0].text, 'digitalWrite');
+    assert.ok(items[0].score > items[1].score);
+});
+
+test('completes the methods of Serial after a dot', () => {
+    const all = names(complete('void setup() {\n    Serial.'));
+    assert.ok(all.includes('begin'));
+    assert.ok(all.includes('println'));
+    assert.ok(!all.includes('digitalWrite'));
+
+    const items = complete('void setup() {\n    Serial.pri');
+    assert.deepEqual(names(items), ['print', 'println']);
+    assert.ok(items.every(item => item.kind === 'method'));
+});
+
+test('completes members of library and sketch objects by their declared class', () => {
+    const servo = names(complete('#include <Servo.h>\nServo arm;\nvoid setup() {\n    arm.'));
+    assert.ok(servo.includes('attach'));
+    assert.ok(servo.includes('write'));
+    assert.ok(!servo.includes('println'));
+
+    const motor = complete('class Motor {\npublic:\n    int speed;\n    void stop();\n};\nMotor left;\nvoid setup() {\n    left.');
+    assert.deepEqual(names(motor).sort(), ['speed', 'stop']);
+});
+
+test('expands a snippet at the start of a statement with the line indent', () => {
+    const items = complete('void loop() {\n    for');
+    const snippet = items.find(item => item.kind === 'snippet');
+
+    assert.equal(snippet.text, 'for');
+    assert.equal(snippet.insertText, 'for (int i = 0; i < ; i++) {\n        \n    }');
+    assert.equal(snippet.cursorOffset, 'for (int i = 0; i < '.length);
+});
+
+test('offers no snippets inside a call', () => {
+    assert.deepEqual(names(complete('void loop() {\n    delay(fo')), []);
+    assert.deepEqual(names(complete('void loop() {\n    pinMode(13, ')).slice(0, 3), ['INPUT', 'OUTPUT', 'INPUT_PULLUP']);
+});
@@ -0,0 +1,212 @@
+// Component definitions loaded from components/*.json: pin roles, libraries and a
+// code snippet split into includes/globals/setup/loop/functions. Snippet text uses
+// {{name}} slots filled from the pin mapping, the options and {{id}} (the instance name).
+export default class ComponentCatalog {
+    constructor(options = {}) {
+        this.basePath = options.basePath || '/components/';
+        this.components = new Map();
+        this.loaded = false;
+        this.loadingPromise = null;
+    }
+
+    // Fetch the index and every component it lists; safe to call repeatedly
+    async load() {
+        if (this.loaded) return this;
+
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchComponents().then(() => {
+                this.loaded = true;
+                console.log(`✅ Loaded ${this.components.size} component definitions`);
+                return this;
+            }).finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+
+        return this.loadingPromise;
+    }
+
+    async fetchComponents() {
+        const index = await this.fetchJSON('index.json');
+
+        for (const file of index.components || []) {
+            try {
+                this.register(await this.fetchJSON(file));
+            } catch (error) {
+                console.warn(`⚠️ Could not load component definition ${file}:`, error);
+            }
+        }
+    }
+
+    async fetchJSON(file) {
+        const response = await fetch(`${this.basePath}${file}`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${file}: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Component definition requires an id');
+        }
+
+        const snippet = definition.snippet || {};
+        const component = {
+            ...definition,
+            keywords: definition.keywords || [],
+            libraries: definition.libraries || [],
+            instance: definition.instance || definition.id,
+            interval: definition.interval || 0,
+            pins: definition.pins || [],
+            options: definition.options || {},
+            outputs: definition.outputs || [],
+            show: definition.show || null,
+            snippet: {
+                includes: snippet.includes || [],
+                globals: snippet.globals || [],
+                setup: snippet.setup || [],
+                loop: snippet.loop || [],
+                functions: snippet.functions || []
+            }
+        };
+
+        this.components.set(component.id, component);
+        return component;
+    }
+
+    get(id) {
+        return this.components.get(id) || null;
+    }
+
+    getAll() {
+        return Array.from(this.components.values());
+    }
+
+    getByCategory(category) {
+        return this.getAll().filter(component => component.category === category);
+    }
+
+    // Components mentioned in free text, in the order they appear. Longest keyword
+    // wins where keywords overlap, so "i2c lcd" beats "lcd". Each component is reported
+    // once, at its first mention, so callers can read the pin numbers that follow it;
+    // a keyword with options ("dht11") is kept even when a generic one ("temperature")
+    // names the same component elsewhere.
+    findInText(text) {
+        const lower = text.toLowerCase();
+        const matches = [];
+
+        this.getAll().forEach(component => {
+            const keywords = [component.id.replace(/_/g, ' '), ...component.keywords];
+            keywords.forEach(keyword => {
+                const index = this.findKeyword(lower, keyword.toLowerCase());
+                if (index !== -1) matches.push({ component, keyword, index, end: index + keyword.length });
+            });
+        });
+
+        matches.sort((a, b) => b.keyword.length - a.keyword.length);
+
+        const mentions = [];
+        matches.forEach(match => {
+            if (mentions.some(other => match.index < other.end && match.end > other.index)) return;
+            mentions.push(match);
+        });
+
+        const found = new Map();
+        mentions.sort((a, b) => a.index - b.index).forEach(match => {
+            const first = found.get(match.component);
+            if (!first) {
+                found.set(match.component, { ...match });
+            } else if (!this.hasKeywordOptions(first.component, first.keyword) && this.hasKeywordOptions(match.component, match.keyword)) {
+                first.keyword = match.keyword;
+            }
+        });
+
+        return Array.from(found.values());
+    }
+
+    // Options implied by the keyword that matched, e.g. "dht11" -> { model: 'DHT11' }
+    getKeywordOptions(component, keyword) {
+        return { ...((component.keywordOptions || {})[keyword.toLowerCase()] || {}) };
+    }
+
+    hasKeywordOptions(component, keyword) {
+        return Object.keys(this.getKeywordOptions(component, keyword)).length > 0;
+    }
+
+    findKeyword(text, keyword) {
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = text.match(new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`));
+        return match ? match.index + match[1].length : -1;
+    }
+
+    // Slot values for one instance: defaults, then the chosen pins and options
+    getValues(component, pinMapping = {}, options = {}, id = null) {
+        const values = { id: id || component.instance };
+
+        Object.entries(component.options).forEach(([name, option]) => {
+            values[name] = options[name] !== undefined ? options[name] : option.default;
+        });
+
+        component.pins.forEach(pin => {
+            if (pin.type === 'power') return;
+            const chosen = pinMapping[pin.name];
+            if (chosen !== undefined && chosen !== '') values[pin.name] = chosen;
+            else if (pin.default !== undefined) values[pin.name] = pin.default;
+        });
+
+        return values;
+    }
+
+    // Snippet with every slot filled in; unfilled slots are listed in "missing"
+    render(id, pinMapping = {}, options = {}, instance = null) {
+        const component = this.get(id);
+        if (!component) {
+            throw new Error(`Unknown component: ${id}`);
+        }
+
+        const values = this.getValues(component, pinMapping, options, instance);
+        const fill = lines => lines.map(line => this.fill(line, values));
+
+        const code = {
+            globals: fill(component.snippet.globals),
+            setup: fill(component.snippet.setup),
+            loop: fill(component.snippet.loop),
+            functions: fill(component.snippet.functions)
+        };
+
+        // Slots nobody filled, e.g. a pin without a default that was not picked
+        const missing = new Set();
+        Object.values(code).flat().forEach(line => {
+            (line.match(/\{\{\w+\}\}/g) || []).forEach(slot => missing.add(slot.slice(2, -2)));
+        });
+
+        return {
+            component: component.id,
+            name: component.name,
+            id: values.id,
+            values: values,
+            missing: Array.from(missing),
+            interval: component.interval,
+            libraries: component.libraries,
+            pins: component.pins
+                .filter(pin => pin.type !== 'power' && values[pin.name] !== undefined)
+                .map(pin => ({ name: pin.name, type: pin.type, pin: values[pin.name] })),
+            includes: [...component.snippet.includes],
+            ...code,
+            outputs: component.outputs.map(output => ({ ...output, variable: this.fill(output.variable, values) })),
+            show: component.show ? {
+                begin: fill(component.show.begin || []),
+                line: fill(component.show.line),
+                end: fill(component.show.end || [])
+            } : null
+        };
+    }
+
+    // Unknown slots are kept, so show lines still have {{row}}/{{label}}/{{value}} for the caller
+    fill(text, values) {
+        return text.replace(/\{\{(\w+)\}\}/g, (slot, name) => values[name] !== undefined ? String(values[name]) : slot);
+    }
+}
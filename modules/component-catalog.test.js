@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import ComponentCatalog from './component-catalog.js';
+
+function loadCatalog() {
+    const read = file => JSON.parse(readFileSync(new URL(`../components/${file}`, import.meta.url), 'utf8'));
+    const catalog = new ComponentCatalog();
+    read('index.json').components.forEach(file => catalog.register(read(file)));
+    return catalog;
+}
+
+function summarize(matches) {
+    return matches.map(match => [match.component.id, match.keyword, match.index]);
+}
+
+test('reports components in the order they are mentioned', () => {
+    const catalog = loadCatalog();
+
+    assert.deepEqual(summarize(catalog.findInText('servo on pin 9 and an HC-SR04 on pins 7 and 8')), [
+        ['servo', 'servo', 0],
+        ['ultrasonic', 'hc-sr04', 22]
+    ]);
+});
+
+test('prefers the longest keyword where keywords overlap', () => {
+    const catalog = loadCatalog();
+
+    assert.deepEqual(summarize(catalog.findInText('show it on an i2c lcd')), [['lcd_i2c', 'i2c lcd', 14]]);
+});
+
+test('keeps a component at its first mention when a longer generic keyword comes later', () => {
+    const catalog = loadCatalog();
+    const text = 'read DHT11 on pin 4 and show the temperature on an LCD';
+
+    assert.deepEqual(summarize(catalog.findInText(text)), [
+        ['dht', 'dht11', 5],
+        ['lcd', 'lcd', 51]
+    ]);
+});
+
+test('keeps the keyword with options without moving the first mention', () => {
+    const catalog = loadCatalog();
+    const [match] = catalog.findInText('log the temperature on pin 5 with a DHT22');
+
+    assert.equal(match.component.id, 'dht');
+    assert.equal(match.keyword, 'dht22');
+    assert.equal(match.index, 8);
+    assert.equal(match.end, 19);
+    assert.deepEqual(catalog.getKeywordOptions(match.component, match.keyword), { model: 'DHT22' });
+});
@@ -1,5 +1,11 @@
+import CompilerLogParser from './compiler-log-parser.js';
+import QuickFixEngine from './quick-fix-engine.js';
+
 export default class ErrorChecker {
     constructor() {
+        this.logParser = new CompilerLogParser();
+        this.quickFixes = new QuickFixEngine();
+
         this.commonErrors = {
             'not declared in this scope': 'Variable or function not declared. Check spelling and scope.',
             'expected primary-expression': 'Syntax error. Check for missing operators or parentheses.',
@@ -12,29 +18,99 @@ export default class ErrorChecker {
             'expected \'}\'': 'Missing closing brace.',
             'redefinition of': 'Variable or function defined multiple times.'
         };
+
+        // Linker, upload and size failures have no single phrase to match on
+        this.kindSolutions = {
+            'missing-header': 'Header not found. Install the library that provides it (Library Manager) or fix the #include name.',
+            'undefined-reference': 'Function declared but not defined. Check implementation or install the missing library.',
+            'multiple-definition': 'Defined in more than one file. Define it in one .cpp file and declare it extern elsewhere.',
+            'region-overflow': 'Sketch does not fit in this board. Remove unused code or libraries, or move strings to flash with F().',
+            'sram-overflow': 'Global variables do not fit in SRAM. Shrink arrays and buffers, and keep constant strings and tables in flash with F() and PROGMEM.',
+            'size': 'Sketch does not fit in this board. Remove unused code or libraries, or move strings to flash with F().',
+            'low-memory': 'Little SRAM is left for local variables. Move constant strings and tables to flash.',
+            'sync': 'Board did not answer the uploader. Check the selected board and port, close the Serial Monitor and press reset just before uploading.',
+            'port': 'Serial port could not be opened. Check the cable, close other programs using the port and check permissions.',
+            'signature': 'Chip signature does not match the selected board. Select the correct board in the board list.',
+            'verification': 'Flash contents differ from the sketch after upload. Try again with a different cable or a lower upload speed.',
+            'init': 'Programmer could not talk to the chip. Check the wiring and that the board is powered.',
+            'upload': 'Upload failed. Check the board, port and cable.'
+        };
     }
 
-    analyzeErrors(errorText) {
-        const errors = errorText.split('\n').filter(line => line.trim());
+    // Accepts a full arduino-cli / avr-gcc / avrdude log. With the sketch's code each
+    // error in the .ino also gets "fixes" that QuickFixEngine can preview and apply;
+    // their offsets only make sense in that file, so headers and libraries get none.
+    analyzeErrors(errorText, code = null) {
+        const log = this.parseLog(errorText);
         const analysis = {
             errors: [],
             suggestions: [],
-            severity: 'low'
+            severity: 'low',
+            log: log
         };
 
-        errors.forEach(error => {
-            const matchedError = this.matchError(error);
+        log.diagnostics.forEach(diagnostic => {
+            const matchedError = this.matchDiagnostic(diagnostic);
             if (matchedError) {
                 analysis.errors.push(matchedError);
             }
         });
 
+        // Bare messages without file:line prefixes
+        if (log.diagnostics.length === 0) {
+            errorText.split('\n').filter(line => line.trim()).forEach(error => {
+                const matchedError = this.matchError(error);
+                if (matchedError) {
+                    analysis.errors.push(matchedError);
+                }
+            });
+        }
+
+        if (code !== null) {
+            analysis.errors.forEach(error => {
+                error.fixes = error.line && this.isSketchFile(error.file) ? this.quickFixes.getFixes(code, error) : [];
+            });
+        }
+
         analysis.severity = this.determineSeverity(analysis.errors);
         analysis.suggestions = this.generateErrorSuggestions(analysis.errors);
 
         return analysis;
     }
 
+    // The .ino itself, or the .ino.cpp arduino-cli preprocesses it into
+    isSketchFile(file) {
+        return Boolean(file) && /\.ino(?:\.cpp)?$/i.test(file);
+    }
+
+    parseLog(errorText) {
+        return this.logParser.parse(errorText);
+    }
+
+    // Errors always count; warnings only when there is a known fix for them
+    matchDiagnostic(diagnostic) {
+        const matched = this.matchError(diagnostic.message);
+        const solution = matched ? matched.solution : this.kindSolutions[diagnostic.kind] || null;
+
+        if (!solution && diagnostic.severity !== 'error') return null;
+
+        return {
+            pattern: matched ? matched.pattern : diagnostic.kind,
+            message: diagnostic.message,
+            solution: solution || 'See the compiler message for details.',
+            line: diagnostic.line,
+            column: diagnostic.column,
+            file: diagnostic.file,
+            severity: diagnostic.severity,
+            source: diagnostic.source,
+            kind: diagnostic.kind,
+            context: diagnostic.context,
+            includeChain: diagnostic.includeChain,
+            notes: diagnostic.notes,
+            details: diagnostic.details
+        };
+    }
+
     matchError(errorLine) {
         for (const [pattern, solution] of Object.entries(this.commonErrors)) {
             if (errorLine.toLowerCase().includes(pattern.toLowerCase())) {
@@ -50,15 +126,19 @@ export default class ErrorChecker {
     }
 
     extractLineNumber(errorLine) {
+        const diagnostic = this.logParser.parse(errorLine).diagnostics[0];
+        if (diagnostic && diagnostic.line) return diagnostic.line;
+
         const match = errorLine.match(/:(\d+):/);
         return match ? parseInt(match[1]) : null;
     }
 
     determineSeverity(errors) {
         const criticalPatterns = ['undefined reference', 'redefinition', 'cannot convert'];
+        const criticalKinds = ['undefined-reference', 'multiple-definition', 'region-overflow', 'sram-overflow', 'size', 'missing-header'];
         
         for (const error of errors) {
-            if (criticalPatterns.some(pattern => error.pattern.includes(pattern))) {
+            if (criticalKinds.includes(error.kind) || criticalPatterns.some(pattern => error.pattern.includes(pattern))) {
                 return 'high';
             }
         }
@@ -70,7 +150,9 @@ export default class ErrorChecker {
         const suggestions = [];
         
         errors.forEach(error => {
-            suggestions.push(`Line ${error.line || 'unknown'}: ${error.solution}`);
+            const places = { avrdude: 'Upload', linker: 'Link', 'arduino-cli': 'Build' };
+            const where = error.line ? `Line ${error.line}` : places[error.source] || 'Line unknown';
+            suggestions.push(`${where}: ${error.solution}`);
         });
 
         if (errors.length > 3) {
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ErrorChecker from './error-checker.js';
+
+const CODE = 'void setup() {\n  count = 5;\n}\n\nvoid loop() {}\n';
+
+test('offers quick fixes for errors in the sketch', () => {
+    const log = "/home/user/Arduino/Counter/Counter.ino:2:3: error: 'count' was not declared in this scope";
+    const [error] = new ErrorChecker().analyzeErrors(log, CODE).errors;
+
+    assert.ok(error.fixes.some(fix => fix.kind === 'declare-variable'));
+});
+
+test('offers no quick fixes for errors in other files', () => {
+    const log = [
+        "/home/user/Arduino/libraries/Counter/Counter.h:2:3: error: 'count' was not declared in this scope",
+        "/home/user/Arduino/Counter/helpers.cpp:2:3: error: 'count' was not declared in this scope"
+    ].join('\n');
+    const { errors } = new ErrorChecker().analyzeErrors(log, CODE);
+
+    assert.equal(errors.length, 2);
+    errors.forEach(error => assert.deepEqual(error.fixes, []));
+});
@@ -0,0 +1,255 @@
+// Intel HEX record types
+const RECORD = {
+    DATA: 0x00,
+    EOF: 0x01,
+    EXTENDED_SEGMENT_ADDRESS: 0x02,
+    START_SEGMENT_ADDRESS: 0x03,
+    EXTENDED_LINEAR_ADDRESS: 0x04,
+    START_LINEAR_ADDRESS: 0x05
+};
+
+export default class IntelHex {
+    constructor(options = {}) {
+        this.recordSize = options.recordSize || 16;
+        this.fillByte = options.fillByte ?? 0xFF; // Erased flash
+    }
+
+    // Parse HEX text into sorted, contiguous memory segments
+    parse(text) {
+        const memory = new Map();
+        let baseAddress = 0;
+        let entryPoint = null;
+        let sawEOF = false;
+
+        const lines = text.split(/\r?\n/);
+
+        for (let index = 0; index < lines.length && !sawEOF; index++) {
+            const line = lines[index].trim();
+            if (!line) continue;
+
+            const record = this.parseRecord(line, index + 1);
+
+            switch (record.type) {
+                case RECORD.DATA:
+                    record.data.forEach((byte, i) => {
+                        memory.set(baseAddress + record.offset + i, byte);
+                    });
+                    break;
+                case RECORD.EOF:
+                    sawEOF = true;
+                    break;
+                case RECORD.EXTENDED_SEGMENT_ADDRESS:
+                    this.expectLength(record, 2, index + 1);
+                    baseAddress = this.readWord(record.data) << 4;
+                    break;
+                case RECORD.START_SEGMENT_ADDRESS:
+                    this.expectLength(record, 4, index + 1);
+                    entryPoint = {
+                        type: 'segment',
+                        cs: this.readWord(record.data),
+                        ip: this.readWord(record.data.slice(2))
+                    };
+                    break;
+                case RECORD.EXTENDED_LINEAR_ADDRESS:
+                    this.expectLength(record, 2, index + 1);
+                    baseAddress = this.readWord(record.data) * 0x10000;
+                    break;
+                case RECORD.START_LINEAR_ADDRESS:
+                    this.expectLength(record, 4, index + 1);
+                    entryPoint = {
+                        type: 'linear',
+                        address: (this.readWord(record.data) * 0x10000) + this.readWord(record.data.slice(2))
+                    };
+                    break;
+                default:
+                    throw new Error(`Unknown Intel HEX record type 0x${record.type.toString(16)} on line ${index + 1}`);
+            }
+        }
+
+        if (!sawEOF) {
+            throw new Error('Intel HEX file has no end-of-file record (truncated?)');
+        }
+
+        return {
+            segments: this.buildSegments(memory),
+            entryPoint: entryPoint
+        };
+    }
+
+    parseRecord(line, lineNumber) {
+        if (!/^:[0-9A-Fa-f]+$/.test(line) || line.length < 11 || line.length % 2 === 0) {
+            throw new Error(`Invalid Intel HEX record on line ${lineNumber}`);
+        }
+
+        const bytes = [];
+        for (let i = 1; i < line.length; i += 2) {
+            bytes.push(parseInt(line.substr(i, 2), 16));
+        }
+
+        const length = bytes[0];
+        if (bytes.length !== length + 5) {
+            throw new Error(`Intel HEX record length mismatch on line ${lineNumber}`);
+        }
+
+        const checksum = bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF;
+        if (checksum !== 0) {
+            throw new Error(`Intel HEX checksum error on line ${lineNumber}`);
+        }
+
+        return {
+            type: bytes[3],
+            offset: (bytes[1] << 8) | bytes[2],
+            data: bytes.slice(4, 4 + length)
+        };
+    }
+
+    expectLength(record, length, lineNumber) {
+        if (record.data.length !== length) {
+            throw new Error(`Intel HEX record type 0x0${record.type} must carry ${length} bytes (line ${lineNumber})`);
+        }
+    }
+
+    readWord(bytes) {
+        return (bytes[0] << 8) | bytes[1];
+    }
+
+    // Group an address -> byte map into contiguous runs
+    buildSegments(memory) {
+        const addresses = Array.from(memory.keys()).sort((a, b) => a - b);
+        const segments = [];
+        let start = 0;
+
+        for (let i = 1; i <= addresses.length; i++) {
+            if (i === addresses.length || addresses[i] !== addresses[i - 1] + 1) {
+                const data = new Uint8Array(i - start);
+                for (let j = start; j < i; j++) {
+                    data[j - start] = memory.get(addresses[j]);
+                }
+                segments.push({ address: addresses[start], data });
+                start = i;
+            }
+        }
+
+        return segments;
+    }
+
+    // Wrap a raw binary as an image
+    fromBuffer(data, address = 0) {
+        return {
+            segments: [{ address, data: Uint8Array.from(data) }],
+            entryPoint: null
+        };
+    }
+
+    getSize(image) {
+        return image.segments.reduce((total, segment) => total + segment.data.length, 0);
+    }
+
+    getBounds(image) {
+        if (image.segments.length === 0) {
+            return { start: 0, end: 0 };
+        }
+
+        const last = image.segments[image.segments.length - 1];
+        return {
+            start: image.segments[0].address,
+            end: last.address + last.data.length
+        };
+    }
+
+    // Flatten the image into one buffer, gaps filled with erased flash
+    toBuffer(image, startAddress = null) {
+        const bounds = this.getBounds(image);
+        const start = startAddress ?? bounds.start;
+        const data = new Uint8Array(Math.max(0, bounds.end - start)).fill(this.fillByte);
+
+        image.segments.forEach(segment => {
+            const offset = segment.address - start;
+            if (offset < 0) {
+                throw new Error(`Image data at 0x${segment.address.toString(16)} lies below start address 0x${start.toString(16)}`);
+            }
+            data.set(segment.data, offset);
+        });
+
+        return { address: start, data };
+    }
+
+    // Page-aligned buffers for bootloaders; pages without data are skipped
+    toPages(image, pageSize) {
+        const pages = new Map();
+
+        image.segments.forEach(segment => {
+            for (let i = 0; i < segment.data.length; i++) {
+                const address = segment.address + i;
+                const pageAddress = address - (address % pageSize);
+
+                if (!pages.has(pageAddress)) {
+                    pages.set(pageAddress, new Uint8Array(pageSize).fill(this.fillByte));
+                }
+                pages.get(pageAddress)[address - pageAddress] = segment.data[i];
+            }
+        });
+
+        return Array.from(pages.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([address, data]) => ({ address, data }));
+    }
+
+    // Serialize an image back to HEX text
+    serialize(image) {
+        const lines = [];
+        let upperAddress = 0;
+
+        image.segments.forEach(segment => {
+            let offset = 0;
+
+            while (offset < segment.data.length) {
+                const address = segment.address + offset;
+                const upper = Math.floor(address / 0x10000);
+
+                if (upper !== upperAddress) {
+                    lines.push(this.formatRecord(RECORD.EXTENDED_LINEAR_ADDRESS, 0, [(upper >> 8) & 0xFF, upper & 0xFF]));
+                    upperAddress = upper;
+                }
+
+                // Records never cross a 64KB boundary
+                const lower = address & 0xFFFF;
+                const length = Math.min(this.recordSize, segment.data.length - offset, 0x10000 - lower);
+
+                lines.push(this.formatRecord(RECORD.DATA, lower, segment.data.slice(offset, offset + length)));
+                offset += length;
+            }
+        });
+
+        if (image.entryPoint) {
+            lines.push(this.formatEntryPoint(image.entryPoint));
+        }
+
+        lines.push(this.formatRecord(RECORD.EOF, 0, []));
+        return lines.join('\n') + '\n';
+    }
+
+    formatEntryPoint(entryPoint) {
+        if (entryPoint.type === 'segment') {
+            return this.formatRecord(RECORD.START_SEGMENT_ADDRESS, 0, [
+                (entryPoint.cs >> 8) & 0xFF, entryPoint.cs & 0xFF,
+                (entryPoint.ip >> 8) & 0xFF, entryPoint.ip & 0xFF
+            ]);
+        }
+
+        const address = entryPoint.address;
+        return this.formatRecord(RECORD.START_LINEAR_ADDRESS, 0, [
+            (address >>> 24) & 0xFF, (address >>> 16) & 0xFF,
+            (address >>> 8) & 0xFF, address & 0xFF
+        ]);
+    }
+
+    formatRecord(type, offset, data) {
+        const bytes = [data.length, (offset >> 8) & 0xFF, offset & 0xFF, type, ...data];
+        const checksum = (0x100 - (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF)) & 0xFF;
+
+        return ':' + [...bytes, checksum]
+            .map(byte => byte.toString(16).padStart(2, '0').toUpperCase())
+            .join('');
+    }
+}
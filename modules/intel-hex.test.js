@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import IntelHex from './intel-hex.js';
+
+const EOF = ':00000001FF';
+
+test('parses data records into address-ordered segments', () => {
+    const image = new IntelHex().parse([
+        ':10010000214601360121470136007EFE09D2190140',
+        ':0400100001020304E2',
+        EOF
+    ].join('\r\n'));
+
+    assert.equal(image.segments.length, 2);
+    assert.equal(image.segments[0].address, 0x10);
+    assert.deepEqual(Array.from(image.segments[0].data), [0x01, 0x02, 0x03, 0x04]);
+    assert.equal(image.segments[1].address, 0x100);
+    assert.equal(image.segments[1].data.length, 16);
+    assert.equal(image.segments[1].data[0], 0x21);
+    assert.equal(image.entryPoint, null);
+});
+
+test('round-trips an image across a 64KB boundary', () => {
+    const hex = new IntelHex();
+    const data = Uint8Array.from({ length: 40 }, (_, i) => i);
+    const image = { segments: [{ address: 0xFFF0, data }], entryPoint: { type: 'linear', address: 0x00000123 } };
+
+    const text = hex.serialize(image);
+    const lines = text.trim().split('\n');
+
+    assert.ok(lines.includes(':020000040001F9'));
+    assert.equal(lines[lines.length - 2], ':0400000500000123D3');
+    assert.equal(lines[lines.length - 1], EOF);
+
+    const parsed = hex.parse(text);
+    assert.equal(parsed.segments.length, 1);
+    assert.equal(parsed.segments[0].address, 0xFFF0);
+    assert.deepEqual(parsed.segments[0].data, data);
+    assert.deepEqual(parsed.entryPoint, image.entryPoint);
+});
+
+test('rejects a record with a bad checksum', () => {
+    assert.throws(
+        () => new IntelHex().parse(':0400000001020304F0\n' + EOF),
+        /Intel HEX checksum error on line 1/
+    );
+});
+
+test('applies an extended segment address (type 02) record', () => {
+    const image = new IntelHex().parse([':020000021000EC', ':02001000AABB89', EOF].join('\n'));
+
+    assert.equal(image.segments[0].address, 0x10010);
+    assert.deepEqual(Array.from(image.segments[0].data), [0xAA, 0xBB]);
+});
+
+test('applies an extended linear address (type 04) record', () => {
+    const image = new IntelHex().parse([':020000040001F9', ':0100FF0042BE', EOF].join('\n'));
+
+    assert.equal(image.segments[0].address, 0x100FF);
+    assert.deepEqual(Array.from(image.segments[0].data), [0x42]);
+});
+
+test('rejects address records with the wrong length', () => {
+    assert.throws(
+        () => new IntelHex().parse(':0100000410EB\n' + EOF),
+        /record type 0x04 must carry 2 bytes \(line 1\)/
+    );
+});
+
+test('parses a start segment address record', () => {
+    const image = new IntelHex().parse(':0400000301000020D8\n' + EOF);
+
+    assert.deepEqual(image.entryPoint, { type: 'segment', cs: 0x0100, ip: 0x0020 });
+});
+
+test('requires an end-of-file record and ignores anything after it', () => {
+    assert.throws(
+        () => new IntelHex().parse(':0400000001020304F2\n'),
+        /no end-of-file record/
+    );
+
+    const image = new IntelHex().parse(':0400000001020304F2\n' + EOF + '\nnot a record\n');
+    assert.equal(image.segments.length, 1);
+});
+
+test('fills gaps with erased flash when flattening', () => {
+    const hex = new IntelHex();
+    const image = hex.parse([':020000000102FB', ':02000400030AED', EOF].join('\n'));
+    const { address, data } = hex.toBuffer(image);
+
+    assert.equal(address, 0);
+    assert.deepEqual(Array.from(data), [0x01, 0x02, 0xFF, 0xFF, 0x03, 0x0A]);
+    assert.throws(() => hex.toBuffer(image, 2), /lies below start address 0x2/);
+});
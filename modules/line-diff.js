@@ -0,0 +1,102 @@
+// Line-based diff (longest common subsequence) used to show code rewrites before they are applied
+export default class LineDiff {
+    // Every line of both texts in order, tagged 'context', 'removed' or 'added'
+    compare(before, after) {
+        const oldLines = before.split('\n');
+        const newLines = after.split('\n');
+        const rows = oldLines.length;
+        const cols = newLines.length;
+
+        // lengths[i][j]: common lines between oldLines[i..] and newLines[j..]
+        const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i][j] = oldLines[i] === newLines[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const changes = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < rows || j < cols) {
+            if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+                changes.push({ type: 'context', text: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+                i++;
+                j++;
+            } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                // Removals first, as git shows them
+                changes.push({ type: 'removed', text: oldLines[i], oldLine: i + 1, newLine: null });
+                i++;
+            } else {
+                changes.push({ type: 'added', text: newLines[j], oldLine: null, newLine: j + 1 });
+                j++;
+            }
+        }
+
+        return changes;
+    }
+
+    // Changed lines with up to `context` unchanged lines around them
+    hunks(changes, context = 3) {
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+
+        changes.forEach((change, index) => {
+            if (change.type === 'context') return;
+
+            const start = Math.max(0, index - context);
+            if (current && start <= lastChange + context + 1) {
+                current.end = index;
+            } else {
+                current = { start, end: index };
+                hunks.push(current);
+            }
+            lastChange = index;
+        });
+
+        return hunks.map(hunk => {
+            const lines = changes.slice(hunk.start, Math.min(changes.length, hunk.end + context + 1));
+            const first = changes[hunk.start];
+
+            // Line numbers where the hunk starts; a hunk that starts with an addition has no old line yet
+            const oldStart = first.oldLine || this.previousLine(changes, hunk.start, 'oldLine') + 1;
+            const newStart = first.newLine || this.previousLine(changes, hunk.start, 'newLine') + 1;
+
+            return {
+                oldStart: oldStart,
+                oldLines: lines.filter(line => line.type !== 'added').length,
+                newStart: newStart,
+                newLines: lines.filter(line => line.type !== 'removed').length,
+                lines: lines
+            };
+        });
+    }
+
+    previousLine(changes, index, key) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (changes[i][key]) return changes[i][key];
+        }
+        return 0;
+    }
+
+    // Unified diff text, as shown by git diff
+    format(before, after, options = {}) {
+        const name = options.name || 'sketch.ino';
+        const hunks = this.hunks(this.compare(before, after), options.context ?? 3);
+        if (hunks.length === 0) return '';
+
+        const prefix = { context: ' ', removed: '-', added: '+' };
+        const output = [`--- a/${name}`, `+++ b/${name}`];
+
+        hunks.forEach(hunk => {
+            output.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+            hunk.lines.forEach(line => output.push(prefix[line.type] + line.text));
+        });
+
+        return output.join('\n');
+    }
+}
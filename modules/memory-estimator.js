@@ -0,0 +1,388 @@
+import ArduinoParser from './arduino-parser.js';
+
+// Approximate cost of the core runtime (startup code, timer ISR, vectors) per architecture
+const CORE_OVERHEAD = {
+    avr: { flash: 444, sram: 9 },
+    esp32: { flash: 200000, sram: 13000 }
+};
+
+// Extra cost the first time a core facility is used
+const FACILITY_COSTS = {
+    'Serial': { flash: 1000, sram: 175 },
+    'pinMode': { flash: 100, sram: 0 },
+    'digitalWrite': { flash: 160, sram: 0 },
+    'digitalRead': { flash: 120, sram: 0 },
+    'analogRead': { flash: 60, sram: 0 },
+    'analogWrite': { flash: 250, sram: 0 },
+    'tone': { flash: 1100, sram: 20 },
+    'pulseIn': { flash: 250, sram: 0 },
+    'attachInterrupt': { flash: 300, sram: 4 },
+    'String': { flash: 1600, sram: 0 },
+    'float': { flash: 700, sram: 0 },
+    'random': { flash: 450, sram: 4 }
+};
+
+// Typical footprint of common libraries on an Uno
+const LIBRARY_COSTS = {
+    'Servo.h': { flash: 1300, sram: 50 },
+    'Wire.h': { flash: 1700, sram: 210 },
+    'SPI.h': { flash: 300, sram: 0 },
+    'EEPROM.h': { flash: 100, sram: 0 },
+    'SoftwareSerial.h': { flash: 2300, sram: 110 },
+    'LiquidCrystal.h': { flash: 1600, sram: 30 },
+    'LiquidCrystal_I2C.h': { flash: 2500, sram: 40 },
+    'DHT.h': { flash: 2000, sram: 20 },
+    'Adafruit_GFX.h': { flash: 5000, sram: 30 },
+    'Adafruit_SSD1306.h': { flash: 10000, sram: 1100 },
+    'Adafruit_NeoPixel.h': { flash: 2000, sram: 20 },
+    'Stepper.h': { flash: 800, sram: 30 },
+    'AccelStepper.h': { flash: 3500, sram: 50 },
+    'Keypad.h': { flash: 1800, sram: 50 },
+    'Encoder.h': { flash: 1200, sram: 40 },
+    'MPU6050.h': { flash: 2500, sram: 40 },
+    'SD.h': { flash: 10000, sram: 800 }
+};
+
+const UNKNOWN_LIBRARY = { flash: 2000, sram: 50 };
+
+// Core headers are already accounted for by the facilities above
+const CORE_HEADERS = new Set(['Arduino.h', 'math.h', 'string.h', 'stdlib.h', 'stdio.h', 'stdint.h', 'stdbool.h', 'avr/pgmspace.h', 'avr/interrupt.h', 'avr/io.h']);
+
+const DEFAULT_BOARD = { model: 'uno', flash: '32KB', memory: '2KB' };
+
+export default class MemoryEstimator {
+    constructor(options = {}) {
+        this.parser = new ArduinoParser();
+        this.warningThreshold = options.warningThreshold || 0.75;
+    }
+
+    // Rough flash/SRAM estimate for a parsed sketch against a board from getDeviceCapabilities()
+    estimate(ast, board = DEFAULT_BOARD) {
+        const architecture = CORE_OVERHEAD[board.architecture] ? board.architecture : this.getArchitecture(board.model);
+        const overhead = CORE_OVERHEAD[architecture];
+        const limits = {
+            flash: this.parseSize(board.flash || DEFAULT_BOARD.flash),
+            sram: this.parseSize(board.memory || DEFAULT_BOARD.memory)
+        };
+
+        const usage = { flash: overhead.flash, sram: overhead.sram };
+        const breakdown = [{ source: 'core', flash: overhead.flash, sram: overhead.sram }];
+        const warnings = [];
+        const add = (source, flash, sram) => {
+            usage.flash += flash;
+            usage.sram += sram;
+            breakdown.push({ source, flash, sram });
+        };
+
+        this.estimateLibraries(ast, add);
+        this.estimateFacilities(ast, add);
+        this.estimateCode(ast, add);
+        this.estimateGlobals(ast, architecture, add);
+        this.estimateStrings(ast, add, warnings);
+
+        const result = {
+            flash: this.describeUsage(usage.flash, limits.flash),
+            sram: this.describeUsage(usage.sram, limits.sram),
+            breakdown: breakdown,
+            warnings: warnings
+        };
+
+        const start = { line: 1, column: 1, offset: 0 };
+        [['flash', 'Program storage (flash)'], ['sram', 'Dynamic memory (SRAM)']].forEach(([key, label]) => {
+            const { used, total, percent } = result[key];
+
+            if (used > total) {
+                warnings.push({
+                    message: `${label} estimated at ${used} bytes exceeds the board's ${total} bytes`,
+                    severity: 'error',
+                    loc: { start, end: start }
+                });
+            } else if (used / total > this.warningThreshold) {
+                warnings.push({
+                    message: `${label} estimated at ${percent}% of ${total} bytes; ${key === 'sram' ? 'low memory may cause stability problems' : 'little room left for more code'}`,
+                    severity: 'warning',
+                    loc: { start, end: start }
+                });
+            }
+        });
+
+        return result;
+    }
+
+    getArchitecture(model) {
+        return /esp/i.test(model || '') ? 'esp32' : 'avr';
+    }
+
+    // "32KB" -> 32768, "4MB" -> 4194304
+    parseSize(size) {
+        if (typeof size === 'number') return size;
+
+        const match = String(size).match(/^([\d.]+)\s*(B|KB|MB)?$/i);
+        if (!match) return 0;
+
+        const multipliers = { B: 1, KB: 1024, MB: 1024 * 1024 };
+        return Math.round(parseFloat(match[1]) * multipliers[(match[2] || 'B').toUpperCase()]);
+    }
+
+    describeUsage(used, total) {
+        return {
+            used: Math.round(used),
+            total: total,
+            percent: total ? Math.round((used / total) * 100) : 0
+        };
+    }
+
+    estimateLibraries(ast, add) {
+        this.parser.findAll(ast, 'PreprocessorDirective')
+            .filter(node => node.directive === 'include' && !CORE_HEADERS.has(node.path))
+            .forEach(node => {
+                const cost = LIBRARY_COSTS[node.path] || UNKNOWN_LIBRARY;
+                add(`<${node.path}>`, cost.flash, cost.sram);
+            });
+    }
+
+    estimateFacilities(ast, add) {
+        const used = new Set();
+        const summary = this.parser.summarize(ast);
+
+        summary.calls.forEach(name => {
+            const facility = name.startsWith('Serial.') ? 'Serial' : name;
+            if (FACILITY_COSTS[facility]) used.add(facility);
+        });
+
+        this.parser.findAll(ast, 'TypeSpecifier').forEach(typeSpec => {
+            if (typeSpec.name === 'String') used.add('String');
+            if (typeSpec.name === 'float' || typeSpec.name === 'double') used.add('float');
+        });
+
+        used.forEach(facility => {
+            const cost = FACILITY_COSTS[facility];
+            add(facility, cost.flash, cost.sram);
+        });
+    }
+
+    // Generated code: a few instructions per statement and call
+    estimateCode(ast, add) {
+        let flash = 0;
+
+        this.parser.walk(ast, node => {
+            if (node.type === 'FunctionDeclaration' && node.body) flash += 12;
+            else if (/Statement$/.test(node.type) && node.type !== 'BlockStatement') flash += 6;
+            else if (node.type === 'CallExpression') flash += 8 + node.arguments.length * 4;
+            else if (node.type === 'BinaryExpression' || node.type === 'AssignmentExpression') flash += 4;
+        });
+
+        add('code', flash, 0);
+    }
+
+    // Globals and statics live in SRAM; initialized ones also keep their initial value in flash
+    estimateGlobals(ast, architecture, add) {
+        const globals = [];
+        const constants = this.collectConstants(ast);
+
+        ast.body.forEach(node => {
+            if (node.type === 'VariableDeclaration') {
+                globals.push(node);
+            }
+        });
+
+        // Function-level statics are static RAM too
+        this.parser.findAll(ast, 'FunctionDeclaration').forEach(fn => {
+            this.parser.findAll(fn, 'VariableDeclaration')
+                .filter(node => node.typeSpec.qualifiers.includes('static'))
+                .forEach(node => globals.push(node));
+        });
+
+        globals.forEach(node => {
+            if (node.typeSpec.qualifiers.includes('extern')) return;
+
+            node.declarations.forEach(declarator => {
+                const size = this.getDeclaratorSize(node.typeSpec, declarator, architecture, constants);
+                const initialized = declarator.init !== null;
+
+                if (declarator.progmem) {
+                    add(`${declarator.name} (PROGMEM)`, size, 0);
+                } else if (!(node.typeSpec.qualifiers.includes('const') && !declarator.arraySizes.length && !declarator.pointer)) {
+                    // Scalar constants are folded into the code and take no RAM
+                    add(declarator.name, initialized ? size : 0, size);
+                }
+            });
+        });
+    }
+
+    getDeclaratorSize(typeSpec, declarator, architecture, constants = new Map()) {
+        const wide = architecture === 'esp32';
+        const pointerSize = wide ? 4 : 2;
+
+        if (declarator.pointer > 0) {
+            return pointerSize * this.getElementCount(declarator, constants);
+        }
+
+        const sizes = {
+            'char': 1, 'signed char': 1, 'unsigned char': 1, 'byte': 1, 'bool': 1, 'boolean': 1,
+            'int8_t': 1, 'uint8_t': 1, 'int16_t': 2, 'uint16_t': 2, 'short': 2, 'unsigned short': 2,
+            'int': wide ? 4 : 2, 'unsigned int': wide ? 4 : 2, 'unsigned': wide ? 4 : 2, 'word': wide ? 4 : 2,
+            'long': 4, 'unsigned long': 4, 'int32_t': 4, 'uint32_t': 4, 'float': 4,
+            'double': wide ? 8 : 4, 'long long': 8, 'unsigned long long': 8, 'int64_t': 8, 'uint64_t': 8,
+            'size_t': pointerSize,
+            'String': 6
+        };
+
+        // Library objects (Servo, LiquidCrystal, ...) are small structs
+        const elementSize = sizes[typeSpec.name] ?? 8;
+        return elementSize * this.getElementCount(declarator, constants);
+    }
+
+    // Array length from its declared size or from its initializer
+    getElementCount(declarator, constants = new Map()) {
+        if (declarator.arraySizes.length === 0) return 1;
+
+        return declarator.arraySizes.reduce((count, size, index) => {
+            const value = this.evaluate(size, constants);
+            if (value !== null && value >= 0) {
+                return count * value;
+            }
+
+            // int values[] = {1, 2, 3}; char name[] = "abc";
+            if (index === 0 && declarator.init) {
+                if (declarator.init.type === 'InitializerList') return count * declarator.init.elements.length;
+                if (declarator.init.type === 'Literal' && declarator.init.kind === 'string') return count * (declarator.init.value.length + 1);
+            }
+
+            return count;
+        }, 1);
+    }
+
+    // Names usable in array sizes: #define N 900, const int N = 900;, constexpr size_t N = M * 2;
+    collectConstants(ast) {
+        const constants = new Map();
+
+        ast.body.forEach(node => {
+            if (node.type === 'PreprocessorDirective' && node.directive === 'define' && node.name && !node.params && node.value) {
+                const parsed = this.parser.parse(`long value = ${node.value};`);
+                const declaration = parsed.body[0];
+                if (parsed.errors.length === 0 && parsed.body.length === 1 && declaration.type === 'VariableDeclaration') {
+                    constants.set(node.name, declaration.declarations[0].init);
+                }
+            }
+
+            if (node.type === 'VariableDeclaration' && node.typeSpec.qualifiers.some(qualifier => qualifier === 'const' || qualifier === 'constexpr')) {
+                node.declarations
+                    .filter(declarator => declarator.init && !declarator.arraySizes.length && !declarator.pointer)
+                    .forEach(declarator => constants.set(declarator.name, declarator.init));
+            }
+        });
+
+        return constants;
+    }
+
+    // Integer value of a constant expression, or null when it depends on anything else
+    evaluate(node, constants, seen = new Set()) {
+        if (!node) return null;
+
+        switch (node.type) {
+            case 'Literal':
+                return node.kind === 'number' ? node.value : null;
+
+            case 'Identifier': {
+                if (seen.has(node.name) || !constants.has(node.name)) return null;
+                return this.evaluate(constants.get(node.name), constants, new Set([...seen, node.name]));
+            }
+
+            case 'CastExpression':
+                return this.evaluate(node.argument, constants, seen);
+
+            case 'UnaryExpression': {
+                const value = this.evaluate(node.argument, constants, seen);
+                if (value === null) return null;
+                return { '-': -value, '+': value, '~': ~value }[node.operator] ?? null;
+            }
+
+            case 'BinaryExpression': {
+                const left = this.evaluate(node.left, constants, seen);
+                const right = this.evaluate(node.right, constants, seen);
+                if (left === null || right === null) return null;
+
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return right === 0 ? null : Math.trunc(left / right);
+                    case '%': return right === 0 ? null : left % right;
+                    case '<<': return left << right;
+                    case '>>': return left >> right;
+                    default: return null;
+                }
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    // String literals are copied to SRAM at startup unless kept in flash with F() or PROGMEM
+    estimateStrings(ast, add, warnings) {
+        let flash = 0;
+        let sram = 0;
+        const printed = { count: 0, bytes: 0, loc: null };
+
+        this.parser.walk(ast, (node, parent) => {
+            if (node.type === 'VariableDeclaration' && node.declarations.some(declarator => declarator.progmem)) {
+                // Already counted as a PROGMEM global
+                return false;
+            }
+
+            if (node.type === 'CallExpression') {
+                const name = this.parser.getCalleeName(node);
+                if (name === 'F' || name === 'PSTR') {
+                    node.arguments.forEach(arg => {
+                        if (arg.type === 'Literal' && arg.kind === 'string') flash += arg.value.length + 1;
+                    });
+                    return false;
+                }
+            }
+
+            if (node.type !== 'Literal' || node.kind !== 'string') return;
+
+            const size = node.value.length + 1;
+
+            // char buffer[] = "..." is counted with the array
+            if (parent && parent.type === 'VariableDeclarator' && parent.arraySizes.length > 0) return;
+
+            flash += size;
+            sram += size;
+
+            if (parent && parent.type === 'CallExpression' && /(^|\.)(print|println)$/.test(this.parser.getCalleeName(parent) || '')) {
+                printed.count++;
+                printed.bytes += size;
+                printed.loc = printed.loc || node.loc;
+            }
+        });
+
+        // One warning per sketch, anchored at the first printed literal
+        if (printed.count > 0) {
+            const [literals, pronoun] = printed.count === 1 ? ['1 printed string literal uses', 'it'] : [`${printed.count} printed string literals use`, 'them'];
+            warnings.push({
+                message: `${literals} ${printed.bytes} bytes of SRAM; wrap ${pronoun} in F() to keep ${pronoun} in flash`,
+                severity: 'warning',
+                loc: printed.loc
+            });
+        }
+
+        this.parser.findAll(ast, 'VariableDeclaration').forEach(node => {
+            if (!node.typeSpec.qualifiers.includes('const') || node.typeSpec.name !== 'char') return;
+
+            node.declarations.forEach(declarator => {
+                if (!declarator.progmem && declarator.arraySizes.length > 0 && declarator.init) {
+                    warnings.push({
+                        message: `Constant string '${declarator.name}' is copied to SRAM; declare it PROGMEM to keep it in flash`,
+                        severity: 'warning',
+                        loc: declarator.loc
+                    });
+                }
+            });
+        });
+
+        add('string literals', flash, sram);
+    }
+}
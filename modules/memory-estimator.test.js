@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryEstimator from './memory-estimator.js';
+import ArduinoParser from './arduino-parser.js';
+
+const UNO = { model: 'uno', architecture: 'avr', flash: '32KB', memory: '2KB' };
+
+function sramOf(code, name) {
+    const ast = new ArduinoParser().parse(code);
+    const result = new MemoryEstimator().estimate(ast, UNO);
+    return result.breakdown.find(entry => entry.source === name).sram;
+}
+
+test('sizes arrays declared with a literal length', () => {
+    assert.equal(sramOf('int readings[900];', 'readings'), 1800);
+});
+
+test('sizes arrays declared with a #define length', () => {
+    assert.equal(sramOf('#define SAMPLES 900\nint readings[SAMPLES];', 'readings'), 1800);
+});
+
+test('sizes arrays declared with a const or constexpr length', () => {
+    assert.equal(sramOf('const int SAMPLES = 900;\nint readings[SAMPLES];', 'readings'), 1800);
+    assert.equal(sramOf('constexpr uint16_t ROWS = 4;\nbyte grid[ROWS][ROWS];', 'grid'), 16);
+});
+
+test('sizes arrays declared with a simple expression of constants', () => {
+    const code = '#define CHANNELS 3\nconst int SAMPLES = 100;\n#define TOTAL (SAMPLES * CHANNELS)\nint buffer[TOTAL + 1];\nlong history[SAMPLES / 4 - 5];';
+
+    assert.equal(sramOf(code, 'buffer'), 602);
+    assert.equal(sramOf(code, 'history'), 80);
+});
+
+test('counts one element when the length cannot be resolved', () => {
+    assert.equal(sramOf('int readings[analogRead(A0)];', 'readings'), 2);
+    assert.equal(sramOf('#define A B\n#define B A\nint readings[A];', 'readings'), 2);
+});
+
+test('reports SRAM overflow for a large array sized by a constant', () => {
+    const ast = new ArduinoParser().parse('const int N = 900;\nlong samples[N * 2];');
+    const result = new MemoryEstimator().estimate(ast, UNO);
+
+    assert.ok(result.sram.used > 2048);
+    assert.equal(result.warnings[0].severity, 'error');
+    assert.match(result.warnings[0].message, /Dynamic memory \(SRAM\) estimated at \d+ bytes exceeds/);
+});
+
+test('reports printed string literals as one F() warning with the total size', () => {
+    const ast = new ArduinoParser().parse('void setup() {\n  Serial.println("Ready");\n  Serial.print("Temp: ");\n  lcd.print("Hi");\n  Serial.println(F("flash"));\n}');
+    const warnings = new MemoryEstimator().estimate(ast, UNO).warnings.filter(warning => /F\(\)/.test(warning.message));
+
+    assert.equal(warnings.length, 1);
+    assert.equal(warnings[0].message, '3 printed string literals use 16 bytes of SRAM; wrap them in F() to keep them in flash');
+    assert.equal(warnings[0].loc.start.line, 2);
+});
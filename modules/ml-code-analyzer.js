@@ -1,8 +1,10 @@
 import TFLiteIntegration from './tflite-integration.js';
+import ArduinoParser from './arduino-parser.js';
 
 export default class MLCodeAnalyzer {
     constructor() {
         this.tflite = new TFLiteIntegration();
+        this.parser = new ArduinoParser();
         this.initialized = false;
     }
 
@@ -30,29 +32,19 @@ export default class MLCodeAnalyzer {
     }
 
     traditionalCodeAnalysis(code) {
+        const ast = this.parser.parse(code);
+        const summary = this.parser.summarize(ast);
+
         return {
             lineCount: code.split('\n').length,
-            functionCount: (code.match(/\b\w+\s+\w+\s*\([^)]*\)\s*{/g) || []).length,
-            complexity: this.calculateCyclomaticComplexity(code),
-            readability: this.calculateReadabilityScore(code),
-            maintainability: this.calculateMaintainabilityIndex(code)
+            functionCount: summary.functions.length,
+            complexity: summary.complexity,
+            readability: this.calculateReadabilityScore(code, ast),
+            maintainability: this.calculateMaintainabilityIndex(code, ast, summary)
         };
     }
 
-    calculateCyclomaticComplexity(code) {
-        let complexity = 1;
-        
-        // Count decision points
-        complexity += (code.match(/\bif\s*\(/g) || []).length;
-        complexity += (code.match(/\bfor\s*\(/g) || []).length;
-        complexity += (code.match(/\bwhile\s*\(/g) || []).length;
-        complexity += (code.match(/\bcase\s+/g) || []).length;
-        complexity += (code.match(/\bcatch\s*\(/g) || []).length;
-        
-        return complexity;
-    }
-
-    calculateReadabilityScore(code) {
+    calculateReadabilityScore(code, ast) {
         const lines = code.split('\n');
         let score = 100;
         
@@ -63,19 +55,28 @@ export default class MLCodeAnalyzer {
         });
         
         // Reward comments
-        const commentLines = lines.filter(line => 
-            line.trim().startsWith('//') || line.includes('/*')
-        ).length;
-        
-        score += Math.min(commentLines * 2, 20);
+        score += Math.min(this.countCommentLines(ast) * 2, 20);
         
         return Math.max(0, score);
     }
 
-    calculateMaintainabilityIndex(code) {
-        const complexity = this.calculateCyclomaticComplexity(code);
+    // Lines covered by at least one comment
+    countCommentLines(ast) {
+        const commentLines = new Set();
+
+        ast.comments.forEach(comment => {
+            for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) {
+                commentLines.add(line);
+            }
+        });
+
+        return commentLines.size;
+    }
+
+    calculateMaintainabilityIndex(code, ast, summary) {
+        const complexity = summary.complexity;
         const lines = code.split('\n').length;
-        const commentDensity = (code.match(/\/\/|\/\*/g) || []).length / lines;
+        const commentDensity = ast.comments.length / lines;
         
         // Simplified maintainability index calculation
         return Math.max(0, 171 - 5.2 * Math.log(complexity) - 0.23 * lines + 16.2 * Math.log(commentDensity + 1));
@@ -1,5 +1,7 @@
 export default class NLPProcessor {
-    constructor() {
+    constructor(catalog = null) {
+        // ComponentCatalog used to recognise specific parts (DHT22, HC-SR04, ...)
+        this.catalog = catalog;
         this.keywords = {
             'sensors': ['sensor', 'detect', 'measure', 'read', 'temperature', 'humidity', 'distance', 'light', 'motion'],
             'actuators': ['motor', 'servo', 'led', 'light', 'display', 'lcd', 'buzzer', 'relay'],
@@ -15,6 +17,7 @@ export default class NLPProcessor {
             components: [],
             actions: [],
             parameters: {},
+            hardware: this.detectHardware(command),
             complexity: 'basic'
         };
 
@@ -32,11 +35,7 @@ export default class NLPProcessor {
         if (command.includes('display') || command.includes('show')) analysis.actions.push('display');
 
         // Extract parameters
-        const timeMatch = command.match(/(\d+)\s*(second|sec|millisecond|ms|minute|min)/);
-        if (timeMatch) analysis.parameters.interval = timeMatch[1];
-
-        const pinMatch = command.match(/pin\s*(\d+)/i);
-        if (pinMatch) analysis.parameters.pin = pinMatch[1];
+        Object.assign(analysis.parameters, this.extractParameters(command));
 
         // Determine complexity
         if (analysis.components.length > 2 || analysis.actions.length > 1) {
@@ -48,6 +47,71 @@ export default class NLPProcessor {
         return analysis;
     }
 
+    // Values templates can use: interval in ms, pins, sensor model, threshold, baud rate and servo angles
+    extractParameters(command) {
+        const parameters = {};
+        const units = { ms: 1, millisecond: 1, milliseconds: 1, sec: 1000, secs: 1000, second: 1000, seconds: 1000, s: 1000, min: 60000, mins: 60000, minute: 60000, minutes: 60000 };
+
+        const timeMatch = command.match(/(\d+(?:\.\d+)?)\s*(milliseconds?|ms|seconds?|secs?|s|minutes?|mins?)\b/i);
+        if (timeMatch) parameters.interval = Math.round(parseFloat(timeMatch[1]) * units[timeMatch[2].toLowerCase()]);
+
+        const pinMatch = command.match(/pin\s*(A?\d+)/i);
+        if (pinMatch) parameters.pin = pinMatch[1].toUpperCase();
+
+        // Every pin of a list such as "pins 9, 10 and 11", for templates with several pins
+        const pins = this.extractPins(command);
+        if (pins.length > 0) parameters.pins = pins;
+
+        const modelMatch = command.match(/\bdht[\s-]?(11|21|22)\b/i);
+        if (modelMatch) parameters.sensorModel = `DHT${modelMatch[1]}`;
+
+        const baudMatch = command.match(/(\d+)\s*baud/i) || command.match(/baud(?:\s*rate)?\s*(?:of\s*)?(\d+)/i);
+        if (baudMatch) parameters.baud = parseInt(baudMatch[1], 10);
+
+        const thresholdMatch = command.match(/(?:threshold|above|below|over|under|exceeds?|greater than|less than)\s*(?:of\s*)?(-?\d+(?:\.\d+)?)/i);
+        if (thresholdMatch) parameters.threshold = parseFloat(thresholdMatch[1]);
+
+        const sweepMatch = command.match(/(\d+)\s*(?:°|degrees?)?\s*(?:to|-)\s*(\d+)\s*(?:°|degrees?)/i);
+        if (sweepMatch) {
+            parameters.minAngle = parseInt(sweepMatch[1], 10);
+            parameters.maxAngle = parseInt(sweepMatch[2], 10);
+        }
+
+        return parameters;
+    }
+
+    // Catalog components named in the command, with pins mentioned right after each one:
+    // "DHT22 on pin 4 and an ultrasonic sensor on pins 9 and 10"
+    detectHardware(command) {
+        if (!this.catalog) return [];
+
+        const matches = this.catalog.findInText(command);
+
+        return matches.map((match, index) => {
+            const next = matches[index + 1];
+            const pins = this.extractPins(command.slice(match.end, next ? next.index : command.length));
+            const signalPins = match.component.pins.filter(pin => pin.type !== 'power' && pin.default !== undefined);
+            const mapping = {};
+
+            pins.forEach((pin, position) => {
+                if (signalPins[position]) mapping[signalPins[position].name] = pin;
+            });
+
+            return {
+                id: match.component.id,
+                name: match.component.name,
+                keyword: match.keyword,
+                pins: mapping,
+                options: this.catalog.getKeywordOptions(match.component, match.keyword)
+            };
+        });
+    }
+
+    extractPins(text) {
+        const match = text.match(/\bpins?\s*(A?\d+(?:\s*(?:,|and|&)\s*A?\d+)*)/i);
+        return match ? match[1].split(/\s*(?:,|and|&)\s*/i).map(pin => pin.toUpperCase()) : [];
+    }
+
     extractRequirements(command) {
         const requirements = {
             libraries: [],
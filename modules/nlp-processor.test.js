@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import ComponentCatalog from './component-catalog.js';
+import NLPProcessor from './nlp-processor.js';
+
+function loadCatalog() {
+    const read = file => JSON.parse(readFileSync(new URL(`../components/${file}`, import.meta.url), 'utf8'));
+    const catalog = new ComponentCatalog();
+    read('index.json').components.forEach(file => catalog.register(read(file)));
+    return catalog;
+}
+
+test('reads the pin and model named right after a component', () => {
+    const catalog = loadCatalog();
+    const hardware = new NLPProcessor(catalog).detectHardware('read DHT11 on pin 4 and show the temperature on an LCD');
+
+    assert.deepEqual(hardware.map(part => part.id), ['dht', 'lcd']);
+    assert.deepEqual(hardware[0].pins, { DATA: '4' });
+    assert.deepEqual(hardware[0].options, { model: 'DHT11' });
+
+    const snippet = catalog.render('dht', hardware[0].pins, hardware[0].options);
+    assert.ok(snippet.globals.includes('DHT dht(4, DHT11);'));
+});
+
+test('applies a model named after the first mention of the component', () => {
+    const hardware = new NLPProcessor(loadCatalog()).detectHardware('log the temperature on pin 5 with a DHT11');
+
+    assert.equal(hardware.length, 1);
+    assert.deepEqual(hardware[0].pins, { DATA: '5' });
+    assert.deepEqual(hardware[0].options, { model: 'DHT11' });
+});
+
+test('returns no hardware without a catalog', () => {
+    assert.deepEqual(new NLPProcessor().detectHardware('read a DHT22 on pin 4'), []);
+});
@@ -0,0 +1,418 @@
+import ArduinoParser from './arduino-parser.js';
+import BoardRegistry from './board-registry.js';
+
+// Library objects whose constructor arguments are pin numbers: class -> [component, argument indices].
+// null indices means "every argument" (LiquidCrystal has 4-, 6-, 8- and 11-pin forms).
+const LIBRARY_PINS = {
+    'LiquidCrystal': ['lcd', null],
+    'NewPing': ['ultrasonic', [0, 1]],
+    'SoftwareSerial': ['softwareserial', [0, 1]],
+    'DHT': ['dht', [0]],
+    'Adafruit_NeoPixel': ['neopixel', [1]],
+    'Stepper': ['stepper', [1, 2, 3, 4]],
+    'AccelStepper': ['stepper', [1, 2, 3, 4]],
+    'Encoder': ['encoder', [0, 1]]
+};
+
+// Plain Arduino calls that touch a pin: name -> [argument indices, needs PWM]
+const PIN_CALLS = {
+    'pinMode': [[0], false],
+    'digitalWrite': [[0], false],
+    'digitalRead': [[0], false],
+    'analogRead': [[0], false],
+    'analogWrite': [[0], true],
+    'pulseIn': [[0], false],
+    'shiftOut': [[0, 1], false],
+    'shiftIn': [[0, 1], false],
+    'tone': [[0], false],
+    'noTone': [[0], false]
+};
+
+// Facilities that take over a hardware timer, matched against "usedBy" in the board's timers
+const TIMER_USERS = ['Servo', 'tone'];
+
+export default class PinConflictChecker {
+    constructor(registry = null) {
+        this.registry = registry || new BoardRegistry();
+        this.parser = new ArduinoParser();
+    }
+
+    // Build a pin-usage map from pin picker selections and from the sketch itself,
+    // then report pins claimed twice, PWM lost to a timer and pins shared with
+    // Serial/I2C/SPI. Selections come from PinConfigurator.getPinUsage().
+    analyze({ model, code = null, ast = null, selections = [] } = {}) {
+        const board = this.registry.get(model || this.registry.defaultBoard);
+        if (!board) {
+            return { usage: [], conflicts: [] };
+        }
+
+        const tree = ast || (code !== null ? this.parser.parse(code) : null);
+        const usages = [];
+        const facilities = new Set();
+
+        selections.forEach((selection, index) => this.collectSelection(board, selection, index, usages, facilities));
+        if (tree) this.collectCode(board, tree, usages, facilities);
+
+        const byPin = new Map();
+        usages.forEach(usage => {
+            if (!byPin.has(usage.pin)) byPin.set(usage.pin, []);
+            byPin.get(usage.pin).push(usage);
+        });
+
+        const conflicts = [
+            ...this.findSharedPins(byPin),
+            ...this.findTimerConflicts(board, byPin, facilities)
+        ];
+
+        return {
+            usage: Array.from(byPin.entries()).map(([pin, list]) => ({ pin: list[0].label, key: pin, usages: list })),
+            conflicts: conflicts
+        };
+    }
+
+    collectSelection(board, selection, index, usages, facilities) {
+        const pin = this.resolveValue(board, selection.pin);
+        if (pin === null) return;
+
+        const bus = selection.type === 'sda' || selection.type === 'scl' ? 'I2C' : null;
+
+        usages.push({
+            ...pin,
+            source: 'selection',
+            kind: bus ? 'bus' : 'component',
+            owner: bus || `${selection.component}#${selection.index ?? index}`,
+            component: selection.component,
+            description: `${selection.name || selection.component} ${selection.role}`,
+            needsPwm: selection.type === 'pwm',
+            loc: null
+        });
+
+        if (selection.component === 'servo') facilities.add('Servo');
+    }
+
+    collectCode(board, ast, usages, facilities) {
+        const constants = this.collectConstants(board, ast);
+        const objects = new Map();
+        const resolve = node => this.resolveExpression(board, node, constants);
+
+        const add = (node, usage) => {
+            const pin = resolve(node);
+            if (pin === null) return;
+            usages.push({ ...pin, source: 'code', needsPwm: false, loc: node.loc, ...usage });
+        };
+
+        // Library objects constructed with their pins
+        this.parser.findAll(ast, 'VariableDeclaration').forEach(node => {
+            node.declarations.forEach(declarator => {
+                objects.set(declarator.name, node.typeSpec.name);
+                if (node.typeSpec.name === 'Servo') facilities.add('Servo');
+
+                const library = LIBRARY_PINS[node.typeSpec.name];
+                if (!library || !declarator.arguments) return;
+
+                const [component, indices] = library;
+                declarator.arguments.forEach((argument, index) => {
+                    if (indices && !indices.includes(index)) return;
+                    add(argument, {
+                        kind: 'library',
+                        owner: declarator.name,
+                        component: component,
+                        description: `${node.typeSpec.name} '${declarator.name}'`
+                    });
+                });
+            });
+        });
+
+        const uartNames = new Set((board.pins.uart || []).map(uart => uart.name));
+        const usedBuses = new Map();
+
+        this.parser.findAll(ast, 'CallExpression').forEach(call => {
+            const name = this.parser.getCalleeName(call);
+            if (!name) return;
+
+            const [objectName, member] = name.includes('.') ? name.split('.') : [null, name];
+
+            if (objectName) {
+                if (uartNames.has(objectName) || objectName === 'Wire' || objectName === 'SPI') {
+                    if (!usedBuses.has(objectName)) usedBuses.set(objectName, call.loc);
+                }
+
+                if (member === 'attach' && objects.get(objectName) === 'Servo' && call.arguments.length > 0) {
+                    add(call.arguments[0], {
+                        kind: 'library',
+                        owner: objectName,
+                        component: 'servo',
+                        description: `Servo '${objectName}'`
+                    });
+                }
+                return;
+            }
+
+            if (name === 'attachInterrupt' && call.arguments.length > 0) {
+                const pin = this.resolveInterrupt(board, call.arguments[0], constants);
+                if (pin !== null) {
+                    usages.push({ ...pin, source: 'code', kind: 'gpio', owner: null, component: null, description: 'attachInterrupt()', needsPwm: false, loc: call.loc });
+                }
+                return;
+            }
+
+            const pinCall = PIN_CALLS[name];
+            if (!pinCall) return;
+
+            if (name === 'tone') facilities.add('tone');
+
+            const [indices, needsPwm] = pinCall;
+            indices.forEach(index => {
+                if (index >= call.arguments.length) return;
+                add(call.arguments[index], {
+                    kind: 'gpio',
+                    owner: null,
+                    component: null,
+                    description: `${name}()`,
+                    needsPwm: needsPwm
+                });
+            });
+        });
+
+        usedBuses.forEach((loc, bus) => this.addBusPins(board, bus, loc, usages));
+    }
+
+    // Pins taken over by Serial, Wire or SPI once the sketch uses them
+    addBusPins(board, bus, loc, usages) {
+        const pins = board.pins;
+        const roles = [];
+
+        if (bus === 'Wire' && pins.i2c) {
+            roles.push([pins.i2c.sda, 'SDA'], [pins.i2c.scl, 'SCL']);
+        } else if (bus === 'SPI' && pins.spi) {
+            // SS stays a normal output when the board is the SPI master
+            roles.push([pins.spi.mosi, 'MOSI'], [pins.spi.miso, 'MISO'], [pins.spi.sck, 'SCK']);
+        } else {
+            const uart = (pins.uart || []).find(entry => entry.name === bus);
+            if (uart) roles.push([uart.rx, 'RX'], [uart.tx, 'TX']);
+        }
+
+        const owner = bus === 'Wire' ? 'I2C' : bus;
+        const kind = bus === 'Wire' || bus === 'SPI' ? 'bus' : 'uart';
+
+        roles.forEach(([number, role]) => {
+            const pin = this.resolveValue(board, number);
+            if (pin === null) return;
+
+            usages.push({
+                ...pin,
+                source: 'code',
+                kind: kind,
+                owner: owner,
+                component: null,
+                description: `${owner} ${role}`,
+                needsPwm: false,
+                loc: loc
+            });
+        });
+    }
+
+    // Global "const int ledPin = 13;", "int trigPin = 9;" and "#define SERVO_PIN 9"
+    collectConstants(board, ast) {
+        const constants = new Map();
+
+        ast.body.forEach(node => {
+            if (node.type === 'PreprocessorDirective' && node.directive === 'define' && node.name && !node.params) {
+                const value = node.value.replace(/^\(\s*|\s*\)$/g, '').trim();
+                if (/^(A?\d+|LED_BUILTIN)$/.test(value)) constants.set(node.name, value);
+            }
+
+            if (node.type === 'VariableDeclaration') {
+                node.declarations.forEach(declarator => {
+                    if (declarator.init && !declarator.arraySizes.length && !declarator.pointer) {
+                        constants.set(declarator.name, declarator.init);
+                    }
+                });
+            }
+        });
+
+        return constants;
+    }
+
+    resolveExpression(board, node, constants, depth = 0) {
+        if (!node || depth > 8) return null;
+
+        if (node.type === 'Literal' && node.kind === 'number') {
+            return this.resolveValue(board, node.value);
+        }
+
+        if (node.type === 'Identifier') {
+            if (/^A\d+$/.test(node.name) || node.name === 'LED_BUILTIN') {
+                return this.resolveValue(board, node.name);
+            }
+
+            const constant = constants.get(node.name);
+            if (typeof constant === 'string') return this.resolveValue(board, constant);
+            return constant ? this.resolveExpression(board, constant, constants, depth + 1) : null;
+        }
+
+        if (node.type === 'CallExpression' && this.parser.getCalleeName(node) === 'digitalPinToInterrupt') {
+            return this.resolveExpression(board, node.arguments[0], constants, depth + 1);
+        }
+
+        return null;
+    }
+
+    // attachInterrupt(0, ...) on AVR means interrupt 0, not pin 0
+    resolveInterrupt(board, node, constants) {
+        if (node.type === 'CallExpression') {
+            return this.resolveExpression(board, node, constants);
+        }
+
+        const interrupts = board.pins.interrupts;
+        if (node.type === 'Literal' && node.kind === 'number' && interrupts && interrupts !== 'all') {
+            const entry = Object.entries(interrupts).find(([, number]) => number === node.value);
+            return entry ? this.resolveValue(board, Number(entry[0])) : null;
+        }
+
+        return this.resolveExpression(board, node, constants);
+    }
+
+    // Normalize 13, "13", "A0" and "LED_BUILTIN" to one key per physical pin.
+    // A0 on an Uno is digital pin 14; A6 on a Nano has no digital number.
+    resolveValue(board, value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const text = String(value).trim();
+        const pins = board.pins;
+
+        if (text === 'LED_BUILTIN') {
+            return pins.led !== undefined && pins.led !== null ? this.resolveValue(board, pins.led) : null;
+        }
+
+        const channel = pins.analog.find(entry => entry.name === text);
+        if (channel) {
+            return channel.digital === null
+                ? { pin: channel.name, label: channel.name }
+                : { pin: channel.digital, label: channel.name };
+        }
+
+        if (!/^\d+$/.test(text)) return null;
+
+        const number = Number(text);
+        const analog = pins.analog.find(entry => entry.digital === number && !pins.digital.includes(number));
+        if (!pins.digital.includes(number) && !analog) return null;
+
+        return { pin: number, label: analog ? analog.name : String(number) };
+    }
+
+    findSharedPins(byPin) {
+        const conflicts = [];
+
+        byPin.forEach(list => {
+            const owners = new Map();
+            list.filter(usage => usage.owner).forEach(usage => {
+                const key = `${usage.kind}:${usage.owner}`;
+                if (!owners.has(key)) owners.set(key, usage);
+            });
+
+            // A component picked in the pin picker and the library object in the sketch are the same part
+            owners.forEach((usage, key) => {
+                if (usage.source !== 'selection' || usage.kind !== 'component') return;
+                const inCode = Array.from(owners.values()).some(other => other.kind === 'library' && other.component === usage.component);
+                if (inCode) owners.delete(key);
+            });
+
+            const claimed = Array.from(owners.values());
+            const exclusive = claimed.filter(usage => usage.kind !== 'component');
+            const gpio = list.filter(usage => usage.kind === 'gpio');
+            const label = list[0].label;
+
+            if (claimed.length >= 2) {
+                conflicts.push(this.createSharedConflict(label, claimed, claimed));
+            } else if (exclusive.length === 1 && gpio.length > 0) {
+                conflicts.push(this.createSharedConflict(label, [exclusive[0], gpio[0]], [exclusive[0], ...gpio]));
+            }
+        });
+
+        return conflicts;
+    }
+
+    createSharedConflict(label, [first, second], usages) {
+        const uart = [first, second].find(usage => usage.kind === 'uart');
+        const bus = [first, second].find(usage => usage.kind === 'bus');
+        const other = [first, second].find(usage => usage !== (uart || bus)) || second;
+
+        if (uart) {
+            return {
+                type: 'serial',
+                severity: 'warning',
+                pins: [label],
+                message: `Pin ${label} is ${uart.description} and the sketch uses ${uart.owner}; ` +
+                    `${other.description} on the same pin will garble serial data and uploads`,
+                usages: usages,
+                loc: other.loc || this.firstLoc(usages)
+            };
+        }
+
+        if (bus) {
+            return {
+                type: 'bus',
+                severity: 'warning',
+                pins: [label],
+                message: `Pin ${label} is ${bus.description}; ${other.description} cannot use it while the ${bus.owner} bus is active`,
+                usages: usages,
+                loc: other.loc || this.firstLoc(usages)
+            };
+        }
+
+        return {
+            type: 'shared',
+            severity: 'error',
+            pins: [label],
+            message: `Pin ${label} is used by both ${first.description} and ${second.description}; each module needs its own pin`,
+            usages: usages,
+            loc: this.firstLoc(usages)
+        };
+    }
+
+    // Servo and tone() reprogram a hardware timer, so analogWrite() stops working
+    // on the PWM pins driven by that timer (pins 9/10 for Servo on an Uno)
+    findTimerConflicts(board, byPin, facilities) {
+        const conflicts = [];
+
+        TIMER_USERS.filter(facility => facilities.has(facility)).forEach(facility => {
+            const ownComponent = facility === 'Servo' ? 'servo' : null;
+
+            board.timers
+                .filter(timer => (timer.usedBy || []).includes(facility))
+                .forEach(timer => {
+                    const affected = [];
+
+                    timer.pins.forEach(number => {
+                        (byPin.get(number) || [])
+                            .filter(usage => usage.needsPwm && usage.component !== ownComponent)
+                            .forEach(usage => affected.push(usage));
+                    });
+
+                    if (affected.length === 0) return;
+
+                    const pins = Array.from(new Set(affected.map(usage => usage.label)));
+                    const user = facility === 'Servo' ? 'The Servo library' : 'tone()';
+
+                    conflicts.push({
+                        type: 'timer',
+                        severity: 'warning',
+                        pins: pins,
+                        message: `${user} uses ${timer.name}, which disables PWM on pins ${timer.pins.join(' and ')}; ` +
+                            `${affected.map(usage => `${usage.description} on pin ${usage.label}`).join(', ')} will not work. ` +
+                            `Move it to another PWM pin`,
+                        usages: affected,
+                        loc: this.firstLoc(affected)
+                    });
+                });
+        });
+
+        return conflicts;
+    }
+
+    firstLoc(usages) {
+        const located = usages.find(usage => usage.loc);
+        return located ? located.loc : null;
+    }
+}
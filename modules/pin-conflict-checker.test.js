@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import PinConflictChecker from './pin-conflict-checker.js';
+import BoardRegistry from './board-registry.js';
+
+function checker() {
+    const read = file => JSON.parse(readFileSync(new URL(`../boards/${file}`, import.meta.url), 'utf8'));
+    const registry = new BoardRegistry();
+    registry.registerAll(read('index.json').boards.map(read));
+    return new PinConflictChecker(registry);
+}
+
+test('reports a pin claimed by two modules', () => {
+    const code = '#define TRIG_PIN 7\nNewPing sonar(TRIG_PIN, 8, 200);\nDHT dht(7, DHT22);\nvoid setup() {}\nvoid loop() {}';
+    const { conflicts } = checker().analyze({ model: 'uno', code });
+
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'shared');
+    assert.equal(conflicts[0].severity, 'error');
+    assert.deepEqual(conflicts[0].pins, ['7']);
+    assert.match(conflicts[0].message, /NewPing 'sonar' and DHT 'dht'/);
+    assert.equal(conflicts[0].loc.start.line, 2);
+});
+
+test('treats a picked component and its library object as the same part', () => {
+    const { conflicts } = checker().analyze({
+        model: 'uno',
+        code: 'DHT dht(7, DHT22);\nvoid setup() {}',
+        selections: [{ component: 'dht', name: 'DHT22', role: 'data', type: 'digital', pin: '7', index: 0 }]
+    });
+
+    assert.deepEqual(conflicts, []);
+});
+
+test('warns that Servo disables PWM on pins 9 and 10 of an Uno', () => {
+    const code = 'Servo arm;\nvoid setup() { arm.attach(9); }\nvoid loop() { analogWrite(10, 128); analogWrite(6, 64); }';
+    const { conflicts } = checker().analyze({ model: 'uno', code });
+
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, 'timer');
+    assert.deepEqual(conflicts[0].pins, ['10']);
+    assert.match(conflicts[0].message, /Servo library uses Timer1, which disables PWM on pins 9 and 10/);
+    assert.match(conflicts[0].message, /analogWrite\(\) on pin 10/);
+});
+
+test('leaves PWM alone when the sketch does not use Servo', () => {
+    const { conflicts } = checker().analyze({ model: 'uno', code: 'void loop() { analogWrite(9, 1); analogWrite(10, 2); }' });
+
+    assert.deepEqual(conflicts, []);
+});
+
+test('flags I2C pins on the Uno but not on the Mega', () => {
+    const code = '#include <Wire.h>\nvoid setup() { Wire.begin(); pinMode(A4, OUTPUT); digitalWrite(19, HIGH); }';
+    const pc = checker();
+
+    const uno = pc.analyze({ model: 'uno', code }).conflicts;
+    assert.deepEqual(uno.map(conflict => conflict.type), ['bus', 'bus']);
+    assert.deepEqual(uno.map(conflict => conflict.pins[0]), ['A4', 'A5']);
+    assert.match(uno[0].message, /Pin A4 is I2C SDA; pinMode\(\) cannot use it while the I2C bus is active/);
+
+    assert.deepEqual(pc.analyze({ model: 'mega', code }).conflicts, []);
+
+    const mega = pc.analyze({ model: 'mega2560', code: 'void setup() { Wire.begin(); pinMode(20, INPUT); }' }).conflicts;
+    assert.equal(mega.length, 1);
+    assert.equal(mega[0].type, 'bus');
+    assert.deepEqual(mega[0].pins, ['20']);
+});
@@ -0,0 +1,283 @@
+import ArduinoParser from './arduino-parser.js';
+import ArduinoLexer from './arduino-lexer.js';
+import LineDiff from './line-diff.js';
+
+// Library classes and objects and the header that declares them
+const LIBRARY_HEADERS = {
+    'Servo': 'Servo.h',
+    'LiquidCrystal': 'LiquidCrystal.h',
+    'LiquidCrystal_I2C': 'LiquidCrystal_I2C.h',
+    'Wire': 'Wire.h',
+    'SPI': 'SPI.h',
+    'EEPROM': 'EEPROM.h',
+    'SoftwareSerial': 'SoftwareSerial.h',
+    'Stepper': 'Stepper.h',
+    'DHT': 'DHT.h',
+    'Adafruit_NeoPixel': 'Adafruit_NeoPixel.h',
+    'Adafruit_SSD1306': 'Adafruit_SSD1306.h',
+    'Adafruit_MPU6050': 'Adafruit_MPU6050.h',
+    'Keypad': 'Keypad.h',
+    'SD': 'SD.h',
+    'File': 'SD.h'
+};
+
+// Core names checked for wrong capitalisation: digitalwrite -> digitalWrite
+const CORE_NAMES = [
+    'pinMode', 'digitalWrite', 'digitalRead', 'analogRead', 'analogWrite', 'analogReference',
+    'delay', 'delayMicroseconds', 'millis', 'micros', 'tone', 'noTone', 'pulseIn', 'shiftIn', 'shiftOut',
+    'attachInterrupt', 'detachInterrupt', 'digitalPinToInterrupt', 'interrupts', 'noInterrupts',
+    'map', 'constrain', 'random', 'randomSeed', 'bitRead', 'bitWrite', 'bitSet', 'bitClear',
+    'highByte', 'lowByte', 'isnan', 'isinf',
+    'Serial', 'Serial1', 'Serial2', 'Serial3', 'HIGH', 'LOW', 'INPUT', 'OUTPUT', 'INPUT_PULLUP', 'LED_BUILTIN',
+    'setup', 'loop', 'String', 'boolean', 'byte'
+];
+
+const UNDECLARED = /'([A-Za-z_]\w*)' (?:was not declared in this scope|does not name a type|has not been declared)/;
+
+// Turns diagnostics ({ message, line, column } from ErrorChecker or RealTimeCompiler)
+// into edits on the sketch. A fix is { title, kind, edits: [{ start, end, text }] }
+// with offsets into the code it was computed for.
+export default class QuickFixEngine {
+    constructor() {
+        this.parser = new ArduinoParser();
+        this.lexer = new ArduinoLexer();
+        this.lineDiff = new LineDiff();
+    }
+
+    getFixes(code, diagnostic) {
+        const fixes = [];
+        const message = diagnostic.message || '';
+
+        if (/expected ';'/i.test(message)) {
+            const fix = this.missingSemicolon(code, diagnostic);
+            if (fix) fixes.push(fix);
+        }
+
+        const undeclared = message.match(UNDECLARED);
+        if (undeclared) {
+            fixes.push(...this.undeclaredName(code, diagnostic, undeclared[1]));
+        }
+
+        return fixes;
+    }
+
+    // Unified diff of what the fix would change
+    preview(code, fix) {
+        return this.lineDiff.format(code, this.applyEdits(code, fix.edits));
+    }
+
+    // Undo is the editor's job: CodeEditor.applyEdits() puts a fix on its history
+    apply(code, fix) {
+        return this.applyEdits(code, fix.edits);
+    }
+
+    applyEdits(code, edits) {
+        return [...edits]
+            .sort((a, b) => b.start - a.start)
+            .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), code);
+    }
+
+    // gcc points at the next token, the parser at the end of the previous one;
+    // either way the semicolon goes right after the last token before that point
+    missingSemicolon(code, diagnostic) {
+        const offset = this.offsetAt(code, diagnostic.line, diagnostic.column);
+        if (offset === null) return null;
+
+        const { tokens } = this.lexer.tokenize(code);
+        const previous = tokens.filter(token => token.type !== 'eof' && token.end.offset <= offset).pop();
+        if (!previous || previous.value === ';') return null;
+
+        return {
+            title: `Insert ';' after '${previous.value}'`,
+            kind: 'insert-semicolon',
+            edits: [{ start: previous.end.offset, end: previous.end.offset, text: ';' }]
+        };
+    }
+
+    // Most likely fix first: missing #include, wrong case, missing prototype, missing variable
+    undeclaredName(code, diagnostic, name) {
+        const header = LIBRARY_HEADERS[name];
+        if (header) {
+            return this.hasInclude(code, header) ? [] : [this.addInclude(code, header)];
+        }
+
+        const fixes = [];
+        const ast = this.parser.parse(code);
+        const { tokens } = this.lexer.tokenize(code);
+
+        const caseFix = this.fixCase(ast, tokens, name);
+        if (caseFix) fixes.push(caseFix);
+
+        const offset = this.offsetAt(code, diagnostic.line, diagnostic.column);
+        const use = tokens.findIndex(token => token.type === 'identifier' && token.value === name &&
+            (offset === null || token.end.offset > offset));
+        const isCall = use !== -1 && tokens[use + 1] && tokens[use + 1].value === '(';
+
+        if (isCall) {
+            const prototype = this.addPrototype(code, ast, name);
+            if (prototype) fixes.push(prototype);
+        } else if (!caseFix) {
+            fixes.push(this.declareVariable(code, ast, tokens, name));
+        }
+
+        return fixes;
+    }
+
+    hasInclude(code, header) {
+        return new RegExp(`#\\s*include\\s*[<"]${header.replace('.', '\\.')}[>"]`).test(code);
+    }
+
+    addInclude(code, header) {
+        const lines = code.split('\n');
+        let line = -1;
+        lines.forEach((text, index) => {
+            if (/^\s*#\s*include\b/.test(text)) line = index;
+        });
+
+        // Without other includes, go below the opening comment block
+        let text = `#include <${header}>\n`;
+        if (line === -1) {
+            line = 0;
+            while (line < lines.length && /^\s*(\/\/.*)?$/.test(lines[line]) && lines[line].trim() !== '') line++;
+            line--;
+            if (lines[line + 1] && lines[line + 1].trim() !== '') text += '\n';
+        }
+
+        const offset = this.lineOffset(lines, line + 1);
+        return {
+            title: `Add #include <${header}>`,
+            kind: 'add-include',
+            edits: [{ start: offset, end: offset, text }]
+        };
+    }
+
+    fixCase(ast, tokens, name) {
+        const declared = this.parser.findAll(ast, ['FunctionDeclaration', 'VariableDeclarator'])
+            .map(node => node.name)
+            .filter(Boolean);
+
+        const match = [...CORE_NAMES, ...declared].find(candidate =>
+            candidate !== name && candidate.toLowerCase() === name.toLowerCase());
+        if (!match) return null;
+
+        const edits = tokens
+            .filter((token, index) => token.type === 'identifier' && token.value === name &&
+                !(tokens[index - 1] && (tokens[index - 1].value === '.' || tokens[index - 1].value === '->')))
+            .map(token => ({ start: token.start.offset, end: token.end.offset, text: match }));
+
+        return {
+            title: `Change '${name}' to '${match}'`,
+            kind: 'fix-case',
+            edits: edits
+        };
+    }
+
+    // Functions defined below their first use need a prototype outside the .ino preprocessor
+    addPrototype(code, ast, name) {
+        const fn = ast.body.find(node => node.type === 'FunctionDeclaration' && node.name === name && node.body);
+        if (!fn) return null;
+
+        const signature = this.getPrototype(code, fn);
+
+        return {
+            title: `Add forward declaration '${signature};'`,
+            kind: 'add-prototype',
+            edits: [this.getGlobalsEdit(code, ast, `${signature};\n\n`)]
+        };
+    }
+
+    // Function head without its default arguments, which may only be given once
+    getPrototype(code, fn) {
+        const head = code.slice(fn.loc.start.offset, fn.body.loc.start.offset);
+        const tokens = this.lexer.tokenize(head).tokens;
+        const removed = [];
+
+        // A default runs from its '=' to the ',' or ')' that closes the parameter
+        let depth = 0;
+        let start = null;
+        tokens.forEach(token => {
+            if (token.type !== 'punctuator') return;
+
+            if (['(', '[', '{'].includes(token.value)) depth++;
+            if (depth === 1 && token.value === '=' && start === null) start = token.start.offset;
+            if (depth === 1 && (token.value === ',' || token.value === ')') && start !== null) {
+                removed.push([start, token.start.offset]);
+                start = null;
+            }
+            if ([')', ']', '}'].includes(token.value)) depth--;
+        });
+
+        return removed.reverse()
+            .reduce((text, [from, to]) => text.slice(0, from).replace(/\s+$/, '') + text.slice(to), head)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    declareVariable(code, ast, tokens, name) {
+        const type = this.inferType(tokens, name);
+        const initial = { 'String': '', 'bool': ' = false', 'float': ' = 0.0', 'char': ' = 0' }[type] ?? ' = 0';
+
+        return {
+            title: `Declare '${name}' as a global ${type}`,
+            kind: 'declare-variable',
+            edits: [this.getGlobalsEdit(code, ast, `${type} ${name}${initial};\n\n`)]
+        };
+    }
+
+    // Type from the first assignment: x = "text", x = 1.5, x = millis(), x = true
+    inferType(tokens, name) {
+        const index = tokens.findIndex((token, i) =>
+            token.type === 'identifier' && token.value === name && tokens[i + 1] && tokens[i + 1].value === '=');
+        if (index === -1) return 'int';
+
+        const value = tokens[index + 2];
+        if (!value) return 'int';
+        if (value.type === 'string') return 'String';
+        if (value.type === 'char') return 'char';
+        if (value.value === 'true' || value.value === 'false') return 'bool';
+        if (value.type === 'number' && /[.eE]/.test(value.value) && !/^0x/i.test(value.value)) return 'float';
+        if (value.value === 'millis' || value.value === 'micros') return 'unsigned long';
+        return 'int';
+    }
+
+    // Edit adding text (declarations ending in a blank line) after the last global before
+    // the first function, or right above that function
+    getGlobalsEdit(code, ast, text) {
+        const firstFunction = ast.body.findIndex(node => node.type === 'FunctionDeclaration' && node.body);
+        const lines = code.split('\n');
+        if (firstFunction === -1) return { start: code.length, end: code.length, text };
+
+        const previous = ast.body.slice(0, firstFunction).filter(node => node.type !== 'FunctionDeclaration');
+
+        // "int x; void setup() {" - split the line rather than landing inside setup()
+        if (previous.length > 0) {
+            const end = previous[previous.length - 1].loc.end.offset;
+            const [, spaces, following] = code.slice(end).match(/^([ \t]*)([^\r\n]*)/);
+            if (following && !following.startsWith('//')) {
+                return { start: end, end: end + spaces.length, text: '\n\n' + text };
+            }
+        }
+
+        // loc lines are 1-based, so the line after the last global starts at index end.line
+        const line = previous.length > 0
+            ? previous[previous.length - 1].loc.end.line
+            : ast.body[firstFunction].loc.start.line - 1;
+
+        const gap = previous.length > 0 && lines[line] === '' ? 1 : 0;
+        const offset = this.lineOffset(lines, line + gap);
+        return { start: offset, end: offset, text };
+    }
+
+    lineOffset(lines, index) {
+        return lines.slice(0, index).reduce((offset, text) => offset + text.length + 1, 0);
+    }
+
+    offsetAt(code, line, column) {
+        if (!line) return null;
+
+        const lines = code.split('\n');
+        if (line > lines.length) return code.length;
+
+        return this.lineOffset(lines, line - 1) + Math.min(Math.max((column || 1) - 1, 0), lines[line - 1].length);
+    }
+}
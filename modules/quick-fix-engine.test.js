@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QuickFixEngine from './quick-fix-engine.js';
+
+function fix(code, message, line, column, kind) {
+    const engine = new QuickFixEngine();
+    const found = engine.getFixes(code, { message, line, column }).find(candidate => candidate.kind === kind);
+    assert.ok(found, `no ${kind} fix`);
+    return { fix: found, result: engine.applyEdits(code, found.edits) };
+}
+
+test('declares a missing variable on the line after the last global', () => {
+    const { result } = fix('int a = 1;\nvoid setup(){ count = 5; }',
+        "'count' was not declared in this scope", 2, 15, 'declare-variable');
+
+    assert.equal(result, 'int a = 1;\nint count = 0;\n\nvoid setup(){ count = 5; }');
+});
+
+test('keeps the blank line between the globals and the first function', () => {
+    const { result } = fix('const int led = 13;\nint count;\n\nvoid setup() {\n  total = 1.5;\n}\n',
+        "'total' was not declared in this scope", 5, 3, 'declare-variable');
+
+    assert.equal(result, 'const int led = 13;\nint count;\n\nfloat total = 0.0;\n\nvoid setup() {\n  total = 1.5;\n}\n');
+});
+
+test('splits a global and a function that share a line', () => {
+    const { result } = fix('int a = 1; void setup(){ count = 5; }',
+        "'count' was not declared in this scope", 1, 26, 'declare-variable');
+
+    assert.equal(result, 'int a = 1;\n\nint count = 0;\n\nvoid setup(){ count = 5; }');
+});
+
+test('adds a prototype after a library object, outside setup()', () => {
+    const { fix: prototype, result } = fix('Servo s;\nvoid setup(){ go(); }\nvoid go(){}\n',
+        "'go' was not declared in this scope", 2, 15, 'add-prototype');
+
+    assert.equal(prototype.title, "Add forward declaration 'void go();'");
+    assert.equal(result, 'Servo s;\nvoid go();\n\nvoid setup(){ go(); }\nvoid go(){}\n');
+});
+
+test('adds a prototype above the first function when there are no globals', () => {
+    const { result } = fix('void setup() {\n  go();\n}\n\nvoid go() {}\n',
+        "'go' was not declared in this scope", 2, 3, 'add-prototype');
+
+    assert.equal(result, 'void go();\n\nvoid setup() {\n  go();\n}\n\nvoid go() {}\n');
+});
+
+test('leaves default arguments out of the prototype', () => {
+    const { fix: prototype } = fix('void setup() { blink(3); }\nvoid blink(int times = 2, int pause = (100 * 2), const char *label = "a,b)") { }\n',
+        "'blink' was not declared in this scope", 1, 16, 'add-prototype');
+
+    assert.equal(prototype.title, "Add forward declaration 'void blink(int times, int pause, const char *label);'");
+});
+
+test('keeps operator== and parameters without defaults intact', () => {
+    const engine = new QuickFixEngine();
+    const code = 'struct Counter { int n; };\nbool operator==(const Counter &a, const Counter &b) { return a.n == b.n; }';
+    const fn = engine.parser.parse(code).body.find(node => node.type === 'FunctionDeclaration');
+
+    assert.equal(engine.getPrototype(code, fn), 'bool operator==(const Counter &a, const Counter &b)');
+});
@@ -1,57 +1,698 @@
+import ArduinoParser from './arduino-parser.js';
+import ArduinoLexer from './arduino-lexer.js';
+import MemoryEstimator from './memory-estimator.js';
+import PinConflictChecker from './pin-conflict-checker.js';
+import ApiKnowledgeBase from './api-knowledge-base.js';
+
+// Names that are always in scope in a sketch (core API, constants, common C library).
+// Argument counts come from the API definitions in api/*.json.
+const CORE_IDENTIFIERS = new Set([
+    'pinMode', 'digitalWrite', 'digitalRead', 'analogRead', 'analogWrite', 'analogReference',
+    'analogReadResolution', 'analogWriteResolution', 'delay', 'delayMicroseconds', 'millis', 'micros',
+    'tone', 'noTone', 'pulseIn', 'pulseInLong', 'shiftIn', 'shiftOut', 'attachInterrupt', 'detachInterrupt',
+    'digitalPinToInterrupt', 'interrupts', 'noInterrupts', 'map', 'constrain', 'min', 'max', 'abs', 'sq',
+    'sqrt', 'pow', 'isnan', 'isinf', 'random', 'randomSeed', 'bitRead', 'bitWrite', 'bitSet', 'bitClear',
+    'bit', 'highByte', 'lowByte', 'yield',
+    'Serial', 'Serial1', 'Serial2', 'Serial3', 'SerialUSB', 'Wire', 'SPI', 'EEPROM',
+    'HIGH', 'LOW', 'INPUT', 'OUTPUT', 'INPUT_PULLUP', 'LED_BUILTIN',
+    'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8', 'A9', 'A10', 'A11', 'A12', 'A13', 'A14', 'A15',
+    'CHANGE', 'RISING', 'FALLING', 'LSBFIRST', 'MSBFIRST', 'DEC', 'HEX', 'OCT', 'BIN',
+    'DEFAULT', 'EXTERNAL', 'INTERNAL', 'INTERNAL1V1', 'INTERNAL2V56', 'NOT_A_PIN', 'NOT_AN_INTERRUPT',
+    'PI', 'HALF_PI', 'TWO_PI', 'DEG_TO_RAD', 'RAD_TO_DEG', 'EULER', 'NULL', 'F_CPU',
+    'SS', 'MOSI', 'MISO', 'SCK', 'SDA', 'SCL', 'SERIAL_8N1',
+    'F', 'PSTR', 'pgm_read_byte', 'pgm_read_word', 'pgm_read_dword', 'pgm_read_float', 'strcpy_P', 'strlen_P',
+    'strlen', 'strcpy', 'strncpy', 'strcmp', 'strncmp', 'strcat', 'strchr', 'strstr', 'strtok',
+    'sprintf', 'snprintf', 'memcpy', 'memset', 'memcmp', 'malloc', 'free',
+    'itoa', 'ltoa', 'utoa', 'atoi', 'atol', 'atof', 'dtostrf', 'strtol', 'strtoul',
+    'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'atan2', 'exp', 'log', 'log10',
+    'floor', 'ceil', 'round', 'fabs', 'fmod', 'radians', 'degrees',
+    'isDigit', 'isAlpha', 'isAlphaNumeric', 'isSpace', 'isWhitespace', 'isUpperCase', 'isLowerCase',
+    'isPunct', 'isHexadecimalDigit', 'isAscii', 'isControl', 'isGraph', 'isPrintable',
+    'cli', 'sei', '_BV', 'word', 'makeWord'
+]);
+
+// Headers whose declarations are fully covered by CORE_IDENTIFIERS
+const CORE_HEADERS = new Set([
+    'Arduino.h', 'Wire.h', 'SPI.h', 'EEPROM.h', 'math.h', 'string.h', 'stdlib.h', 'stdio.h', 'stdint.h', 'stdbool.h'
+]);
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
 export default class RealTimeCompiler {
-    constructor() {
+    constructor(registry = null, api = null) {
+        this.parser = new ArduinoParser();
+        this.lexer = new ArduinoLexer();
+        this.memoryEstimator = new MemoryEstimator();
+        this.pinChecker = new PinConflictChecker(registry);
+        this.api = api || new ApiKnowledgeBase();
+        this.coreIdentifiers = CORE_IDENTIFIERS;
+        this.functions = new Map();
+        this.classes = new Map();
+        this.libraryHeaders = [];
+        this.includedHeaders = [];
+        this.conditionals = 0;
+        this.branch = [];
         this.errors = [];
         this.warnings = [];
     }
 
-    async compileCode(code) {
+    // board: capabilities of the target (getDeviceCapabilities) plus its model name
+    async compileCode(code, board) {
+        try {
+            await this.pinChecker.registry.load();
+        } catch (error) {
+            console.warn('⚠️ Board definitions unavailable, skipping pin checks:', error);
+        }
+
+        try {
+            await this.api.load();
+        } catch (error) {
+            console.warn('⚠️ API definitions unavailable, skipping argument checks:', error);
+        }
+
         // Simulate compilation process
         return new Promise((resolve) => {
             setTimeout(() => {
-                const result = this.analyzeSyntax(code);
+                const result = this.analyzeSyntax(code, board);
                 resolve(result);
             }, 500);
         });
     }
 
-    analyzeSyntax(code) {
+    analyzeSyntax(code, board) {
         this.errors = [];
         this.warnings = [];
 
-        const lines = code.split('\n');
-        
-        lines.forEach((line, index) => {
-            this.checkLineSyntax(line, index + 1);
+        const ast = this.parser.parse(code);
+        const delimiterErrors = this.checkDelimiters(code);
+
+        delimiterErrors.forEach(error => this.errors.push(error));
+
+        // The delimiter check explains unbalanced brackets better than the parser's follow-up errors
+        ast.errors.forEach(error => {
+            if (delimiterErrors.length > 0 && /^Expected '[)\]}]'/.test(error.message)) return;
+            this.report(this.errors, 'syntax', error.message, error.loc);
         });
 
+        this.checkSymbols(ast);
+        this.checkEntryPoints(ast, code);
+
+        const memory = this.memoryEstimator.estimate(ast, board);
+        memory.warnings.forEach(warning => {
+            this.report(warning.severity === 'error' ? this.errors : this.warnings, 'memory', warning.message, warning.loc);
+        });
+
+        // Pin clashes still compile, so they are warnings even when the wiring cannot work
+        const start = { line: 1, column: 1, offset: 0 };
+        this.pinChecker.analyze({ model: board && board.model, ast }).conflicts.forEach(conflict => {
+            this.report(this.warnings, 'pins', conflict.message, conflict.loc || { start, end: start });
+        });
+
+        const byPosition = (a, b) => a.line - b.line || a.column - b.column;
+        this.errors.sort(byPosition);
+        this.warnings.sort(byPosition);
+
         return {
             success: this.errors.length === 0,
             errors: this.errors,
             warnings: this.warnings,
-            compiledSize: this.calculateSize(code)
+            compiledSize: memory.flash.used,
+            memory: {
+                flash: memory.flash,
+                sram: memory.sram,
+                breakdown: memory.breakdown
+            }
         };
     }
 
-    checkLineSyntax(line, lineNumber) {
-        // Check for common syntax errors
-        if (line.includes('if(') && !line.includes(')')) {
-            this.errors.push({
-                line: lineNumber,
-                message: 'Missing closing parenthesis in if statement',
-                type: 'syntax'
+    report(list, type, message, loc) {
+        list.push(this.createDiagnostic(type, message, loc));
+    }
+
+    createDiagnostic(type, message, loc) {
+        return {
+            line: loc.start.line,
+            column: loc.start.column,
+            endLine: loc.end.line,
+            endColumn: loc.end.column,
+            message: message,
+            type: type
+        };
+    }
+
+    // Match (), [] and {} over the whole file, reporting where an unclosed one was opened
+    checkDelimiters(code) {
+        const { tokens } = this.lexer.tokenize(code);
+        const stack = [];
+        const errors = [];
+        const push = (message, token) => {
+            errors.push(this.createDiagnostic('syntax', message, { start: token.start, end: token.end }));
+        };
+
+        tokens.forEach(token => {
+            if (token.type !== 'punctuator') return;
+
+            if (CLOSING[token.value]) {
+                stack.push(token);
+                return;
+            }
+
+            if (![')', ']', '}'].includes(token.value)) return;
+
+            const matchIndex = stack.map(open => CLOSING[open.value]).lastIndexOf(token.value);
+
+            if (matchIndex === -1) {
+                push(`Unexpected '${token.value}' without a matching opening bracket`, token);
+                return;
+            }
+
+            // Everything opened after the match was never closed
+            stack.splice(matchIndex + 1).forEach(open => {
+                push(`Unclosed '${open.value}' (expected '${CLOSING[open.value]}' before line ${token.start.line})`, open);
             });
+            stack.pop();
+        });
+
+        stack.forEach(open => {
+            push(`Unclosed '${open.value}' (expected '${CLOSING[open.value]}' before end of file)`, open);
+        });
+
+        return errors;
+    }
+
+    // Scope analysis: undeclared identifiers, redefinitions and argument counts
+    checkSymbols(ast) {
+        const globals = new Map();
+        this.functions = new Map();
+        this.classes = new Map();
+        this.libraryHeaders = [];
+        this.includedHeaders = [];
+        this.conditionals = 0;
+        this.branch = [];
+
+        // Arduino generates prototypes, so every function is visible everywhere
+        ast.body.forEach(node => {
+            if (node.type === 'PreprocessorDirective') this.trackConditional(node);
+            if (node.type === 'FunctionDeclaration' && node.name && !node.name.includes('::')) {
+                this.declareFunction(node);
+            }
+            if (node.type === 'PreprocessorDirective' && node.directive === 'include') {
+                this.includedHeaders.push(node.path);
+                if (!CORE_HEADERS.has(node.path)) this.libraryHeaders.push(node.path);
+            }
+        });
+
+        // The second pass walks the same #if blocks again
+        this.conditionals = 0;
+        this.branch = [];
+
+        const scope = { names: globals, parent: null };
+
+        ast.body.forEach(node => {
+            if (node.type === 'FunctionDeclaration') {
+                this.checkFunction(node, scope);
+            } else {
+                this.checkStatement(node, scope);
+            }
+        });
+    }
+
+    declareFunction(node) {
+        const signature = node.params.map(param => param.variadic ? '...' : `${param.typeSpec.name}${'*'.repeat(param.pointer)}`).join(',');
+        const overloads = this.functions.get(node.name) || [];
+        const existing = overloads.find(overload => overload.signature === signature);
+
+        if (existing && this.isExclusive(existing.branch)) {
+            if (node.body) existing.node = node;
+            return;
         }
 
-        if (line.trim().endsWith('{') && !this.checkBraceBalance(line)) {
-            this.warnings.push({
-                line: lineNumber,
-                message: 'Possible brace imbalance',
-                type: 'style'
-            });
+        if (existing && existing.node.body && node.body) {
+            this.report(this.errors, 'redefinition',
+                `Redefinition of '${node.name}' (first defined on line ${existing.node.loc.start.line})`, node.loc);
+            return;
+        }
+
+        if (existing) {
+            if (node.body) existing.node = node;
+            return;
+        }
+
+        overloads.push({ signature, node, branch: this.branch });
+        this.functions.set(node.name, overloads);
+    }
+
+    // #if/#ifdef/#ifndef open a block, #elif/#else switch to its next arm; this.branch is the
+    // path of { id, arm } through the blocks enclosing the current line. Declared symbols keep
+    // the path they were declared on, so it is replaced rather than changed in place.
+    trackConditional(node) {
+        const branch = this.branch.map(entry => ({ ...entry }));
+
+        switch (node.directive) {
+            case 'if':
+            case 'ifdef':
+            case 'ifndef':
+                branch.push({ id: ++this.conditionals, arm: 0 });
+                break;
+            case 'elif':
+            case 'else':
+                if (branch.length) branch[branch.length - 1].arm++;
+                break;
+            case 'endif':
+                branch.pop();
+                break;
+        }
+
+        this.branch = branch;
+    }
+
+    // True when a symbol declared on the given path can never be compiled together with the
+    // current line, e.g. the #ifdef ESP32 and #else versions of the same pin constant
+    isExclusive(branch = []) {
+        return branch.some(entry => this.branch.some(current => current.id === entry.id && current.arm !== entry.arm));
+    }
+
+    // type: declared type name, used to check method calls on library objects (Servo servo;)
+    declare(scope, name, node, kind, type = null) {
+        if (!name) return;
+
+        const existing = scope.names.get(name);
+        if (existing && this.isExclusive(existing.branch)) {
+            scope.names.set(name, { node, kind, type, branch: this.branch });
+            return;
+        }
+
+        if (existing && !(existing.kind === 'extern' || kind === 'extern')) {
+            this.report(this.errors, 'redefinition',
+                `Redefinition of '${name}' (previously declared on line ${existing.node.loc.start.line})`, node.loc);
+            return;
+        }
+
+        if (!scope.parent && this.functions.has(name) && kind !== 'function') {
+            this.report(this.errors, 'redefinition', `'${name}' redeclared as a different kind of symbol`, node.loc);
+            return;
+        }
+
+        scope.names.set(name, { node, kind, type, branch: this.branch });
+    }
+
+    // Redefining a macro with the same body is allowed; a different body only draws a warning
+    // from the compiler, so neither is an error here
+    defineMacro(root, node) {
+        const existing = root.names.get(node.name);
+
+        if (existing && existing.kind === 'macro' && !this.isExclusive(existing.branch)) {
+            if (existing.node.value !== node.value) {
+                this.report(this.warnings, 'redefinition',
+                    `'${node.name}' redefined (previously defined on line ${existing.node.loc.start.line})`, node.loc);
+                root.names.set(node.name, { ...existing, node, branch: this.branch });
+            }
+            return;
+        }
+
+        this.declare(root, node.name, node, 'macro');
+    }
+
+    child(scope) {
+        return { names: new Map(), parent: scope };
+    }
+
+    resolve(scope, name) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(name)) return true;
+        }
+
+        return this.functions.has(name) ||
+            this.classes.has(name) ||
+            this.coreIdentifiers.has(name) ||
+            this.api.isGlobal(name, this.includedHeaders) ||
+            this.parser.builtinTypes.has(name);
+    }
+
+    lookup(scope, name) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(name)) return current.names.get(name);
+        }
+        return null;
+    }
+
+    checkFunction(node, scope) {
+        if (!node.body) return;
+
+        let outer = scope;
+
+        // Out-of-class methods see the members of their class
+        const owner = node.name && node.name.includes('::') ? node.name.split('::')[0] : null;
+        if (owner && this.classes.has(owner)) {
+            outer = { names: this.classes.get(owner), parent: scope };
         }
+
+        // Parameters share the function body's outermost scope
+        const local = this.child(outer);
+        node.params.forEach(param => {
+            if (param.name) this.declare(local, param.name, param, 'parameter', param.typeSpec.name);
+            if (param.defaultValue) this.checkExpression(param.defaultValue, scope);
+        });
+
+        node.body.body.forEach(statement => this.checkStatement(statement, local));
     }
 
-    calculateSize(code) {
-        return new Blob([code]).size;
+    // Instances named after the closing brace (struct Point { ... } origin;) are variables,
+    // except in a typedef where they are aliases of the type
+    checkClass(node, scope, declareInstances = true) {
+        const members = new Map();
+        if (node.name) this.classes.set(node.name, members);
+
+        node.members.forEach(member => {
+            if (member.type === 'VariableDeclaration') {
+                member.declarations.forEach(declarator => members.set(declarator.name, { node: declarator, kind: 'member', type: member.typeSpec.name }));
+            } else if (member.type === 'FunctionDeclaration' && member.name) {
+                members.set(member.name, { node: member, kind: 'member' });
+            } else if (member.type === 'EnumDeclaration') {
+                member.members.forEach(item => members.set(item.name, { node: item, kind: 'member' }));
+            }
+        });
+
+        const classScope = { names: members, parent: scope };
+        node.members.forEach(member => {
+            if (member.type === 'FunctionDeclaration') {
+                this.checkFunction(member, classScope);
+            } else if (member.type === 'VariableDeclaration') {
+                member.declarations.forEach(declarator => this.checkDeclarator(declarator, classScope));
+            }
+        });
+
+        if (declareInstances) {
+            node.declarators.forEach(name => this.declare(scope, name, node, 'variable'));
+        }
+    }
+
+    checkDeclarator(declarator, scope) {
+        declarator.arraySizes.forEach(size => size && this.checkExpression(size, scope));
+        if (declarator.init) this.checkExpression(declarator.init, scope);
+        if (declarator.arguments) declarator.arguments.forEach(arg => this.checkExpression(arg, scope));
+    }
+
+    checkStatement(node, scope) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'PreprocessorDirective':
+                this.trackConditional(node);
+                if (node.directive === 'define' && node.name) {
+                    this.defineMacro(this.rootScope(scope), node);
+                }
+                if (node.directive === 'undef') {
+                    const root = this.rootScope(scope);
+                    const existing = root.names.get(node.argument);
+                    if (existing && existing.kind === 'macro') root.names.delete(node.argument);
+                }
+                break;
+
+            case 'VariableDeclaration': {
+                const kind = node.typeSpec.qualifiers.includes('extern') ? 'extern' : 'variable';
+                node.declarations.forEach(declarator => {
+                    this.checkDeclarator(declarator, scope);
+                    this.checkConstructorArguments(declarator, node.typeSpec.name);
+                    this.declare(scope, declarator.name, declarator, kind, node.typeSpec.name);
+                });
+                break;
+            }
+
+            case 'FunctionDeclaration':
+                // Local prototype
+                break;
+
+            case 'ClassDeclaration':
+                this.checkClass(node, scope);
+                break;
+
+            case 'EnumDeclaration':
+                if (node.name) this.classes.set(node.name, new Map());
+                node.members.forEach(member => {
+                    if (member.value) this.checkExpression(member.value, scope);
+                    if (!node.scoped) this.declare(scope, member.name, member, 'enumerator');
+                });
+                node.declarators.forEach(name => this.declare(scope, name, node, 'variable'));
+                break;
+
+            case 'TypedefDeclaration':
+                if (node.definition && node.definition.type === 'ClassDeclaration') {
+                    this.checkClass(node.definition, scope, false);
+                } else if (node.definition) {
+                    node.definition.members.forEach(member => this.declare(scope, member.name, member, 'enumerator'));
+                }
+                node.names.forEach(name => {
+                    const definition = node.definition && node.definition.type === 'ClassDeclaration' ? node.definition : null;
+                    this.classes.set(name, (definition && this.classes.get(definition.name)) || new Map());
+                });
+                break;
+
+            case 'NamespaceDeclaration':
+                node.body.forEach(child => child.type === 'FunctionDeclaration'
+                    ? this.checkFunction(child, scope)
+                    : this.checkStatement(child, scope));
+                break;
+
+            case 'BlockStatement': {
+                const block = this.child(scope);
+                node.body.forEach(statement => this.checkStatement(statement, block));
+                break;
+            }
+
+            case 'ExpressionStatement':
+                this.checkExpression(node.expression, scope);
+                break;
+
+            case 'IfStatement':
+                this.checkExpression(node.test, scope);
+                this.checkStatement(node.consequent, this.child(scope));
+                this.checkStatement(node.alternate, this.child(scope));
+                break;
+
+            case 'ForStatement': {
+                const loop = this.child(scope);
+                if (node.init && node.init.type === 'VariableDeclaration') {
+                    this.checkStatement(node.init, loop);
+                } else if (node.init) {
+                    this.checkExpression(node.init, loop);
+                }
+                if (node.test) this.checkExpression(node.test, loop);
+                if (node.update) this.checkExpression(node.update, loop);
+                this.checkStatement(node.body, this.child(loop));
+                break;
+            }
+
+            case 'ForRangeStatement': {
+                this.checkExpression(node.range, scope);
+                const loop = this.child(scope);
+                this.checkStatement(node.declaration, loop);
+                this.checkStatement(node.body, this.child(loop));
+                break;
+            }
+
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.checkExpression(node.test, scope);
+                this.checkStatement(node.body, this.child(scope));
+                break;
+
+            case 'SwitchStatement': {
+                this.checkExpression(node.discriminant, scope);
+                const cases = this.child(scope);
+                node.cases.forEach(item => {
+                    if (item.test) this.checkExpression(item.test, scope);
+                    item.consequent.forEach(statement => this.checkStatement(statement, cases));
+                });
+                break;
+            }
+
+            case 'ReturnStatement':
+                if (node.argument) this.checkExpression(node.argument, scope);
+                break;
+        }
+    }
+
+    rootScope(scope) {
+        let root = scope;
+        while (root.parent) root = root.parent;
+        return root;
+    }
+
+    checkExpression(node, scope) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'Identifier':
+                this.checkIdentifier(node, scope);
+                break;
+
+            case 'CallExpression':
+                this.checkExpression(node.callee, scope);
+                node.arguments.forEach(arg => this.checkExpression(arg, scope));
+                this.checkArgumentCount(node, scope);
+                break;
+
+            case 'MemberExpression':
+                this.checkExpression(node.object, scope);
+                if (node.computed) this.checkExpression(node.property, scope);
+                break;
+
+            case 'BinaryExpression':
+            case 'LogicalExpression':
+            case 'AssignmentExpression':
+                this.checkExpression(node.left, scope);
+                this.checkExpression(node.right, scope);
+                break;
+
+            case 'UnaryExpression':
+            case 'UpdateExpression':
+            case 'CastExpression':
+            case 'DeleteExpression':
+                this.checkExpression(node.argument, scope);
+                break;
+
+            case 'SizeofExpression':
+                if (node.argument.type !== 'TypeSpecifier') this.checkExpression(node.argument, scope);
+                break;
+
+            case 'ConditionalExpression':
+                this.checkExpression(node.test, scope);
+                this.checkExpression(node.consequent, scope);
+                this.checkExpression(node.alternate, scope);
+                break;
+
+            case 'SequenceExpression':
+                node.expressions.forEach(expression => this.checkExpression(expression, scope));
+                break;
+
+            case 'InitializerList':
+                node.elements.forEach(element => this.checkExpression(element, scope));
+                break;
+
+            case 'NewExpression':
+                node.arguments.forEach(arg => this.checkExpression(arg, scope));
+                break;
+
+            case 'LambdaExpression': {
+                // Captures are names from the enclosing scope, which the body can see anyway
+                const local = this.child(scope);
+                node.params.forEach(param => {
+                    if (param.name) this.declare(local, param.name, param, 'parameter', param.typeSpec.name);
+                });
+                node.body.body.forEach(statement => this.checkStatement(statement, local));
+                break;
+            }
+        }
+    }
+
+    checkIdentifier(node, scope) {
+        // Scoped names (State::IDLE, Foo::bar) are resolved by the compiler, not here
+        if (node.name.includes('::') || this.resolve(scope, node.name)) return;
+
+        const message = `'${node.name}' was not declared in this scope`;
+
+        // Library headers and the AVR register macros (PORTB, TCCR1A, ...) are not modelled
+        if (this.libraryHeaders.length > 0) {
+            this.report(this.warnings, 'undeclared', `${message} (it may be declared in ${this.libraryHeaders.map(path => `<${path}>`).join(', ')})`, node.loc);
+        } else if (/^[A-Z][A-Z0-9_]*$/.test(node.name)) {
+            this.report(this.warnings, 'undeclared', `${message} (unless it is a macro from the AVR headers)`, node.loc);
+        } else {
+            this.report(this.errors, 'undeclared', message, node.loc);
+        }
+    }
+
+    checkArgumentCount(node, scope) {
+        const name = this.parser.getCalleeName(node);
+        if (!name) return;
+
+        const count = node.arguments.length;
+        let range = null;
+
+        // Sketch functions override core ones; any overload with a matching arity is fine
+        if (node.callee.type === 'Identifier' && this.functions.has(name) && !this.isShadowed(scope, name)) {
+            const ranges = this.functions.get(name).map(overload => this.getParameterRange(overload.node));
+            if (ranges.some(([min, max]) => count >= min && count <= max)) return;
+            range = ranges[0];
+        } else if (node.callee.type === 'Identifier' && !this.isShadowed(scope, name)) {
+            range = this.api.getArgumentRange(name);
+        } else if (node.callee.type === 'MemberExpression' && !node.callee.computed) {
+            const className = this.getReceiverClass(node.callee.object, scope);
+            if (className) range = this.api.getArgumentRange(node.callee.property.name, className);
+        }
+
+        if (!range) return;
+
+        const [min, max] = range;
+        if (count < min) {
+            this.report(this.errors, 'arguments', `Too few arguments to function '${name}' (expected ${this.describeRange(min, max)}, got ${count})`, node.loc);
+        } else if (count > max) {
+            this.report(this.errors, 'arguments', `Too many arguments to function '${name}' (expected ${this.describeRange(min, max)}, got ${count})`, node.loc);
+        }
+    }
+
+    // Library class of the object a method is called on: Serial, or a variable declared as Servo
+    getReceiverClass(object, scope) {
+        if (object.type !== 'Identifier') return null;
+
+        const entry = this.lookup(scope, object.name);
+        if (!entry) return this.api.getObjectClass(object.name);
+
+        // Sketch classes with the same name as a library class are not checked
+        return entry.type && !this.classes.has(entry.type) && this.api.getClass(entry.type) ? entry.type : null;
+    }
+
+    // Servo servo(9); LiquidCrystal lcd(12, 11, 5); - constructor overloads have fixed arities
+    checkConstructorArguments(declarator, typeName) {
+        const cls = !declarator.arguments || this.classes.has(typeName) ? null : this.api.getClass(typeName);
+        if (!cls || cls.constructors.length === 0) return;
+
+        const count = declarator.arguments.length;
+        const fits = cls.constructors.some(constructor =>
+            count >= constructor.params.filter(param => !param.optional).length && count <= constructor.params.length);
+        if (fits) return;
+
+        const counts = [...new Set(cls.constructors.map(constructor => {
+            const [min, max] = this.api.range([constructor]);
+            return this.describeRange(min, max);
+        }))];
+        const expected = counts.length > 1 ? `${counts.slice(0, -1).join(', ')} or ${counts[counts.length - 1]}` : counts[0];
+        this.report(this.errors, 'arguments',
+            `No matching constructor for '${typeName} ${declarator.name}' (expected ${expected} arguments, got ${count})`, declarator.loc);
+    }
+
+    isShadowed(scope, name) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(name)) return true;
+        }
+        return false;
+    }
+
+    getParameterRange(fn) {
+        if (fn.params.some(param => param.variadic)) {
+            return [fn.params.length - 1, Infinity];
+        }
+        return [fn.params.filter(param => !param.defaultValue).length, fn.params.length];
+    }
+
+    describeRange(min, max) {
+        if (min === max) return `${min}`;
+        if (max === Infinity) return `at least ${min}`;
+        return `${min} to ${max}`;
+    }
+
+    checkEntryPoints(ast, code) {
+        if (!code.trim()) return;
+
+        const defined = new Set(ast.body
+            .filter(node => node.type === 'FunctionDeclaration' && node.body)
+            .map(node => node.name));
+        const start = { line: 1, column: 1, offset: 0 };
+
+        ['setup', 'loop'].forEach(name => {
+            if (!defined.has(name)) {
+                this.report(this.errors, 'structure', `Missing ${name}() function: every sketch must define setup() and loop()`, { start, end: start });
+            }
+        });
     }
 }
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RealTimeCompiler from './real-time-compiler.js';
+
+const UNO = { model: 'uno', architecture: 'avr', flash: '32KB', memory: '2KB' };
+
+function analyze(code) {
+    return new RealTimeCompiler().analyzeSyntax(code, UNO);
+}
+
+function messages(list) {
+    return list.map(diagnostic => diagnostic.message);
+}
+
+test('accepts range-for, lambdas, named casts, flash string casts and function pointers', () => {
+    const result = analyze(`
+const char greeting[] PROGMEM = "hello";
+int sensors[3];
+void (*callback)(int) = nullptr;
+
+void report(int value) {
+    Serial.println(value);
+}
+
+void setup() {
+    Serial.begin(9600);
+    Serial.println((const __FlashStringHelper *)greeting);
+    callback = report;
+
+    int total = 0;
+    auto add = [&total](int value) mutable -> int { total += value; return total; };
+    for (auto reading : sensors) {
+        add(static_cast<int>(reading * 0.5));
+    }
+    uint8_t *raw = reinterpret_cast<uint8_t *>(&total);
+    callback(raw[0]);
+}
+
+void loop() {
+}
+`);
+
+    assert.deepEqual(messages(result.errors), []);
+    assert.deepEqual(messages(result.warnings), []);
+});
+
+test('scopes the range-for variable and lambda parameters to their bodies', () => {
+    const result = analyze(`
+int sensors[3];
+
+void setup() {
+    for (auto reading : sensors) {}
+    auto twice = [](int value) { return value * 2; };
+    Serial.println(reading);
+    Serial.println(value);
+}
+
+void loop() {
+}
+`);
+
+    assert.deepEqual(messages(result.errors), [
+        "'reading' was not declared in this scope",
+        "'value' was not declared in this scope"
+    ]);
+});
+
+test('accepts a macro defined once per #ifdef/#else arm', () => {
+    const result = analyze(`
+#ifdef ESP32
+#define PIN 2
+#elif defined(ARDUINO_AVR_MEGA2560)
+#define PIN 22
+#else
+#define PIN 13
+#endif
+
+void setup() {
+    pinMode(PIN, OUTPUT);
+}
+
+void loop() {
+}
+`);
+
+    assert.deepEqual(messages(result.errors), []);
+    assert.deepEqual(messages(result.warnings), []);
+});
+
+test('accepts variables and functions declared in both arms of a conditional', () => {
+    const result = analyze(`
+#if defined(ESP32)
+const int ledPin = 2;
+void blink() { digitalWrite(ledPin, HIGH); }
+#else
+const int ledPin = 13;
+void blink() { digitalWrite(ledPin, LOW); }
+#endif
+
+void setup() {
+    pinMode(ledPin, OUTPUT);
+    blink();
+}
+
+void loop() {
+}
+`);
+
+    assert.deepEqual(messages(result.errors), []);
+});
+
+test('warns about a macro redefined with a different value and allows #undef', () => {
+    const result = analyze(`
+#define LIMIT 10
+#define LIMIT 10
+#define LIMIT 20
+#define RATE 9600
+#undef RATE
+#define RATE 115200
+
+void setup() {
+    Serial.begin(RATE);
+    Serial.println(LIMIT);
+}
+
+void loop() {
+}
+`);
+
+    assert.deepEqual(messages(result.errors), []);
+    assert.deepEqual(messages(result.warnings), ["'LIMIT' redefined (previously defined on line 2)"]);
+});
+
+test('still reports a variable declared twice outside any conditional', () => {
+    const result = analyze(`
+#ifdef ESP32
+#define PIN 2
+#endif
+int count = 0;
+int count = 1;
+
+void setup() {
+}
+
+void loop() {
+}
+`);
+
+    assert.deepEqual(messages(result.errors), ["Redefinition of 'count' (previously declared on line 5)"]);
+});
@@ -0,0 +1,227 @@
+import ArduinoParser from './arduino-parser.js';
+import ArduinoLexer from './arduino-lexer.js';
+
+// Initialization that is safe to run once for the whole sketch
+const SHARED_SETUP = /^(Wire|SPI)\.begin\(\);$/;
+
+export default class SketchComposer {
+    constructor() {
+        this.parser = new ArduinoParser();
+        this.lexer = new ArduinoLexer();
+    }
+
+    // Merge rendered component snippets (ComponentCatalog.render) into one sketch.
+    // Sensor outputs are shown on any display in the list and printed to Serial.
+    compose(snippets, options = {}) {
+        const serial = options.serial !== false && snippets.some(snippet => snippet.outputs.length > 0);
+        const baudRate = options.baudRate || 9600;
+
+        const renamed = [];
+        const parts = this.resolveNameConflicts(snippets, renamed);
+
+        const includes = [];
+        parts.forEach(part => part.includes.forEach(header => {
+            if (!includes.includes(header)) includes.push(header);
+        }));
+
+        const outputs = parts.flatMap(part => part.outputs);
+        const displays = parts.filter(part => part.show);
+        const interval = Math.max(0, ...parts.map(part => part.interval || 0));
+
+        const globals = [];
+        const setup = serial ? [`Serial.begin(${baudRate});`] : [];
+        const loop = [];
+        const functions = [];
+        const sharedSetup = new Set();
+
+        parts.forEach(part => {
+            const label = `// ${part.name}`;
+
+            if (part.globals.length > 0) {
+                globals.push([label, ...part.globals].join('\n'));
+            }
+
+            const partSetup = part.setup.filter(line => {
+                if (!SHARED_SETUP.test(line.trim())) return true;
+                if (sharedSetup.has(line.trim())) return false;
+                sharedSetup.add(line.trim());
+                return true;
+            });
+            if (partSetup.length > 0) {
+                setup.push(label, ...partSetup);
+            }
+
+            // A display's own demo loop is replaced by the readings it shows below
+            const showsReadings = part.show && outputs.length > 0;
+            if (part.loop.length > 0 && !showsReadings) {
+                loop.push(label, ...part.loop);
+            }
+
+            if (part.functions.length > 0) {
+                functions.push(part.functions.join('\n'));
+            }
+        });
+
+        if (outputs.length > 0) {
+            displays.forEach(display => loop.push(`// Show readings on ${display.name}`, ...this.renderShow(display, outputs)));
+            if (serial) loop.push('// Report readings on the serial monitor', ...this.renderSerial(outputs));
+        }
+
+        if (interval > 0) {
+            loop.push(`delay(${interval});`);
+        }
+
+        const code = this.emit({ title: options.title, parts, includes, globals, setup, loop, functions });
+
+        return {
+            code: code,
+            includes: includes,
+            renamed: renamed,
+            missing: parts.flatMap(part => part.missing.map(slot => ({ component: part.component, slot })))
+        };
+    }
+
+    // Give every top-level name (globals, helpers, locals of setup/loop) a single owner.
+    // Later snippets that reuse a name get it suffixed: dht -> dht2.
+    resolveNameConflicts(snippets, renamed) {
+        const taken = new Set(['setup', 'loop']);
+
+        return snippets.map(snippet => {
+            const names = this.collectNames(snippet);
+            const renames = new Map();
+
+            names.forEach(name => {
+                if (!taken.has(name)) return;
+
+                let suffix = 2;
+                while (taken.has(`${name}${suffix}`) || names.has(`${name}${suffix}`)) suffix++;
+                renames.set(name, `${name}${suffix}`);
+            });
+
+            names.forEach(name => taken.add(renames.get(name) || name));
+            renames.forEach((to, from) => renamed.push({ component: snippet.component, from, to }));
+
+            return renames.size > 0 ? this.renameSnippet(snippet, renames) : snippet;
+        });
+    }
+
+    collectNames(snippet) {
+        const names = new Set();
+        const program = this.parser.parse([...snippet.globals, ...snippet.functions].join('\n'));
+
+        program.body.forEach(node => {
+            if (node.type === 'VariableDeclaration') {
+                node.declarations.forEach(declarator => names.add(declarator.name));
+            } else if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration' || node.type === 'EnumDeclaration') {
+                if (node.name) names.add(node.name);
+            }
+        });
+
+        // Locals declared directly in setup()/loop() end up in the same function body
+        [snippet.setup, snippet.loop].forEach(lines => {
+            const wrapped = this.parser.parse(`void fragment() {\n${lines.join('\n')}\n}`);
+            const fn = wrapped.body.find(node => node.type === 'FunctionDeclaration');
+            if (!fn || !fn.body) return;
+
+            fn.body.body
+                .filter(node => node.type === 'VariableDeclaration')
+                .forEach(node => node.declarations.forEach(declarator => names.add(declarator.name)));
+        });
+
+        return names;
+    }
+
+    renameSnippet(snippet, renames) {
+        const rename = lines => this.renameIdentifiers(lines, renames);
+
+        return {
+            ...snippet,
+            id: renames.get(snippet.id) || snippet.id,
+            globals: rename(snippet.globals),
+            setup: rename(snippet.setup),
+            loop: rename(snippet.loop),
+            functions: rename(snippet.functions),
+            outputs: snippet.outputs.map(output => ({ ...output, variable: rename([output.variable])[0] })),
+            show: snippet.show ? {
+                begin: rename(snippet.show.begin),
+                line: rename(snippet.show.line),
+                end: rename(snippet.show.end)
+            } : null
+        };
+    }
+
+    // Token-aware rename so strings, comments and member names (obj.dht) are left alone
+    renameIdentifiers(lines, renames) {
+        const source = lines.join('\n');
+        const { tokens } = this.lexer.tokenize(source);
+        let result = '';
+        let last = 0;
+
+        tokens.forEach((token, index) => {
+            if (token.type !== 'identifier' || !renames.has(token.value)) return;
+
+            const previous = tokens[index - 1];
+            if (previous && (previous.value === '.' || previous.value === '->')) return;
+
+            result += source.slice(last, token.start.offset) + renames.get(token.value);
+            last = token.end.offset;
+        });
+
+        return (result + source.slice(last)).split('\n');
+    }
+
+    renderShow(display, outputs) {
+        const lines = [...display.show.begin];
+
+        outputs.forEach((output, row) => {
+            const values = { row: row, label: output.label, value: output.variable, unit: output.unit || '' };
+            display.show.line.forEach(line => {
+                lines.push(line.replace(/\{\{(\w+)\}\}/g, (slot, name) => values[name] !== undefined ? String(values[name]) : slot));
+            });
+        });
+
+        return [...lines, ...display.show.end];
+    }
+
+    renderSerial(outputs) {
+        const lines = [];
+
+        outputs.forEach((output, index) => {
+            const unit = output.unit ? ` ${output.unit}` : '';
+
+            lines.push(`Serial.print(F("${output.label}: "));`);
+            lines.push(`Serial.print(${output.variable});`);
+            lines.push(index === outputs.length - 1 ? `Serial.println(F("${unit}"));` : `Serial.print(F("${unit}  "));`);
+        });
+
+        return lines;
+    }
+
+    emit({ title, parts, includes, globals, setup, loop, functions }) {
+        const indent = lines => lines.map(line => `  ${line}`).join('\n');
+        const header = [`// ${title || parts.map(part => part.name).join(' + ')} - Generated by VitaCoder Pro`];
+
+        if (parts.length > 1) {
+            header.push('// Wiring:');
+            parts.forEach(part => {
+                const pins = (part.pins || []).map(pin => `${pin.name} -> ${pin.pin}`).join(', ');
+                header.push(`//   ${part.name}${pins ? `: ${pins}` : ''}`);
+            });
+        }
+
+        const sections = [header.join('\n')];
+
+        if (includes.length > 0) {
+            sections.push(includes.map(name => `#include <${name}>`).join('\n'));
+        }
+
+        globals.forEach(block => sections.push(block));
+
+        sections.push(`void setup() {\n${indent(setup)}\n}`);
+        sections.push(`void loop() {\n${indent(loop)}\n}`);
+
+        functions.forEach(block => sections.push(block));
+
+        return sections.join('\n\n');
+    }
+}
@@ -1,17 +1,20 @@
 import MLCodeAnalyzer from './ml-code-analyzer.js';
+import ApiKnowledgeBase from './api-knowledge-base.js';
+import CompletionEngine from './completion-engine.js';
 
 export default class SmartSuggestions {
-    constructor() {
+    constructor(api = null) {
         this.mlAnalyzer = new MLCodeAnalyzer();
+        this.api = api || new ApiKnowledgeBase();
+        this.completionEngine = new CompletionEngine(this.api);
         this.suggestionHistory = new Map();
     }
 
     async getCodeSuggestions(code, cursorPosition, context = {}) {
-        const line = this.getCurrentLine(code, cursorPosition);
         const analysis = await this.mlAnalyzer.analyzeCode(code);
-        
+
         const suggestions = {
-            completions: await this.getCompletions(line, context),
+            completions: await this.getCompletions(code, cursorPosition),
             improvements: await this.getImprovementSuggestions(analysis),
             optimizations: await this.getOptimizationSuggestions(analysis, context),
             warnings: await this.getWarningSuggestions(analysis)
@@ -21,63 +24,79 @@ export default class SmartSuggestions {
         return suggestions;
     }
 
-    async getCompletions(currentLine, context) {
-        const completions = [];
-        const line = currentLine.toLowerCase();
+    // Ranked completions at the cursor: in-scope sketch symbols, object members,
+    // API names and snippets (see CompletionEngine)
+    async getCompletions(code, cursorPosition) {
+        await this.loadApi();
+        return this.completionEngine.complete(code, cursorPosition, this.getUsageCounts());
+    }
 
-        // Function completions
-        if (line.includes('pinmode')) {
-            completions.push(...this.getPinModeCompletions());
-        }
-        
-        if (line.includes('digitalwrite')) {
-            completions.push(...this.getDigitalWriteCompletions());
-        }
-        
-        if (line.includes('serial.')) {
-            completions.push(...this.getSerialCompletions());
-        }
+    // Call when a completion is inserted so it ranks higher next time
+    recordCompletion(completion) {
+        this.updateSuggestionHistory({ accepted: completion.text, kind: completion.kind });
+    }
 
-        // Library-specific completions
-        if (context.libraries && context.libraries.includes('LiquidCrystal')) {
-            completions.push(...this.getLcdCompletions());
-        }
+    // Times each completion was accepted, from the entries in suggestionHistory
+    getUsageCounts() {
+        const counts = new Map();
 
-        return completions;
-    }
+        this.suggestionHistory.forEach(entry => {
+            if (entry.accepted) counts.set(entry.accepted, (counts.get(entry.accepted) || 0) + 1);
+        });
 
-    getPinModeCompletions() {
-        return [
-            { text: 'INPUT', description: 'Set pin as input' },
-            { text: 'OUTPUT', description: 'Set pin as output' },
-            { text: 'INPUT_PULLUP', description: 'Set pin as input with pullup resistor' }
-        ];
+        return counts;
     }
 
-    getDigitalWriteCompletions() {
-        return [
-            { text: 'HIGH', description: 'Set pin to high voltage' },
-            { text: 'LOW', description: 'Set pin to low voltage' }
-        ];
+    // Signatures of the call the cursor is in, with the index of the argument being typed
+    async getSignatureHelp(code, cursorPosition) {
+        await this.loadApi();
+
+        const symbols = this.completionEngine.collectSymbols(code, cursorPosition);
+        const call = this.completionEngine.getCallContext(code.slice(0, cursorPosition), symbols);
+        if (!call) return null;
+
+        const active = call.signatures.findIndex(signature => signature.params.length > call.argument);
+        return {
+            name: call.name,
+            signatures: call.signatures,
+            activeSignature: active === -1 ? 0 : active,
+            activeParameter: call.argument
+        };
     }
 
-    getSerialCompletions() {
-        return [
-            { text: 'begin(9600)', description: 'Initialize serial communication' },
-            { text: 'print("")', description: 'Print text to serial' },
-            { text: 'println("")', description: 'Print line to serial' },
-            { text: 'available()', description: 'Check if data is available' },
-            { text: 'read()', description: 'Read data from serial' }
-        ];
+    // Documentation for the identifier under the cursor
+    async getHover(code, cursorPosition) {
+        await this.loadApi();
+
+        const before = code.slice(0, cursorPosition).match(/[A-Za-z_]\w*$/);
+        const after = code.slice(cursorPosition).match(/^\w*/);
+        const name = (before ? before[0] : '') + after[0];
+        if (!name) return null;
+
+        const start = cursorPosition - (before ? before[0].length : 0);
+        const member = code.slice(0, start).match(/([A-Za-z_]\w*)\s*(?:\.|->)\s*$/);
+        const symbols = this.completionEngine.collectSymbols(code, start);
+
+        // The sketch's own declarations hide API names
+        const symbol = this.completionEngine.findSymbol(name, symbols, member ? member[1] : null);
+        if (symbol) {
+            return { name: symbol.name, kind: symbol.kind, detail: symbol.detail, doc: `Declared on line ${symbol.line}`, header: null };
+        }
+
+        if (member) {
+            const className = this.completionEngine.getSymbolType(member[1], symbols);
+            return className ? this.api.hover(name, className) : null;
+        }
+
+        return this.api.hover(name);
     }
 
-    getLcdCompletions() {
-        return [
-            { text: 'begin(16, 2)', description: 'Initialize 16x2 LCD' },
-            { text: 'print("")', description: 'Print text to LCD' },
-            { text: 'setCursor(0, 0)', description: 'Set cursor position' },
-            { text: 'clear()', description: 'Clear LCD display' }
-        ];
+    async loadApi() {
+        try {
+            await this.api.load();
+        } catch (error) {
+            console.warn('⚠️ API definitions unavailable:', error);
+        }
     }
 
     async getImprovementSuggestions(analysis) {
@@ -188,7 +207,9 @@ void loop() {
     }
 
     updateSuggestionHistory(suggestions) {
-        const timestamp = Date.now();
+        // Entries recorded in the same millisecond must not overwrite each other
+        let timestamp = Date.now();
+        while (this.suggestionHistory.has(timestamp)) timestamp++;
         this.suggestionHistory.set(timestamp, suggestions);
         
         // Keep only last 100 entries
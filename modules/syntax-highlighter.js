@@ -1,34 +1,243 @@
 export default class SyntaxHighlighter {
+    constructor() {
+        this.keywords = new Set([
+            'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+            'return', 'goto', 'const', 'static', 'volatile', 'extern', 'inline', 'register',
+            'struct', 'class', 'enum', 'union', 'typedef', 'public', 'private', 'protected',
+            'virtual', 'override', 'new', 'delete', 'this', 'namespace', 'using', 'template',
+            'typename', 'sizeof', 'constexpr', 'true', 'false', 'nullptr', 'NULL', 'PROGMEM'
+        ]);
+
+        this.types = new Set([
+            'void', 'bool', 'boolean', 'char', 'byte', 'word', 'int', 'long', 'short', 'unsigned',
+            'signed', 'float', 'double', 'String', 'size_t', 'auto',
+            'int8_t', 'uint8_t', 'int16_t', 'uint16_t', 'int32_t', 'uint32_t', 'int64_t', 'uint64_t'
+        ]);
+
+        this.constants = new Set([
+            'HIGH', 'LOW', 'INPUT', 'OUTPUT', 'INPUT_PULLUP', 'LED_BUILTIN',
+            'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7',
+            'CHANGE', 'RISING', 'FALLING', 'LSBFIRST', 'MSBFIRST', 'DEC', 'HEX', 'OCT', 'BIN'
+        ]);
+
+        this.functions = new Set([
+            'setup', 'loop', 'pinMode', 'digitalWrite', 'digitalRead', 'analogRead', 'analogWrite',
+            'analogReference', 'delay', 'delayMicroseconds', 'millis', 'micros', 'tone', 'noTone',
+            'pulseIn', 'shiftIn', 'shiftOut', 'attachInterrupt', 'detachInterrupt', 'interrupts',
+            'noInterrupts', 'map', 'constrain', 'min', 'max', 'abs', 'random', 'randomSeed', 'F'
+        ]);
+
+        // Objects whose members are highlighted as functions (Serial.println, Wire.begin, ...)
+        this.objects = new Set(['Serial', 'Serial1', 'Serial2', 'Serial3', 'Wire', 'SPI', 'EEPROM']);
+
+        // Per-line cache used for incremental re-highlighting
+        this.lineCache = [];
+    }
+
     highlight(code) {
-        return code
-            .split('\n')
-            .map(line => this.highlightLine(line))
-            .join('\n');
-    }
-    
-    highlightLine(line) {
-        let highlighted = line;
-        
-        // Highlight comments
-        highlighted = highlighted.replace(/\/\/.*$/g, '<span class="code-comment">$&</span>');
-        
-        // Highlight keywords
-        const keywords = ['void', 'setup', 'loop', 'int', 'float', 'double', 'if', 'else', 'for', 'while', 'return'];
-        keywords.forEach(keyword => {
-            const regex = new RegExp(`\\b${keyword}\\b`, 'g');
-            highlighted = highlighted.replace(regex, `<span class="code-keyword">${keyword}</span>`);
+        return this.update(code).lines.join('\n');
+    }
+
+    // Re-highlight only lines whose text or starting state changed since the last call.
+    // Returns the HTML and tokens of every line plus the indices that had to be recomputed.
+    update(code) {
+        const sourceLines = code.split('\n');
+        const cache = [];
+        const changed = [];
+        let state = this.initialState();
+
+        sourceLines.forEach((text, index) => {
+            const cached = this.lineCache[index];
+
+            if (cached && cached.text === text && this.sameState(cached.startState, state)) {
+                cache.push(cached);
+                state = cached.endState;
+                return;
+            }
+
+            const startState = state;
+            const result = this.tokenizeLine(text, startState);
+            state = result.state;
+
+            cache.push({
+                text: text,
+                startState: startState,
+                endState: state,
+                tokens: result.tokens,
+                html: this.renderLine(result.tokens)
+            });
+            changed.push(index);
         });
-        
-        // Highlight functions
-        const functions = ['pinMode', 'digitalWrite', 'digitalRead', 'analogRead', 'analogWrite', 'delay', 'Serial\\.\\w+'];
-        functions.forEach(func => {
-            const regex = new RegExp(`\\b${func}\\b`, 'g');
-            highlighted = highlighted.replace(regex, `<span class="code-function">$&</span>`);
+
+        this.lineCache = cache;
+
+        return {
+            lines: cache.map(entry => entry.html),
+            tokens: cache.map(entry => entry.tokens),
+            changed: changed
+        };
+    }
+
+    highlightLine(line, state = this.initialState()) {
+        return this.renderLine(this.tokenizeLine(line, state).tokens);
+    }
+
+    tokenize(code) {
+        let state = this.initialState();
+
+        return code.split('\n').map(line => {
+            const result = this.tokenizeLine(line, state);
+            state = result.state;
+            return result.tokens;
         });
-        
-        // Highlight strings
-        highlighted = highlighted.replace(/"([^"]*)"/g, '<span class="code-string">"$1"</span>');
-        
-        return `<div class="code-line">${highlighted}</div>`;
+    }
+
+    initialState() {
+        return { inBlockComment: false };
+    }
+
+    sameState(a, b) {
+        return a.inBlockComment === b.inBlockComment;
+    }
+
+    // Single left-to-right pass; every character ends up in exactly one token
+    tokenizeLine(line, state) {
+        const tokens = [];
+        let inBlockComment = state.inBlockComment;
+        let previous = null;
+        let owner = null;
+        let i = 0;
+
+        const push = (type, value) => {
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === type && (type === 'plain' || type === 'comment')) {
+                last.value += value;
+            } else {
+                tokens.push({ type, value });
+            }
+
+            // Remember the last two significant tokens for member access (Serial.println)
+            if (type !== 'plain' || value.trim()) {
+                owner = previous;
+                previous = value.trim();
+            }
+        };
+
+        while (i < line.length) {
+            if (inBlockComment) {
+                const end = line.indexOf('*/', i);
+                const stop = end === -1 ? line.length : end + 2;
+                push('comment', line.slice(i, stop));
+                inBlockComment = end === -1;
+                i = stop;
+                continue;
+            }
+
+            const char = line[i];
+            const rest = line.slice(i);
+
+            if (rest.startsWith('//')) {
+                push('comment', rest);
+                break;
+            }
+
+            if (rest.startsWith('/*')) {
+                inBlockComment = true;
+                push('comment', '/*');
+                i += 2;
+                continue;
+            }
+
+            if (char === '"' || char === '\'') {
+                const end = this.findClosingQuote(line, i, char);
+                push(char === '"' ? 'string' : 'char', line.slice(i, end));
+                i = end;
+                continue;
+            }
+
+            if (char === '#' && !line.slice(0, i).trim()) {
+                const directive = rest.match(/^#\s*\w*/)[0];
+                push('preprocessor', directive);
+                i += directive.length;
+
+                // <Header.h> in #include is a path, not a comparison
+                const header = /include$/.test(directive) && line.slice(i).match(/^(\s*)(<[^>]*>?)/);
+                if (header) {
+                    push('plain', header[1]);
+                    push('string', header[2]);
+                    i += header[0].length;
+                }
+                continue;
+            }
+
+            const number = /[0-9]/.test(char) || (char === '.' && /[0-9]/.test(line[i + 1] || ''))
+                ? rest.match(/^(0[xX][0-9a-fA-F']+|0[bB][01']+|([0-9][0-9']*\.?[0-9]*|\.[0-9]+)([eE][+-]?[0-9]+)?)[uUlLfF]*/)
+                : null;
+            if (number) {
+                push('number', number[0]);
+                i += number[0].length;
+                continue;
+            }
+
+            const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            if (identifier) {
+                push(this.classifyIdentifier(identifier[0], previous === '.' ? owner : null), identifier[0]);
+                i += identifier[0].length;
+                continue;
+            }
+
+            push('plain', char);
+            i++;
+        }
+
+        return { tokens, state: { inBlockComment } };
+    }
+
+    findClosingQuote(line, start, quote) {
+        let i = start + 1;
+
+        while (i < line.length) {
+            if (line[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (line[i] === quote) {
+                return i + 1;
+            }
+            i++;
+        }
+
+        // Unterminated literal runs to the end of the line
+        return line.length;
+    }
+
+    classifyIdentifier(word, owner) {
+        if (owner && this.objects.has(owner)) {
+            return 'function';
+        }
+
+        if (this.types.has(word)) return 'type';
+        if (this.keywords.has(word)) return 'keyword';
+        if (this.constants.has(word)) return 'constant';
+        if (this.functions.has(word) || this.objects.has(word)) return 'function';
+        return 'plain';
+    }
+
+    renderLine(tokens) {
+        const html = tokens.map(token => {
+            const text = this.escapeHtml(token.value);
+            return token.type === 'plain' ? text : `<span class="code-${token.type}">${text}</span>`;
+        }).join('');
+
+        return `<div class="code-line">${html}</div>`;
+    }
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 }
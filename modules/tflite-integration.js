@@ -1,9 +1,12 @@
+import ArduinoParser from './arduino-parser.js';
+
 export default class TFLiteIntegration {
     constructor() {
         this.tflite = null;
         this.models = new Map();
         this.isInitialized = false;
         this.modelBasePath = './ml-models/';
+        this.parser = new ArduinoParser();
     }
 
     async initialize() {
@@ -102,16 +105,18 @@ export default class TFLiteIntegration {
 
     extractCodeFeatures(code) {
         const lines = code.split('\n');
+        const ast = this.parser.parse(code);
+        const summary = this.parser.summarize(ast);
         
         return {
             lineCount: lines.length,
-            functionCount: (code.match(/\b(void|int|float|double)\s+\w+\s*\(/g) || []).length,
-            variableCount: (code.match(/\b(int|float|double|bool|char)\s+\w+/g) || []).length,
-            loopCount: (code.match(/\b(for|while)\s*\(/g) || []).length,
-            conditionCount: (code.match(/\b(if|else if|switch)\s*\(/g) || []).length,
-            commentDensity: (code.match(/\/\/|\/\*/g) || []).length / lines.length,
+            functionCount: summary.functions.length,
+            variableCount: summary.variables.length,
+            loopCount: summary.loopCount,
+            conditionCount: summary.ifCount + summary.switchCount,
+            commentDensity: ast.comments.length / lines.length,
             averageLineLength: lines.reduce((sum, line) => sum + line.length, 0) / lines.length,
-            libraryCount: (code.match(/#include\s+<[^>]+>/g) || []).length
+            libraryCount: summary.includes.length
         };
     }
 
@@ -12,12 +12,21 @@ const STATIC_ASSETS = [
   '/css/mobile.css',
   '/js/app.js',
   '/js/ui-manager.js',
+  '/js/code-editor.js',
   '/js/code-generator.js',
   '/js/file-manager.js',
   '/js/examples.js',
   '/js/arduino-detector.js',
   '/js/pin-configurator.js',
   '/js/usb-detector.js',
+  '/js/serial-monitor.js',
+  '/js/serial-plotter.js',
+  '/js/uploaders/serial-uploader.js',
+  '/js/uploaders/stk500v1-uploader.js',
+  '/js/uploaders/stk500v2-uploader.js',
+  '/js/uploaders/avr109-uploader.js',
+  '/js/uploaders/esptool-uploader.js',
+  '/js/uploaders/md5.js',
   '/js/termux-bridge.js',
   '/js/mobile-adapter.js',
   '/modules/arduino-templates.js',
@@ -26,9 +35,56 @@ const STATIC_ASSETS = [
   '/modules/nlp-processor.js',
   '/modules/code-analyzer.js',
   '/modules/error-checker.js',
+  '/modules/compiler-log-parser.js',
   '/modules/troubleshooting.js',
+  '/modules/arduino-lexer.js',
+  '/modules/arduino-parser.js',
+  '/modules/memory-estimator.js',
+  '/modules/pin-conflict-checker.js',
   '/modules/real-time-compiler.js',
+  '/modules/api-knowledge-base.js',
+  '/modules/completion-engine.js',
   '/modules/code-optimizer.js',
+  '/modules/line-diff.js',
+  '/modules/quick-fix-engine.js',
+  '/modules/board-registry.js',
+  '/modules/intel-hex.js',
+  '/boards/index.json',
+  '/boards/uno.json',
+  '/boards/nano.json',
+  '/boards/nano_clone.json',
+  '/boards/mega2560.json',
+  '/boards/leonardo.json',
+  '/boards/micro.json',
+  '/boards/esp32.json',
+  '/boards/generic.json',
+  '/modules/component-catalog.js',
+  '/modules/sketch-composer.js',
+  '/components/index.json',
+  '/components/lcd.json',
+  '/components/lcd_i2c.json',
+  '/components/oled_ssd1306.json',
+  '/components/servo.json',
+  '/components/ultrasonic.json',
+  '/components/dht.json',
+  '/components/stepper_a4988.json',
+  '/components/relay.json',
+  '/components/pir.json',
+  '/components/rgb_led.json',
+  '/components/buzzer.json',
+  '/components/keypad.json',
+  '/components/rotary_encoder.json',
+  '/components/neopixel.json',
+  '/components/mpu6050.json',
+  '/api/index.json',
+  '/api/core.json',
+  '/api/servo.json',
+  '/api/wire.json',
+  '/api/spi.json',
+  '/api/liquidcrystal.json',
+  '/api/dht.json',
+  '/api/eeprom.json',
+  '/api/softwareserial.json',
   '/assets/icons/icon-192.png',
   '/assets/icons/icon-512.png',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'